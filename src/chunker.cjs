@@ -2,23 +2,43 @@
  * Core chunking algorithm (CommonJS)
  */
 
-const { estimateTokens, getTextByteSize, checkFits } = require('./limits.cjs');
-const { getImagesByteSize } = require('./image.cjs');
+const { estimateTokens, getTextByteSize, measureBytes, RAW_BYTE_SIZE } = require('./limits.cjs');
+const { getImagesByteSize, getImagesTokens, estimateImageTokens } = require('./image.cjs');
 const { InvalidInputError, LimitExceededError } = require('./errors.cjs');
+const { resolveTokenizer, fitTokens } = require('./tokenizer.cjs');
+const { resolveStrategy } = require('./strategies/index.cjs');
 
-function findSplitPoint(text, maxLength) {
+const NO_CARRY = { suffix: '', prefix: '', state: null };
+
+const OVERLAP_UNITS = ['chars', 'tokens', 'sentences'];
+
+const SPREAD_IMAGE_SHARE = 0.5;
+
+const SENTENCE_BREAK_RE = /[.!?]["')\]]*\s+|\n\s*\n\s*/g;
+
+function splitsPair(text, point) {
+  const high = text.charCodeAt(point - 1);
+  const low = text.charCodeAt(point);
+  return high >= 0xd800 && high <= 0xdbff && low >= 0xdc00 && low <= 0xdfff;
+}
+
+function snapSplitPoint(text, point) {
+  return point > 1 && splitsPair(text, point) ? point - 1 : point;
+}
+
+function findSplitPoint(text, maxLength, minLength = 0) {
   if (maxLength >= text.length) {
     return text.length;
   }
 
   const sentenceEnd = Math.min(maxLength, text.length);
-  for (let i = sentenceEnd; i > Math.max(0, sentenceEnd - 200); i--) {
+  for (let i = sentenceEnd; i > Math.max(minLength, sentenceEnd - 200); i--) {
     if (/[.!?]\s/.test(text.slice(i - 2, i + 1))) {
       return i;
     }
   }
 
-  for (let i = sentenceEnd; i > Math.max(0, sentenceEnd - 100); i--) {
+  for (let i = sentenceEnd - 1; i > Math.max(0, sentenceEnd - 100) && i >= minLength; i--) {
     if (/\s/.test(text[i])) {
       return i + 1;
     }
@@ -27,38 +47,65 @@ function findSplitPoint(text, maxLength) {
   return maxLength;
 }
 
-function chunkInput(text, images, limits, options = {}) {
+function createSplitter(images, limits, options = {}) {
   const {
-    chunkOverlap = 0,
     respectWordBoundaries = true,
+    chunkOverlap = 0,
+    overlapUnit = 'chars',
+    imageStrategy = 'first',
   } = options;
-
-  if (!text || typeof text !== 'string') {
-    throw new InvalidInputError('Text input is required and must be a string');
+  if (!OVERLAP_UNITS.includes(overlapUnit)) {
+    throw new InvalidInputError(
+      `Unknown overlapUnit "${overlapUnit}". Supported units: ${OVERLAP_UNITS.join(', ')}`
+    );
   }
 
-  const chunks = [];
-  const imageBytes = getImagesByteSize(images);
+  const tokenizer = resolveTokenizer(options.tokenizer);
+  const byteSize = options.byteSize || RAW_BYTE_SIZE;
+  const strategy = resolveStrategy(options.strategy, options);
+
+  let state = null;
+  let prefix = '';
+  let minEnd = 0;
+
+  let pendingImages = images;
+  if (imageStrategy === 'anchored') {
+    images.forEach((image, index) => {
+      if (image.anchor !== undefined && !(Number.isInteger(image.anchor) && image.anchor >= 0)) {
+        throw new InvalidInputError(`Image ${index} anchor must be a non-negative integer`);
+      }
+    });
+    pendingImages = [...images].sort((a, b) => (a.anchor || 0) - (b.anchor || 0));
+  }
+  let spreadGroups = null;
+  let chunksCut = 0;
 
-  const availableBytesForText = limits.maxBytes - imageBytes;
-  const availableCharsForText = Math.min(
-    limits.maxChars,
-    Math.floor(availableBytesForText / 2)
-  );
+  const maxImageBytes = limits.totalImageBytes === undefined ? Infinity : limits.totalImageBytes;
 
-  // Check if even a single character would exceed limits (unsplittable chunk)
-  // This prevents infinite loops and provides clear error messages
-  const singleCharBytes = getTextByteSize('A'); // Test with a single character
+  const largestImages = imageStrategy === 'first' ? [images] : images.map((image) => [image]);
+  const imageBytes = Math.max(0, ...largestImages.map((group) => measureBytes('', group, byteSize)));
+  const imageTokens = Math.max(0, ...largestImages.map((group) => getImagesTokens(group, limits)));
+  const singleCharBytes = byteSize.text('A');
   const singleCharWithImages = singleCharBytes + imageBytes;
   if (singleCharWithImages > limits.maxBytes) {
     throw new LimitExceededError({
       provider: options.provider,
       model: options.model,
-      limit: 'maxBytes',
+      limit: byteSize.limit,
       actual: singleCharWithImages,
       allowed: limits.maxBytes,
     });
   }
+  const singleCharTokensWithImages = estimateTokens('A', tokenizer) + imageTokens;
+  if (singleCharTokensWithImages > limits.maxTokens) {
+    throw new LimitExceededError({
+      provider: options.provider,
+      model: options.model,
+      limit: 'maxTokens',
+      actual: singleCharTokensWithImages,
+      allowed: limits.maxTokens,
+    });
+  }
   if (1 > limits.maxChars) {
     throw new LimitExceededError({
       provider: options.provider,
@@ -69,21 +116,38 @@ function chunkInput(text, images, limits, options = {}) {
     });
   }
 
-  let currentIndex = 0;
-  let chunkIndex = 0;
+  function split(text, maxLength, minLength = 0) {
+    if (strategy) {
+      const point = snapSplitPoint(text, strategy.findSplitPoint(text, maxLength, state, minLength));
+      if (point > minLength) {
+        return point;
+      }
+    }
+    return snapSplitPoint(
+      text,
+      respectWordBoundaries ? findSplitPoint(text, maxLength, minLength) : maxLength
+    );
+  }
 
-  while (currentIndex < text.length) {
-    // Check if remaining text exceeds limits and cannot be split
-    const remainingText = text.slice(currentIndex);
-    const remainingBytes = getTextByteSize(remainingText);
-    const remainingBytesWithImages = remainingBytes + (chunkIndex === 0 ? imageBytes : 0);
+  function measure(text) {
+    return {
+      bytes: byteSize.text(text),
+      chars: text.length,
+      tokens: text ? estimateTokens(text, tokenizer) + 2 : 0,
+    };
+  }
+
+  function fit(remainingText, chunkImages, reserve, minLength = 0) {
+    const chunkImageBytes = measureBytes('', chunkImages, byteSize);
+
+    const remainingBytes = byteSize.text(remainingText);
+    const remainingBytesWithImages = remainingBytes + chunkImageBytes;
     
-    // If remaining text exceeds limits and we can't split it further, throw error
     if (remainingBytesWithImages > limits.maxBytes && remainingText.length <= 1) {
       throw new LimitExceededError({
         provider: options.provider,
         model: options.model,
-        limit: 'maxBytes',
+        limit: byteSize.limit,
         actual: remainingBytesWithImages,
         allowed: limits.maxBytes,
       });
@@ -98,15 +162,12 @@ function chunkInput(text, images, limits, options = {}) {
       });
     }
     
-    const isFirstChunk = chunkIndex === 0;
-    const maxChunkBytes = isFirstChunk
-      ? availableBytesForText
-      : limits.maxBytes;
-    const maxChunkChars = isFirstChunk
-      ? availableCharsForText
-      : limits.maxChars;
-
-    const estimatedMaxChars = Math.floor(maxChunkBytes / 2);
+    const maxChunkBytes = limits.maxBytes - chunkImageBytes - reserve.bytes;
+    const maxChunkChars = limits.maxChars - reserve.chars;
+    const maxChunkTokens = limits.maxTokens - getImagesTokens(chunkImages, limits) - reserve.tokens;
+
+    const overlapBytes = minLength > 0 ? byteSize.text(remainingText.slice(0, minLength)) : 0;
+    const estimatedMaxChars = minLength + Math.floor((maxChunkBytes - overlapBytes) / 2);
     const targetChars = Math.min(maxChunkChars, estimatedMaxChars);
 
     let splitPoint;
@@ -114,120 +175,467 @@ function chunkInput(text, images, limits, options = {}) {
     if (remainingText.length <= targetChars) {
       splitPoint = remainingText.length;
     } else {
-      if (respectWordBoundaries) {
-        splitPoint = findSplitPoint(remainingText, targetChars);
-      } else {
-        splitPoint = targetChars;
-      }
+      splitPoint = split(remainingText, Math.max(0, targetChars), minLength);
     }
 
     let chunkText = remainingText.slice(0, splitPoint);
 
-    // Enforce "Single Unit Overflow" failure - detect unsplittable chunks immediately
-    // This check must run before binary search begins
-    const chunkBytes = getTextByteSize(chunkText);
-    
-    if (
-      chunkText.length > limits.maxChars ||
-      chunkBytes > maxChunkBytes
-    ) {
+    if (chunkText.length > limits.maxChars) {
       throw new LimitExceededError({
         provider: options.provider,
         model: options.model,
-        limit: chunkBytes > maxChunkBytes ? 'maxBytes' : 'maxChars',
-        actual: Math.max(chunkText.length, chunkBytes),
-        allowed: Math.min(limits.maxChars, maxChunkBytes),
+        limit: 'maxChars',
+        actual: chunkText.length,
+        allowed: limits.maxChars,
       });
     }
 
-    const chunkImageBytes = isFirstChunk ? imageBytes : 0;
-    const totalChunkBytes = chunkBytes + chunkImageBytes;
-
-    if (totalChunkBytes > maxChunkBytes) {
+    const chunkBytes = byteSize.text(chunkText);
+    if (chunkBytes > maxChunkBytes) {
       let low = 0;
       let high = chunkText.length;
       while (low < high) {
-        const mid = Math.floor((low + high) / 2);
-        const testText = chunkText.slice(0, mid);
-        const testBytes = getTextByteSize(testText) + chunkImageBytes;
-        if (testBytes <= maxChunkBytes) {
-          low = mid + 1;
+        const mid = Math.ceil((low + high) / 2);
+        if (byteSize.text(chunkText.slice(0, snapSplitPoint(chunkText, mid))) <= maxChunkBytes) {
+          low = mid;
         } else {
-          high = mid;
+          high = mid - 1;
         }
       }
-      splitPoint = Math.max(0, low - 1);
+      if (low === 0) {
+        throw new LimitExceededError({
+          provider: options.provider,
+          model: options.model,
+          limit: byteSize.limit,
+          actual: byteSize.text(remainingText.slice(0, 1)),
+          allowed: maxChunkBytes,
+        });
+      }
+
+      splitPoint = split(chunkText, low, minLength);
       chunkText = remainingText.slice(0, splitPoint);
     }
 
-    const estimatedTokens = estimateTokens(chunkText);
-    if (estimatedTokens > limits.maxTokens) {
-      const maxCharsByTokens = limits.maxTokens * 4;
-      if (chunkText.length > maxCharsByTokens) {
-        splitPoint = Math.min(splitPoint, maxCharsByTokens);
-        chunkText = remainingText.slice(0, splitPoint);
+    const tokenFit = fitTokens(chunkText, Math.max(0, maxChunkTokens), tokenizer);
+    if (tokenFit < chunkText.length) {
+      if (tokenFit === 0) {
+        throw new LimitExceededError({
+          provider: options.provider,
+          model: options.model,
+          limit: 'maxTokens',
+          actual: estimateTokens(chunkText.slice(0, 1), tokenizer),
+          allowed: maxChunkTokens,
+        });
       }
-    }
 
-    const chunk = {
-      text: chunkText,
-      images: isFirstChunk ? images : [],
-      index: chunkIndex,
-    };
-
-    chunks.push(chunk);
-
-    currentIndex += splitPoint;
-
-    if (chunkOverlap > 0 && currentIndex < text.length) {
-      currentIndex = Math.max(0, currentIndex - chunkOverlap);
+      splitPoint = split(chunkText, tokenFit, minLength);
+      chunkText = remainingText.slice(0, splitPoint);
     }
 
-    chunkIndex++;
-
-    // Safety: prevent infinite loops
-    // This should not happen if the pre-check above works, but keep as fallback
     if (splitPoint === 0) {
-      const chunkBytes = getTextByteSize(chunkText);
-      const chunkImageBytes = isFirstChunk ? imageBytes : 0;
-      const totalChunkBytes = chunkBytes + chunkImageBytes;
-      const maxChunkBytes = isFirstChunk
-        ? availableBytesForText
-        : limits.maxBytes;
       throw new LimitExceededError({
         provider: options.provider,
         model: options.model,
-        limit: 'maxBytes',
-        actual: totalChunkBytes,
+        limit: byteSize.limit,
+        actual: chunkBytes,
         allowed: maxChunkBytes,
       });
     }
+
+    return splitPoint;
+  }
+
+  function planSpread(text) {
+    const totalBytes = getImagesByteSize(images);
+    const totalSize = measureBytes('', images, byteSize);
+    const totalTokens = getImagesTokens(images, limits);
+    const textChunks = Math.ceil(
+      Math.max(
+        byteSize.text(text) / limits.maxBytes,
+        text.length / limits.maxChars,
+        estimateTokens(text, tokenizer) / limits.maxTokens
+      )
+    );
+    const imageChunks = Math.ceil(
+      Math.max(
+        images.length / limits.maxImages,
+        totalSize / (limits.maxBytes * SPREAD_IMAGE_SHARE),
+        totalTokens / (limits.maxTokens * SPREAD_IMAGE_SHARE),
+        totalBytes / maxImageBytes
+      )
+    );
+    const count = Math.min(images.length, Math.max(textChunks, imageChunks));
+
+    const groups = [];
+    let group = [];
+    let groupBytes = 0;
+    let groupSize = 0;
+    let groupTokens = 0;
+    let before = 0;
+    images.forEach((image, i) => {
+      const size = byteSize.image(image);
+      const tokens = estimateImageTokens(image, limits);
+      const byteShare = totalBytes > 0 ? (before + image.size / 2) / totalBytes : 0;
+      const share = (byteShare + (i + 0.5) / images.length) / 2;
+      const target = Math.floor(share * count);
+      if (
+        group.length > 0 &&
+        (groups.length < target ||
+          group.length >= limits.maxImages ||
+          groupBytes + image.size > maxImageBytes ||
+          groupSize + size > limits.maxBytes - byteSize.maxCharBytes ||
+          groupTokens + tokens >= limits.maxTokens)
+      ) {
+        groups.push(group);
+        group = [];
+        groupBytes = 0;
+        groupSize = 0;
+        groupTokens = 0;
+      }
+      group.push(image);
+      groupBytes += image.size;
+      groupSize += size;
+      groupTokens += tokens;
+      before += image.size;
+    });
+    if (group.length > 0) {
+      groups.push(group);
+    }
+    return groups;
+  }
+
+  function anchorImages(remainingText, offset, end, complete, taken, reserve) {
+    const last = complete && end === remainingText.length;
+    let bytes = getImagesByteSize(pendingImages.slice(0, taken));
+    let size = measureBytes('', pendingImages.slice(0, taken), byteSize);
+    let tokens = getImagesTokens(pendingImages.slice(0, taken), limits);
+
+    for (; taken < pendingImages.length; taken++) {
+      const image = pendingImages[taken];
+      const at = (image.anchor || 0) - offset;
+      if (at >= end && !last) {
+        break;
+      }
+
+      const textBefore = remainingText.slice(0, Math.max(0, Math.min(at, end)));
+      const imageSize = byteSize.image(image);
+      const imageTokens = estimateImageTokens(image, limits);
+      if (
+        taken >= limits.maxImages ||
+        bytes + image.size > maxImageBytes ||
+        size + imageSize + byteSize.text(textBefore) + reserve.bytes > limits.maxBytes ||
+        tokens + imageTokens + estimateTokens(textBefore, tokenizer) + reserve.tokens > limits.maxTokens
+      ) {
+        const empty = at <= 0 && taken === 0;
+        return { taken, maxEnd: empty ? remainingText.length : Math.max(0, at) };
+      }
+      bytes += image.size;
+      size += imageSize;
+      tokens += imageTokens;
+    }
+
+    return { taken, maxEnd: remainingText.length };
+  }
+
+  function next(remainingText, chunkIndex, offset = 0, complete = true) {
+    const anchored = imageStrategy === 'anchored';
+    let chunkImages = [];
+    if (imageStrategy === 'first') {
+      chunkImages = chunkIndex === 0 ? images : [];
+    } else if (imageStrategy === 'spread') {
+      spreadGroups = spreadGroups || planSpread(remainingText);
+      chunkImages = spreadGroups[chunkIndex] || [];
+    }
+
+    let suffix = '';
+    let maxEnd = remainingText.length;
+    let end;
+    let carried;
+    let overlapLength = 0;
+
+    for (;;) {
+      const reserve = measure(prefix + suffix);
+      end = maxEnd > minEnd ? fit(remainingText.slice(0, maxEnd), chunkImages, reserve, minEnd) : 0;
+
+      if (anchored) {
+        const taken = chunkImages.length;
+        const picked = anchorImages(remainingText, offset, end, complete, taken, reserve);
+        if (picked.taken > chunkImages.length || picked.maxEnd < maxEnd) {
+          chunkImages = pendingImages.slice(0, picked.taken);
+          maxEnd = Math.min(maxEnd, picked.maxEnd);
+          continue;
+        }
+      }
+
+      if (end === 0) {
+        carried = { suffix: '', prefix, state };
+        break;
+      }
+
+      const carryTo = (start) =>
+        strategy && strategy.carry ? strategy.carry(remainingText, end, state, start) : NO_CARRY;
+      overlapLength =
+        end < remainingText.length
+          ? overlap(remainingText.slice(0, end), (start) => carryTo(start).prefix)
+          : 0;
+      carried = carryTo(end - overlapLength);
+      if (carried.suffix.length <= suffix.length) {
+        break;
+      }
+      suffix = carried.suffix;
+    }
+
+    const text = end > 0 ? prefix + remainingText.slice(0, end) + carried.suffix : '';
+    const lengths = { prefix: end > 0 ? prefix.length : 0, suffix: carried.suffix.length };
+    prefix = carried.prefix;
+    state = carried.state;
+    if (end > 0) {
+      minEnd = overlapLength;
+    }
+
+    if (anchored) {
+      if (!(complete && end === remainingText.length)) {
+        chunkImages = chunkImages.filter((image) => (image.anchor || 0) - offset < Math.max(end, 1));
+      }
+      pendingImages = pendingImages.slice(chunkImages.length);
+    }
+    chunksCut = chunkIndex + 1;
+
+    return { end, text, carried: lengths, images: chunkImages, overlap: overlapLength };
+  }
+
+  function leftoverImages() {
+    if (imageStrategy === 'spread') {
+      return (spreadGroups || []).slice(chunksCut);
+    }
+    if (imageStrategy === 'first') {
+      return [];
+    }
+
+    const groups = [];
+    let group = [];
+    let groupBytes = 0;
+    let groupSize = 0;
+    let groupTokens = 0;
+    for (const image of pendingImages) {
+      const size = byteSize.image(image);
+      const tokens = estimateImageTokens(image, limits);
+      const full =
+        group.length >= limits.maxImages ||
+        groupBytes + image.size > maxImageBytes ||
+        groupSize + size > limits.maxBytes ||
+        groupTokens + tokens > limits.maxTokens;
+      if (group.length > 0 && full) {
+        groups.push(group);
+        group = [];
+        groupBytes = 0;
+        groupSize = 0;
+        groupTokens = 0;
+      }
+      group.push(image);
+      groupBytes += image.size;
+      groupSize += size;
+      groupTokens += tokens;
+    }
+    if (group.length > 0) {
+      groups.push(group);
+    }
+    pendingImages = [];
+    return groups;
+  }
+
+  function overlap(text, prefixAt = () => '') {
+    if (chunkOverlap <= 0 || text.length < 2) {
+      return 0;
+    }
+
+    let starts;
+    let fitsUnit;
+    if (overlapUnit === 'sentences') {
+      starts = [...text.matchAll(SENTENCE_BREAK_RE)]
+        .map((match) => match.index + match[0].length)
+        .filter((start) => start < text.length);
+      const first = starts[Math.max(0, starts.length - chunkOverlap)];
+      fitsUnit = (start) => start >= first;
+    } else if (overlapUnit === 'tokens') {
+      starts = [...text.matchAll(/\s+/g)]
+        .map((match) => match.index + match[0].length)
+        .filter((start) => start > 0 && start < text.length);
+      fitsUnit = (start) => estimateTokens(text.slice(start), tokenizer) <= chunkOverlap;
+    } else {
+      const first = Math.max(1, text.length - chunkOverlap);
+      starts = Array.from({ length: text.length - first }, (_, i) => first + i).filter(
+        (start) => !splitsPair(text, start)
+      );
+      fitsUnit = () => true;
+    }
+
+    const fits = (start) => {
+      const size = measure(prefixAt(start) + text.slice(start));
+      return (
+        fitsUnit(start) &&
+        size.bytes <= limits.maxBytes / 2 &&
+        size.chars <= limits.maxChars / 2 &&
+        size.tokens <= limits.maxTokens / 2
+      );
+    };
+
+    let low = 0;
+    let high = starts.length;
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      if (fits(starts[mid])) {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+
+    return low < starts.length ? text.length - starts[low] : 0;
+  }
+
+  const windowSize =
+    Math.min(limits.maxChars, chunkOverlap > 0 ? limits.maxBytes : Math.floor(limits.maxBytes / 2)) + 1;
+
+  function settled(remainingText) {
+    if (remainingText.length <= windowSize) {
+      return false;
+    }
+    return (
+      !strategy ||
+      !strategy.settled ||
+      strategy.settled(remainingText, windowSize, state) ||
+      remainingText.length > 2 * windowSize
+    );
+  }
+
+  return {
+    next,
+    settled,
+    leftoverImages,
+  };
+}
+
+const START_POSITION = Object.freeze({ offset: 0, byte: 0, line: 1, column: 0 });
+
+function advancePosition(position, text) {
+  let lines = 0;
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+    lines++;
+  }
+  const lastNewline = text.lastIndexOf('\n');
+
+  return {
+    offset: position.offset + text.length,
+    byte: position.byte + getTextByteSize(text),
+    line: position.line + lines,
+    column: lastNewline === -1 ? position.column + text.length : text.length - lastNewline - 1,
+  };
+}
+
+function locateChunk(chunk, start, end, overlapStart = 0, carried = { prefix: 0, suffix: 0 }) {
+  return {
+    ...chunk,
+    start: start.offset,
+    end: end.offset,
+    byteStart: start.byte,
+    byteEnd: end.byte,
+    overlapStart,
+    overlapEnd: 0,
+    loc: {
+      start: { line: start.line, column: start.column },
+      end: { line: end.line, column: end.column },
+    },
+    carried,
+  };
+}
+
+function chunkInput(text, images, limits, options = {}) {
+  if (!text || typeof text !== 'string') {
+    throw new InvalidInputError('Text input is required and must be a string');
+  }
+
+  const splitter = createSplitter(images, limits, options);
+  const chunks = [];
+
+  let currentIndex = 0;
+  let chunkIndex = 0;
+  let position = START_POSITION;
+  let overlap = 0;
+
+  while (currentIndex < text.length) {
+    const remainingText = text.slice(currentIndex);
+    const {
+      end: splitPoint,
+      text: chunkText,
+      carried,
+      images: chunkImages,
+      overlap: overlapEnd,
+    } = splitter.next(remainingText, chunkIndex, currentIndex);
+    const endPosition = advancePosition(position, remainingText.slice(0, splitPoint));
+
+    const chunk = locateChunk(
+      {
+        text: chunkText,
+        images: chunkImages,
+        index: chunkIndex,
+      },
+      position,
+      endPosition,
+      overlap,
+      carried
+    );
+
+    chunks.push(chunk);
+
+    overlap = overlapEnd;
+    currentIndex += splitPoint - overlap;
+    chunk.overlapEnd = overlap;
+    position =
+      overlap > 0 ? advancePosition(position, remainingText.slice(0, splitPoint - overlap)) : endPosition;
+
+    chunkIndex++;
+  }
+
+  for (const chunkImages of splitter.leftoverImages()) {
+    chunks.push(locateChunk({ text: '', images: chunkImages, index: chunkIndex++ }, position, position));
   }
 
   return chunks;
 }
 
-function calculateMetadata(chunks, provider, model) {
-  let totalEstimatedTokens = 0;
+function calculateMetadata(chunks, provider, model, options = {}) {
+  let totalTextTokens = 0;
+  let totalImageTokens = 0;
   let totalEstimatedBytes = 0;
 
   for (const chunk of chunks) {
-    totalEstimatedTokens += estimateTokens(chunk.text);
-    totalEstimatedBytes += getTextByteSize(chunk.text);
-    totalEstimatedBytes += getImagesByteSize(chunk.images);
+    totalTextTokens += estimateTokens(chunk.text, options.tokenizer);
+    if (options.limits) {
+      totalImageTokens += getImagesTokens(chunk.images, options.limits);
+    }
+    totalEstimatedBytes += measureBytes(chunk.text, chunk.images, options.byteSize);
   }
 
   return {
     provider,
     model,
     totalChunks: chunks.length,
-    estimatedTokens: totalEstimatedTokens,
+    estimatedTokens: totalTextTokens + totalImageTokens,
+    estimatedTextTokens: totalTextTokens,
+    estimatedImageTokens: totalImageTokens,
     estimatedBytes: totalEstimatedBytes,
+    limitsSource: options.limitsSource,
+    resolvedModel: options.resolvedModel,
+    warnings: options.warnings || [],
   };
 }
 
 module.exports = {
+  createSplitter,
+  START_POSITION,
+  advancePosition,
+  locateChunk,
   chunkInput,
   calculateMetadata,
 };
-
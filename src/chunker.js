@@ -2,32 +2,73 @@
  * Core chunking algorithm
  */
 
-import { estimateTokens, getTextByteSize, checkFits } from './limits.js';
-import { getImagesByteSize } from './image.js';
+import { estimateTokens, getTextByteSize, measureBytes, RAW_BYTE_SIZE } from './limits.js';
+import { getImagesByteSize, getImagesTokens, estimateImageTokens } from './image.js';
 import { InvalidInputError, LimitExceededError } from './errors.js';
+import { resolveTokenizer, fitTokens } from './tokenizer.js';
+import { resolveStrategy } from './strategies/index.js';
+
+// No suffix or prefix around a chunk
+const NO_CARRY = { suffix: '', prefix: '', state: null };
+
+// Units chunkOverlap can be given in
+const OVERLAP_UNITS = ['chars', 'tokens', 'sentences'];
+
+// Share of a chunk's bytes that spread images aim to use, leaving the rest for text
+const SPREAD_IMAGE_SHARE = 0.5;
+
+// Sentence ends (with closing quotes or brackets) and paragraph breaks
+const SENTENCE_BREAK_RE = /[.!?]["')\]]*\s+|\n\s*\n\s*/g;
+
+/**
+ * Check whether a position falls between the two halves of a surrogate pair
+ * Astral-plane characters (emoji, some CJK) take two UTF-16 code units; splitting
+ * between them leaves lone surrogates, which encode as U+FFFD.
+ * @param {string} text - Text
+ * @param {number} point - Position
+ * @returns {boolean} Whether splitting at the position would cut a character
+ */
+function splitsPair(text, point) {
+  const high = text.charCodeAt(point - 1);
+  const low = text.charCodeAt(point);
+  return high >= 0xd800 && high <= 0xdbff && low >= 0xdc00 && low <= 0xdfff;
+}
+
+/**
+ * Keep a split point off the middle of a surrogate pair
+ * @param {string} text - Text being split
+ * @param {number} point - Split point
+ * @returns {number} The split point, moved back before a pair it would cut (unless
+ *   the pair starts the text)
+ */
+function snapSplitPoint(text, point) {
+  return point > 1 && splitsPair(text, point) ? point - 1 : point;
+}
 
 /**
  * Find the best split point in text
  * Tries to split at sentence boundaries, then word boundaries, then character boundaries
  * @param {string} text - Text to split
  * @param {number} maxLength - Maximum length for the chunk
+ * @param {number} [minLength] - Split only after this length (the overlap repeated from the
+ *   previous chunk), unless falling back to maxLength
  * @returns {number} Index to split at
  */
-function findSplitPoint(text, maxLength) {
+function findSplitPoint(text, maxLength, minLength = 0) {
   if (maxLength >= text.length) {
     return text.length;
   }
 
   // Try to split at sentence boundaries (., !, ?)
   const sentenceEnd = Math.min(maxLength, text.length);
-  for (let i = sentenceEnd; i > Math.max(0, sentenceEnd - 200); i--) {
+  for (let i = sentenceEnd; i > Math.max(minLength, sentenceEnd - 200); i--) {
     if (/[.!?]\s/.test(text.slice(i - 2, i + 1))) {
       return i;
     }
   }
 
-  // Try to split at word boundaries
-  for (let i = sentenceEnd; i > Math.max(0, sentenceEnd - 100); i--) {
+  // Try to split at word boundaries (keeping the split at or before maxLength)
+  for (let i = sentenceEnd - 1; i > Math.max(0, sentenceEnd - 100) && i >= minLength; i--) {
     if (/\s/.test(text[i])) {
       return i + 1;
     }
@@ -38,48 +79,88 @@ function findSplitPoint(text, maxLength) {
 }
 
 /**
- * Chunk text and images into safe pieces
- * @param {string} text - Input text
+ * Create a splitter that cuts successive chunks from the front of the remaining text
+ * Shared by chunkInput and the streaming chunker, so both make identical decisions
  * @param {Array} images - Normalized images
  * @param {Object} limits - Provider limits
  * @param {Object} options - Chunking options
- * @returns {Array} Array of chunks {text, images, index}
+ * @param {string} [options.imageStrategy] - 'first' (default), 'spread' or 'anchored'; see chunkPrompt
+ * @param {string} [options.strategy] - Split strategy (e.g., 'markdown', 'code')
+ * @param {string} [options.language] - Language hint for the 'code' strategy
+ * @param {number} [options.chunkOverlap] - Overlap between chunks, in overlapUnit (default: 0)
+ * @param {string} [options.overlapUnit] - 'chars' (default), 'tokens' or 'sentences'
+ * @param {Object} [options.byteSize] - How text and images are measured against maxBytes
+ *   (default: raw UTF-8 and image bytes; see measureRequest)
+ * @returns {Object} {next(remainingText, chunkIndex, offset, complete), settled(remainingText),
+ *   leftoverImages()}; next returns {end, text, carried, images, overlap}
+ * @throws {InvalidInputError} If the overlap unit, image anchors or strategy are invalid
  */
-export function chunkInput(text, images, limits, options = {}) {
+export function createSplitter(images, limits, options = {}) {
   const {
-    chunkOverlap = 0, // Characters to overlap between chunks
     respectWordBoundaries = true,
+    chunkOverlap = 0,
+    overlapUnit = 'chars',
+    imageStrategy = 'first',
   } = options;
-
-  if (!text || typeof text !== 'string') {
-    throw new InvalidInputError('Text input is required and must be a string');
+  if (!OVERLAP_UNITS.includes(overlapUnit)) {
+    throw new InvalidInputError(
+      `Unknown overlapUnit "${overlapUnit}". Supported units: ${OVERLAP_UNITS.join(', ')}`
+    );
   }
 
-  const chunks = [];
-  const imageBytes = getImagesByteSize(images);
+  const tokenizer = resolveTokenizer(options.tokenizer);
+  const byteSize = options.byteSize || RAW_BYTE_SIZE;
+  const strategy = resolveStrategy(options.strategy, options);
+
+  // Carried from one chunk to the next by the strategy
+  let state = null;
+  let prefix = '';
+  // Length of the previous chunk's end repeated at the start of the remaining text
+  let minEnd = 0;
+
+  // Images not yet attached to a chunk, in order; anchored images by position
+  let pendingImages = images;
+  if (imageStrategy === 'anchored') {
+    images.forEach((image, index) => {
+      if (image.anchor !== undefined && !(Number.isInteger(image.anchor) && image.anchor >= 0)) {
+        throw new InvalidInputError(`Image ${index} anchor must be a non-negative integer`);
+      }
+    });
+    pendingImages = [...images].sort((a, b) => (a.anchor || 0) - (b.anchor || 0));
+  }
+  let spreadGroups = null;
+  let chunksCut = 0;
 
-  // If images exist, we need to account for them in each chunk
-  // For simplicity, we'll attach all images to the first chunk
-  // and ensure subsequent chunks don't exceed limits without images
-  const availableBytesForText = limits.maxBytes - imageBytes;
-  const availableCharsForText = Math.min(
-    limits.maxChars,
-    Math.floor(availableBytesForText / 2) // Rough estimate: 2 bytes per char
-  );
+  // Image bytes one chunk (one request) may carry
+  const maxImageBytes = limits.totalImageBytes === undefined ? Infinity : limits.totalImageBytes;
 
   // Check if even a single character would exceed limits (unsplittable chunk)
-  // This prevents infinite loops and provides clear error messages
-  const singleCharBytes = getTextByteSize('A'); // Test with a single character
+  // This prevents infinite loops and provides clear error messages.
+  // Only the first strategy has to fit all images in one chunk.
+  const largestImages = imageStrategy === 'first' ? [images] : images.map((image) => [image]);
+  const imageBytes = Math.max(0, ...largestImages.map((group) => measureBytes('', group, byteSize)));
+  const imageTokens = Math.max(0, ...largestImages.map((group) => getImagesTokens(group, limits)));
+  const singleCharBytes = byteSize.text('A'); // Test with a single character
   const singleCharWithImages = singleCharBytes + imageBytes;
   if (singleCharWithImages > limits.maxBytes) {
     throw new LimitExceededError({
       provider: options.provider,
       model: options.model,
-      limit: 'maxBytes',
+      limit: byteSize.limit,
       actual: singleCharWithImages,
       allowed: limits.maxBytes,
     });
   }
+  const singleCharTokensWithImages = estimateTokens('A', tokenizer) + imageTokens;
+  if (singleCharTokensWithImages > limits.maxTokens) {
+    throw new LimitExceededError({
+      provider: options.provider,
+      model: options.model,
+      limit: 'maxTokens',
+      actual: singleCharTokensWithImages,
+      allowed: limits.maxTokens,
+    });
+  }
   if (1 > limits.maxChars) {
     throw new LimitExceededError({
       provider: options.provider,
@@ -90,21 +171,62 @@ export function chunkInput(text, images, limits, options = {}) {
     });
   }
 
-  let currentIndex = 0;
-  let chunkIndex = 0;
+  /**
+   * Find a split point, using the strategy's structural boundaries when it has one
+   * @param {string} text - Text to split
+   * @param {number} maxLength - Maximum length for the chunk
+   * @param {number} [minLength] - Length of the overlap the split must get past
+   * @returns {number} Index to split at
+   */
+  function split(text, maxLength, minLength = 0) {
+    if (strategy) {
+      const point = snapSplitPoint(text, strategy.findSplitPoint(text, maxLength, state, minLength));
+      if (point > minLength) {
+        return point;
+      }
+    }
+    return snapSplitPoint(
+      text,
+      respectWordBoundaries ? findSplitPoint(text, maxLength, minLength) : maxLength
+    );
+  }
+
+  /**
+   * Measure text added around a chunk
+   * @param {string} text - Prefix and suffix text
+   * @returns {Object} {bytes, chars, tokens} to reserve
+   */
+  function measure(text) {
+    return {
+      bytes: byteSize.text(text),
+      chars: text.length,
+      // Joining may change how the boundaries tokenize
+      tokens: text ? estimateTokens(text, tokenizer) + 2 : 0,
+    };
+  }
+
+  /**
+   * Find where the next chunk ends
+   * @param {string} remainingText - Text not yet chunked
+   * @param {Array} chunkImages - Images attached to the chunk
+   * @param {Object} reserve - Bytes, chars and tokens taken by a prefix and suffix
+   * @param {number} [minLength] - Length of the overlap at the start of the remaining text;
+   *   the chunk ends past it whenever the limits leave room for more text
+   * @returns {number} Length of the next chunk
+   */
+  function fit(remainingText, chunkImages, reserve, minLength = 0) {
+    const chunkImageBytes = measureBytes('', chunkImages, byteSize);
 
-  while (currentIndex < text.length) {
     // Check if remaining text exceeds limits and cannot be split
-    const remainingText = text.slice(currentIndex);
-    const remainingBytes = getTextByteSize(remainingText);
-    const remainingBytesWithImages = remainingBytes + (chunkIndex === 0 ? imageBytes : 0);
+    const remainingBytes = byteSize.text(remainingText);
+    const remainingBytesWithImages = remainingBytes + chunkImageBytes;
     
     // If remaining text exceeds limits and we can't split it further, throw error
     if (remainingBytesWithImages > limits.maxBytes && remainingText.length <= 1) {
       throw new LimitExceededError({
         provider: options.provider,
         model: options.model,
-        limit: 'maxBytes',
+        limit: byteSize.limit,
         actual: remainingBytesWithImages,
         allowed: limits.maxBytes,
       });
@@ -119,19 +241,15 @@ export function chunkInput(text, images, limits, options = {}) {
       });
     }
     
-    // Determine max chunk size
-    // First chunk can include images, subsequent chunks cannot
-    const isFirstChunk = chunkIndex === 0;
-    const maxChunkBytes = isFirstChunk
-      ? availableBytesForText
-      : limits.maxBytes;
-    const maxChunkChars = isFirstChunk
-      ? availableCharsForText
-      : limits.maxChars;
+    // Determine max chunk size, leaving room for the chunk's images
+    const maxChunkBytes = limits.maxBytes - chunkImageBytes - reserve.bytes;
+    const maxChunkChars = limits.maxChars - reserve.chars;
+    const maxChunkTokens = limits.maxTokens - getImagesTokens(chunkImages, limits) - reserve.tokens;
 
     // Estimate how much text we can fit
-    // Use conservative estimate: assume 2 bytes per character
-    const estimatedMaxChars = Math.floor(maxChunkBytes / 2);
+    // Use conservative estimate: assume 2 bytes per character after the overlap
+    const overlapBytes = minLength > 0 ? byteSize.text(remainingText.slice(0, minLength)) : 0;
+    const estimatedMaxChars = minLength + Math.floor((maxChunkBytes - overlapBytes) / 2);
     const targetChars = Math.min(maxChunkChars, estimatedMaxChars);
 
     // Find where to split
@@ -142,101 +260,533 @@ export function chunkInput(text, images, limits, options = {}) {
       splitPoint = remainingText.length;
     } else {
       // Need to split
-      if (respectWordBoundaries) {
-        splitPoint = findSplitPoint(remainingText, targetChars);
-      } else {
-        splitPoint = targetChars;
-      }
+      splitPoint = split(remainingText, Math.max(0, targetChars), minLength);
     }
 
     // Extract chunk text
     let chunkText = remainingText.slice(0, splitPoint);
 
-    // Enforce "Single Unit Overflow" failure - detect unsplittable chunks immediately
-    // This check must run before binary search begins
-    const chunkBytes = getTextByteSize(chunkText);
-    
-    if (
-      chunkText.length > limits.maxChars ||
-      chunkBytes > maxChunkBytes
-    ) {
+    if (chunkText.length > limits.maxChars) {
       throw new LimitExceededError({
         provider: options.provider,
         model: options.model,
-        limit: chunkBytes > maxChunkBytes ? 'maxBytes' : 'maxChars',
-        actual: Math.max(chunkText.length, chunkBytes),
-        allowed: Math.min(limits.maxChars, maxChunkBytes),
+        limit: 'maxChars',
+        actual: chunkText.length,
+        allowed: limits.maxChars,
       });
     }
 
-    // Verify chunk fits (with safety margin)
-    // Re-check with actual byte size
-    const chunkImageBytes = isFirstChunk ? imageBytes : 0;
-    const totalChunkBytes = chunkBytes + chunkImageBytes;
-
-    // Verify chunk fits (with safety margin)
-    // Re-check with actual byte size
-
-    // If it doesn't fit, reduce size
-    if (totalChunkBytes > maxChunkBytes) {
-      // Binary search for safe size
+    // Text taking more than 2 bytes per character (CJK, or JSON escapes in request
+    // mode) may still not fit: reduce to the longest prefix that does
+    const chunkBytes = byteSize.text(chunkText);
+    if (chunkBytes > maxChunkBytes) {
       let low = 0;
       let high = chunkText.length;
       while (low < high) {
-        const mid = Math.floor((low + high) / 2);
-        const testText = chunkText.slice(0, mid);
-        const testBytes = getTextByteSize(testText) + chunkImageBytes;
-        if (testBytes <= maxChunkBytes) {
-          low = mid + 1;
+        const mid = Math.ceil((low + high) / 2);
+        if (byteSize.text(chunkText.slice(0, snapSplitPoint(chunkText, mid))) <= maxChunkBytes) {
+          low = mid;
         } else {
-          high = mid;
+          high = mid - 1;
         }
       }
-      splitPoint = Math.max(0, low - 1);
+      if (low === 0) {
+        throw new LimitExceededError({
+          provider: options.provider,
+          model: options.model,
+          limit: byteSize.limit,
+          actual: byteSize.text(remainingText.slice(0, 1)),
+          allowed: maxChunkBytes,
+        });
+      }
+
+      splitPoint = split(chunkText, low, minLength);
       chunkText = remainingText.slice(0, splitPoint);
     }
 
-    // Verify token estimate
-    const estimatedTokens = estimateTokens(chunkText);
-    if (estimatedTokens > limits.maxTokens) {
-      // Reduce further based on token estimate
-      const maxCharsByTokens = limits.maxTokens * 4; // 4 chars per token
-      if (chunkText.length > maxCharsByTokens) {
-        splitPoint = Math.min(splitPoint, maxCharsByTokens);
-        chunkText = remainingText.slice(0, splitPoint);
+    // Verify token count: reduce to the longest prefix the tokenizer accepts
+    const tokenFit = fitTokens(chunkText, Math.max(0, maxChunkTokens), tokenizer);
+    if (tokenFit < chunkText.length) {
+      if (tokenFit === 0) {
+        throw new LimitExceededError({
+          provider: options.provider,
+          model: options.model,
+          limit: 'maxTokens',
+          actual: estimateTokens(chunkText.slice(0, 1), tokenizer),
+          allowed: maxChunkTokens,
+        });
       }
-    }
-
-    // Create chunk
-    const chunk = {
-      text: chunkText,
-      images: isFirstChunk ? images : [],
-      index: chunkIndex,
-    };
 
-    chunks.push(chunk);
-
-    // Move to next chunk
-    currentIndex += splitPoint;
-
-    // Handle overlap
-    if (chunkOverlap > 0 && currentIndex < text.length) {
-      currentIndex = Math.max(0, currentIndex - chunkOverlap);
+      splitPoint = split(chunkText, tokenFit, minLength);
+      chunkText = remainingText.slice(0, splitPoint);
     }
 
-    chunkIndex++;
-
     // Safety: prevent infinite loops
     // This should not happen if the pre-check above works, but keep as fallback
     if (splitPoint === 0) {
       throw new LimitExceededError({
         provider: options.provider,
         model: options.model,
-        limit: 'maxBytes',
-        actual: totalChunkBytes,
+        limit: byteSize.limit,
+        actual: chunkBytes,
         allowed: maxChunkBytes,
       });
     }
+
+    return splitPoint;
+  }
+
+  /**
+   * Group images for the 'spread' strategy
+   * Enough groups are made for the text and for the images to each take about one
+   * chunk's share (of bytes and tokens), and images are split between them so every
+   * group has a similar share of the image bytes and count.
+   * @param {string} text - Text to be chunked (or the start of it, when streaming)
+   * @returns {Array<Array>} Images for each chunk, in order
+   */
+  function planSpread(text) {
+    const totalBytes = getImagesByteSize(images);
+    const totalSize = measureBytes('', images, byteSize);
+    const totalTokens = getImagesTokens(images, limits);
+    const textChunks = Math.ceil(
+      Math.max(
+        byteSize.text(text) / limits.maxBytes,
+        text.length / limits.maxChars,
+        estimateTokens(text, tokenizer) / limits.maxTokens
+      )
+    );
+    const imageChunks = Math.ceil(
+      Math.max(
+        images.length / limits.maxImages,
+        totalSize / (limits.maxBytes * SPREAD_IMAGE_SHARE),
+        totalTokens / (limits.maxTokens * SPREAD_IMAGE_SHARE),
+        totalBytes / maxImageBytes
+      )
+    );
+    const count = Math.min(images.length, Math.max(textChunks, imageChunks));
+
+    const groups = [];
+    let group = [];
+    let groupBytes = 0;
+    let groupSize = 0;
+    let groupTokens = 0;
+    let before = 0;
+    images.forEach((image, i) => {
+      const size = byteSize.image(image);
+      const tokens = estimateImageTokens(image, limits);
+      // Group the image's midpoint falls in, by bytes and by count
+      const byteShare = totalBytes > 0 ? (before + image.size / 2) / totalBytes : 0;
+      const share = (byteShare + (i + 0.5) / images.length) / 2;
+      const target = Math.floor(share * count);
+      if (
+        group.length > 0 &&
+        (groups.length < target ||
+          group.length >= limits.maxImages ||
+          groupBytes + image.size > maxImageBytes ||
+          groupSize + size > limits.maxBytes - byteSize.maxCharBytes ||
+          groupTokens + tokens >= limits.maxTokens)
+      ) {
+        groups.push(group);
+        group = [];
+        groupBytes = 0;
+        groupSize = 0;
+        groupTokens = 0;
+      }
+      group.push(image);
+      groupBytes += image.size;
+      groupSize += size;
+      groupTokens += tokens;
+      before += image.size;
+    });
+    if (group.length > 0) {
+      groups.push(group);
+    }
+    return groups;
+  }
+
+  /**
+   * Attach anchored images to a chunk
+   * Images anchored in the chunk (or before it, when an earlier chunk had no room)
+   * are attached in order while they fit. The chunk is cut short before the first
+   * anchored image that does not fit, which then goes to the next chunk; if that
+   * image is anchored at the start, the chunk holds only the images before it.
+   * @param {string} remainingText - Text not yet chunked
+   * @param {number} offset - Input offset of the remaining text
+   * @param {number} end - Chunk end, in the remaining text
+   * @param {boolean} complete - Whether the remaining text is the rest of the input
+   * @param {number} taken - Number of pending images already attached
+   * @param {Object} reserve - Bytes and tokens taken by a prefix and suffix
+   * @returns {Object} {taken, maxEnd}: images attached, and where the chunk must end
+   */
+  function anchorImages(remainingText, offset, end, complete, taken, reserve) {
+    const last = complete && end === remainingText.length;
+    let bytes = getImagesByteSize(pendingImages.slice(0, taken));
+    let size = measureBytes('', pendingImages.slice(0, taken), byteSize);
+    let tokens = getImagesTokens(pendingImages.slice(0, taken), limits);
+
+    for (; taken < pendingImages.length; taken++) {
+      const image = pendingImages[taken];
+      const at = (image.anchor || 0) - offset;
+      if (at >= end && !last) {
+        break;
+      }
+
+      const textBefore = remainingText.slice(0, Math.max(0, Math.min(at, end)));
+      const imageSize = byteSize.image(image);
+      const imageTokens = estimateImageTokens(image, limits);
+      if (
+        taken >= limits.maxImages ||
+        bytes + image.size > maxImageBytes ||
+        size + imageSize + byteSize.text(textBefore) + reserve.bytes > limits.maxBytes ||
+        tokens + imageTokens + estimateTokens(textBefore, tokenizer) + reserve.tokens > limits.maxTokens
+      ) {
+        // An image with no room even in an empty chunk is left over
+        const empty = at <= 0 && taken === 0;
+        return { taken, maxEnd: empty ? remainingText.length : Math.max(0, at) };
+      }
+      bytes += image.size;
+      size += imageSize;
+      tokens += imageTokens;
+    }
+
+    return { taken, maxEnd: remainingText.length };
+  }
+
+  /**
+   * Cut the next chunk
+   * @param {string} remainingText - Text not yet chunked
+   * @param {number} chunkIndex - Index of the chunk being created
+   * @param {number} [offset] - Input offset of the remaining text, for anchored images
+   * @param {boolean} [complete] - Whether the remaining text is the rest of the input
+   * @returns {Object} {end, text, carried, images, overlap}: length of remaining text consumed,
+   *   the chunk text, the lengths {prefix, suffix} of the text the strategy added around it, the
+   *   chunk's images, and how much of its end the next chunk repeats (the next remaining text
+   *   starts at end - overlap)
+   */
+  function next(remainingText, chunkIndex, offset = 0, complete = true) {
+    const anchored = imageStrategy === 'anchored';
+    let chunkImages = [];
+    if (imageStrategy === 'first') {
+      chunkImages = chunkIndex === 0 ? images : [];
+    } else if (imageStrategy === 'spread') {
+      spreadGroups = spreadGroups || planSpread(remainingText);
+      chunkImages = spreadGroups[chunkIndex] || [];
+    }
+
+    let suffix = '';
+    let maxEnd = remainingText.length;
+    let end;
+    let carried;
+    let overlapLength = 0;
+
+    // Re-split with room for the suffix and anchored images until neither grows
+    for (;;) {
+      const reserve = measure(prefix + suffix);
+      // Chunks end past the overlap, so every chunk moves forward through the input
+      end = maxEnd > minEnd ? fit(remainingText.slice(0, maxEnd), chunkImages, reserve, minEnd) : 0;
+
+      if (anchored) {
+        const taken = chunkImages.length;
+        const picked = anchorImages(remainingText, offset, end, complete, taken, reserve);
+        if (picked.taken > chunkImages.length || picked.maxEnd < maxEnd) {
+          chunkImages = pendingImages.slice(0, picked.taken);
+          maxEnd = Math.min(maxEnd, picked.maxEnd);
+          continue;
+        }
+      }
+
+      if (end === 0) {
+        // Images only: the text, prefix and strategy state wait for the next chunk
+        carried = { suffix: '', prefix, state };
+        break;
+      }
+
+      // The next chunk starts where its overlap does, so carry the strategy state there
+      const carryTo = (start) =>
+        strategy && strategy.carry ? strategy.carry(remainingText, end, state, start) : NO_CARRY;
+      overlapLength =
+        end < remainingText.length
+          ? overlap(remainingText.slice(0, end), (start) => carryTo(start).prefix)
+          : 0;
+      carried = carryTo(end - overlapLength);
+      if (carried.suffix.length <= suffix.length) {
+        break;
+      }
+      suffix = carried.suffix;
+    }
+
+    const text = end > 0 ? prefix + remainingText.slice(0, end) + carried.suffix : '';
+    const lengths = { prefix: end > 0 ? prefix.length : 0, suffix: carried.suffix.length };
+    prefix = carried.prefix;
+    state = carried.state;
+    if (end > 0) {
+      minEnd = overlapLength;
+    }
+
+    if (anchored) {
+      // Images anchored past where the chunk finally ended wait for the next chunk
+      if (!(complete && end === remainingText.length)) {
+        chunkImages = chunkImages.filter((image) => (image.anchor || 0) - offset < Math.max(end, 1));
+      }
+      pendingImages = pendingImages.slice(chunkImages.length);
+    }
+    chunksCut = chunkIndex + 1;
+
+    return { end, text, carried: lengths, images: chunkImages, overlap: overlapLength };
+  }
+
+  /**
+   * Get the images no chunk had room for once all text is chunked
+   * @returns {Array<Array>} Images for each extra image-only chunk
+   */
+  function leftoverImages() {
+    if (imageStrategy === 'spread') {
+      return (spreadGroups || []).slice(chunksCut);
+    }
+    if (imageStrategy === 'first') {
+      return [];
+    }
+
+    const groups = [];
+    let group = [];
+    let groupBytes = 0;
+    let groupSize = 0;
+    let groupTokens = 0;
+    for (const image of pendingImages) {
+      const size = byteSize.image(image);
+      const tokens = estimateImageTokens(image, limits);
+      const full =
+        group.length >= limits.maxImages ||
+        groupBytes + image.size > maxImageBytes ||
+        groupSize + size > limits.maxBytes ||
+        groupTokens + tokens > limits.maxTokens;
+      if (group.length > 0 && full) {
+        groups.push(group);
+        group = [];
+        groupBytes = 0;
+        groupSize = 0;
+        groupTokens = 0;
+      }
+      group.push(image);
+      groupBytes += image.size;
+      groupSize += size;
+      groupTokens += tokens;
+    }
+    if (group.length > 0) {
+      groups.push(group);
+    }
+    pendingImages = [];
+    return groups;
+  }
+
+  /**
+   * Find how much of the end of a chunk to repeat at the start of the next one
+   * Token and sentence overlaps start at a word or sentence boundary. The
+   * overlap and the prefix the strategy re-opens before it count against the
+   * next chunk's limits, so they are kept within half of them to leave room
+   * for new text.
+   * @param {string} text - Source text of the chunk
+   * @param {Function} [prefixAt] - Strategy prefix of a next chunk starting at a position
+   * @returns {number} Overlap length, shorter than the chunk
+   */
+  function overlap(text, prefixAt = () => '') {
+    if (chunkOverlap <= 0 || text.length < 2) {
+      return 0;
+    }
+
+    // Possible overlap starts, in increasing order, and whether a start is late enough
+    let starts;
+    let fitsUnit;
+    if (overlapUnit === 'sentences') {
+      starts = [...text.matchAll(SENTENCE_BREAK_RE)]
+        .map((match) => match.index + match[0].length)
+        .filter((start) => start < text.length);
+      const first = starts[Math.max(0, starts.length - chunkOverlap)];
+      fitsUnit = (start) => start >= first;
+    } else if (overlapUnit === 'tokens') {
+      starts = [...text.matchAll(/\s+/g)]
+        .map((match) => match.index + match[0].length)
+        .filter((start) => start > 0 && start < text.length);
+      fitsUnit = (start) => estimateTokens(text.slice(start), tokenizer) <= chunkOverlap;
+    } else {
+      const first = Math.max(1, text.length - chunkOverlap);
+      starts = Array.from({ length: text.length - first }, (_, i) => first + i).filter(
+        (start) => !splitsPair(text, start)
+      );
+      fitsUnit = () => true;
+    }
+
+    const fits = (start) => {
+      const size = measure(prefixAt(start) + text.slice(start));
+      return (
+        fitsUnit(start) &&
+        size.bytes <= limits.maxBytes / 2 &&
+        size.chars <= limits.maxChars / 2 &&
+        size.tokens <= limits.maxTokens / 2
+      );
+    };
+
+    // Earliest start that fits; later starts give shorter overlaps
+    let low = 0;
+    let high = starts.length;
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      if (fits(starts[mid])) {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+
+    return low < starts.length ? text.length - starts[low] : 0;
+  }
+
+  // Remaining text longer than this is always split, so the split point
+  // depends only on this much of it (an overlap of up to half of maxBytes
+  // adds to the 2 bytes per character estimate), and on what the strategy
+  // reads past it
+  const windowSize =
+    Math.min(limits.maxChars, chunkOverlap > 0 ? limits.maxBytes : Math.floor(limits.maxBytes / 2)) + 1;
+
+  /**
+   * Check whether the next chunk can be cut from text still being streamed
+   * The strategy may read past the window to the end of a line or tag; a line or
+   * tag longer than another window is split without waiting for its end, so memory
+   * stays bounded.
+   * @param {string} remainingText - Text not yet chunked, buffered so far
+   * @returns {boolean} Whether the split point cannot depend on text still to come
+   */
+  function settled(remainingText) {
+    if (remainingText.length <= windowSize) {
+      return false;
+    }
+    return (
+      !strategy ||
+      !strategy.settled ||
+      strategy.settled(remainingText, windowSize, state) ||
+      remainingText.length > 2 * windowSize
+    );
+  }
+
+  return {
+    next,
+    settled,
+    leftoverImages,
+  };
+}
+
+// Position at the start of the input
+export const START_POSITION = Object.freeze({ offset: 0, byte: 0, line: 1, column: 0 });
+
+/**
+ * Move a source position forward over text
+ * @param {Object} position - Position {offset, byte, line, column}
+ * @param {string} text - Source text following the position
+ * @returns {Object} Position at the end of the text
+ */
+export function advancePosition(position, text) {
+  let lines = 0;
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+    lines++;
+  }
+  const lastNewline = text.lastIndexOf('\n');
+
+  return {
+    offset: position.offset + text.length,
+    byte: position.byte + getTextByteSize(text),
+    line: position.line + lines,
+    column: lastNewline === -1 ? position.column + text.length : text.length - lastNewline - 1,
+  };
+}
+
+/**
+ * Add source offsets to a chunk
+ * @param {Object} chunk - Chunk {text, images, index}
+ * @param {Object} start - Source position of the chunk start
+ * @param {Object} end - Source position of the chunk end
+ * @param {number} [overlapStart] - Leading characters shared with the previous chunk
+ * @param {Object} [carried] - Lengths {prefix, suffix} of text a strategy added around the source text
+ * @returns {Object} Chunk with start/end, byteStart/byteEnd, overlapStart/overlapEnd, loc and carried
+ */
+export function locateChunk(chunk, start, end, overlapStart = 0, carried = { prefix: 0, suffix: 0 }) {
+  return {
+    ...chunk,
+    start: start.offset,
+    end: end.offset,
+    byteStart: start.byte,
+    byteEnd: end.byte,
+    overlapStart,
+    overlapEnd: 0,
+    loc: {
+      start: { line: start.line, column: start.column },
+      end: { line: end.line, column: end.column },
+    },
+    carried,
+  };
+}
+
+/**
+ * Chunk text and images into safe pieces
+ * @param {string} text - Input text
+ * @param {Array} images - Normalized images
+ * @param {Object} limits - Provider limits
+ * @param {Object} options - Chunking options
+ * @param {Object} [options.tokenizer] - Tokenizer used to fit chunks to maxTokens
+ * @returns {Array} Array of chunks {text, images, index, start, end, byteStart, byteEnd,
+ *   overlapStart, overlapEnd, loc, carried}
+ */
+export function chunkInput(text, images, limits, options = {}) {
+  if (!text || typeof text !== 'string') {
+    throw new InvalidInputError('Text input is required and must be a string');
+  }
+
+  const splitter = createSplitter(images, limits, options);
+  const chunks = [];
+
+  let currentIndex = 0;
+  let chunkIndex = 0;
+  let position = START_POSITION;
+  let overlap = 0;
+
+  while (currentIndex < text.length) {
+    const remainingText = text.slice(currentIndex);
+    const {
+      end: splitPoint,
+      text: chunkText,
+      carried,
+      images: chunkImages,
+      overlap: overlapEnd,
+    } = splitter.next(remainingText, chunkIndex, currentIndex);
+    const endPosition = advancePosition(position, remainingText.slice(0, splitPoint));
+
+    // Create chunk
+    const chunk = locateChunk(
+      {
+        text: chunkText,
+        images: chunkImages,
+        index: chunkIndex,
+      },
+      position,
+      endPosition,
+      overlap,
+      carried
+    );
+
+    chunks.push(chunk);
+
+    // Move to next chunk, repeating the overlap
+    overlap = overlapEnd;
+    currentIndex += splitPoint - overlap;
+    chunk.overlapEnd = overlap;
+    position =
+      overlap > 0 ? advancePosition(position, remainingText.slice(0, splitPoint - overlap)) : endPosition;
+
+    chunkIndex++;
+  }
+
+  // Images no chunk had room for go in image-only chunks at the end
+  for (const chunkImages of splitter.leftoverImages()) {
+    chunks.push(locateChunk({ text: '', images: chunkImages, index: chunkIndex++ }, position, position));
   }
 
   return chunks;
@@ -247,24 +797,42 @@ export function chunkInput(text, images, limits, options = {}) {
  * @param {Array} chunks - Array of chunks
  * @param {string} provider - Provider name
  * @param {string} model - Model name
- * @returns {Object} Metadata
+ * @param {Object} [options] - Metadata options
+ * @param {Object} [options.tokenizer] - Tokenizer used to count tokens
+ * @param {Object} [options.limits] - Provider limits, whose image formula counts image tokens
+ * @param {Object} [options.byteSize] - How bytes are measured for `estimatedBytes`
+ *   (default: raw UTF-8 and image bytes)
+ * @param {string} [options.limitsSource] - Where the limits came from, recorded as `limitsSource`
+ * @param {string} [options.resolvedModel] - Model entry the limits belong to, recorded as `resolvedModel`
+ * @param {Array<Object>} [options.warnings] - Heuristic assumptions [{code, message}], recorded as
+ *   `warnings`
+ * @returns {Object} Metadata; estimatedTokens is the sum of estimatedTextTokens and
+ *   estimatedImageTokens
  */
-export function calculateMetadata(chunks, provider, model) {
-  let totalEstimatedTokens = 0;
+export function calculateMetadata(chunks, provider, model, options = {}) {
+  let totalTextTokens = 0;
+  let totalImageTokens = 0;
   let totalEstimatedBytes = 0;
 
   for (const chunk of chunks) {
-    totalEstimatedTokens += estimateTokens(chunk.text);
-    totalEstimatedBytes += getTextByteSize(chunk.text);
-    totalEstimatedBytes += getImagesByteSize(chunk.images);
+    totalTextTokens += estimateTokens(chunk.text, options.tokenizer);
+    if (options.limits) {
+      totalImageTokens += getImagesTokens(chunk.images, options.limits);
+    }
+    totalEstimatedBytes += measureBytes(chunk.text, chunk.images, options.byteSize);
   }
 
   return {
     provider,
     model,
     totalChunks: chunks.length,
-    estimatedTokens: totalEstimatedTokens,
+    estimatedTokens: totalTextTokens + totalImageTokens,
+    estimatedTextTokens: totalTextTokens,
+    estimatedImageTokens: totalImageTokens,
     estimatedBytes: totalEstimatedBytes,
+    limitsSource: options.limitsSource,
+    resolvedModel: options.resolvedModel,
+    warnings: options.warnings || [],
   };
 }
 
@@ -0,0 +1,219 @@
+/**
+ * Shared request resolution for the chunking entry points (CommonJS)
+ */
+
+const { ProviderNotSupportedError, ModelNotSupportedError, InvalidInputError, LimitExceededError } = require('./errors.cjs');
+const { resolveRegistry, getLimitsSource } = require('./registry.cjs');
+const { validateImages } = require('./image.cjs');
+const { resolveTokenizer, getTokenizer } = require('./tokenizer.cjs');
+const { estimateTokens, getTextByteSize, RAW_BYTE_SIZE } = require('./limits.cjs');
+const { measureRequest } = require('./payload.cjs');
+
+const IMAGE_STRATEGIES = ['first', 'spread', 'anchored'];
+
+const BYTE_MODES = ['raw', 'request'];
+
+const PATTERN_MATCHES = ['prefix', 'glob', 'regex'];
+
+function reserveBudget(limits, options, tokenizer, provider, model) {
+  const { maxOutputTokens, reservedPrompt } = options;
+  if (maxOutputTokens === undefined && reservedPrompt === undefined) {
+    return limits;
+  }
+
+  const reserved = { ...limits };
+  const contextWindow = limits.contextWindow || limits.maxTokens;
+  let reservedTokens = 0;
+
+  if (maxOutputTokens !== undefined) {
+    if (!Number.isInteger(maxOutputTokens) || maxOutputTokens < 0) {
+      throw new InvalidInputError('maxOutputTokens must be a non-negative integer', { provider, model });
+    }
+    if (limits.maxOutputTokens !== undefined && maxOutputTokens > limits.maxOutputTokens) {
+      throw new LimitExceededError({
+        provider,
+        model,
+        limit: 'maxOutputTokens',
+        actual: maxOutputTokens,
+        allowed: limits.maxOutputTokens,
+      });
+    }
+    reserved.maxTokens = Math.min(reserved.maxTokens, contextWindow - maxOutputTokens);
+    reservedTokens += maxOutputTokens;
+  }
+
+  if (reservedPrompt !== undefined) {
+    let promptTokens;
+    if (typeof reservedPrompt === 'string') {
+      promptTokens = estimateTokens(reservedPrompt, tokenizer);
+      reserved.maxBytes -= getTextByteSize(reservedPrompt);
+      reserved.maxChars -= reservedPrompt.length;
+    } else if (Number.isInteger(reservedPrompt) && reservedPrompt >= 0) {
+      promptTokens = reservedPrompt;
+    } else {
+      throw new InvalidInputError(
+        'reservedPrompt must be a string or a non-negative number of tokens',
+        { provider, model }
+      );
+    }
+    reserved.maxTokens -= promptTokens;
+    reservedTokens += promptTokens;
+  }
+
+  if (reserved.maxTokens <= 0) {
+    throw new LimitExceededError({
+      provider,
+      model,
+      limit: 'contextWindow',
+      actual: reservedTokens,
+      allowed: contextWindow,
+    });
+  }
+  for (const limit of ['maxBytes', 'maxChars']) {
+    if (reserved[limit] <= 0) {
+      throw new LimitExceededError({
+        provider,
+        model,
+        limit,
+        actual: limits[limit] - reserved[limit],
+        allowed: limits[limit],
+      });
+    }
+  }
+
+  return reserved;
+}
+
+function requestBudget(limits, budget, options, provider, model) {
+  const { reservedPrompt } = options;
+  const { envelope, byteSize } = measureRequest({
+    provider,
+    model,
+    system: typeof reservedPrompt === 'string' ? reservedPrompt : undefined,
+    maxOutputTokens: options.maxOutputTokens,
+    format: options.format,
+    limits,
+  });
+
+  const limit = limits.maxRequestBytes === undefined ? 'maxBytes' : 'maxRequestBytes';
+  if (envelope >= limits[limit]) {
+    throw new LimitExceededError({
+      provider,
+      model,
+      limit,
+      actual: envelope,
+      allowed: limits[limit],
+    });
+  }
+
+  return {
+    limits: { ...budget, maxBytes: limits[limit] - envelope },
+    byteSize: { ...byteSize, limit },
+  };
+}
+
+function collectWarnings(resolved, limits, options, images) {
+  const { provider, model, key, match, reason } = resolved;
+  const warnings = [];
+
+  if (match === 'default') {
+    warnings.push({
+      code: 'DEFAULT_MODEL_LIMITS',
+      message: `Model "${model}" is not listed for ${provider}; using the ${provider}/default limits`,
+    });
+  } else if (PATTERN_MATCHES.includes(match)) {
+    warnings.push({
+      code: 'MODEL_PATTERN_MATCH',
+      message: `${reason}; assuming the ${provider}/${key} limits`,
+    });
+  }
+
+  const modelTokenizer = options.tokenizer === undefined || options.tokenizer === null;
+  if (modelTokenizer && limits.tokenizer && !getTokenizer(limits.tokenizer)) {
+    warnings.push({
+      code: 'TOKENIZER_NOT_LOADED',
+      message:
+        `Tokenizer "${limits.tokenizer}" is not loaded, so tokens are estimated; import ` +
+        `"ai-token-chunker/tokenizers/${limits.tokenizer}" to count them exactly`,
+    });
+  }
+
+  if (images.length > 0 && !limits.imageTokens) {
+    warnings.push({
+      code: 'IMAGE_TOKENS_UNKNOWN',
+      message: `No image token formula for ${provider}/${key}; images are not counted against maxTokens`,
+    });
+  }
+
+  return warnings;
+}
+
+function resolveContext({ provider, model, images, options = {} }) {
+  if (!provider || typeof provider !== 'string') {
+    throw new InvalidInputError('Provider is required and must be a string');
+  }
+
+  if (!model || typeof model !== 'string') {
+    throw new InvalidInputError('Model is required and must be a string');
+  }
+
+  const resolved = resolveRegistry(options.registry).explainModel(provider, model);
+  if (!resolved) {
+    throw new ProviderNotSupportedError(provider);
+  }
+  if (!resolved.limits || (options.strict && resolved.match === 'default')) {
+    throw new ModelNotSupportedError(provider, model);
+  }
+
+  let limits = resolved.limits;
+
+  let limitsSource = getLimitsSource(limits);
+
+  if (options.customLimits) {
+    limits = { ...limits, ...options.customLimits };
+    limitsSource += '+customLimits';
+  }
+
+  const tokenizer = resolveTokenizer(options.tokenizer, limits);
+
+  const { byteMode = 'raw' } = options;
+  if (!BYTE_MODES.includes(byteMode)) {
+    throw new InvalidInputError(
+      `Unknown byteMode "${byteMode}". Supported modes: ${BYTE_MODES.join(', ')}`,
+      { provider, model }
+    );
+  }
+
+  let budget = reserveBudget(limits, options, tokenizer, provider, model);
+
+  let byteSize = RAW_BYTE_SIZE;
+  if (byteMode === 'request') {
+    ({ limits: budget, byteSize } = requestBudget(limits, budget, options, provider, model));
+  }
+  limits = budget;
+
+  const { imageStrategy = 'first' } = options;
+  if (!IMAGE_STRATEGIES.includes(imageStrategy)) {
+    throw new InvalidInputError(
+      `Unknown imageStrategy "${imageStrategy}". Supported strategies: ${IMAGE_STRATEGIES.join(', ')}`,
+      { provider, model }
+    );
+  }
+  const normalizedImages = images
+    ? validateImages(images, limits, provider, model, { imageStrategy })
+    : [];
+
+  return {
+    limits,
+    tokenizer,
+    images: normalizedImages,
+    limitsSource,
+    resolvedModel: resolved.key,
+    warnings: collectWarnings(resolved, limits, options, normalizedImages),
+    byteSize,
+  };
+}
+
+module.exports = {
+  resolveContext,
+};
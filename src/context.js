@@ -0,0 +1,288 @@
+/**
+ * Shared request resolution for the chunking entry points
+ */
+
+import {
+  ProviderNotSupportedError,
+  ModelNotSupportedError,
+  InvalidInputError,
+  LimitExceededError,
+} from './errors.js';
+import { resolveRegistry, getLimitsSource } from './registry.js';
+import { validateImages } from './image.js';
+import { resolveTokenizer, getTokenizer } from './tokenizer.js';
+import { estimateTokens, getTextByteSize, RAW_BYTE_SIZE } from './limits.js';
+import { measureRequest } from './payload.js';
+
+// Ways to distribute images across chunks
+const IMAGE_STRATEGIES = ['first', 'spread', 'anchored'];
+
+// What maxBytes is measured on: raw input, or the serialized request body
+const BYTE_MODES = ['raw', 'request'];
+
+// Model matches that assume a model shares the limits of another entry
+const PATTERN_MATCHES = ['prefix', 'glob', 'regex'];
+
+/**
+ * Take the output and prompt reservations off the chunk budget
+ * @param {Object} limits - Provider limits
+ * @param {Object} options - Chunking options (maxOutputTokens, reservedPrompt)
+ * @param {Object} tokenizer - Resolved tokenizer
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @returns {Object} Limits left for each chunk
+ * @throws {InvalidInputError} If a reservation is invalid
+ * @throws {LimitExceededError} If the reservations leave no room for input
+ */
+function reserveBudget(limits, options, tokenizer, provider, model) {
+  const { maxOutputTokens, reservedPrompt } = options;
+  if (maxOutputTokens === undefined && reservedPrompt === undefined) {
+    return limits;
+  }
+
+  const reserved = { ...limits };
+  const contextWindow = limits.contextWindow || limits.maxTokens;
+  let reservedTokens = 0;
+
+  if (maxOutputTokens !== undefined) {
+    if (!Number.isInteger(maxOutputTokens) || maxOutputTokens < 0) {
+      throw new InvalidInputError('maxOutputTokens must be a non-negative integer', { provider, model });
+    }
+    if (limits.maxOutputTokens !== undefined && maxOutputTokens > limits.maxOutputTokens) {
+      throw new LimitExceededError({
+        provider,
+        model,
+        limit: 'maxOutputTokens',
+        actual: maxOutputTokens,
+        allowed: limits.maxOutputTokens,
+      });
+    }
+    // The output shares the context window with the input
+    reserved.maxTokens = Math.min(reserved.maxTokens, contextWindow - maxOutputTokens);
+    reservedTokens += maxOutputTokens;
+  }
+
+  if (reservedPrompt !== undefined) {
+    let promptTokens;
+    if (typeof reservedPrompt === 'string') {
+      promptTokens = estimateTokens(reservedPrompt, tokenizer);
+      reserved.maxBytes -= getTextByteSize(reservedPrompt);
+      reserved.maxChars -= reservedPrompt.length;
+    } else if (Number.isInteger(reservedPrompt) && reservedPrompt >= 0) {
+      promptTokens = reservedPrompt;
+    } else {
+      throw new InvalidInputError(
+        'reservedPrompt must be a string or a non-negative number of tokens',
+        { provider, model }
+      );
+    }
+    reserved.maxTokens -= promptTokens;
+    reservedTokens += promptTokens;
+  }
+
+  if (reserved.maxTokens <= 0) {
+    throw new LimitExceededError({
+      provider,
+      model,
+      limit: 'contextWindow',
+      actual: reservedTokens,
+      allowed: contextWindow,
+    });
+  }
+  for (const limit of ['maxBytes', 'maxChars']) {
+    if (reserved[limit] <= 0) {
+      throw new LimitExceededError({
+        provider,
+        model,
+        limit,
+        actual: limits[limit] - reserved[limit],
+        allowed: limits[limit],
+      });
+    }
+  }
+
+  return reserved;
+}
+
+/**
+ * Measure bytes in the serialized request body (byteMode: 'request')
+ * The byte budget becomes maxRequestBytes (or maxBytes) less the body around a
+ * chunk, which holds a string reservedPrompt as the system instructions.
+ * @param {Object} limits - Provider limits, before reservations
+ * @param {Object} budget - Limits left for each chunk by reserveBudget
+ * @param {Object} options - Chunking options (format, maxOutputTokens, reservedPrompt)
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @returns {Object} {limits, byteSize}: limits left for each chunk, and how to measure its text
+ *   and images (see measureRequest) against the limit they count towards
+ * @throws {InvalidInputError} If the format is unknown
+ * @throws {ProviderNotSupportedError} If the provider has no request format and none is given
+ * @throws {LimitExceededError} If the body around a chunk leaves no room for input
+ */
+function requestBudget(limits, budget, options, provider, model) {
+  const { reservedPrompt } = options;
+  const { envelope, byteSize } = measureRequest({
+    provider,
+    model,
+    system: typeof reservedPrompt === 'string' ? reservedPrompt : undefined,
+    maxOutputTokens: options.maxOutputTokens,
+    format: options.format,
+    limits,
+  });
+
+  const limit = limits.maxRequestBytes === undefined ? 'maxBytes' : 'maxRequestBytes';
+  if (envelope >= limits[limit]) {
+    throw new LimitExceededError({
+      provider,
+      model,
+      limit,
+      actual: envelope,
+      allowed: limits[limit],
+    });
+  }
+
+  return {
+    limits: { ...budget, maxBytes: limits[limit] - envelope },
+    byteSize: { ...byteSize, limit },
+  };
+}
+
+/**
+ * Record the heuristic assumptions made for a request
+ * @param {Object} resolved - Model resolution from explainModel
+ * @param {Object} limits - Limits used for the request
+ * @param {Object} options - Chunking options
+ * @param {Array} images - Normalized images
+ * @returns {Array<Object>} Warnings [{code, message}]
+ */
+function collectWarnings(resolved, limits, options, images) {
+  const { provider, model, key, match, reason } = resolved;
+  const warnings = [];
+
+  if (match === 'default') {
+    warnings.push({
+      code: 'DEFAULT_MODEL_LIMITS',
+      message: `Model "${model}" is not listed for ${provider}; using the ${provider}/default limits`,
+    });
+  } else if (PATTERN_MATCHES.includes(match)) {
+    warnings.push({
+      code: 'MODEL_PATTERN_MATCH',
+      message: `${reason}; assuming the ${provider}/${key} limits`,
+    });
+  }
+
+  // The model's tokenizer is only used once its module has been imported
+  const modelTokenizer = options.tokenizer === undefined || options.tokenizer === null;
+  if (modelTokenizer && limits.tokenizer && !getTokenizer(limits.tokenizer)) {
+    warnings.push({
+      code: 'TOKENIZER_NOT_LOADED',
+      message:
+        `Tokenizer "${limits.tokenizer}" is not loaded, so tokens are estimated; import ` +
+        `"ai-token-chunker/tokenizers/${limits.tokenizer}" to count them exactly`,
+    });
+  }
+
+  if (images.length > 0 && !limits.imageTokens) {
+    warnings.push({
+      code: 'IMAGE_TOKENS_UNKNOWN',
+      message: `No image token formula for ${provider}/${key}; images are not counted against maxTokens`,
+    });
+  }
+
+  return warnings;
+}
+
+/**
+ * Validate provider and model, and resolve limits, tokenizer and images for a request
+ * @param {Object} params - Request parameters
+ * @param {string} params.provider - Provider name
+ * @param {string} params.model - Model name
+ * @param {Array} [params.images] - Optional array of images
+ * @param {Object} [params.options] - Chunking options (registry, strict, customLimits, tokenizer,
+ *   maxOutputTokens, reservedPrompt, imageStrategy, byteMode, format)
+ * @returns {Object} {limits, tokenizer, images, limitsSource, resolvedModel, warnings, byteSize};
+ *   limits are the budget left for each chunk, limitsSource says where they came from (see
+ *   getLimitsSource), with '+customLimits' when customLimits overrode some of them, resolvedModel
+ *   is the model entry they belong to (see explainModel), warnings [{code, message}] record
+ *   heuristic assumptions, and byteSize measures text and images against limits.maxBytes
+ * @throws {InvalidInputError} If provider, model, registry, image strategy, byte mode or format
+ *   is invalid
+ * @throws {ProviderNotSupportedError} If provider is not supported, or has no request format for
+ *   byteMode: 'request'
+ * @throws {ModelNotSupportedError} If the model is not listed and either `options.strict` is set
+ *   or the provider has no default
+ * @throws {LimitExceededError} If the output or prompt reservation, or the request body around
+ *   a chunk, cannot fit
+ * @throws {ImageLimitError} If images exceed limits
+ */
+export function resolveContext({ provider, model, images, options = {} }) {
+  // Validate provider
+  if (!provider || typeof provider !== 'string') {
+    throw new InvalidInputError('Provider is required and must be a string');
+  }
+
+  if (!model || typeof model !== 'string') {
+    throw new InvalidInputError('Model is required and must be a string');
+  }
+
+  // Get provider limits from the caller's registry
+  const resolved = resolveRegistry(options.registry).explainModel(provider, model);
+  if (!resolved) {
+    throw new ProviderNotSupportedError(provider);
+  }
+  // Aliases and patterns name listed models; only the provider default is a guess
+  if (!resolved.limits || (options.strict && resolved.match === 'default')) {
+    throw new ModelNotSupportedError(provider, model);
+  }
+
+  let limits = resolved.limits;
+
+  let limitsSource = getLimitsSource(limits);
+
+  // Allow custom limits override
+  if (options.customLimits) {
+    limits = { ...limits, ...options.customLimits };
+    limitsSource += '+customLimits';
+  }
+
+  const tokenizer = resolveTokenizer(options.tokenizer, limits);
+
+  const { byteMode = 'raw' } = options;
+  if (!BYTE_MODES.includes(byteMode)) {
+    throw new InvalidInputError(
+      `Unknown byteMode "${byteMode}". Supported modes: ${BYTE_MODES.join(', ')}`,
+      { provider, model }
+    );
+  }
+
+  // Leave room for the model's answer and fixed instructions
+  let budget = reserveBudget(limits, options, tokenizer, provider, model);
+
+  let byteSize = RAW_BYTE_SIZE;
+  if (byteMode === 'request') {
+    ({ limits: budget, byteSize } = requestBudget(limits, budget, options, provider, model));
+  }
+  limits = budget;
+
+  // Normalize and validate images
+  const { imageStrategy = 'first' } = options;
+  if (!IMAGE_STRATEGIES.includes(imageStrategy)) {
+    throw new InvalidInputError(
+      `Unknown imageStrategy "${imageStrategy}". Supported strategies: ${IMAGE_STRATEGIES.join(', ')}`,
+      { provider, model }
+    );
+  }
+  const normalizedImages = images
+    ? validateImages(images, limits, provider, model, { imageStrategy })
+    : [];
+
+  return {
+    limits,
+    tokenizer,
+    images: normalizedImages,
+    limitsSource,
+    resolvedModel: resolved.key,
+    warnings: collectWarnings(resolved, limits, options, normalizedImages),
+    byteSize,
+  };
+}
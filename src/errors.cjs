@@ -11,6 +11,16 @@ class ProviderNotSupportedError extends Error {
   }
 }
 
+class ModelNotSupportedError extends Error {
+  constructor(provider, model) {
+    super(`Model "${model}" is not listed for provider "${provider}"`);
+    this.name = 'ModelNotSupportedError';
+    this.code = 'MODEL_NOT_SUPPORTED';
+    this.provider = provider;
+    this.model = model;
+  }
+}
+
 class LimitExceededError extends Error {
   constructor({ provider, model, limit, actual, allowed }) {
     super(
@@ -43,17 +53,19 @@ class ImageLimitError extends Error {
 }
 
 class InvalidInputError extends Error {
-  constructor(message, { provider, model } = {}) {
+  constructor(message, { provider, model, details } = {}) {
     super(message);
     this.name = 'InvalidInputError';
     this.code = 'INVALID_INPUT';
     this.provider = provider;
     this.model = model;
+    this.details = details;
   }
 }
 
 module.exports = {
   ProviderNotSupportedError,
+  ModelNotSupportedError,
   LimitExceededError,
   ImageLimitError,
   InvalidInputError,
@@ -11,6 +11,16 @@ export class ProviderNotSupportedError extends Error {
   }
 }
 
+export class ModelNotSupportedError extends Error {
+  constructor(provider, model) {
+    super(`Model "${model}" is not listed for provider "${provider}"`);
+    this.name = 'ModelNotSupportedError';
+    this.code = 'MODEL_NOT_SUPPORTED';
+    this.provider = provider;
+    this.model = model;
+  }
+}
+
 export class LimitExceededError extends Error {
   constructor({ provider, model, limit, actual, allowed }) {
     super(
@@ -43,12 +53,13 @@ export class ImageLimitError extends Error {
 }
 
 export class InvalidInputError extends Error {
-  constructor(message, { provider, model } = {}) {
+  constructor(message, { provider, model, details } = {}) {
     super(message);
     this.name = 'InvalidInputError';
     this.code = 'INVALID_INPUT';
     this.provider = provider;
     this.model = model;
+    this.details = details;
   }
 }
 
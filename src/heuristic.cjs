@@ -0,0 +1,144 @@
+/**
+ * Script-aware token estimation heuristics (CommonJS)
+ *
+ * Text is scanned as runs of characters of the same class (Latin letters,
+ * digits, whitespace, punctuation, CJK, emoji, ...). Each run is costed with
+ * the ratio typical of BPE tokenizers for that class, so Chinese, Japanese,
+ * emoji-heavy text and minified code are not undercounted the way a flat
+ * characters / 4 estimate would.
+ */
+
+const CLASS_WEIGHTS = {
+  latin: 0.25,
+  digit: 1 / 3,
+  whitespace: 0.25,
+  punctuation: 0.5,
+  alphabetic: 0.75,
+  cjk: 1.25,
+  emoji: 3,
+  mark: 1.5,
+  other: 1,
+};
+
+const LATIN_RE = /\p{Script=Latin}/u;
+const ALPHABETIC_RE = /[\p{Script=Greek}\p{Script=Cyrillic}\p{Script=Armenian}\p{Script=Georgian}\p{Script=Hebrew}\p{Script=Arabic}]/u;
+const CJK_RE = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\u30fc]/u;
+const EMOJI_RE = /[\p{Extended_Pictographic}\u{1f1e6}-\u{1f1ff}]/u;
+const MARK_RE = /[\p{M}\p{Emoji_Modifier}\u200d]/u;
+
+function classify(code) {
+  if (code < 0x80) {
+    if ((code >= 0x41 && code <= 0x5a) || (code >= 0x61 && code <= 0x7a)) {
+      return 'latin';
+    }
+    if (code >= 0x30 && code <= 0x39) {
+      return 'digit';
+    }
+    if (code === 0x20 || (code >= 0x09 && code <= 0x0d)) {
+      return 'whitespace';
+    }
+    return 'punctuation';
+  }
+
+  const char = String.fromCodePoint(code);
+  if (EMOJI_RE.test(char)) {
+    return 'emoji';
+  }
+  if (MARK_RE.test(char)) {
+    return 'mark';
+  }
+  if (CJK_RE.test(char)) {
+    return 'cjk';
+  }
+  if (LATIN_RE.test(char)) {
+    return 'latin';
+  }
+  if (ALPHABETIC_RE.test(char)) {
+    return 'alphabetic';
+  }
+  if (/\p{N}/u.test(char)) {
+    return 'digit';
+  }
+  if (/\s/u.test(char)) {
+    return 'whitespace';
+  }
+  if (/[\p{P}\p{S}\p{C}]/u.test(char)) {
+    return 'punctuation';
+  }
+  return 'other';
+}
+
+function runCost(type, length, weights) {
+  const weight = weights[type];
+  switch (type) {
+    case 'whitespace':
+      return length === 1 ? 0 : Math.max(1, length * weight);
+    case 'latin':
+    case 'alphabetic':
+    case 'punctuation':
+      return Math.max(1, length * weight);
+    case 'digit':
+      return Math.ceil(length / 3) * weight * 3;
+    default:
+      return length * weight;
+  }
+}
+
+function createHeuristicTokenizer({ calibration } = {}) {
+  let factor = 1;
+  const weights = { ...CLASS_WEIGHTS };
+
+  if (typeof calibration === 'number') {
+    factor = calibration;
+  } else if (calibration && typeof calibration === 'object') {
+    for (const [key, value] of Object.entries(calibration)) {
+      if (key === 'factor') {
+        factor = value;
+      } else if (key in weights) {
+        weights[key] *= value;
+      }
+    }
+  }
+
+  return {
+    name: 'heuristic',
+
+    count(text) {
+      let total = 0;
+      let runType = null;
+      let runLength = 0;
+
+      for (let i = 0; i < text.length; i++) {
+        let code = text.charCodeAt(i);
+        if (code >= 0xd800 && code <= 0xdbff && i + 1 < text.length) {
+          const low = text.charCodeAt(i + 1);
+          if (low >= 0xdc00 && low <= 0xdfff) {
+            code = (code - 0xd800) * 0x400 + (low - 0xdc00) + 0x10000;
+            i++;
+          }
+        }
+
+        const type = classify(code);
+        if (type === runType) {
+          runLength++;
+        } else {
+          if (runType) {
+            total += runCost(runType, runLength, weights);
+          }
+          runType = type;
+          runLength = 1;
+        }
+      }
+
+      if (runType) {
+        total += runCost(runType, runLength, weights);
+      }
+
+      return Math.ceil(total * factor);
+    },
+  };
+}
+
+module.exports = {
+  createHeuristicTokenizer,
+};
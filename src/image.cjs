@@ -4,38 +4,155 @@
 
 const { ImageLimitError } = require('./errors.cjs');
 
-function normalizeImage(image) {
+const SUPPORTED_MIME_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+const JPEG_SOF_MARKERS = new Set([
+  0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf,
+]);
+
+function readJpegSize(buffer) {
+  let offset = 2;
+  while (offset + 9 <= buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      return null;
+    }
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+      offset += 2;
+      continue;
+    }
+    if (JPEG_SOF_MARKERS.has(marker)) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+function sniffImage(buffer) {
+  const ascii = (start, end) => buffer.toString('latin1', start, end);
+
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47 && ascii(12, 16) === 'IHDR') {
+    return { mime: 'image/png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    const size = readJpegSize(buffer);
+    return size && { mime: 'image/jpeg', ...size };
+  }
+
+  if (buffer.length >= 10 && (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a')) {
+    return { mime: 'image/gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+
+  if (buffer.length >= 30 && ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+    const chunk = ascii(12, 16);
+    if (chunk === 'VP8 ') {
+      return {
+        mime: 'image/webp',
+        width: buffer.readUInt16LE(26) & 0x3fff,
+        height: buffer.readUInt16LE(28) & 0x3fff,
+      };
+    }
+    if (chunk === 'VP8L') {
+      const bits = buffer.readUInt32LE(21);
+      return { mime: 'image/webp', width: (bits & 0x3fff) + 1, height: ((bits >>> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') {
+      return {
+        mime: 'image/webp',
+        width: buffer.readUIntLE(24, 3) + 1,
+        height: buffer.readUIntLE(27, 3) + 1,
+      };
+    }
+  }
+
+  return null;
+}
+
+function normalizeImage(image, { provider, model, imageIndex } = {}) {
   let buffer;
-  let mime = 'image/png';
 
   if (Buffer.isBuffer(image)) {
     buffer = image;
   } else if (typeof image === 'string') {
-    // Normalize base64 image data URLs - strip data:image/*;base64, prefix
-    const normalized = image.replace(/^data:image\/\w+;base64,/, '');
+    const normalized = image.replace(/^data:[^;,]*;base64,/, '');
     buffer = Buffer.from(normalized, 'base64');
   } else if (image && image.buffer) {
     buffer = Buffer.isBuffer(image.buffer)
       ? image.buffer
       : Buffer.from(image.buffer);
-    mime = image.mime || mime;
   } else {
     throw new Error('Invalid image format. Expected Buffer, base64 string, or {buffer, mime}');
   }
 
-  return {
+  const format = sniffImage(buffer);
+  if (!format) {
+    throw new ImageLimitError({
+      provider,
+      model,
+      reason: 'unsupported image format',
+      actual: 'unknown',
+      allowed: SUPPORTED_MIME_TYPES.join(', '),
+      imageIndex,
+    });
+  }
+
+  const normalized = {
     buffer,
-    mime,
+    mime: format.mime,
     size: buffer.length,
+    width: format.width,
+    height: format.height,
   };
+  if (image && image.anchor !== undefined) {
+    normalized.anchor = image.anchor;
+  }
+  return normalized;
 }
 
-function validateImages(images, limits, provider, model) {
+function exceeded(image, limits) {
+  if (limits.allowedImageTypes && !limits.allowedImageTypes.includes(image.mime)) {
+    return {
+      reason: 'image type not allowed',
+      actual: image.mime,
+      allowed: limits.allowedImageTypes.join(', '),
+    };
+  }
+  if (image.size > limits.imageByteLimit) {
+    return { reason: 'imageByteLimit exceeded', actual: image.size, allowed: limits.imageByteLimit };
+  }
+  if (image.width > limits.maxImageWidth) {
+    return { reason: 'maxImageWidth exceeded', actual: image.width, allowed: limits.maxImageWidth };
+  }
+  if (image.height > limits.maxImageHeight) {
+    return { reason: 'maxImageHeight exceeded', actual: image.height, allowed: limits.maxImageHeight };
+  }
+  const megapixels = (image.width * image.height) / 1000000;
+  if (megapixels > limits.maxImageMegapixels) {
+    return {
+      reason: 'maxImageMegapixels exceeded',
+      actual: megapixels,
+      allowed: limits.maxImageMegapixels,
+    };
+  }
+  if (image.size > limits.totalImageBytes) {
+    return { reason: 'totalImageBytes exceeded', actual: image.size, allowed: limits.totalImageBytes };
+  }
+  return null;
+}
+
+function validateImages(images, limits, provider, model, options = {}) {
   if (!images || images.length === 0) {
     return [];
   }
 
-  if (images.length > limits.maxImages) {
+  const { imageStrategy = 'first' } = options;
+  if (imageStrategy === 'first' && images.length > limits.maxImages) {
     throw new ImageLimitError({
       provider,
       model,
@@ -46,22 +163,27 @@ function validateImages(images, limits, provider, model) {
   }
 
   const normalized = images.map((img, index) => {
-    const normalizedImg = normalizeImage(img);
-
-    if (normalizedImg.size > limits.imageByteLimit) {
-      throw new ImageLimitError({
-        provider,
-        model,
-        reason: 'imageByteLimit exceeded',
-        actual: normalizedImg.size,
-        allowed: limits.imageByteLimit,
-        imageIndex: index,
-      });
+    const normalizedImg = normalizeImage(img, { provider, model, imageIndex: index });
+
+    const overflow = exceeded(normalizedImg, limits);
+    if (overflow) {
+      throw new ImageLimitError({ provider, model, ...overflow, imageIndex: index });
     }
 
     return normalizedImg;
   });
 
+  const totalBytes = getImagesByteSize(normalized);
+  if (imageStrategy === 'first' && totalBytes > limits.totalImageBytes) {
+    throw new ImageLimitError({
+      provider,
+      model,
+      reason: 'totalImageBytes exceeded',
+      actual: totalBytes,
+      allowed: limits.totalImageBytes,
+    });
+  }
+
   return normalized;
 }
 
@@ -72,9 +194,42 @@ function getImagesByteSize(images) {
   return images.reduce((total, img) => total + (img.size || 0), 0);
 }
 
+function estimateImageTokens(image, limits) {
+  const formula = limits.imageTokens;
+  if (!formula) {
+    return 0;
+  }
+  if (formula.method === 'fixed') {
+    return formula.tokens;
+  }
+
+  let { width, height } = image;
+  const fit = Math.min(1, formula.maxSize / Math.max(width, height));
+  width *= fit;
+  height *= fit;
+
+  if (formula.method === 'area') {
+    return Math.ceil((width * height) / formula.pixelsPerToken);
+  }
+
+  const shrink = Math.min(1, formula.shortSide / Math.min(width, height));
+  const tiles =
+    Math.ceil((width * shrink) / formula.tileSize) * Math.ceil((height * shrink) / formula.tileSize);
+  return formula.baseTokens + formula.tileTokens * tiles;
+}
+
+function getImagesTokens(images, limits) {
+  if (!images || images.length === 0) {
+    return 0;
+  }
+  return images.reduce((total, img) => total + estimateImageTokens(img, limits), 0);
+}
+
 module.exports = {
   normalizeImage,
   validateImages,
   getImagesByteSize,
+  estimateImageTokens,
+  getImagesTokens,
 };
 
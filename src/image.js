@@ -4,52 +4,206 @@
 
 import { ImageLimitError } from './errors.js';
 
+// Formats recognized from their magic bytes
+const SUPPORTED_MIME_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+// JPEG start-of-frame markers, which hold the dimensions
+const JPEG_SOF_MARKERS = new Set([
+  0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf,
+]);
+
+/**
+ * Read the dimensions of a JPEG from its start-of-frame segment
+ * @param {Buffer} buffer - JPEG bytes
+ * @returns {Object|null} {width, height}, or null if no frame header is found
+ */
+function readJpegSize(buffer) {
+  let offset = 2;
+  while (offset + 9 <= buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      return null;
+    }
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      // Fill byte
+      offset++;
+      continue;
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+      // Markers without a segment
+      offset += 2;
+      continue;
+    }
+    if (JPEG_SOF_MARKERS.has(marker)) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+/**
+ * Detect an image format from its magic bytes and read its dimensions from the header
+ * The image is not decoded.
+ * @param {Buffer} buffer - Image bytes
+ * @returns {Object|null} {mime, width, height}, or null if the format is not supported
+ */
+function sniffImage(buffer) {
+  const ascii = (start, end) => buffer.toString('latin1', start, end);
+
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47 && ascii(12, 16) === 'IHDR') {
+    return { mime: 'image/png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    const size = readJpegSize(buffer);
+    return size && { mime: 'image/jpeg', ...size };
+  }
+
+  if (buffer.length >= 10 && (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a')) {
+    return { mime: 'image/gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+
+  if (buffer.length >= 30 && ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+    const chunk = ascii(12, 16);
+    if (chunk === 'VP8 ') {
+      // Lossy: 14-bit dimensions after the frame start code
+      return {
+        mime: 'image/webp',
+        width: buffer.readUInt16LE(26) & 0x3fff,
+        height: buffer.readUInt16LE(28) & 0x3fff,
+      };
+    }
+    if (chunk === 'VP8L') {
+      // Lossless: two 14-bit fields, minus one, after the signature byte
+      const bits = buffer.readUInt32LE(21);
+      return { mime: 'image/webp', width: (bits & 0x3fff) + 1, height: ((bits >>> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') {
+      // Extended: 24-bit canvas dimensions, minus one
+      return {
+        mime: 'image/webp',
+        width: buffer.readUIntLE(24, 3) + 1,
+        height: buffer.readUIntLE(27, 3) + 1,
+      };
+    }
+  }
+
+  return null;
+}
+
 /**
  * Normalize image input to a consistent format
- * @param {Buffer|string|Object} image - Image as Buffer, base64 string, or {buffer, mime}
- * @returns {Object} Normalized image object {buffer: Buffer, mime: string, size: number}
+ * The format and dimensions are read from the image bytes; a declared mime type
+ * (from `mime` or a data URL) is not trusted.
+ * @param {Buffer|string|Object} image - Image as Buffer, base64 string, or {buffer, mime, anchor}
+ * @param {Object} [context] - {provider, model, imageIndex} for errors
+ * @returns {Object} Normalized image object {buffer: Buffer, mime: string, size: number,
+ *   width: number, height: number}, with `anchor` (input offset for the 'anchored' image
+ *   strategy) when given
+ * @throws {ImageLimitError} If the input is not a PNG, JPEG, GIF or WebP image
  */
-export function normalizeImage(image) {
+export function normalizeImage(image, { provider, model, imageIndex } = {}) {
   let buffer;
-  let mime = 'image/png'; // default
 
   if (Buffer.isBuffer(image)) {
     buffer = image;
   } else if (typeof image === 'string') {
-    // Normalize base64 image data URLs - strip data:image/*;base64, prefix
-    const normalized = image.replace(/^data:image\/\w+;base64,/, '');
+    // Normalize base64 image data URLs - strip data:<mime>;base64, prefix
+    const normalized = image.replace(/^data:[^;,]*;base64,/, '');
     buffer = Buffer.from(normalized, 'base64');
   } else if (image && image.buffer) {
     buffer = Buffer.isBuffer(image.buffer)
       ? image.buffer
       : Buffer.from(image.buffer);
-    mime = image.mime || mime;
   } else {
     throw new Error('Invalid image format. Expected Buffer, base64 string, or {buffer, mime}');
   }
 
-  return {
+  const format = sniffImage(buffer);
+  if (!format) {
+    throw new ImageLimitError({
+      provider,
+      model,
+      reason: 'unsupported image format',
+      actual: 'unknown',
+      allowed: SUPPORTED_MIME_TYPES.join(', '),
+      imageIndex,
+    });
+  }
+
+  const normalized = {
     buffer,
-    mime,
+    mime: format.mime,
     size: buffer.length,
+    width: format.width,
+    height: format.height,
   };
+  if (image && image.anchor !== undefined) {
+    normalized.anchor = image.anchor;
+  }
+  return normalized;
+}
+
+/**
+ * Find the first per-image limit a normalized image breaks
+ * Limits a model does not set are not checked.
+ * @param {Object} image - Normalized image
+ * @param {Object} limits - Provider limits
+ * @returns {Object|null} {reason, actual, allowed}, or null if the image is accepted
+ */
+function exceeded(image, limits) {
+  if (limits.allowedImageTypes && !limits.allowedImageTypes.includes(image.mime)) {
+    return {
+      reason: 'image type not allowed',
+      actual: image.mime,
+      allowed: limits.allowedImageTypes.join(', '),
+    };
+  }
+  if (image.size > limits.imageByteLimit) {
+    return { reason: 'imageByteLimit exceeded', actual: image.size, allowed: limits.imageByteLimit };
+  }
+  if (image.width > limits.maxImageWidth) {
+    return { reason: 'maxImageWidth exceeded', actual: image.width, allowed: limits.maxImageWidth };
+  }
+  if (image.height > limits.maxImageHeight) {
+    return { reason: 'maxImageHeight exceeded', actual: image.height, allowed: limits.maxImageHeight };
+  }
+  const megapixels = (image.width * image.height) / 1000000;
+  if (megapixels > limits.maxImageMegapixels) {
+    return {
+      reason: 'maxImageMegapixels exceeded',
+      actual: megapixels,
+      allowed: limits.maxImageMegapixels,
+    };
+  }
+  if (image.size > limits.totalImageBytes) {
+    return { reason: 'totalImageBytes exceeded', actual: image.size, allowed: limits.totalImageBytes };
+  }
+  return null;
 }
 
 /**
  * Validate images against provider limits
+ * Each image is checked against the allowed types, per-image bytes and dimensions.
  * @param {Array} images - Array of images
  * @param {Object} limits - Provider limits
  * @param {string} provider - Provider name
  * @param {string} model - Model name
+ * @param {Object} [options] - Validation options
+ * @param {string} [options.imageStrategy] - How images are distributed; only 'first' (default)
+ *   puts all images in one chunk (one request), so only it limits the total image count and bytes
  * @returns {Array} Normalized images
+ * @throws {ImageLimitError} If an image is unsupported or a limit is exceeded
  */
-export function validateImages(images, limits, provider, model) {
+export function validateImages(images, limits, provider, model, options = {}) {
   if (!images || images.length === 0) {
     return [];
   }
 
   // Check max image count
-  if (images.length > limits.maxImages) {
+  const { imageStrategy = 'first' } = options;
+  if (imageStrategy === 'first' && images.length > limits.maxImages) {
     throw new ImageLimitError({
       provider,
       model,
@@ -61,23 +215,29 @@ export function validateImages(images, limits, provider, model) {
 
   // Normalize and validate each image
   const normalized = images.map((img, index) => {
-    const normalizedImg = normalizeImage(img);
-
-    // Check per-image byte limit
-    if (normalizedImg.size > limits.imageByteLimit) {
-      throw new ImageLimitError({
-        provider,
-        model,
-        reason: 'imageByteLimit exceeded',
-        actual: normalizedImg.size,
-        allowed: limits.imageByteLimit,
-        imageIndex: index,
-      });
+    const normalizedImg = normalizeImage(img, { provider, model, imageIndex: index });
+
+    // Check type, per-image byte limit and dimensions
+    const overflow = exceeded(normalizedImg, limits);
+    if (overflow) {
+      throw new ImageLimitError({ provider, model, ...overflow, imageIndex: index });
     }
 
     return normalizedImg;
   });
 
+  // Check total image bytes per request
+  const totalBytes = getImagesByteSize(normalized);
+  if (imageStrategy === 'first' && totalBytes > limits.totalImageBytes) {
+    throw new ImageLimitError({
+      provider,
+      model,
+      reason: 'totalImageBytes exceeded',
+      actual: totalBytes,
+      allowed: limits.totalImageBytes,
+    });
+  }
+
   return normalized;
 }
 
@@ -93,3 +253,53 @@ export function getImagesByteSize(images) {
   return images.reduce((total, img) => total + (img.size || 0), 0);
 }
 
+/**
+ * Estimate the tokens an image takes, from its dimensions and the model's image formula
+ * Formulas (`limits.imageTokens`):
+ * - {method: 'tiles', tileSize, baseTokens, tileTokens, maxSize, shortSide}: the image is scaled to
+ *   fit maxSize, then down to shortSide on its short side, and costs baseTokens plus tileTokens per
+ *   tile (OpenAI)
+ * - {method: 'area', pixelsPerToken, maxSize}: the image is scaled to fit maxSize and costs one
+ *   token per pixelsPerToken pixels (Anthropic)
+ * - {method: 'fixed', tokens}: every image costs the same (Gemini)
+ * @param {Object} image - Normalized image {width, height}
+ * @param {Object} limits - Provider limits
+ * @returns {number} Estimated tokens, or 0 if the model has no image formula
+ */
+export function estimateImageTokens(image, limits) {
+  const formula = limits.imageTokens;
+  if (!formula) {
+    return 0;
+  }
+  if (formula.method === 'fixed') {
+    return formula.tokens;
+  }
+
+  // Providers scale large images down before counting
+  let { width, height } = image;
+  const fit = Math.min(1, formula.maxSize / Math.max(width, height));
+  width *= fit;
+  height *= fit;
+
+  if (formula.method === 'area') {
+    return Math.ceil((width * height) / formula.pixelsPerToken);
+  }
+
+  const shrink = Math.min(1, formula.shortSide / Math.min(width, height));
+  const tiles =
+    Math.ceil((width * shrink) / formula.tileSize) * Math.ceil((height * shrink) / formula.tileSize);
+  return formula.baseTokens + formula.tileTokens * tiles;
+}
+
+/**
+ * Calculate total estimated tokens of images
+ * @param {Array} images - Array of normalized images
+ * @param {Object} limits - Provider limits
+ * @returns {number} Total tokens
+ */
+export function getImagesTokens(images, limits) {
+  if (!images || images.length === 0) {
+    return 0;
+  }
+  return images.reduce((total, img) => total + estimateImageTokens(img, limits), 0);
+}
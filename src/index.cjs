@@ -2,86 +2,149 @@
  * CommonJS entry point for ai-token-chunker
  */
 
-const { ProviderNotSupportedError, InvalidInputError } = require('./errors.cjs');
-const { getProviderLimits } = require('./providers.cjs');
-const { validateImages } = require('./image.cjs');
-const { validateLimits } = require('./limits.cjs');
-const { chunkInput, calculateMetadata } = require('./chunker.cjs');
+const { InvalidInputError } = require('./errors.cjs');
+const { validateLimits, estimateTokens, measureBytes } = require('./limits.cjs');
+const { getImagesTokens } = require('./image.cjs');
+const { chunkInput, calculateMetadata, advancePosition, locateChunk, START_POSITION } = require('./chunker.cjs');
+const { resolveContext } = require('./context.cjs');
+const { prepareInput } = require('./strategies/index.cjs');
+const { fromParts, toParts } = require('./parts.cjs');
+const { createRegistry } = require('./registry.cjs');
+const { chunkStream } = require('./stream.cjs');
+const { chunkMessages } = require('./messages.cjs');
+const { chunkJSON } = require('./json.cjs');
+const { chunkTable } = require('./table.cjs');
+const { toProviderPayload } = require('./payload.cjs');
 
-function chunkPrompt({ provider, model, input, images, options = {} }) {
-  if (!provider || typeof provider !== 'string') {
-    throw new InvalidInputError('Provider is required and must be a string');
-  }
-
-  if (!model || typeof model !== 'string') {
-    throw new InvalidInputError('Model is required and must be a string');
+function chunkPrompt({ provider, model, input, images, parts, options = {} }) {
+  let boundaries = null;
+  if (parts !== undefined) {
+    if (input !== undefined || images !== undefined) {
+      throw new InvalidInputError('Pass either parts, or input and images', { provider, model });
+    }
+    ({ text: input, images, boundaries } = fromParts(parts, options, { provider, model }));
+    options = { ...options, imageStrategy: 'anchored' };
   }
 
   if (!input || typeof input !== 'string') {
     throw new InvalidInputError('Input is required and must be a string');
   }
 
-  let limits = getProviderLimits(provider, model);
-  if (!limits) {
-    throw new ProviderNotSupportedError(provider);
-  }
-
-  if (options.customLimits) {
-    limits = { ...limits, ...options.customLimits };
-  }
+  const {
+    limits,
+    tokenizer,
+    images: normalizedImages,
+    limitsSource,
+    resolvedModel,
+    warnings,
+    byteSize,
+  } = resolveContext({ provider, model, images, options });
 
-  const normalizedImages = images ? validateImages(images, limits, provider, model) : [];
+  const text = boundaries ? input : prepareInput(input, options);
 
-  const textBytes = Buffer.byteLength(input, 'utf8');
+  const totalBytes = measureBytes(text, normalizedImages, byteSize);
   const imageBytes = normalizedImages.reduce((sum, img) => sum + img.size, 0);
-  const totalBytes = textBytes + imageBytes;
-  const estimatedTokens = Math.ceil(input.length / 4);
+  const estimatedTokens = estimateTokens(text, tokenizer) + getImagesTokens(normalizedImages, limits);
 
   const fitsInOneChunk =
     totalBytes <= limits.maxBytes &&
-    input.length <= limits.maxChars &&
+    text.length <= limits.maxChars &&
     estimatedTokens <= limits.maxTokens &&
-    normalizedImages.length <= limits.maxImages;
+    normalizedImages.length <= limits.maxImages &&
+    (limits.totalImageBytes === undefined || imageBytes <= limits.totalImageBytes);
 
+  let chunks;
   if (fitsInOneChunk) {
-    validateLimits(input, normalizedImages, limits, provider, model);
+    validateLimits(text, normalizedImages, limits, provider, model, { tokenizer, byteSize });
 
-    const chunks = [
-      {
-        text: input,
-        images: normalizedImages,
-        index: 0,
-      },
+    chunks = [
+      locateChunk(
+        {
+          text,
+          images: normalizedImages,
+          index: 0,
+        },
+        START_POSITION,
+        advancePosition(START_POSITION, text)
+      ),
     ];
-
-    return {
-      chunks,
-      metadata: calculateMetadata(chunks, provider, model),
-    };
+  } else {
+    chunks = chunkInput(text, normalizedImages, limits, {
+      ...options,
+      tokenizer,
+      byteSize,
+      provider,
+      model,
+    });
   }
 
-  const chunks = chunkInput(input, normalizedImages, limits, {
-    ...options,
-    provider,
-    model,
-  });
+  if (boundaries) {
+    chunks = chunks.map((chunk) => ({ ...chunk, parts: toParts(chunk, boundaries) }));
+  }
 
   return {
     chunks,
-    metadata: calculateMetadata(chunks, provider, model),
+    metadata: calculateMetadata(chunks, provider, model, {
+      tokenizer,
+      limits,
+      byteSize,
+      limitsSource,
+      resolvedModel,
+      warnings,
+    }),
+  };
+}
+
+function createChunker({ registry = createRegistry() } = {}) {
+  const scoped =
+    (chunk) =>
+    ({ options = {}, ...params }) =>
+      chunk({ ...params, options: { ...options, registry } });
+
+  return {
+    registry,
+    getProviderLimits: (provider, model) => registry.getProviderLimits(provider, model),
+    explainModel: (provider, model) => registry.explainModel(provider, model),
+    chunkPrompt: scoped(chunkPrompt),
+    chunkStream: scoped(chunkStream),
+    chunkMessages: scoped(chunkMessages),
+    chunkJSON: scoped(chunkJSON),
+    chunkTable: scoped(chunkTable),
+    toProviderPayload: (chunk, params = {}) => toProviderPayload(chunk, { ...params, registry }),
   };
 }
 
 module.exports = {
   chunkPrompt,
+  createChunker,
+  chunkStream,
+  chunkMessages,
+  chunkJSON,
+  chunkTable,
+  reassemble: require('./reassemble.cjs').reassemble,
+  toProviderPayload,
   ProviderNotSupportedError: require('./errors.cjs').ProviderNotSupportedError,
+  ModelNotSupportedError: require('./errors.cjs').ModelNotSupportedError,
   LimitExceededError: require('./errors.cjs').LimitExceededError,
   ImageLimitError: require('./errors.cjs').ImageLimitError,
   InvalidInputError: require('./errors.cjs').InvalidInputError,
   PROVIDER_LIMITS: require('./providers.cjs').PROVIDER_LIMITS,
   getProviderLimits: require('./providers.cjs').getProviderLimits,
+  createRegistry,
+  explainModel: require('./registry.cjs').explainModel,
+  loadLimits: require('./registry.cjs').loadLimits,
+  registerProvider: require('./registry.cjs').registerProvider,
+  registerModel: require('./registry.cjs').registerModel,
+  unregisterProvider: require('./registry.cjs').unregisterProvider,
+  unregisterModel: require('./registry.cjs').unregisterModel,
   estimateTokens: require('./limits.cjs').estimateTokens,
   getTextByteSize: require('./limits.cjs').getTextByteSize,
+  checkFits: require('./limits.cjs').checkFits,
+  defaultTokenizer: require('./tokenizer.cjs').defaultTokenizer,
+  registerTokenizer: require('./tokenizer.cjs').registerTokenizer,
+  getTokenizer: require('./tokenizer.cjs').getTokenizer,
+  createHeuristicTokenizer: require('./heuristic.cjs').createHeuristicTokenizer,
   normalizeImage: require('./image.cjs').normalizeImage,
   validateImages: require('./image.cjs').validateImages,
+  estimateImageTokens: require('./image.cjs').estimateImageTokens,
 };
@@ -2,11 +2,19 @@
  * Main entry point for ai-token-chunker
  */
 
-import { ProviderNotSupportedError, InvalidInputError } from './errors.js';
-import { getProviderLimits } from './providers.js';
-import { validateImages } from './image.js';
-import { validateLimits } from './limits.js';
-import { chunkInput, calculateMetadata } from './chunker.js';
+import { InvalidInputError } from './errors.js';
+import { validateLimits, estimateTokens, measureBytes } from './limits.js';
+import { getImagesTokens } from './image.js';
+import { chunkInput, calculateMetadata, advancePosition, locateChunk, START_POSITION } from './chunker.js';
+import { resolveContext } from './context.js';
+import { prepareInput } from './strategies/index.js';
+import { fromParts, toParts } from './parts.js';
+import { createRegistry } from './registry.js';
+import { chunkStream } from './stream.js';
+import { chunkMessages } from './messages.js';
+import { chunkJSON } from './json.js';
+import { chunkTable } from './table.js';
+import { toProviderPayload } from './payload.js';
 
 /**
  * Chunk a prompt for a specific AI provider
@@ -14,99 +22,180 @@ import { chunkInput, calculateMetadata } from './chunker.js';
  * @param {string} params.provider - Provider name (e.g., 'openai', 'anthropic')
  * @param {string} params.model - Model name (e.g., 'gpt-4o', 'claude-3-5-sonnet-20241022')
  * @param {string} params.input - Input text to chunk
- * @param {Array} [params.images] - Optional array of images (Buffer, base64, or {buffer, mime})
+ * @param {Array<Object>} [params.parts] - Ordered parts [{type: 'text', text}, {type: 'image', image}],
+ *   instead of input and images; images are anchored where they appear and chunks get ordered `parts`
+ * @param {Array} [params.images] - Optional array of images (Buffer, base64, or {buffer, mime, anchor})
  * @param {Object} [params.options] - Optional chunking options
- * @param {number} [params.options.chunkOverlap] - Characters to overlap between chunks (default: 0)
+ * @param {Object} [params.options.registry] - Registry to look up limits in (default: the shared registry)
+ * @param {number} [params.options.chunkOverlap] - Overlap between chunks, in overlapUnit (default: 0)
+ * @param {string} [params.options.overlapUnit] - Overlap unit: 'chars' (default), 'tokens' or 'sentences'
+ * @param {string} [params.options.imageStrategy] - 'first' (default: all images in the first chunk), 'spread'
+ *   (images balanced across chunks) or 'anchored' (each image in the chunk containing its `anchor` offset)
  * @param {boolean} [params.options.respectWordBoundaries] - Try to split at word boundaries (default: true)
+ * @param {string} [params.options.strategy] - Split strategy: 'text' (default), 'markdown', 'code' or 'html'
+ * @param {string} [params.options.language] - Language hint for the 'code' strategy
+ * @param {boolean|Object} [params.options.stripHtml] - Remove scripts, styles and attributes (with the 'html' strategy)
+ * @param {boolean} [params.options.strict] - Throw for models that are not listed instead of using the provider's default limits
  * @param {Object} [params.options.customLimits] - Override provider limits
- * @returns {Object} Chunking result with chunks and metadata
+ * @param {Object|string} [params.options.tokenizer] - Tokenizer {count(text), encode?, decode?} or registered name (default: the model's tokenizer if registered)
+ * @param {number} [params.options.maxOutputTokens] - Tokens to leave in the context window for the model's answer
+ * @param {string|number} [params.options.reservedPrompt] - Fixed instructions sent with every chunk, or their token count
+ * @param {string} [params.options.byteMode] - 'raw' (default: maxBytes counts UTF-8 text and image bytes) or 'request'
+ *   (byte limits count the provider's serialized request body, up to maxRequestBytes; see toProviderPayload)
+ * @param {string} [params.options.format] - Request format for byteMode: 'request' with providers without a built-in one
+ * @returns {Object} Chunking result with chunks and metadata; each chunk has its source span as
+ *   start/end (UTF-16 code units), byteStart/byteEnd (UTF-8 bytes) and loc (1-based lines,
+ *   0-based columns), and overlapStart/overlapEnd characters shared with its neighbours; with
+ *   `options.stripHtml`, the span is in the stripped markup rather than in `input`
  * @throws {ProviderNotSupportedError} If provider is not supported
+ * @throws {ModelNotSupportedError} If the model is not listed and `options.strict` is set
  * @throws {InvalidInputError} If input is invalid
- * @throws {LimitExceededError} If input exceeds limits (when not chunking)
+ * @throws {LimitExceededError} If input exceeds limits (when not chunking), or the reservations cannot fit
  * @throws {ImageLimitError} If images exceed limits
  */
-export function chunkPrompt({ provider, model, input, images, options = {} }) {
-  // Validate provider
-  if (!provider || typeof provider !== 'string') {
-    throw new InvalidInputError('Provider is required and must be a string');
-  }
-
-  if (!model || typeof model !== 'string') {
-    throw new InvalidInputError('Model is required and must be a string');
+export function chunkPrompt({ provider, model, input, images, parts, options = {} }) {
+  // Ordered parts become text with anchored images, and chunks are cut back into parts
+  let boundaries = null;
+  if (parts !== undefined) {
+    if (input !== undefined || images !== undefined) {
+      throw new InvalidInputError('Pass either parts, or input and images', { provider, model });
+    }
+    ({ text: input, images, boundaries } = fromParts(parts, options, { provider, model }));
+    options = { ...options, imageStrategy: 'anchored' };
   }
 
   if (!input || typeof input !== 'string') {
     throw new InvalidInputError('Input is required and must be a string');
   }
 
-  // Get provider limits
-  let limits = getProviderLimits(provider, model);
-  if (!limits) {
-    throw new ProviderNotSupportedError(provider);
-  }
-
-  // Allow custom limits override
-  if (options.customLimits) {
-    limits = { ...limits, ...options.customLimits };
-  }
+  const {
+    limits,
+    tokenizer,
+    images: normalizedImages,
+    limitsSource,
+    resolvedModel,
+    warnings,
+    byteSize,
+  } = resolveContext({ provider, model, images, options });
 
-  // Normalize and validate images
-  const normalizedImages = images ? validateImages(images, limits, provider, model) : [];
+  // Strategies may transform the input before it is measured (e.g., stripping HTML);
+  // parts are transformed one by one
+  const text = boundaries ? input : prepareInput(input, options);
 
   // If input is small enough, validate and return single chunk
   // Otherwise, chunk it
-  const textBytes = Buffer.byteLength(input, 'utf8');
+  const totalBytes = measureBytes(text, normalizedImages, byteSize);
   const imageBytes = normalizedImages.reduce((sum, img) => sum + img.size, 0);
-  const totalBytes = textBytes + imageBytes;
-  const estimatedTokens = Math.ceil(input.length / 4);
+  const estimatedTokens = estimateTokens(text, tokenizer) + getImagesTokens(normalizedImages, limits);
 
   // Check if it fits in a single chunk
   const fitsInOneChunk =
     totalBytes <= limits.maxBytes &&
-    input.length <= limits.maxChars &&
+    text.length <= limits.maxChars &&
     estimatedTokens <= limits.maxTokens &&
-    normalizedImages.length <= limits.maxImages;
+    normalizedImages.length <= limits.maxImages &&
+    (limits.totalImageBytes === undefined || imageBytes <= limits.totalImageBytes);
 
+  let chunks;
   if (fitsInOneChunk) {
     // Validate limits (will throw if exceeded)
-    validateLimits(input, normalizedImages, limits, provider, model);
-
-    const chunks = [
-      {
-        text: input,
-        images: normalizedImages,
-        index: 0,
-      },
+    validateLimits(text, normalizedImages, limits, provider, model, { tokenizer, byteSize });
+
+    chunks = [
+      locateChunk(
+        {
+          text,
+          images: normalizedImages,
+          index: 0,
+        },
+        START_POSITION,
+        advancePosition(START_POSITION, text)
+      ),
     ];
-
-    return {
-      chunks,
-      metadata: calculateMetadata(chunks, provider, model),
-    };
+  } else {
+    // Before chunking, verify that chunking is possible
+    // If the input is so large that even after chunking it would exceed limits,
+    // we should detect this. However, since we can always split text, this check
+    // is mainly for the unsplittable case (single character exceeding limits).
+    // The chunkInput function will handle this internally.
+
+    // Need to chunk
+    chunks = chunkInput(text, normalizedImages, limits, {
+      ...options,
+      tokenizer,
+      byteSize,
+      provider,
+      model,
+    });
   }
 
-  // Before chunking, verify that chunking is possible
-  // If the input is so large that even after chunking it would exceed limits,
-  // we should detect this. However, since we can always split text, this check
-  // is mainly for the unsplittable case (single character exceeding limits).
-  // The chunkInput function will handle this internally.
-  
-  // Need to chunk
-  const chunks = chunkInput(input, normalizedImages, limits, {
-    ...options,
-    provider,
-    model,
-  });
+  if (boundaries) {
+    chunks = chunks.map((chunk) => ({ ...chunk, parts: toParts(chunk, boundaries) }));
+  }
 
   return {
     chunks,
-    metadata: calculateMetadata(chunks, provider, model),
+    metadata: calculateMetadata(chunks, provider, model, {
+      tokenizer,
+      limits,
+      byteSize,
+      limitsSource,
+      resolvedModel,
+      warnings,
+    }),
+  };
+}
+
+/**
+ * Create chunking functions bound to a registry
+ * Every call looks up limits in the registry, so models registered for one
+ * chunker are not visible to others (or to the top-level functions).
+ * @param {Object} [params] - Chunker parameters
+ * @param {Object} [params.registry] - Registry from createRegistry (default: a new one)
+ * @returns {Object} {registry, getProviderLimits, explainModel, chunkPrompt, chunkStream,
+ *   chunkMessages, chunkJSON, chunkTable, toProviderPayload}
+ */
+export function createChunker({ registry = createRegistry() } = {}) {
+  const scoped =
+    (chunk) =>
+    ({ options = {}, ...params }) =>
+      chunk({ ...params, options: { ...options, registry } });
+
+  return {
+    registry,
+    getProviderLimits: (provider, model) => registry.getProviderLimits(provider, model),
+    explainModel: (provider, model) => registry.explainModel(provider, model),
+    chunkPrompt: scoped(chunkPrompt),
+    chunkStream: scoped(chunkStream),
+    chunkMessages: scoped(chunkMessages),
+    chunkJSON: scoped(chunkJSON),
+    chunkTable: scoped(chunkTable),
+    toProviderPayload: (chunk, params = {}) => toProviderPayload(chunk, { ...params, registry }),
   };
 }
 
+// Export streaming chunker
+export { chunkStream };
+
+// Export chat message chunker
+export { chunkMessages };
+
+// Export JSON chunker
+export { chunkJSON };
+
+// Export CSV/TSV chunker
+export { chunkTable };
+
+// Export reassembly of chunks and per-chunk outputs
+export { reassemble } from './reassemble.js';
+
+// Export provider request payloads
+export { toProviderPayload };
+
 // Export error classes for user convenience
 export {
   ProviderNotSupportedError,
+  ModelNotSupportedError,
   LimitExceededError,
   ImageLimitError,
   InvalidInputError,
@@ -114,10 +203,23 @@ export {
 
 // Export provider utilities
 export { PROVIDER_LIMITS, getProviderLimits } from './providers.js';
+export {
+  createRegistry,
+  explainModel,
+  loadLimits,
+  registerProvider,
+  registerModel,
+  unregisterProvider,
+  unregisterModel,
+} from './registry.js';
 
 // Export limit utilities
-export { estimateTokens, getTextByteSize } from './limits.js';
+export { estimateTokens, getTextByteSize, checkFits } from './limits.js';
+
+// Export tokenizer utilities
+export { defaultTokenizer, registerTokenizer, getTokenizer } from './tokenizer.js';
+export { createHeuristicTokenizer } from './heuristic.js';
 
 // Export image utilities
-export { normalizeImage, validateImages } from './image.js';
+export { normalizeImage, validateImages, estimateImageTokens } from './image.js';
 
@@ -0,0 +1,201 @@
+/**
+ * JSON-aware chunking (CommonJS)
+ *
+ * Arrays are split by element and objects by key, so every chunk is a valid
+ * JSON document. Members too large for a chunk on their own are recursed
+ * into; oversized strings are split into several string chunks.
+ */
+
+const { InvalidInputError, LimitExceededError } = require('./errors.cjs');
+const { estimateTokens } = require('./limits.cjs');
+const { calculateMetadata } = require('./chunker.cjs');
+const { resolveContext } = require('./context.cjs');
+
+function childPointer(pointer, key) {
+  return `${pointer}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+function chunkJSON({ provider, model, value, options = {} }) {
+  let root = value;
+  if (typeof value === 'string') {
+    try {
+      root = JSON.parse(value);
+    } catch (error) {
+      throw new InvalidInputError(`Value is not valid JSON: ${error.message}`, { provider, model });
+    }
+  }
+
+  const {
+    limits,
+    tokenizer,
+    limitsSource,
+    resolvedModel,
+    warnings,
+    byteSize,
+  } = resolveContext({ provider, model, options });
+  const { indent } = options;
+
+  function serialize(item) {
+    let text;
+    try {
+      text = JSON.stringify(item, null, indent);
+    } catch (error) {
+      throw new InvalidInputError(`Value cannot be serialized as JSON: ${error.message}`, { provider, model });
+    }
+    if (text === undefined) {
+      throw new InvalidInputError('Value is required and must be serializable as JSON', { provider, model });
+    }
+    return text;
+  }
+
+  function measure(text) {
+    return {
+      bytes: byteSize.text(text),
+      chars: text.length,
+      tokens: estimateTokens(text, tokenizer),
+    };
+  }
+
+  function exceeded(size) {
+    if (size.bytes > limits.maxBytes) {
+      return { limit: byteSize.limit, actual: size.bytes, allowed: limits.maxBytes };
+    }
+    if (size.chars > limits.maxChars) {
+      return { limit: 'maxChars', actual: size.chars, allowed: limits.maxChars };
+    }
+    if (size.tokens > limits.maxTokens) {
+      return { limit: 'maxTokens', actual: size.tokens, allowed: limits.maxTokens };
+    }
+    return null;
+  }
+
+  const chunks = [];
+
+  function emit(piece, path, paths, text = serialize(piece)) {
+    chunks.push({ text, value: piece, path, paths, index: chunks.length });
+  }
+
+  function build(entries, isArray) {
+    return isArray ? entries.map(([, item]) => item) : Object.fromEntries(entries);
+  }
+
+  function splitMembers(entries, isArray, pointer) {
+    let group = [];
+    let total = { bytes: 0, chars: 0, tokens: 0 };
+
+    function flush() {
+      while (group.length > 0) {
+        let count = group.length;
+        let text = serialize(build(group, isArray));
+        while (count > 1 && exceeded(measure(text))) {
+          count--;
+          text = serialize(build(group.slice(0, count), isArray));
+        }
+
+        const members = group.slice(0, count);
+        emit(build(members, isArray), pointer, members.map(([key]) => childPointer(pointer, key)), text);
+        group = group.slice(count);
+      }
+      total = { bytes: 0, chars: 0, tokens: 0 };
+    }
+
+    for (const entry of entries) {
+      const size = measure(serialize(build([entry], isArray)));
+
+      if (exceeded(size)) {
+        flush();
+        split(entry[1], childPointer(pointer, entry[0]));
+        continue;
+      }
+
+      const combined = {
+        bytes: total.bytes + size.bytes,
+        chars: total.chars + size.chars,
+        tokens: total.tokens + size.tokens,
+      };
+      if (group.length > 0 && exceeded(combined)) {
+        flush();
+        total = size;
+      } else {
+        total = combined;
+      }
+      group.push(entry);
+    }
+
+    flush();
+  }
+
+  function splitString(text, pointer) {
+    let rest = text;
+    while (rest.length > 0) {
+      let low = 0;
+      let high = Math.min(rest.length, limits.maxChars);
+      while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (exceeded(measure(JSON.stringify(rest.slice(0, mid))))) {
+          high = mid - 1;
+        } else {
+          low = mid;
+        }
+      }
+
+      if (low === 0) {
+        throw new LimitExceededError({
+          provider,
+          model,
+          ...exceeded(measure(JSON.stringify(rest.slice(0, 1)))),
+        });
+      }
+
+      let end = low;
+      if (end < rest.length) {
+        const space = rest.slice(Math.max(0, end - 100), end).search(/\s\S*$/);
+        if (space !== -1) {
+          end = Math.max(0, end - 100) + space + 1;
+        }
+        const code = rest.charCodeAt(end - 1);
+        if (code >= 0xd800 && code <= 0xdbff && end > 1) {
+          end--;
+        }
+      }
+
+      const piece = rest.slice(0, end);
+      emit(piece, pointer, [pointer], JSON.stringify(piece));
+      rest = rest.slice(end);
+    }
+  }
+
+  function split(item, pointer) {
+    const text = serialize(item);
+    const overflow = exceeded(measure(text));
+    if (!overflow) {
+      emit(item, pointer, [pointer], text);
+    } else if (Array.isArray(item)) {
+      splitMembers(item.map((element, index) => [index, element]), true, pointer);
+    } else if (item && typeof item === 'object') {
+      splitMembers(Object.entries(item), false, pointer);
+    } else if (typeof item === 'string') {
+      splitString(item, pointer);
+    } else {
+      throw new LimitExceededError({ provider, model, ...overflow });
+    }
+  }
+
+  split(root, '');
+
+  return {
+    chunks,
+    metadata: calculateMetadata(chunks, provider, model, {
+      tokenizer,
+      limits,
+      byteSize,
+      limitsSource,
+      resolvedModel,
+      warnings,
+    }),
+  };
+}
+
+module.exports = {
+  chunkJSON,
+};
@@ -0,0 +1,224 @@
+/**
+ * JSON-aware chunking
+ *
+ * Arrays are split by element and objects by key, so every chunk is a valid
+ * JSON document. Members too large for a chunk on their own are recursed
+ * into; oversized strings are split into several string chunks.
+ */
+
+import { InvalidInputError, LimitExceededError } from './errors.js';
+import { estimateTokens } from './limits.js';
+import { calculateMetadata } from './chunker.js';
+import { resolveContext } from './context.js';
+
+/**
+ * Build a JSON Pointer (RFC 6901) to a member of a container
+ * @param {string} pointer - Pointer to the container
+ * @param {string|number} key - Array index or object key
+ * @returns {string} Pointer to the member
+ */
+function childPointer(pointer, key) {
+  return `${pointer}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+/**
+ * Chunk a JSON value for a specific AI provider
+ * @param {Object} params - Chunking parameters
+ * @param {string} params.provider - Provider name (e.g., 'openai', 'anthropic')
+ * @param {string} params.model - Model name (e.g., 'gpt-4o', 'claude-3-5-sonnet-20241022')
+ * @param {*} params.value - JSON value, or JSON text as a string
+ * @param {Object} [params.options] - Chunking options (customLimits, tokenizer, reservations)
+ * @param {number|string} [params.options.indent] - Indentation passed to JSON.stringify (default: none)
+ * @returns {Object} Chunking result {chunks: [{text, value, path, paths, index}], metadata}
+ * @throws {ProviderNotSupportedError} If provider is not supported
+ * @throws {ModelNotSupportedError} If the model is not listed and `options.strict` is set
+ * @throws {InvalidInputError} If the value is not valid JSON
+ * @throws {LimitExceededError} If a number, boolean or null alone exceeds limits
+ */
+export function chunkJSON({ provider, model, value, options = {} }) {
+  let root = value;
+  if (typeof value === 'string') {
+    try {
+      root = JSON.parse(value);
+    } catch (error) {
+      throw new InvalidInputError(`Value is not valid JSON: ${error.message}`, { provider, model });
+    }
+  }
+
+  const {
+    limits,
+    tokenizer,
+    limitsSource,
+    resolvedModel,
+    warnings,
+    byteSize,
+  } = resolveContext({ provider, model, options });
+  const { indent } = options;
+
+  function serialize(item) {
+    let text;
+    try {
+      text = JSON.stringify(item, null, indent);
+    } catch (error) {
+      throw new InvalidInputError(`Value cannot be serialized as JSON: ${error.message}`, { provider, model });
+    }
+    if (text === undefined) {
+      throw new InvalidInputError('Value is required and must be serializable as JSON', { provider, model });
+    }
+    return text;
+  }
+
+  function measure(text) {
+    return {
+      bytes: byteSize.text(text),
+      chars: text.length,
+      tokens: estimateTokens(text, tokenizer),
+    };
+  }
+
+  function exceeded(size) {
+    if (size.bytes > limits.maxBytes) {
+      return { limit: byteSize.limit, actual: size.bytes, allowed: limits.maxBytes };
+    }
+    if (size.chars > limits.maxChars) {
+      return { limit: 'maxChars', actual: size.chars, allowed: limits.maxChars };
+    }
+    if (size.tokens > limits.maxTokens) {
+      return { limit: 'maxTokens', actual: size.tokens, allowed: limits.maxTokens };
+    }
+    return null;
+  }
+
+  const chunks = [];
+
+  function emit(piece, path, paths, text = serialize(piece)) {
+    chunks.push({ text, value: piece, path, paths, index: chunks.length });
+  }
+
+  function build(entries, isArray) {
+    return isArray ? entries.map(([, item]) => item) : Object.fromEntries(entries);
+  }
+
+  // Pack array elements or object members greedily into chunks
+  function splitMembers(entries, isArray, pointer) {
+    let group = [];
+    let total = { bytes: 0, chars: 0, tokens: 0 };
+
+    function flush() {
+      // Member sizes are measured in their own container, an upper bound for
+      // bytes and chars; tokens are only close to additive, so check the result
+      while (group.length > 0) {
+        let count = group.length;
+        let text = serialize(build(group, isArray));
+        while (count > 1 && exceeded(measure(text))) {
+          count--;
+          text = serialize(build(group.slice(0, count), isArray));
+        }
+
+        const members = group.slice(0, count);
+        emit(build(members, isArray), pointer, members.map(([key]) => childPointer(pointer, key)), text);
+        group = group.slice(count);
+      }
+      total = { bytes: 0, chars: 0, tokens: 0 };
+    }
+
+    for (const entry of entries) {
+      const size = measure(serialize(build([entry], isArray)));
+
+      if (exceeded(size)) {
+        // Too big even on its own: recurse into the member
+        flush();
+        split(entry[1], childPointer(pointer, entry[0]));
+        continue;
+      }
+
+      const combined = {
+        bytes: total.bytes + size.bytes,
+        chars: total.chars + size.chars,
+        tokens: total.tokens + size.tokens,
+      };
+      if (group.length > 0 && exceeded(combined)) {
+        flush();
+        total = size;
+      } else {
+        total = combined;
+      }
+      group.push(entry);
+    }
+
+    flush();
+  }
+
+  // Split a string into several JSON strings
+  function splitString(text, pointer) {
+    let rest = text;
+    while (rest.length > 0) {
+      // Longest prefix whose JSON encoding (quotes and escapes included) fits
+      let low = 0;
+      let high = Math.min(rest.length, limits.maxChars);
+      while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (exceeded(measure(JSON.stringify(rest.slice(0, mid))))) {
+          high = mid - 1;
+        } else {
+          low = mid;
+        }
+      }
+
+      if (low === 0) {
+        throw new LimitExceededError({
+          provider,
+          model,
+          ...exceeded(measure(JSON.stringify(rest.slice(0, 1)))),
+        });
+      }
+
+      let end = low;
+      if (end < rest.length) {
+        // Prefer a word boundary, and never split a surrogate pair
+        const space = rest.slice(Math.max(0, end - 100), end).search(/\s\S*$/);
+        if (space !== -1) {
+          end = Math.max(0, end - 100) + space + 1;
+        }
+        const code = rest.charCodeAt(end - 1);
+        if (code >= 0xd800 && code <= 0xdbff && end > 1) {
+          end--;
+        }
+      }
+
+      const piece = rest.slice(0, end);
+      emit(piece, pointer, [pointer], JSON.stringify(piece));
+      rest = rest.slice(end);
+    }
+  }
+
+  function split(item, pointer) {
+    const text = serialize(item);
+    const overflow = exceeded(measure(text));
+    if (!overflow) {
+      emit(item, pointer, [pointer], text);
+    } else if (Array.isArray(item)) {
+      splitMembers(item.map((element, index) => [index, element]), true, pointer);
+    } else if (item && typeof item === 'object') {
+      splitMembers(Object.entries(item), false, pointer);
+    } else if (typeof item === 'string') {
+      splitString(item, pointer);
+    } else {
+      throw new LimitExceededError({ provider, model, ...overflow });
+    }
+  }
+
+  split(root, '');
+
+  return {
+    chunks,
+    metadata: calculateMetadata(chunks, provider, model, {
+      tokenizer,
+      limits,
+      byteSize,
+      limitsSource,
+      resolvedModel,
+      warnings,
+    }),
+  };
+}
@@ -3,13 +3,14 @@
  */
 
 const { LimitExceededError } = require('./errors.cjs');
-const { getImagesByteSize } = require('./image.cjs');
+const { getImagesTokens } = require('./image.cjs');
+const { resolveTokenizer } = require('./tokenizer.cjs');
 
-function estimateTokens(text) {
+function estimateTokens(text, tokenizer) {
   if (!text || typeof text !== 'string') {
     return 0;
   }
-  return Math.ceil(text.length / 4);
+  return resolveTokenizer(tokenizer).count(text);
 }
 
 function getTextByteSize(text) {
@@ -19,17 +20,27 @@ function getTextByteSize(text) {
   return Buffer.byteLength(text, 'utf8');
 }
 
-function validateLimits(text, images, limits, provider, model) {
-  const textBytes = getTextByteSize(text);
-  const imageBytes = getImagesByteSize(images);
-  const totalBytes = textBytes + imageBytes;
-  const estimatedTokens = estimateTokens(text);
+const RAW_BYTE_SIZE = Object.freeze({
+  text: getTextByteSize,
+  image: (image) => image.size || 0,
+  maxCharBytes: 4,
+  limit: 'maxBytes',
+});
+
+function measureBytes(text, images, byteSize = RAW_BYTE_SIZE) {
+  return (images || []).reduce((total, image) => total + byteSize.image(image), byteSize.text(text));
+}
+
+function validateLimits(text, images, limits, provider, model, options = {}) {
+  const byteSize = options.byteSize || RAW_BYTE_SIZE;
+  const totalBytes = measureBytes(text, images, byteSize);
+  const estimatedTokens = estimateTokens(text, options.tokenizer) + getImagesTokens(images, limits);
 
   if (totalBytes > limits.maxBytes) {
     throw new LimitExceededError({
       provider,
       model,
-      limit: 'maxBytes',
+      limit: byteSize.limit,
       actual: totalBytes,
       allowed: limits.maxBytes,
     });
@@ -56,16 +67,15 @@ function validateLimits(text, images, limits, provider, model) {
   }
 }
 
-function checkFits(text, images, limits) {
-  const textBytes = getTextByteSize(text);
-  const imageBytes = getImagesByteSize(images);
-  const totalBytes = textBytes + imageBytes;
-  const estimatedTokens = estimateTokens(text);
+function checkFits(text, images, limits, options = {}) {
+  const byteSize = options.byteSize || RAW_BYTE_SIZE;
+  const totalBytes = measureBytes(text, images, byteSize);
+  const estimatedTokens = estimateTokens(text, options.tokenizer) + getImagesTokens(images, limits);
 
   if (totalBytes > limits.maxBytes) {
     return {
       fits: false,
-      reason: 'maxBytes',
+      reason: byteSize.limit,
       details: {
         actual: totalBytes,
         allowed: limits.maxBytes,
@@ -101,6 +111,8 @@ function checkFits(text, images, limits) {
 module.exports = {
   estimateTokens,
   getTextByteSize,
+  RAW_BYTE_SIZE,
+  measureBytes,
   validateLimits,
   checkFits,
 };
@@ -3,20 +3,22 @@
  */
 
 import { LimitExceededError } from './errors.js';
-import { getImagesByteSize } from './image.js';
+import { getImagesTokens } from './image.js';
+import { resolveTokenizer } from './tokenizer.js';
 
 /**
  * Estimate token count from text
- * Uses heuristic: 1 token ≈ 4 characters
+ * Uses the given tokenizer (object or registered name), or the script-aware
+ * heuristic that weights each character class (see heuristic.js)
  * @param {string} text - Input text
+ * @param {Object} [tokenizer] - Tokenizer {count, encode?, decode?}
  * @returns {number} Estimated token count
  */
-export function estimateTokens(text) {
+export function estimateTokens(text, tokenizer) {
   if (!text || typeof text !== 'string') {
     return 0;
   }
-  // Conservative estimate: 1 token ≈ 4 characters
-  return Math.ceil(text.length / 4);
+  return resolveTokenizer(tokenizer).count(text);
 }
 
 /**
@@ -31,27 +33,54 @@ export function getTextByteSize(text) {
   return Buffer.byteLength(text, 'utf8');
 }
 
+/**
+ * Byte size of raw input: UTF-8 text and image buffers
+ * A byte size {text(text), image(image), maxCharBytes, limit} measures input
+ * against maxBytes, and names the limit in errors; see measureRequest for sizes
+ * in the serialized request body.
+ */
+export const RAW_BYTE_SIZE = Object.freeze({
+  text: getTextByteSize,
+  image: (image) => image.size || 0,
+  maxCharBytes: 4, // Most UTF-8 bytes in one character
+  limit: 'maxBytes',
+});
+
+/**
+ * Measure text and images against maxBytes
+ * @param {string} text - Input text
+ * @param {Array} [images] - Normalized images
+ * @param {Object} [byteSize] - How bytes are measured (default: RAW_BYTE_SIZE)
+ * @returns {number} Byte size
+ */
+export function measureBytes(text, images, byteSize = RAW_BYTE_SIZE) {
+  return (images || []).reduce((total, image) => total + byteSize.image(image), byteSize.text(text));
+}
+
 /**
  * Validate input against provider limits
+ * Images count against maxTokens by the model's image formula (see estimateImageTokens).
  * @param {string} text - Input text
  * @param {Array} images - Normalized images
  * @param {Object} limits - Provider limits
  * @param {string} provider - Provider name
  * @param {string} model - Model name
+ * @param {Object} [options] - Validation options
+ * @param {Object} [options.tokenizer] - Tokenizer used to count tokens
+ * @param {Object} [options.byteSize] - How bytes are measured (default: raw UTF-8 and image bytes)
  * @throws {LimitExceededError} If any limit is exceeded
  */
-export function validateLimits(text, images, limits, provider, model) {
-  const textBytes = getTextByteSize(text);
-  const imageBytes = getImagesByteSize(images);
-  const totalBytes = textBytes + imageBytes;
-  const estimatedTokens = estimateTokens(text);
+export function validateLimits(text, images, limits, provider, model, options = {}) {
+  const byteSize = options.byteSize || RAW_BYTE_SIZE;
+  const totalBytes = measureBytes(text, images, byteSize);
+  const estimatedTokens = estimateTokens(text, options.tokenizer) + getImagesTokens(images, limits);
 
   // Byte limit always wins (most restrictive)
   if (totalBytes > limits.maxBytes) {
     throw new LimitExceededError({
       provider,
       model,
-      limit: 'maxBytes',
+      limit: byteSize.limit,
       actual: totalBytes,
       allowed: limits.maxBytes,
     });
@@ -68,7 +97,7 @@ export function validateLimits(text, images, limits, provider, model) {
     });
   }
 
-  // Check token limit (heuristic)
+  // Check token limit
   if (estimatedTokens > limits.maxTokens) {
     throw new LimitExceededError({
       provider,
@@ -85,18 +114,20 @@ export function validateLimits(text, images, limits, provider, model) {
  * @param {string} text - Input text
  * @param {Array} images - Normalized images
  * @param {Object} limits - Provider limits
+ * @param {Object} [options] - Check options
+ * @param {Object} [options.tokenizer] - Tokenizer used to count tokens
+ * @param {Object} [options.byteSize] - How bytes are measured (default: raw UTF-8 and image bytes)
  * @returns {Object} {fits: boolean, reason?: string, details?: Object}
  */
-export function checkFits(text, images, limits) {
-  const textBytes = getTextByteSize(text);
-  const imageBytes = getImagesByteSize(images);
-  const totalBytes = textBytes + imageBytes;
-  const estimatedTokens = estimateTokens(text);
+export function checkFits(text, images, limits, options = {}) {
+  const byteSize = options.byteSize || RAW_BYTE_SIZE;
+  const totalBytes = measureBytes(text, images, byteSize);
+  const estimatedTokens = estimateTokens(text, options.tokenizer) + getImagesTokens(images, limits);
 
   if (totalBytes > limits.maxBytes) {
     return {
       fits: false,
-      reason: 'maxBytes',
+      reason: byteSize.limit,
       details: {
         actual: totalBytes,
         allowed: limits.maxBytes,
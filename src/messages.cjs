@@ -0,0 +1,364 @@
+/**
+ * Role-aware chunking of chat message arrays (CommonJS)
+ *
+ * Supports OpenAI-style messages ({role, content, tool_calls, tool_call_id}) and
+ * Anthropic-style content blocks ({type: 'tool_use'} / {type: 'tool_result'}).
+ */
+
+const { InvalidInputError, LimitExceededError, ImageLimitError } = require('./errors.cjs');
+const { estimateTokens, getTextByteSize, measureBytes } = require('./limits.cjs');
+const { validateImages, getImagesByteSize, getImagesTokens } = require('./image.cjs');
+const { chunkInput } = require('./chunker.cjs');
+const { resolveContext } = require('./context.cjs');
+
+const DEFAULT_MESSAGE_OVERHEAD_TOKENS = 4;
+
+const PINNED_ROLES = new Set(['system', 'developer']);
+
+const IMAGE_LIMITS = new Set(['maxImages', 'totalImageBytes']);
+
+function getMessageText(message, partImages) {
+  const pieces = [];
+
+  if (typeof message.content === 'string') {
+    pieces.push(message.content);
+  } else if (Array.isArray(message.content)) {
+    for (const part of message.content) {
+      if (!partImages.has(part)) {
+        pieces.push(isTextPart(part) ? part.text : JSON.stringify(part));
+      }
+    }
+  }
+
+  if (message.tool_calls) {
+    pieces.push(JSON.stringify(message.tool_calls));
+  }
+
+  return pieces.join('\n');
+}
+
+function isTextPart(part) {
+  return Boolean(part) && part.type === 'text' && typeof part.text === 'string';
+}
+
+function getImageData(part) {
+  if (part && part.type === 'image_url' && part.image_url && /^data:/.test(part.image_url.url)) {
+    return part.image_url.url;
+  }
+  if (part && part.type === 'image' && part.source && part.source.type === 'base64') {
+    return part.source.data;
+  }
+  return null;
+}
+
+function getToolCallIds(message) {
+  if (message.role !== 'assistant') {
+    return [];
+  }
+
+  const ids = [];
+  if (Array.isArray(message.tool_calls)) {
+    for (const call of message.tool_calls) {
+      ids.push(call.id);
+    }
+  }
+  if (Array.isArray(message.content)) {
+    for (const part of message.content) {
+      if (part && part.type === 'tool_use') {
+        ids.push(part.id);
+      }
+    }
+  }
+  return ids;
+}
+
+function getToolResultIds(message) {
+  if (message.role === 'tool') {
+    return [message.tool_call_id];
+  }
+
+  const ids = [];
+  if (Array.isArray(message.content)) {
+    for (const part of message.content) {
+      if (part && part.type === 'tool_result') {
+        ids.push(part.tool_use_id);
+      }
+    }
+  }
+  return ids;
+}
+
+function groupMessages(messages) {
+  const units = [];
+
+  for (let i = 0; i < messages.length; i++) {
+    const unit = [messages[i]];
+    const pending = new Set(getToolCallIds(messages[i]));
+
+    while (pending.size > 0 && i + 1 < messages.length) {
+      const resultIds = getToolResultIds(messages[i + 1]);
+      if (!resultIds.some((id) => pending.has(id))) {
+        break;
+      }
+      for (const id of resultIds) {
+        pending.delete(id);
+      }
+      unit.push(messages[++i]);
+    }
+
+    units.push(unit);
+  }
+
+  return units;
+}
+
+function isSplittable(message, partImages) {
+  if (message.role !== 'user' && message.role !== 'assistant') {
+    return false;
+  }
+  if (getToolCallIds(message).length > 0 || getToolResultIds(message).length > 0) {
+    return false;
+  }
+  return (
+    typeof message.content === 'string' ||
+    (Array.isArray(message.content) &&
+      message.content.length > 0 &&
+      message.content.every((part) => isTextPart(part) || partImages.has(part)))
+  );
+}
+
+function chunkMessages({ provider, model, messages, options = {} }) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new InvalidInputError('Messages are required and must be a non-empty array');
+  }
+
+  messages.forEach((message, index) => {
+    if (!message || typeof message.role !== 'string') {
+      throw new InvalidInputError(`Message at index ${index} must have a string role`, { provider, model });
+    }
+  });
+
+  if (options.byteMode === 'request') {
+    throw new InvalidInputError("byteMode 'request' is not supported by chunkMessages", { provider, model });
+  }
+
+  const {
+    limits,
+    tokenizer,
+    limitsSource,
+    resolvedModel,
+    warnings,
+  } = resolveContext({ provider, model, options });
+  const {
+    messageOverheadTokens = DEFAULT_MESSAGE_OVERHEAD_TOKENS,
+  } = options;
+
+  const partImages = new Map();
+  for (const message of messages) {
+    const parts = Array.isArray(message.content)
+      ? message.content.filter((part) => getImageData(part) !== null)
+      : [];
+    if (parts.length > 0) {
+      const images = validateImages(parts.map(getImageData), limits, provider, model, {
+        imageStrategy: 'spread',
+      });
+      parts.forEach((part, index) => partImages.set(part, images[index]));
+    }
+  }
+
+  function measure(list) {
+    let tokens = 0;
+    let bytes = 0;
+    let chars = 0;
+    const images = [];
+    for (const message of list) {
+      const text = getMessageText(message, partImages);
+      tokens += estimateTokens(text, tokenizer) + messageOverheadTokens;
+      bytes += getTextByteSize(text);
+      chars += text.length;
+      for (const part of Array.isArray(message.content) ? message.content : []) {
+        if (partImages.has(part)) {
+          images.push(partImages.get(part));
+        }
+      }
+    }
+    const imageTokens = getImagesTokens(images, limits);
+    return {
+      tokens: tokens + imageTokens,
+      textTokens: tokens,
+      imageTokens,
+      bytes: bytes + measureBytes('', images),
+      chars,
+      images: images.length,
+      imageBytes: getImagesByteSize(images),
+    };
+  }
+
+  function exceeded(size, budget) {
+    if (size.bytes > budget.maxBytes) {
+      return { limit: 'maxBytes', actual: size.bytes, allowed: budget.maxBytes };
+    }
+    if (size.chars > budget.maxChars) {
+      return { limit: 'maxChars', actual: size.chars, allowed: budget.maxChars };
+    }
+    if (size.tokens > budget.maxTokens) {
+      return { limit: 'maxTokens', actual: size.tokens, allowed: budget.maxTokens };
+    }
+    if (size.images > budget.maxImages) {
+      return { limit: 'maxImages', actual: size.images, allowed: budget.maxImages };
+    }
+    if (size.imageBytes > budget.totalImageBytes) {
+      return { limit: 'totalImageBytes', actual: size.imageBytes, allowed: budget.totalImageBytes };
+    }
+    return null;
+  }
+
+  function overflowError(overflow) {
+    if (IMAGE_LIMITS.has(overflow.limit)) {
+      const { limit, actual, allowed } = overflow;
+      return new ImageLimitError({ provider, model, reason: `${limit} exceeded`, actual, allowed });
+    }
+    return new LimitExceededError({ provider, model, ...overflow });
+  }
+
+  const pinned = messages.filter((message) => PINNED_ROLES.has(message.role));
+  const pinnedSize = measure(pinned);
+  const budget = {
+    maxTokens: limits.maxTokens - pinnedSize.tokens,
+    maxBytes: limits.maxBytes - pinnedSize.bytes,
+    maxChars: limits.maxChars - pinnedSize.chars,
+    maxImages: limits.maxImages === undefined ? Infinity : limits.maxImages - pinnedSize.images,
+    totalImageBytes:
+      limits.totalImageBytes === undefined ? Infinity : limits.totalImageBytes - pinnedSize.imageBytes,
+  };
+
+  const pinnedOverflow = exceeded(pinnedSize, limits);
+  if (pinnedOverflow) {
+    throw overflowError(pinnedOverflow);
+  }
+
+  const positions = new Map(messages.map((message, index) => [message, index]));
+
+  const units = [];
+  for (const unit of groupMessages(messages.filter((message) => !PINNED_ROLES.has(message.role)))) {
+    const overflow = exceeded(measure(unit), budget);
+    if (!overflow) {
+      units.push(unit);
+      continue;
+    }
+
+    if (unit.length > 1 || !isSplittable(unit[0], partImages)) {
+      throw overflowError(overflow);
+    }
+
+    const [message] = unit;
+    const addPiece = (content) => {
+      const piece = { ...message, content };
+      positions.set(piece, positions.get(message));
+      units.push([piece]);
+    };
+    const pieceLimits = {
+      ...limits,
+      ...budget,
+      maxTokens: budget.maxTokens - messageOverheadTokens,
+    };
+    const pieceOptions = { ...options, tokenizer, provider, model };
+    const fits = (content) => !exceeded(measure([{ ...message, content }]), budget);
+
+    if (typeof message.content === 'string') {
+      for (const piece of chunkInput(message.content, [], pieceLimits, pieceOptions)) {
+        addPiece(piece.text);
+      }
+      continue;
+    }
+
+    let content = [];
+    for (const part of message.content) {
+      const pieces =
+        isTextPart(part) && !fits([part])
+          ? chunkInput(part.text, [], pieceLimits, pieceOptions).map((piece) => ({
+              ...part,
+              text: piece.text,
+            }))
+          : [part];
+
+      for (const piece of pieces) {
+        if (content.length > 0 && !fits([...content, piece])) {
+          addPiece(content);
+          content = [];
+        }
+        if (content.length === 0) {
+          const alone = exceeded(measure([{ ...message, content: [piece] }]), budget);
+          if (alone) {
+            throw overflowError(alone);
+          }
+        }
+        content.push(piece);
+      }
+    }
+    addPiece(content);
+  }
+
+  const chunks = [];
+  let current = [];
+  let currentSize = { tokens: 0, bytes: 0, chars: 0, images: 0, imageBytes: 0 };
+
+  for (const unit of units) {
+    const unitSize = measure(unit);
+    const combined = {
+      tokens: currentSize.tokens + unitSize.tokens,
+      bytes: currentSize.bytes + unitSize.bytes,
+      chars: currentSize.chars + unitSize.chars,
+      images: currentSize.images + unitSize.images,
+      imageBytes: currentSize.imageBytes + unitSize.imageBytes,
+    };
+
+    if (current.length > 0 && exceeded(combined, budget)) {
+      chunks.push(current);
+      current = [...unit];
+      currentSize = unitSize;
+    } else {
+      current.push(...unit);
+      currentSize = combined;
+    }
+  }
+
+  if (current.length > 0 || chunks.length === 0) {
+    chunks.push(current);
+  }
+
+  const result = chunks.map((chunkMessageList, index) => ({
+    messages: [...pinned, ...chunkMessageList].sort((a, b) => positions.get(a) - positions.get(b)),
+    index,
+  }));
+
+  let totalTextTokens = 0;
+  let totalImageTokens = 0;
+  let totalEstimatedBytes = 0;
+  for (const chunk of result) {
+    const size = measure(chunk.messages);
+    totalTextTokens += size.textTokens;
+    totalImageTokens += size.imageTokens;
+    totalEstimatedBytes += size.bytes;
+  }
+
+  return {
+    chunks: result,
+    metadata: {
+      provider,
+      model,
+      totalChunks: result.length,
+      estimatedTokens: totalTextTokens + totalImageTokens,
+      estimatedTextTokens: totalTextTokens,
+      estimatedImageTokens: totalImageTokens,
+      estimatedBytes: totalEstimatedBytes,
+      limitsSource,
+      resolvedModel,
+      warnings,
+    },
+  };
+}
+
+module.exports = {
+  chunkMessages,
+};
@@ -0,0 +1,78 @@
+/**
+ * Ordered multimodal parts (CommonJS)
+ *
+ * Text parts are joined into one input and each image is anchored at its
+ * position in it, so the 'anchored' image strategy keeps images with their
+ * surrounding text. Chunks are then cut back into ordered parts.
+ */
+
+const { InvalidInputError } = require('./errors.cjs');
+const { normalizeImage } = require('./image.cjs');
+const { prepareInput } = require('./strategies/index.cjs');
+
+function fromParts(parts, options = {}, { provider, model } = {}) {
+  if (!Array.isArray(parts) || parts.length === 0) {
+    throw new InvalidInputError('Parts must be a non-empty array');
+  }
+
+  let text = '';
+  const images = [];
+  const boundaries = [];
+
+  parts.forEach((part, index) => {
+    if (part && part.type === 'text' && typeof part.text === 'string') {
+      if (text.length > 0) {
+        boundaries.push(text.length);
+      }
+      text += prepareInput(part.text, options);
+    } else if (part && part.type === 'image' && part.image) {
+      const image = normalizeImage(part.image, { provider, model, imageIndex: images.length });
+      images.push({ ...image, anchor: text.length });
+    } else {
+      throw new InvalidInputError(
+        `Part ${index} must be {type: 'text', text} or {type: 'image', image}`
+      );
+    }
+  });
+
+  if (!text) {
+    throw new InvalidInputError('Parts must include text');
+  }
+
+  return { text, images, boundaries };
+}
+
+function toParts(chunk, boundaries) {
+  const length = chunk.end - chunk.start;
+  const at = (offset) => chunk.carried.prefix + Math.min(Math.max(offset - chunk.start, 0), length);
+
+  const cuts = boundaries
+    .filter((offset) => offset > chunk.start && offset < chunk.end)
+    .map((offset) => ({ pos: at(offset) }));
+  for (const image of chunk.images) {
+    cuts.push({ pos: at(image.anchor), image });
+  }
+  cuts.sort((a, b) => a.pos - b.pos);
+
+  const parts = [];
+  let pos = 0;
+  for (const cut of cuts) {
+    if (cut.pos > pos) {
+      parts.push({ type: 'text', text: chunk.text.slice(pos, cut.pos) });
+      pos = cut.pos;
+    }
+    if (cut.image) {
+      parts.push({ type: 'image', image: cut.image });
+    }
+  }
+  if (pos < chunk.text.length) {
+    parts.push({ type: 'text', text: chunk.text.slice(pos) });
+  }
+
+  return parts;
+}
+
+module.exports = {
+  fromParts,
+  toParts,
+};
@@ -0,0 +1,270 @@
+/**
+ * Provider request payloads (CommonJS)
+ *
+ * A chunk is turned into the request body of its provider's chat API, ready to
+ * be serialized with JSON.stringify and POSTed. Images are sent inline as
+ * base64, with the MIME type read from their bytes by normalizeImage.
+ *
+ * The same builders measure requests for byteMode: 'request', so chunks can be
+ * fitted to the size of the body they will be sent in.
+ */
+
+const { ProviderNotSupportedError, InvalidInputError } = require('./errors.cjs');
+const { normalizeImage } = require('./image.cjs');
+const { resolveRegistry } = require('./registry.cjs');
+
+const PROVIDER_FORMATS = {
+  openai: 'openai',
+  'azure-openai': 'openai',
+  mistral: 'openai',
+  cohere: 'openai',
+  groq: 'openai',
+  together: 'openai',
+  anthropic: 'anthropic',
+  gemini: 'gemini',
+  bedrock: 'bedrock',
+  ollama: 'ollama',
+};
+
+const DEFAULT_MAX_OUTPUT_TOKENS = 4096;
+
+const MAX_ESCAPED_CHAR_BYTES = 6;
+
+const EMPTY_BUFFER = Buffer.alloc(0);
+
+function base64(image) {
+  return image.buffer.toString('base64');
+}
+
+function jsonByteSize(payload) {
+  return Buffer.byteLength(JSON.stringify(payload), 'utf8');
+}
+
+function joinText(parts) {
+  return parts
+    .filter((part) => part.type === 'text')
+    .map((part) => part.text)
+    .join('');
+}
+
+const FORMATS = {
+  openai(parts, { model, system, maxOutputTokens }) {
+    const content = parts.some((part) => part.type === 'image')
+      ? parts.map((part) =>
+          part.type === 'text'
+            ? { type: 'text', text: part.text }
+            : {
+                type: 'image_url',
+                image_url: { url: `data:${part.image.mime};base64,${base64(part.image)}` },
+              }
+        )
+      : joinText(parts);
+
+    const payload = { model, messages: [] };
+    if (system) {
+      payload.messages.push({ role: 'system', content: system });
+    }
+    payload.messages.push({ role: 'user', content });
+    if (maxOutputTokens !== undefined) {
+      payload.max_tokens = maxOutputTokens;
+    }
+    return payload;
+  },
+
+  anthropic(parts, { model, system, maxOutputTokens }) {
+    const content = parts.map((part) =>
+      part.type === 'text'
+        ? { type: 'text', text: part.text }
+        : {
+            type: 'image',
+            source: { type: 'base64', media_type: part.image.mime, data: base64(part.image) },
+          }
+    );
+
+    const payload = { model, max_tokens: maxOutputTokens };
+    if (system) {
+      payload.system = system;
+    }
+    payload.messages = [{ role: 'user', content }];
+    return payload;
+  },
+
+  gemini(parts, { system, maxOutputTokens }) {
+    const payload = {
+      contents: [
+        {
+          role: 'user',
+          parts: parts.map((part) =>
+            part.type === 'text'
+              ? { text: part.text }
+              : { inlineData: { mimeType: part.image.mime, data: base64(part.image) } }
+          ),
+        },
+      ],
+    };
+    if (system) {
+      payload.systemInstruction = { parts: [{ text: system }] };
+    }
+    if (maxOutputTokens !== undefined) {
+      payload.generationConfig = { maxOutputTokens };
+    }
+    return payload;
+  },
+
+  bedrock(parts, { system, maxOutputTokens }) {
+    const payload = {
+      messages: [
+        {
+          role: 'user',
+          content: parts.map((part) =>
+            part.type === 'text'
+              ? { text: part.text }
+              : {
+                  image: {
+                    format: part.image.mime.slice('image/'.length),
+                    source: { bytes: base64(part.image) },
+                  },
+                }
+          ),
+        },
+      ],
+    };
+    if (system) {
+      payload.system = [{ text: system }];
+    }
+    if (maxOutputTokens !== undefined) {
+      payload.inferenceConfig = { maxTokens: maxOutputTokens };
+    }
+    return payload;
+  },
+
+  ollama(parts, { model, system, maxOutputTokens }) {
+    const message = { role: 'user', content: joinText(parts) };
+    const images = parts.filter((part) => part.type === 'image');
+    if (images.length > 0) {
+      message.images = images.map((part) => base64(part.image));
+    }
+
+    const payload = { model, messages: [], stream: false };
+    if (system) {
+      payload.messages.push({ role: 'system', content: system });
+    }
+    payload.messages.push(message);
+    if (maxOutputTokens !== undefined) {
+      payload.options = { num_predict: maxOutputTokens };
+    }
+    return payload;
+  },
+};
+
+function chunkParts(chunk, provider, model) {
+  if (!chunk || typeof chunk.text !== 'string') {
+    throw new InvalidInputError(
+      'Chunk must have text (from chunkPrompt, chunkStream, chunkJSON or chunkTable)',
+      { provider, model }
+    );
+  }
+
+  const parts = Array.isArray(chunk.parts)
+    ? chunk.parts
+    : [
+        ...(chunk.images || []).map((image) => ({ type: 'image', image })),
+        { type: 'text', text: chunk.text },
+      ];
+
+  const ordered = [];
+  let imageIndex = 0;
+  for (const part of parts) {
+    const last = ordered[ordered.length - 1];
+    if (part.type !== 'text') {
+      const image = normalizeImage(part.image, { provider, model, imageIndex: imageIndex++ });
+      ordered.push({ type: 'image', image });
+    } else if (last && last.type === 'text') {
+      ordered[ordered.length - 1] = { type: 'text', text: last.text + part.text };
+    } else if (part.text) {
+      ordered.push(part);
+    }
+  }
+  return ordered;
+}
+
+function resolveFormat(provider, model, format) {
+  const builtIn = Object.prototype.hasOwnProperty.call(PROVIDER_FORMATS, provider);
+  const name = format === undefined ? builtIn && PROVIDER_FORMATS[provider] : format;
+  if (!name) {
+    throw new ProviderNotSupportedError(provider);
+  }
+  if (!Object.prototype.hasOwnProperty.call(FORMATS, name)) {
+    throw new InvalidInputError(
+      `Unknown format "${name}". Supported formats: ${Object.keys(FORMATS).join(', ')}`,
+      { provider, model }
+    );
+  }
+  return name;
+}
+
+function toProviderPayload(
+  chunk,
+  { provider, model, system, maxOutputTokens, format, registry } = {}
+) {
+  if (!provider || typeof provider !== 'string') {
+    throw new InvalidInputError('Provider is required and must be a string');
+  }
+  if (!model || typeof model !== 'string') {
+    throw new InvalidInputError('Model is required and must be a string');
+  }
+  if (system !== undefined && typeof system !== 'string') {
+    throw new InvalidInputError('System instructions must be a string', { provider, model });
+  }
+  if (maxOutputTokens !== undefined && (!Number.isInteger(maxOutputTokens) || maxOutputTokens <= 0)) {
+    throw new InvalidInputError('maxOutputTokens must be a positive integer', { provider, model });
+  }
+
+  const name = resolveFormat(provider, model, format);
+
+  let outputTokens = maxOutputTokens;
+  if (outputTokens === undefined && name === 'anthropic') {
+    const limits = resolveRegistry(registry).getProviderLimits(provider, model);
+    outputTokens = (limits && limits.maxOutputTokens) || DEFAULT_MAX_OUTPUT_TOKENS;
+  }
+
+  return FORMATS[name](chunkParts(chunk, provider, model), {
+    model,
+    system,
+    maxOutputTokens: outputTokens,
+  });
+}
+
+function measureRequest({ provider, model, system, maxOutputTokens, format, limits = {} }) {
+  const build = FORMATS[resolveFormat(provider, model, format)];
+  const params = {
+    model,
+    system,
+    maxOutputTokens: maxOutputTokens || limits.maxOutputTokens || DEFAULT_MAX_OUTPUT_TOKENS,
+  };
+  const text = { type: 'text', text: '' };
+  const envelope = jsonByteSize(build([text], params));
+
+  const wrappers = new Map();
+  const wrapper = (mime) => {
+    if (!wrappers.has(mime)) {
+      const image = { type: 'image', image: { mime, buffer: EMPTY_BUFFER } };
+      wrappers.set(mime, jsonByteSize(build([text, image, text], params)) - envelope);
+    }
+    return wrappers.get(mime);
+  };
+
+  return {
+    envelope,
+    byteSize: {
+      text: (value) => (value ? jsonByteSize(value) - 2 : 0),
+      image: (image) => wrapper(image.mime) + 4 * Math.ceil(image.size / 3),
+      maxCharBytes: MAX_ESCAPED_CHAR_BYTES,
+    },
+  };
+}
+
+module.exports = {
+  toProviderPayload,
+  measureRequest,
+};
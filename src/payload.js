@@ -0,0 +1,350 @@
+/**
+ * Provider request payloads
+ *
+ * A chunk is turned into the request body of its provider's chat API, ready to
+ * be serialized with JSON.stringify and POSTed. Images are sent inline as
+ * base64, with the MIME type read from their bytes by normalizeImage.
+ *
+ * The same builders measure requests for byteMode: 'request', so chunks can be
+ * fitted to the size of the body they will be sent in.
+ */
+
+import { ProviderNotSupportedError, InvalidInputError } from './errors.js';
+import { normalizeImage } from './image.js';
+import { resolveRegistry } from './registry.js';
+
+// Request format of each built-in provider
+const PROVIDER_FORMATS = {
+  openai: 'openai',
+  'azure-openai': 'openai',
+  mistral: 'openai',
+  cohere: 'openai',
+  groq: 'openai',
+  together: 'openai',
+  anthropic: 'anthropic',
+  gemini: 'gemini',
+  bedrock: 'bedrock', // Converse API
+  ollama: 'ollama',
+};
+
+// Output tokens requested when a format requires a value and the model lists none
+const DEFAULT_MAX_OUTPUT_TOKENS = 4096;
+
+// Most bytes one character takes once JSON-escaped (\u001f)
+const MAX_ESCAPED_CHAR_BYTES = 6;
+
+// Image data of the images measured in an empty request
+const EMPTY_BUFFER = Buffer.alloc(0);
+
+/**
+ * Encode an image as base64
+ * @param {Object} image - Normalized image
+ * @returns {string} Base64 data
+ */
+function base64(image) {
+  return image.buffer.toString('base64');
+}
+
+/**
+ * Measure a request body as JSON
+ * @param {Object} payload - Request body
+ * @returns {number} UTF-8 bytes of the serialized body
+ */
+function jsonByteSize(payload) {
+  return Buffer.byteLength(JSON.stringify(payload), 'utf8');
+}
+
+/**
+ * Join text parts, for formats that take the text and images of a message separately
+ * @param {Array<Object>} parts - Ordered parts
+ * @returns {string} Text of the parts
+ */
+function joinText(parts) {
+  return parts
+    .filter((part) => part.type === 'text')
+    .map((part) => part.text)
+    .join('');
+}
+
+// Payload builders by format: (parts, {model, system, maxOutputTokens}) => request body
+const FORMATS = {
+  openai(parts, { model, system, maxOutputTokens }) {
+    // Text-only messages are sent as a string, which every compatible API accepts
+    const content = parts.some((part) => part.type === 'image')
+      ? parts.map((part) =>
+          part.type === 'text'
+            ? { type: 'text', text: part.text }
+            : {
+                type: 'image_url',
+                image_url: { url: `data:${part.image.mime};base64,${base64(part.image)}` },
+              }
+        )
+      : joinText(parts);
+
+    const payload = { model, messages: [] };
+    if (system) {
+      payload.messages.push({ role: 'system', content: system });
+    }
+    payload.messages.push({ role: 'user', content });
+    if (maxOutputTokens !== undefined) {
+      payload.max_tokens = maxOutputTokens;
+    }
+    return payload;
+  },
+
+  anthropic(parts, { model, system, maxOutputTokens }) {
+    const content = parts.map((part) =>
+      part.type === 'text'
+        ? { type: 'text', text: part.text }
+        : {
+            type: 'image',
+            source: { type: 'base64', media_type: part.image.mime, data: base64(part.image) },
+          }
+    );
+
+    // max_tokens is required
+    const payload = { model, max_tokens: maxOutputTokens };
+    if (system) {
+      payload.system = system;
+    }
+    payload.messages = [{ role: 'user', content }];
+    return payload;
+  },
+
+  gemini(parts, { system, maxOutputTokens }) {
+    // The model is part of the URL
+    const payload = {
+      contents: [
+        {
+          role: 'user',
+          parts: parts.map((part) =>
+            part.type === 'text'
+              ? { text: part.text }
+              : { inlineData: { mimeType: part.image.mime, data: base64(part.image) } }
+          ),
+        },
+      ],
+    };
+    if (system) {
+      payload.systemInstruction = { parts: [{ text: system }] };
+    }
+    if (maxOutputTokens !== undefined) {
+      payload.generationConfig = { maxOutputTokens };
+    }
+    return payload;
+  },
+
+  bedrock(parts, { system, maxOutputTokens }) {
+    // The model ID is part of the URL; Converse takes the image format without 'image/'
+    const payload = {
+      messages: [
+        {
+          role: 'user',
+          content: parts.map((part) =>
+            part.type === 'text'
+              ? { text: part.text }
+              : {
+                  image: {
+                    format: part.image.mime.slice('image/'.length),
+                    source: { bytes: base64(part.image) },
+                  },
+                }
+          ),
+        },
+      ],
+    };
+    if (system) {
+      payload.system = [{ text: system }];
+    }
+    if (maxOutputTokens !== undefined) {
+      payload.inferenceConfig = { maxTokens: maxOutputTokens };
+    }
+    return payload;
+  },
+
+  ollama(parts, { model, system, maxOutputTokens }) {
+    const message = { role: 'user', content: joinText(parts) };
+    const images = parts.filter((part) => part.type === 'image');
+    if (images.length > 0) {
+      message.images = images.map((part) => base64(part.image));
+    }
+
+    // Without stream: false, /api/chat streams its answer as JSON lines
+    const payload = { model, messages: [], stream: false };
+    if (system) {
+      payload.messages.push({ role: 'system', content: system });
+    }
+    payload.messages.push(message);
+    if (maxOutputTokens !== undefined) {
+      payload.options = { num_predict: maxOutputTokens };
+    }
+    return payload;
+  },
+};
+
+/**
+ * Get the ordered parts of a chunk
+ * Chunks from `parts` input keep their order; otherwise images come before the
+ * text, as Anthropic and Gemini recommend.
+ * @param {Object} chunk - Chunk {text, images?, parts?}
+ * @param {string} provider - Provider name, for errors
+ * @param {string} model - Model name, for errors
+ * @returns {Array<Object>} Parts [{type: 'text', text}, {type: 'image', image}] with normalized
+ *   images, no empty text, and adjacent text joined
+ * @throws {InvalidInputError} If the chunk has no text
+ * @throws {ImageLimitError} If an image is not in a supported format
+ */
+function chunkParts(chunk, provider, model) {
+  if (!chunk || typeof chunk.text !== 'string') {
+    throw new InvalidInputError(
+      'Chunk must have text (from chunkPrompt, chunkStream, chunkJSON or chunkTable)',
+      { provider, model }
+    );
+  }
+
+  const parts = Array.isArray(chunk.parts)
+    ? chunk.parts
+    : [
+        ...(chunk.images || []).map((image) => ({ type: 'image', image })),
+        { type: 'text', text: chunk.text },
+      ];
+
+  // Text cut where input text parts started is sent as one part
+  const ordered = [];
+  let imageIndex = 0;
+  for (const part of parts) {
+    const last = ordered[ordered.length - 1];
+    if (part.type !== 'text') {
+      const image = normalizeImage(part.image, { provider, model, imageIndex: imageIndex++ });
+      ordered.push({ type: 'image', image });
+    } else if (last && last.type === 'text') {
+      ordered[ordered.length - 1] = { type: 'text', text: last.text + part.text };
+    } else if (part.text) {
+      ordered.push(part);
+    }
+  }
+  return ordered;
+}
+
+/**
+ * Get the request format of a provider
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name, for errors
+ * @param {string} [format] - Format given by the caller
+ * @returns {string} Format name
+ * @throws {InvalidInputError} If the format is unknown
+ * @throws {ProviderNotSupportedError} If the provider has no request format and none is given
+ */
+function resolveFormat(provider, model, format) {
+  const builtIn = Object.prototype.hasOwnProperty.call(PROVIDER_FORMATS, provider);
+  const name = format === undefined ? builtIn && PROVIDER_FORMATS[provider] : format;
+  if (!name) {
+    throw new ProviderNotSupportedError(provider);
+  }
+  if (!Object.prototype.hasOwnProperty.call(FORMATS, name)) {
+    throw new InvalidInputError(
+      `Unknown format "${name}". Supported formats: ${Object.keys(FORMATS).join(', ')}`,
+      { provider, model }
+    );
+  }
+  return name;
+}
+
+/**
+ * Build the request body for a chunk
+ * @param {Object} chunk - Chunk from chunkPrompt, chunkStream, chunkJSON or chunkTable
+ * @param {Object} params - Request parameters
+ * @param {string} params.provider - Provider name (e.g., 'openai', 'anthropic')
+ * @param {string} params.model - Model name; Gemini and Bedrock take it in the URL instead
+ * @param {string} [params.system] - System instructions
+ * @param {number} [params.maxOutputTokens] - Largest answer to request (Anthropic requires one,
+ *   so it defaults to the model's maxOutputTokens there)
+ * @param {string} [params.format] - Request format for providers without a built-in one:
+ *   'openai', 'anthropic', 'gemini', 'bedrock' or 'ollama'
+ * @param {Object} [params.registry] - Registry to look up the model's limits in
+ * @returns {Object} Request body (plain JSON)
+ * @throws {InvalidInputError} If the chunk or a parameter is invalid
+ * @throws {ProviderNotSupportedError} If the provider has no request format and none is given
+ * @throws {ImageLimitError} If an image is not in a supported format
+ */
+export function toProviderPayload(
+  chunk,
+  { provider, model, system, maxOutputTokens, format, registry } = {}
+) {
+  if (!provider || typeof provider !== 'string') {
+    throw new InvalidInputError('Provider is required and must be a string');
+  }
+  if (!model || typeof model !== 'string') {
+    throw new InvalidInputError('Model is required and must be a string');
+  }
+  if (system !== undefined && typeof system !== 'string') {
+    throw new InvalidInputError('System instructions must be a string', { provider, model });
+  }
+  if (maxOutputTokens !== undefined && (!Number.isInteger(maxOutputTokens) || maxOutputTokens <= 0)) {
+    throw new InvalidInputError('maxOutputTokens must be a positive integer', { provider, model });
+  }
+
+  const name = resolveFormat(provider, model, format);
+
+  let outputTokens = maxOutputTokens;
+  if (outputTokens === undefined && name === 'anthropic') {
+    const limits = resolveRegistry(registry).getProviderLimits(provider, model);
+    outputTokens = (limits && limits.maxOutputTokens) || DEFAULT_MAX_OUTPUT_TOKENS;
+  }
+
+  return FORMATS[name](chunkParts(chunk, provider, model), {
+    model,
+    system,
+    maxOutputTokens: outputTokens,
+  });
+}
+
+/**
+ * Measure the request bodies of a provider's chunks
+ * Text is measured JSON-escaped and images base64-encoded, each image with the
+ * JSON around it (and around a text part it may split off). The envelope is the
+ * body of a chunk with no text or images; with the sizes of a chunk's text and
+ * images, it adds up to at least the size of the chunk's body.
+ * @param {Object} params - Request parameters
+ * @param {string} params.provider - Provider name
+ * @param {string} params.model - Model name
+ * @param {string} [params.system] - System instructions sent with every chunk
+ * @param {number} [params.maxOutputTokens] - Largest answer to request
+ * @param {string} [params.format] - Request format for providers without a built-in one
+ * @param {Object} [params.limits] - Model limits, whose maxOutputTokens is counted when none is given
+ * @returns {Object} {envelope, byteSize}: bytes of the body around a chunk, and the byte size
+ *   {text(text), image(image), maxCharBytes} of the chunk's text and normalized images
+ * @throws {InvalidInputError} If the format is unknown
+ * @throws {ProviderNotSupportedError} If the provider has no request format and none is given
+ */
+export function measureRequest({ provider, model, system, maxOutputTokens, format, limits = {} }) {
+  const build = FORMATS[resolveFormat(provider, model, format)];
+  const params = {
+    model,
+    system,
+    // Counted even where it is optional, in case the request sets it
+    maxOutputTokens: maxOutputTokens || limits.maxOutputTokens || DEFAULT_MAX_OUTPUT_TOKENS,
+  };
+  const text = { type: 'text', text: '' };
+  const envelope = jsonByteSize(build([text], params));
+
+  // JSON around an image, by MIME type
+  const wrappers = new Map();
+  const wrapper = (mime) => {
+    if (!wrappers.has(mime)) {
+      const image = { type: 'image', image: { mime, buffer: EMPTY_BUFFER } };
+      wrappers.set(mime, jsonByteSize(build([text, image, text], params)) - envelope);
+    }
+    return wrappers.get(mime);
+  };
+
+  return {
+    envelope,
+    byteSize: {
+      // The quotes around the text are part of the envelope
+      text: (value) => (value ? jsonByteSize(value) - 2 : 0),
+      image: (image) => wrapper(image.mime) + 4 * Math.ceil(image.size / 3),
+      maxCharBytes: MAX_ESCAPED_CHAR_BYTES,
+    },
+  };
+}
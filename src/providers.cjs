@@ -10,129 +10,289 @@ const PROVIDER_LIMITS = {
   // OpenAI
   openai: {
     'gpt-4o': {
+      aliases: ['chatgpt-4o-latest'],
+      patterns: [{ prefix: 'gpt-4o-' }],
       maxTokens: 128000,
       maxChars: 512000,
       maxBytes: 512000,
+      maxRequestBytes: 50000000,
       maxImages: 10,
       imageByteLimit: 20000000,
+      allowedImageTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+      totalImageBytes: 50000000,
+      imageTokens: {
+        method: 'tiles',
+        tileSize: 512,
+        baseTokens: 85,
+        tileTokens: 170,
+        maxSize: 2048,
+        shortSide: 768,
+      },
+      contextWindow: 128000,
+      maxOutputTokens: 16384,
+      tokenizer: 'o200k',
+      tokenCalibration: { cjk: 0.6, alphabetic: 0.6, emoji: 0.7 },
+    },
+    'gpt-4o-mini': {
+      patterns: [{ prefix: 'gpt-4o-mini-' }],
+      maxTokens: 128000,
+      maxChars: 512000,
+      maxBytes: 512000,
+      maxRequestBytes: 50000000,
+      maxImages: 10,
+      imageByteLimit: 20000000,
+      allowedImageTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+      totalImageBytes: 50000000,
+      imageTokens: {
+        method: 'tiles',
+        tileSize: 512,
+        baseTokens: 2833,
+        tileTokens: 5667,
+        maxSize: 2048,
+        shortSide: 768,
+      },
+      contextWindow: 128000,
+      maxOutputTokens: 16384,
+      tokenizer: 'o200k',
+      tokenCalibration: { cjk: 0.6, alphabetic: 0.6, emoji: 0.7 },
     },
     'gpt-4-turbo': {
+      patterns: [{ prefix: 'gpt-4-turbo-' }, { regex: '^gpt-4-\\d{4}-preview$' }],
       maxTokens: 128000,
       maxChars: 512000,
       maxBytes: 512000,
+      maxRequestBytes: 50000000,
       maxImages: 10,
       imageByteLimit: 20000000,
+      allowedImageTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+      totalImageBytes: 50000000,
+      imageTokens: {
+        method: 'tiles',
+        tileSize: 512,
+        baseTokens: 85,
+        tileTokens: 170,
+        maxSize: 2048,
+        shortSide: 768,
+      },
+      contextWindow: 128000,
+      maxOutputTokens: 4096,
+      tokenizer: 'cl100k',
     },
     'gpt-4': {
+      patterns: [{ regex: '^gpt-4-\\d{4}$' }],
       maxTokens: 8192,
       maxChars: 32768,
       maxBytes: 32768,
+      maxRequestBytes: 50000000,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 8192,
+      maxOutputTokens: 8192,
+      tokenizer: 'cl100k',
     },
     'gpt-3.5-turbo': {
+      patterns: [{ prefix: 'gpt-3.5-turbo-' }],
       maxTokens: 16385,
       maxChars: 65540,
       maxBytes: 65540,
+      maxRequestBytes: 50000000,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 16385,
+      maxOutputTokens: 4096,
+      tokenizer: 'cl100k',
     },
     default: {
       maxTokens: 128000,
       maxChars: 512000,
       maxBytes: 512000,
+      maxRequestBytes: 50000000,
       maxImages: 10,
       imageByteLimit: 20000000,
+      allowedImageTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+      totalImageBytes: 50000000,
+      imageTokens: {
+        method: 'tiles',
+        tileSize: 512,
+        baseTokens: 85,
+        tileTokens: 170,
+        maxSize: 2048,
+        shortSide: 768,
+      },
+      contextWindow: 128000,
+      maxOutputTokens: 16384,
+      tokenizer: 'o200k',
+      tokenCalibration: { cjk: 0.6, alphabetic: 0.6, emoji: 0.7 },
     },
   },
   gemini: {
     'gemini-1.5-pro': {
+      patterns: [{ prefix: 'gemini-1.5-pro-' }],
       maxTokens: 2097152,
       maxChars: 8388608,
       maxBytes: 8388608,
+      maxRequestBytes: 20000000,
       maxImages: 16,
       imageByteLimit: 20000000,
+      allowedImageTypes: ['image/png', 'image/jpeg', 'image/webp'],
+      totalImageBytes: 20000000,
+      imageTokens: { method: 'fixed', tokens: 258 },
+      contextWindow: 2097152,
+      maxOutputTokens: 8192,
     },
     'gemini-1.5-flash': {
+      patterns: [{ prefix: 'gemini-1.5-flash-' }],
       maxTokens: 1048576,
       maxChars: 4194304,
       maxBytes: 4194304,
+      maxRequestBytes: 20000000,
       maxImages: 16,
       imageByteLimit: 20000000,
+      allowedImageTypes: ['image/png', 'image/jpeg', 'image/webp'],
+      totalImageBytes: 20000000,
+      imageTokens: { method: 'fixed', tokens: 258 },
+      contextWindow: 1048576,
+      maxOutputTokens: 8192,
     },
     'gemini-pro': {
+      aliases: ['gemini-1.0-pro'],
+      patterns: [{ prefix: 'gemini-1.0-pro-' }],
       maxTokens: 32768,
       maxChars: 131072,
       maxBytes: 131072,
+      maxRequestBytes: 20000000,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 32768,
+      maxOutputTokens: 2048,
     },
     default: {
       maxTokens: 2097152,
       maxChars: 8388608,
       maxBytes: 8388608,
+      maxRequestBytes: 20000000,
       maxImages: 16,
       imageByteLimit: 20000000,
+      allowedImageTypes: ['image/png', 'image/jpeg', 'image/webp'],
+      totalImageBytes: 20000000,
+      imageTokens: { method: 'fixed', tokens: 258 },
+      contextWindow: 2097152,
+      maxOutputTokens: 8192,
     },
   },
   anthropic: {
     'claude-3-5-sonnet-20241022': {
+      aliases: ['claude-3-5-sonnet-latest'],
+      patterns: [{ glob: 'claude-3-5-sonnet-*' }],
       maxTokens: 200000,
       maxChars: 800000,
       maxBytes: 800000,
+      maxRequestBytes: 32000000,
       maxImages: 20,
       imageByteLimit: 5000000,
+      allowedImageTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+      maxImageWidth: 8000,
+      maxImageHeight: 8000,
+      totalImageBytes: 32000000,
+      imageTokens: { method: 'area', pixelsPerToken: 750, maxSize: 1568 },
+      contextWindow: 200000,
+      maxOutputTokens: 8192,
     },
     'claude-3-opus-20240229': {
+      aliases: ['claude-3-opus-latest'],
+      patterns: [{ glob: 'claude-3-opus-*' }],
       maxTokens: 200000,
       maxChars: 800000,
       maxBytes: 800000,
+      maxRequestBytes: 32000000,
       maxImages: 20,
       imageByteLimit: 5000000,
+      allowedImageTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+      maxImageWidth: 8000,
+      maxImageHeight: 8000,
+      totalImageBytes: 32000000,
+      imageTokens: { method: 'area', pixelsPerToken: 750, maxSize: 1568 },
+      contextWindow: 200000,
+      maxOutputTokens: 4096,
     },
     'claude-3-sonnet-20240229': {
+      patterns: [{ glob: 'claude-3-sonnet-*' }],
       maxTokens: 200000,
       maxChars: 800000,
       maxBytes: 800000,
+      maxRequestBytes: 32000000,
       maxImages: 20,
       imageByteLimit: 5000000,
+      allowedImageTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+      maxImageWidth: 8000,
+      maxImageHeight: 8000,
+      totalImageBytes: 32000000,
+      imageTokens: { method: 'area', pixelsPerToken: 750, maxSize: 1568 },
+      contextWindow: 200000,
+      maxOutputTokens: 4096,
     },
     'claude-3-haiku-20240307': {
+      patterns: [{ glob: 'claude-3-haiku-*' }],
       maxTokens: 200000,
       maxChars: 800000,
       maxBytes: 800000,
+      maxRequestBytes: 32000000,
       maxImages: 20,
       imageByteLimit: 5000000,
+      allowedImageTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+      maxImageWidth: 8000,
+      maxImageHeight: 8000,
+      totalImageBytes: 32000000,
+      imageTokens: { method: 'area', pixelsPerToken: 750, maxSize: 1568 },
+      contextWindow: 200000,
+      maxOutputTokens: 4096,
     },
     default: {
       maxTokens: 200000,
       maxChars: 800000,
       maxBytes: 800000,
+      maxRequestBytes: 32000000,
       maxImages: 20,
       imageByteLimit: 5000000,
+      allowedImageTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+      maxImageWidth: 8000,
+      maxImageHeight: 8000,
+      totalImageBytes: 32000000,
+      imageTokens: { method: 'area', pixelsPerToken: 750, maxSize: 1568 },
+      contextWindow: 200000,
+      maxOutputTokens: 8192,
     },
   },
   mistral: {
     'mistral-large-latest': {
+      patterns: [{ prefix: 'mistral-large-' }],
       maxTokens: 128000,
       maxChars: 512000,
       maxBytes: 512000,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 128000,
+      maxOutputTokens: 4096,
     },
     'mistral-medium-latest': {
+      patterns: [{ prefix: 'mistral-medium-' }],
       maxTokens: 32000,
       maxChars: 128000,
       maxBytes: 128000,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 32000,
+      maxOutputTokens: 4096,
     },
     'mistral-small-latest': {
+      patterns: [{ prefix: 'mistral-small-' }],
       maxTokens: 32000,
       maxChars: 128000,
       maxBytes: 128000,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 32000,
+      maxOutputTokens: 4096,
     },
     default: {
       maxTokens: 128000,
@@ -140,22 +300,30 @@ const PROVIDER_LIMITS = {
       maxBytes: 512000,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 128000,
+      maxOutputTokens: 4096,
     },
   },
   cohere: {
     'command-r-plus': {
+      patterns: [{ prefix: 'command-r-plus-' }],
       maxTokens: 128000,
       maxChars: 512000,
       maxBytes: 512000,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 128000,
+      maxOutputTokens: 4096,
     },
     'command-r': {
+      patterns: [{ prefix: 'command-r-' }],
       maxTokens: 128000,
       maxChars: 512000,
       maxBytes: 512000,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 128000,
+      maxOutputTokens: 4096,
     },
     default: {
       maxTokens: 128000,
@@ -163,6 +331,8 @@ const PROVIDER_LIMITS = {
       maxBytes: 512000,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 128000,
+      maxOutputTokens: 4096,
     },
   },
   groq: {
@@ -170,29 +340,41 @@ const PROVIDER_LIMITS = {
       maxTokens: 131072,
       maxChars: 524288,
       maxBytes: 524288,
+      maxRequestBytes: 20000000,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 131072,
+      maxOutputTokens: 8192,
     },
     'llama-3.1-8b-instant': {
       maxTokens: 131072,
       maxChars: 524288,
       maxBytes: 524288,
+      maxRequestBytes: 20000000,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 131072,
+      maxOutputTokens: 8192,
     },
     'mixtral-8x7b-32768': {
       maxTokens: 32768,
       maxChars: 131072,
       maxBytes: 131072,
+      maxRequestBytes: 20000000,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 32768,
+      maxOutputTokens: 32768,
     },
     default: {
       maxTokens: 131072,
       maxChars: 524288,
       maxBytes: 524288,
+      maxRequestBytes: 20000000,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 131072,
+      maxOutputTokens: 8192,
     },
   },
   'azure-openai': {
@@ -200,38 +382,80 @@ const PROVIDER_LIMITS = {
       maxTokens: 128000,
       maxChars: 512000,
       maxBytes: 512000,
+      maxRequestBytes: 20000000,
       maxImages: 10,
       imageByteLimit: 20000000,
+      allowedImageTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+      totalImageBytes: 50000000,
+      imageTokens: {
+        method: 'tiles',
+        tileSize: 512,
+        baseTokens: 85,
+        tileTokens: 170,
+        maxSize: 2048,
+        shortSide: 768,
+      },
+      contextWindow: 128000,
+      maxOutputTokens: 16384,
+      tokenizer: 'o200k',
+      tokenCalibration: { cjk: 0.6, alphabetic: 0.6, emoji: 0.7 },
     },
   },
   bedrock: {
     'anthropic.claude-3-5-sonnet-20241022-v2:0': {
+      patterns: [{ glob: '*.anthropic.claude-3-5-sonnet-20241022-v2:0' }],
       maxTokens: 200000,
       maxChars: 800000,
       maxBytes: 800000,
+      maxRequestBytes: 20000000,
       maxImages: 20,
       imageByteLimit: 5000000,
+      allowedImageTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+      maxImageWidth: 8000,
+      maxImageHeight: 8000,
+      imageTokens: { method: 'area', pixelsPerToken: 750, maxSize: 1568 },
+      contextWindow: 200000,
+      maxOutputTokens: 8192,
     },
     'anthropic.claude-3-opus-20240229-v1:0': {
+      patterns: [{ glob: '*.anthropic.claude-3-opus-20240229-v1:0' }],
       maxTokens: 200000,
       maxChars: 800000,
       maxBytes: 800000,
+      maxRequestBytes: 20000000,
       maxImages: 20,
       imageByteLimit: 5000000,
+      allowedImageTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+      maxImageWidth: 8000,
+      maxImageHeight: 8000,
+      imageTokens: { method: 'area', pixelsPerToken: 750, maxSize: 1568 },
+      contextWindow: 200000,
+      maxOutputTokens: 4096,
     },
     'meta.llama3-1-405b-instruct-v1:0': {
+      patterns: [{ glob: '*.meta.llama3-1-405b-instruct-v1:0' }],
       maxTokens: 131072,
       maxChars: 524288,
       maxBytes: 524288,
+      maxRequestBytes: 20000000,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 131072,
+      maxOutputTokens: 2048,
     },
     default: {
       maxTokens: 200000,
       maxChars: 800000,
       maxBytes: 800000,
+      maxRequestBytes: 20000000,
       maxImages: 20,
       imageByteLimit: 5000000,
+      allowedImageTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+      maxImageWidth: 8000,
+      maxImageHeight: 8000,
+      imageTokens: { method: 'area', pixelsPerToken: 750, maxSize: 1568 },
+      contextWindow: 200000,
+      maxOutputTokens: 4096,
     },
   },
   together: {
@@ -241,6 +465,8 @@ const PROVIDER_LIMITS = {
       maxBytes: 32768,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 8192,
+      maxOutputTokens: 8192,
     },
     default: {
       maxTokens: 8192,
@@ -248,22 +474,30 @@ const PROVIDER_LIMITS = {
       maxBytes: 32768,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 8192,
+      maxOutputTokens: 8192,
     },
   },
   ollama: {
     'llama3': {
+      patterns: [{ prefix: 'llama3:' }],
       maxTokens: 8192,
       maxChars: 32768,
       maxBytes: 32768,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 8192,
+      maxOutputTokens: 8192,
     },
     'mistral': {
+      patterns: [{ prefix: 'mistral:' }],
       maxTokens: 8192,
       maxChars: 32768,
       maxBytes: 32768,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 8192,
+      maxOutputTokens: 8192,
     },
     default: {
       maxTokens: 8192,
@@ -271,20 +505,79 @@ const PROVIDER_LIMITS = {
       maxBytes: 32768,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 8192,
+      maxOutputTokens: 8192,
     },
   },
 };
 
+const MATCH_PRECEDENCE = ['exact', 'alias', 'prefix', 'glob', 'regex', 'default'];
+
+function globToRegExp(glob) {
+  const source = glob
+    .split('')
+    .map((char) => (char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[.+^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+function matchPattern(pattern, model) {
+  if (typeof pattern.prefix === 'string') {
+    return model.startsWith(pattern.prefix)
+      ? { match: 'prefix', pattern: pattern.prefix, specificity: pattern.prefix.length }
+      : null;
+  }
+  if (typeof pattern.glob === 'string') {
+    return globToRegExp(pattern.glob).test(model)
+      ? { match: 'glob', pattern: pattern.glob, specificity: pattern.glob.replace(/[*?]/g, '').length }
+      : null;
+  }
+  const regex = new RegExp(pattern.regex);
+  return regex.test(model) ? { match: 'regex', pattern: String(pattern.regex), specificity: 0 } : null;
+}
+
+function matchModel(models, model) {
+  const matches = [];
+  for (const [key, limits] of Object.entries(models)) {
+    if (key === model) {
+      matches.push({ key, match: 'exact', pattern: key, specificity: 0, limits });
+    }
+    if (Array.isArray(limits.aliases) && limits.aliases.includes(model)) {
+      matches.push({ key, match: 'alias', pattern: model, specificity: 0, limits });
+    }
+    for (const pattern of Array.isArray(limits.patterns) ? limits.patterns : []) {
+      const found = matchPattern(pattern, model);
+      if (found) {
+        matches.push({ key, ...found, limits });
+      }
+    }
+  }
+  if (Object.prototype.hasOwnProperty.call(models, 'default') && model !== 'default') {
+    matches.push({ key: 'default', match: 'default', pattern: null, specificity: 0, limits: models.default });
+  }
+
+  matches.sort(
+    (a, b) =>
+      MATCH_PRECEDENCE.indexOf(a.match) - MATCH_PRECEDENCE.indexOf(b.match) ||
+      b.specificity - a.specificity
+  );
+  return matches.map(({ key, match, pattern, limits }) => ({ key, match, pattern, limits }));
+}
+
 function getProviderLimits(provider, model) {
-  const providerConfig = PROVIDER_LIMITS[provider];
+  const providerConfig = Object.prototype.hasOwnProperty.call(PROVIDER_LIMITS, provider)
+    ? PROVIDER_LIMITS[provider]
+    : null;
   if (!providerConfig) {
     return null;
   }
-  return providerConfig[model] || providerConfig.default || null;
+
+  const [best] = matchModel(providerConfig, model);
+  return best ? best.limits : null;
 }
 
 module.exports = {
   PROVIDER_LIMITS,
+  matchModel,
   getProviderLimits,
 };
-
@@ -10,141 +10,309 @@
  * for your specific use case or when provider documentation indicates different values.
  * 
  * All limits are conservative estimates based on public documentation
+ *
+ * Besides its own name, a model entry matches the names in `aliases` and those
+ * matching its `patterns` ({prefix}, {glob} or {regex}); see matchModel.
+ *
+ * `maxRequestBytes` is the largest serialized request body, checked with
+ * byteMode: 'request'; models without one are held to maxBytes there.
  */
 export const PROVIDER_LIMITS = {
   // OpenAI
   openai: {
     'gpt-4o': {
+      aliases: ['chatgpt-4o-latest'],
+      patterns: [{ prefix: 'gpt-4o-' }], // Dated snapshots (gpt-4o-2024-08-06)
       maxTokens: 128000,
       maxChars: 512000, // ~4 chars per token
       maxBytes: 512000,
+      maxRequestBytes: 50000000, // 50MB request body
       maxImages: 10,
       imageByteLimit: 20000000, // 20MB per image
+      allowedImageTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+      totalImageBytes: 50000000, // 50MB of images per request
+      // 85 tokens plus 170 per 512px tile, after scaling to fit 2048px and a 768px short side
+      imageTokens: {
+        method: 'tiles',
+        tileSize: 512,
+        baseTokens: 85,
+        tileTokens: 170,
+        maxSize: 2048,
+        shortSide: 768,
+      },
+      contextWindow: 128000, // Input and output tokens combined
+      maxOutputTokens: 16384, // Largest completion the model can produce
+      tokenizer: 'o200k', // Used once ai-token-chunker/tokenizers/o200k is imported
+      tokenCalibration: { cjk: 0.6, alphabetic: 0.6, emoji: 0.7 }, // o200k is denser for non-Latin text
+    },
+    'gpt-4o-mini': {
+      patterns: [{ prefix: 'gpt-4o-mini-' }], // Longer than gpt-4o's prefix, so it wins
+      maxTokens: 128000,
+      maxChars: 512000,
+      maxBytes: 512000,
+      maxRequestBytes: 50000000,
+      maxImages: 10,
+      imageByteLimit: 20000000,
+      allowedImageTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+      totalImageBytes: 50000000,
+      // Same tiling as gpt-4o at a higher token cost per tile
+      imageTokens: {
+        method: 'tiles',
+        tileSize: 512,
+        baseTokens: 2833,
+        tileTokens: 5667,
+        maxSize: 2048,
+        shortSide: 768,
+      },
+      contextWindow: 128000,
+      maxOutputTokens: 16384,
+      tokenizer: 'o200k',
+      tokenCalibration: { cjk: 0.6, alphabetic: 0.6, emoji: 0.7 },
     },
     'gpt-4-turbo': {
+      patterns: [{ prefix: 'gpt-4-turbo-' }, { regex: '^gpt-4-\\d{4}-preview$' }],
       maxTokens: 128000,
       maxChars: 512000,
       maxBytes: 512000,
+      maxRequestBytes: 50000000,
       maxImages: 10,
       imageByteLimit: 20000000,
+      allowedImageTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+      totalImageBytes: 50000000,
+      imageTokens: {
+        method: 'tiles',
+        tileSize: 512,
+        baseTokens: 85,
+        tileTokens: 170,
+        maxSize: 2048,
+        shortSide: 768,
+      },
+      contextWindow: 128000,
+      maxOutputTokens: 4096,
+      tokenizer: 'cl100k',
     },
     'gpt-4': {
+      patterns: [{ regex: '^gpt-4-\\d{4}$' }], // gpt-4-0613
       maxTokens: 8192,
       maxChars: 32768,
       maxBytes: 32768,
+      maxRequestBytes: 50000000,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 8192,
+      maxOutputTokens: 8192,
+      tokenizer: 'cl100k',
     },
     'gpt-3.5-turbo': {
+      patterns: [{ prefix: 'gpt-3.5-turbo-' }],
       maxTokens: 16385,
       maxChars: 65540,
       maxBytes: 65540,
+      maxRequestBytes: 50000000,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 16385,
+      maxOutputTokens: 4096,
+      tokenizer: 'cl100k',
     },
     // Default fallback
     default: {
       maxTokens: 128000,
       maxChars: 512000,
       maxBytes: 512000,
+      maxRequestBytes: 50000000,
       maxImages: 10,
       imageByteLimit: 20000000,
+      allowedImageTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+      totalImageBytes: 50000000,
+      imageTokens: {
+        method: 'tiles',
+        tileSize: 512,
+        baseTokens: 85,
+        tileTokens: 170,
+        maxSize: 2048,
+        shortSide: 768,
+      },
+      contextWindow: 128000,
+      maxOutputTokens: 16384,
+      tokenizer: 'o200k',
+      tokenCalibration: { cjk: 0.6, alphabetic: 0.6, emoji: 0.7 },
     },
   },
 
   // Google Gemini
   gemini: {
     'gemini-1.5-pro': {
+      patterns: [{ prefix: 'gemini-1.5-pro-' }], // gemini-1.5-pro-002, gemini-1.5-pro-latest
       maxTokens: 2097152,
       maxChars: 8388608,
       maxBytes: 8388608,
+      maxRequestBytes: 20000000, // 20MB request body, inline data included
       maxImages: 16,
       imageByteLimit: 20000000,
+      allowedImageTypes: ['image/png', 'image/jpeg', 'image/webp'], // No GIF
+      totalImageBytes: 20000000, // Inline data per request
+      imageTokens: { method: 'fixed', tokens: 258 }, // Flat cost per image
+      contextWindow: 2097152,
+      maxOutputTokens: 8192,
     },
     'gemini-1.5-flash': {
+      patterns: [{ prefix: 'gemini-1.5-flash-' }],
       maxTokens: 1048576,
       maxChars: 4194304,
       maxBytes: 4194304,
+      maxRequestBytes: 20000000,
       maxImages: 16,
       imageByteLimit: 20000000,
+      allowedImageTypes: ['image/png', 'image/jpeg', 'image/webp'],
+      totalImageBytes: 20000000,
+      imageTokens: { method: 'fixed', tokens: 258 },
+      contextWindow: 1048576,
+      maxOutputTokens: 8192,
     },
     'gemini-pro': {
+      aliases: ['gemini-1.0-pro'],
+      patterns: [{ prefix: 'gemini-1.0-pro-' }],
       maxTokens: 32768,
       maxChars: 131072,
       maxBytes: 131072,
+      maxRequestBytes: 20000000,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 32768,
+      maxOutputTokens: 2048,
     },
     default: {
       maxTokens: 2097152,
       maxChars: 8388608,
       maxBytes: 8388608,
+      maxRequestBytes: 20000000,
       maxImages: 16,
       imageByteLimit: 20000000,
+      allowedImageTypes: ['image/png', 'image/jpeg', 'image/webp'],
+      totalImageBytes: 20000000,
+      imageTokens: { method: 'fixed', tokens: 258 },
+      contextWindow: 2097152,
+      maxOutputTokens: 8192,
     },
   },
 
   // Anthropic Claude
   anthropic: {
     'claude-3-5-sonnet-20241022': {
+      aliases: ['claude-3-5-sonnet-latest'],
+      patterns: [{ glob: 'claude-3-5-sonnet-*' }],
       maxTokens: 200000,
       maxChars: 800000,
       maxBytes: 800000,
+      maxRequestBytes: 32000000, // 32MB request body
       maxImages: 20,
       imageByteLimit: 5000000, // 5MB per image
+      allowedImageTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+      maxImageWidth: 8000,
+      maxImageHeight: 8000,
+      totalImageBytes: 32000000, // 32MB request size
+      imageTokens: { method: 'area', pixelsPerToken: 750, maxSize: 1568 }, // ~width * height / 750
+      contextWindow: 200000,
+      maxOutputTokens: 8192,
     },
     'claude-3-opus-20240229': {
+      aliases: ['claude-3-opus-latest'],
+      patterns: [{ glob: 'claude-3-opus-*' }],
       maxTokens: 200000,
       maxChars: 800000,
       maxBytes: 800000,
+      maxRequestBytes: 32000000,
       maxImages: 20,
       imageByteLimit: 5000000,
+      allowedImageTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+      maxImageWidth: 8000,
+      maxImageHeight: 8000,
+      totalImageBytes: 32000000,
+      imageTokens: { method: 'area', pixelsPerToken: 750, maxSize: 1568 },
+      contextWindow: 200000,
+      maxOutputTokens: 4096,
     },
     'claude-3-sonnet-20240229': {
+      patterns: [{ glob: 'claude-3-sonnet-*' }],
       maxTokens: 200000,
       maxChars: 800000,
       maxBytes: 800000,
+      maxRequestBytes: 32000000,
       maxImages: 20,
       imageByteLimit: 5000000,
+      allowedImageTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+      maxImageWidth: 8000,
+      maxImageHeight: 8000,
+      totalImageBytes: 32000000,
+      imageTokens: { method: 'area', pixelsPerToken: 750, maxSize: 1568 },
+      contextWindow: 200000,
+      maxOutputTokens: 4096,
     },
     'claude-3-haiku-20240307': {
+      patterns: [{ glob: 'claude-3-haiku-*' }],
       maxTokens: 200000,
       maxChars: 800000,
       maxBytes: 800000,
+      maxRequestBytes: 32000000,
       maxImages: 20,
       imageByteLimit: 5000000,
+      allowedImageTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+      maxImageWidth: 8000,
+      maxImageHeight: 8000,
+      totalImageBytes: 32000000,
+      imageTokens: { method: 'area', pixelsPerToken: 750, maxSize: 1568 },
+      contextWindow: 200000,
+      maxOutputTokens: 4096,
     },
     default: {
       maxTokens: 200000,
       maxChars: 800000,
       maxBytes: 800000,
+      maxRequestBytes: 32000000,
       maxImages: 20,
       imageByteLimit: 5000000,
+      allowedImageTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+      maxImageWidth: 8000,
+      maxImageHeight: 8000,
+      totalImageBytes: 32000000,
+      imageTokens: { method: 'area', pixelsPerToken: 750, maxSize: 1568 },
+      contextWindow: 200000,
+      maxOutputTokens: 8192,
     },
   },
 
   // Mistral
   mistral: {
     'mistral-large-latest': {
+      patterns: [{ prefix: 'mistral-large-' }], // mistral-large-2411
       maxTokens: 128000,
       maxChars: 512000,
       maxBytes: 512000,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 128000,
+      maxOutputTokens: 4096,
     },
     'mistral-medium-latest': {
+      patterns: [{ prefix: 'mistral-medium-' }],
       maxTokens: 32000,
       maxChars: 128000,
       maxBytes: 128000,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 32000,
+      maxOutputTokens: 4096,
     },
     'mistral-small-latest': {
+      patterns: [{ prefix: 'mistral-small-' }],
       maxTokens: 32000,
       maxChars: 128000,
       maxBytes: 128000,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 32000,
+      maxOutputTokens: 4096,
     },
     default: {
       maxTokens: 128000,
@@ -152,24 +320,32 @@ export const PROVIDER_LIMITS = {
       maxBytes: 512000,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 128000,
+      maxOutputTokens: 4096,
     },
   },
 
   // Cohere
   cohere: {
     'command-r-plus': {
+      patterns: [{ prefix: 'command-r-plus-' }], // command-r-plus-08-2024
       maxTokens: 128000,
       maxChars: 512000,
       maxBytes: 512000,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 128000,
+      maxOutputTokens: 4096,
     },
     'command-r': {
+      patterns: [{ prefix: 'command-r-' }],
       maxTokens: 128000,
       maxChars: 512000,
       maxBytes: 512000,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 128000,
+      maxOutputTokens: 4096,
     },
     default: {
       maxTokens: 128000,
@@ -177,6 +353,8 @@ export const PROVIDER_LIMITS = {
       maxBytes: 512000,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 128000,
+      maxOutputTokens: 4096,
     },
   },
 
@@ -186,29 +364,41 @@ export const PROVIDER_LIMITS = {
       maxTokens: 131072,
       maxChars: 524288,
       maxBytes: 524288,
+      maxRequestBytes: 20000000, // 20MB request body
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 131072,
+      maxOutputTokens: 8192,
     },
     'llama-3.1-8b-instant': {
       maxTokens: 131072,
       maxChars: 524288,
       maxBytes: 524288,
+      maxRequestBytes: 20000000,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 131072,
+      maxOutputTokens: 8192,
     },
     'mixtral-8x7b-32768': {
       maxTokens: 32768,
       maxChars: 131072,
       maxBytes: 131072,
+      maxRequestBytes: 20000000,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 32768,
+      maxOutputTokens: 32768,
     },
     default: {
       maxTokens: 131072,
       maxChars: 524288,
       maxBytes: 524288,
+      maxRequestBytes: 20000000,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 131072,
+      maxOutputTokens: 8192,
     },
   },
 
@@ -218,40 +408,82 @@ export const PROVIDER_LIMITS = {
       maxTokens: 128000,
       maxChars: 512000,
       maxBytes: 512000,
+      maxRequestBytes: 20000000, // 20MB request body
       maxImages: 10,
       imageByteLimit: 20000000,
+      allowedImageTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+      totalImageBytes: 50000000,
+      imageTokens: {
+        method: 'tiles',
+        tileSize: 512,
+        baseTokens: 85,
+        tileTokens: 170,
+        maxSize: 2048,
+        shortSide: 768,
+      },
+      contextWindow: 128000,
+      maxOutputTokens: 16384,
+      tokenizer: 'o200k',
+      tokenCalibration: { cjk: 0.6, alphabetic: 0.6, emoji: 0.7 },
     },
   },
 
   // AWS Bedrock (varies by model, using common defaults)
   bedrock: {
     'anthropic.claude-3-5-sonnet-20241022-v2:0': {
+      patterns: [{ glob: '*.anthropic.claude-3-5-sonnet-20241022-v2:0' }], // Cross-region (us., eu.)
       maxTokens: 200000,
       maxChars: 800000,
       maxBytes: 800000,
+      maxRequestBytes: 20000000, // 20MB request body
       maxImages: 20,
       imageByteLimit: 5000000,
+      allowedImageTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+      maxImageWidth: 8000,
+      maxImageHeight: 8000,
+      imageTokens: { method: 'area', pixelsPerToken: 750, maxSize: 1568 },
+      contextWindow: 200000,
+      maxOutputTokens: 8192,
     },
     'anthropic.claude-3-opus-20240229-v1:0': {
+      patterns: [{ glob: '*.anthropic.claude-3-opus-20240229-v1:0' }],
       maxTokens: 200000,
       maxChars: 800000,
       maxBytes: 800000,
+      maxRequestBytes: 20000000,
       maxImages: 20,
       imageByteLimit: 5000000,
+      allowedImageTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+      maxImageWidth: 8000,
+      maxImageHeight: 8000,
+      imageTokens: { method: 'area', pixelsPerToken: 750, maxSize: 1568 },
+      contextWindow: 200000,
+      maxOutputTokens: 4096,
     },
     'meta.llama3-1-405b-instruct-v1:0': {
+      patterns: [{ glob: '*.meta.llama3-1-405b-instruct-v1:0' }],
       maxTokens: 131072,
       maxChars: 524288,
       maxBytes: 524288,
+      maxRequestBytes: 20000000,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 131072,
+      maxOutputTokens: 2048,
     },
     default: {
       maxTokens: 200000,
       maxChars: 800000,
       maxBytes: 800000,
+      maxRequestBytes: 20000000,
       maxImages: 20,
       imageByteLimit: 5000000,
+      allowedImageTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+      maxImageWidth: 8000,
+      maxImageHeight: 8000,
+      imageTokens: { method: 'area', pixelsPerToken: 750, maxSize: 1568 },
+      contextWindow: 200000,
+      maxOutputTokens: 4096,
     },
   },
 
@@ -263,6 +495,8 @@ export const PROVIDER_LIMITS = {
       maxBytes: 32768,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 8192,
+      maxOutputTokens: 8192,
     },
     default: {
       maxTokens: 8192,
@@ -270,24 +504,32 @@ export const PROVIDER_LIMITS = {
       maxBytes: 32768,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 8192,
+      maxOutputTokens: 8192,
     },
   },
 
   // Ollama (local, conservative defaults)
   ollama: {
     'llama3': {
+      patterns: [{ prefix: 'llama3:' }], // Tags (llama3:8b)
       maxTokens: 8192,
       maxChars: 32768,
       maxBytes: 32768,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 8192,
+      maxOutputTokens: 8192,
     },
     'mistral': {
+      patterns: [{ prefix: 'mistral:' }],
       maxTokens: 8192,
       maxChars: 32768,
       maxBytes: 32768,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 8192,
+      maxOutputTokens: 8192,
     },
     default: {
       maxTokens: 8192,
@@ -295,23 +537,103 @@ export const PROVIDER_LIMITS = {
       maxBytes: 32768,
       maxImages: 0,
       imageByteLimit: 0,
+      contextWindow: 8192,
+      maxOutputTokens: 8192,
     },
   },
 };
 
+// How a model name can match an entry, from most to least specific
+const MATCH_PRECEDENCE = ['exact', 'alias', 'prefix', 'glob', 'regex', 'default'];
+
+/**
+ * Convert a glob to a regular expression
+ * @param {string} glob - Glob where `*` matches any characters and `?` one character
+ * @returns {RegExp} Expression matching whole model names
+ */
+function globToRegExp(glob) {
+  const source = glob
+    .split('')
+    .map((char) => (char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[.+^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Test a model name against an entry's pattern
+ * @param {Object} pattern - {prefix}, {glob} or {regex} (a string or RegExp)
+ * @param {string} model - Model name
+ * @returns {Object|null} {match, pattern, specificity} if the name matches; longer prefixes
+ *   and globs with more literal characters are more specific
+ */
+function matchPattern(pattern, model) {
+  if (typeof pattern.prefix === 'string') {
+    return model.startsWith(pattern.prefix)
+      ? { match: 'prefix', pattern: pattern.prefix, specificity: pattern.prefix.length }
+      : null;
+  }
+  if (typeof pattern.glob === 'string') {
+    return globToRegExp(pattern.glob).test(model)
+      ? { match: 'glob', pattern: pattern.glob, specificity: pattern.glob.replace(/[*?]/g, '').length }
+      : null;
+  }
+  // A copy, so a global flag's lastIndex does not carry over between lookups
+  const regex = new RegExp(pattern.regex);
+  return regex.test(model) ? { match: 'regex', pattern: String(pattern.regex), specificity: 0 } : null;
+}
+
+/**
+ * Find every entry a model name matches, best first
+ * Exact names win, then aliases, prefixes (longest first), globs (most literal
+ * characters first), regexes and finally 'default'; ties go to the entry listed first.
+ * @param {Object} models - Limits by model name, with optional `aliases` and `patterns`
+ * @param {string} model - Model name
+ * @returns {Array<Object>} Matches [{key, match, pattern, limits}]; `match` is one of
+ *   'exact', 'alias', 'prefix', 'glob', 'regex' or 'default'
+ */
+export function matchModel(models, model) {
+  const matches = [];
+  for (const [key, limits] of Object.entries(models)) {
+    if (key === model) {
+      matches.push({ key, match: 'exact', pattern: key, specificity: 0, limits });
+    }
+    if (Array.isArray(limits.aliases) && limits.aliases.includes(model)) {
+      matches.push({ key, match: 'alias', pattern: model, specificity: 0, limits });
+    }
+    for (const pattern of Array.isArray(limits.patterns) ? limits.patterns : []) {
+      const found = matchPattern(pattern, model);
+      if (found) {
+        matches.push({ key, ...found, limits });
+      }
+    }
+  }
+  if (Object.prototype.hasOwnProperty.call(models, 'default') && model !== 'default') {
+    matches.push({ key: 'default', match: 'default', pattern: null, specificity: 0, limits: models.default });
+  }
+
+  // Array sort is stable, so equal matches stay in table order
+  matches.sort(
+    (a, b) =>
+      MATCH_PRECEDENCE.indexOf(a.match) - MATCH_PRECEDENCE.indexOf(b.match) ||
+      b.specificity - a.specificity
+  );
+  return matches.map(({ key, match, pattern, limits }) => ({ key, match, pattern, limits }));
+}
+
 /**
  * Get limits for a provider and model
  * @param {string} provider - Provider name
- * @param {string} model - Model name
+ * @param {string} model - Model name, alias or a name matching a model's patterns
  * @returns {Object} Limit configuration
  */
 export function getProviderLimits(provider, model) {
-  const providerConfig = PROVIDER_LIMITS[provider];
+  const providerConfig = Object.prototype.hasOwnProperty.call(PROVIDER_LIMITS, provider)
+    ? PROVIDER_LIMITS[provider]
+    : null;
   if (!providerConfig) {
     return null;
   }
 
-  // Try exact model match first, then fallback to default
-  return providerConfig[model] || providerConfig.default || null;
+  const [best] = matchModel(providerConfig, model);
+  return best ? best.limits : null;
 }
-
@@ -0,0 +1,122 @@
+/**
+ * Reassembly of chunks and per-chunk outputs (CommonJS)
+ *
+ * Chunks are put back together using their source offsets. Per-chunk outputs
+ * (translations, corrections, ...) are merged by lining up the end of one
+ * output with the start of the next where their chunks overlapped, so the
+ * overlapping text appears only once.
+ */
+
+const { InvalidInputError } = require('./errors.cjs');
+
+const MIN_MATCH = 16;
+
+function sourceText(chunk) {
+  const { prefix, suffix } = chunk.carried;
+  return chunk.text.slice(prefix, chunk.text.length - suffix);
+}
+
+function stripCarried(chunk, output) {
+  const { prefix, suffix } = chunk.carried;
+  const opened = chunk.text.slice(0, prefix).toLowerCase();
+  const closed = chunk.text.slice(chunk.text.length - suffix).toLowerCase();
+  let start = 0;
+  let end = output.length;
+
+  if (opened) {
+    const lead = output.length - output.trimStart().length;
+    const found = [opened, opened.trim()].find(
+      (text) => output.slice(lead, lead + text.length).toLowerCase() === text
+    );
+    if (found !== undefined) {
+      start = lead + found.length;
+    }
+  }
+  if (closed) {
+    const trail = output.trimEnd().length;
+    const found = [closed, closed.trim()].find(
+      (text) =>
+        trail - text.length >= start &&
+        output.slice(trail - text.length, trail).toLowerCase() === text
+    );
+    if (found !== undefined) {
+      end = trail - found.length;
+    }
+  }
+  return output.slice(start, end);
+}
+
+function findOverlap(merged, output, overlap) {
+  const longest = Math.min(merged.length, output.length, overlap * 2);
+  const shortest = Math.min(Math.ceil(overlap / 2), MIN_MATCH);
+
+  for (let length = longest; length >= shortest; length--) {
+    if (merged.endsWith(output.slice(0, length))) {
+      return length;
+    }
+  }
+  return -1;
+}
+
+function reassemble(chunks, outputs) {
+  if (!Array.isArray(chunks) || chunks.length === 0) {
+    throw new InvalidInputError('Chunks are required and must be a non-empty array');
+  }
+  if (chunks.some((chunk) => !chunk || typeof chunk.start !== 'number' || !chunk.carried)) {
+    throw new InvalidInputError('Chunks must have source offsets (from chunkPrompt or chunkStream)');
+  }
+  if (
+    outputs !== undefined &&
+    (!Array.isArray(outputs) ||
+      outputs.length !== chunks.length ||
+      outputs.some((output) => typeof output !== 'string'))
+  ) {
+    throw new InvalidInputError('Outputs must be an array of strings, one per chunk');
+  }
+
+  const entries = chunks
+    .map((chunk, i) => ({
+      chunk,
+      output: outputs ? stripCarried(chunk, outputs[i]) : sourceText(chunk),
+    }))
+    .sort((a, b) => a.chunk.index - b.chunk.index);
+
+  const unreconciled = [];
+  let text = entries[0].output;
+  let previous = entries[0].chunk;
+
+  for (const { chunk, output } of entries.slice(1)) {
+    const overlap = chunk.overlapStart;
+    const contiguous = chunk.start === previous.end - overlap;
+
+    if (!outputs) {
+      if (contiguous && text.endsWith(output.slice(0, overlap))) {
+        text += output.slice(overlap);
+      } else {
+        unreconciled.push({ index: chunk.index, overlap });
+        text += output;
+      }
+    } else if (overlap === 0) {
+      text += output;
+    } else {
+      const merged = text.trimEnd();
+      const trimmed = output.trimStart();
+      const length = contiguous ? findOverlap(merged, trimmed, overlap) : -1;
+
+      if (length === -1) {
+        unreconciled.push({ index: chunk.index, overlap });
+        text += output;
+      } else {
+        text = merged + trimmed.slice(length);
+      }
+    }
+
+    previous = chunk;
+  }
+
+  return { text, unreconciled };
+}
+
+module.exports = {
+  reassemble,
+};
@@ -0,0 +1,150 @@
+/**
+ * Reassembly of chunks and per-chunk outputs
+ *
+ * Chunks are put back together using their source offsets. Per-chunk outputs
+ * (translations, corrections, ...) are merged by lining up the end of one
+ * output with the start of the next where their chunks overlapped, so the
+ * overlapping text appears only once.
+ */
+
+import { InvalidInputError } from './errors.js';
+
+// An overlap is trusted once this many characters (or half of it) line up
+const MIN_MATCH = 16;
+
+/**
+ * Get the source text of a chunk, without text a strategy added around it
+ * @param {Object} chunk - Chunk from chunkPrompt or chunkStream
+ * @returns {string} Source text
+ */
+function sourceText(chunk) {
+  const { prefix, suffix } = chunk.carried;
+  return chunk.text.slice(prefix, chunk.text.length - suffix);
+}
+
+/**
+ * Remove the fence or tags a strategy added around a chunk from its output
+ * Outputs may change their case or the whitespace around them; text that cannot
+ * be found is kept.
+ * @param {Object} chunk - Chunk the output was produced for
+ * @param {string} output - Output for the chunk
+ * @returns {string} Output without the carried prefix and suffix
+ */
+function stripCarried(chunk, output) {
+  const { prefix, suffix } = chunk.carried;
+  const opened = chunk.text.slice(0, prefix).toLowerCase();
+  const closed = chunk.text.slice(chunk.text.length - suffix).toLowerCase();
+  let start = 0;
+  let end = output.length;
+
+  if (opened) {
+    const lead = output.length - output.trimStart().length;
+    const found = [opened, opened.trim()].find(
+      (text) => output.slice(lead, lead + text.length).toLowerCase() === text
+    );
+    if (found !== undefined) {
+      start = lead + found.length;
+    }
+  }
+  if (closed) {
+    const trail = output.trimEnd().length;
+    const found = [closed, closed.trim()].find(
+      (text) =>
+        trail - text.length >= start &&
+        output.slice(trail - text.length, trail).toLowerCase() === text
+    );
+    if (found !== undefined) {
+      end = trail - found.length;
+    }
+  }
+  return output.slice(start, end);
+}
+
+/**
+ * Find how much of the start of an output repeats the end of the merged text
+ * @param {string} merged - Text merged so far
+ * @param {string} output - Next output
+ * @param {number} overlap - Source characters the two chunks shared
+ * @returns {number} Length of the repeated part of `output`, or -1 if none was found
+ */
+function findOverlap(merged, output, overlap) {
+  // Outputs may grow or shrink the overlap, so look a little beyond its source length
+  const longest = Math.min(merged.length, output.length, overlap * 2);
+  const shortest = Math.min(Math.ceil(overlap / 2), MIN_MATCH);
+
+  for (let length = longest; length >= shortest; length--) {
+    if (merged.endsWith(output.slice(0, length))) {
+      return length;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Reassemble chunks, or the outputs produced for them, into one text
+ * @param {Array<Object>} chunks - Chunks from chunkPrompt or chunkStream, in any order
+ * @param {Array<string>} [outputs] - Text produced for each chunk, in the same order as `chunks`
+ * @returns {Object} {text, unreconciled: [{index, overlap}]}: the merged text, and the chunks whose
+ *   overlap with the previous chunk could not be found (their output is kept whole)
+ * @throws {InvalidInputError} If chunks have no source offsets or outputs do not match chunks
+ */
+export function reassemble(chunks, outputs) {
+  if (!Array.isArray(chunks) || chunks.length === 0) {
+    throw new InvalidInputError('Chunks are required and must be a non-empty array');
+  }
+  if (chunks.some((chunk) => !chunk || typeof chunk.start !== 'number' || !chunk.carried)) {
+    throw new InvalidInputError('Chunks must have source offsets (from chunkPrompt or chunkStream)');
+  }
+  if (
+    outputs !== undefined &&
+    (!Array.isArray(outputs) ||
+      outputs.length !== chunks.length ||
+      outputs.some((output) => typeof output !== 'string'))
+  ) {
+    throw new InvalidInputError('Outputs must be an array of strings, one per chunk');
+  }
+
+  const entries = chunks
+    .map((chunk, i) => ({
+      chunk,
+      output: outputs ? stripCarried(chunk, outputs[i]) : sourceText(chunk),
+    }))
+    .sort((a, b) => a.chunk.index - b.chunk.index);
+
+  const unreconciled = [];
+  let text = entries[0].output;
+  let previous = entries[0].chunk;
+
+  for (const { chunk, output } of entries.slice(1)) {
+    const overlap = chunk.overlapStart;
+    const contiguous = chunk.start === previous.end - overlap;
+
+    if (!outputs) {
+      // Source text overlaps exactly, unless chunks are missing
+      if (contiguous && text.endsWith(output.slice(0, overlap))) {
+        text += output.slice(overlap);
+      } else {
+        unreconciled.push({ index: chunk.index, overlap });
+        text += output;
+      }
+    } else if (overlap === 0) {
+      text += output;
+    } else {
+      // Models often trim or add whitespace around their output
+      const merged = text.trimEnd();
+      const trimmed = output.trimStart();
+      const length = contiguous ? findOverlap(merged, trimmed, overlap) : -1;
+
+      if (length === -1) {
+        unreconciled.push({ index: chunk.index, overlap });
+        text += output;
+      } else {
+        text = merged + trimmed.slice(length);
+      }
+    }
+
+    previous = chunk;
+  }
+
+  return { text, unreconciled };
+}
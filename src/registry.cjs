@@ -0,0 +1,443 @@
+/**
+ * Provider and model registries (CommonJS)
+ *
+ * A registry maps provider names to their models' limits. The default registry
+ * is PROVIDER_LIMITS itself, so registering a model makes it available to every
+ * caller. Scoped registries start from a copy of PROVIDER_LIMITS and keep their
+ * registrations to themselves; pass one to createChunker, or as `options.registry`,
+ * to keep tenants apart.
+ *
+ * Limits can also be loaded from JSON config, deep-merged over the registered
+ * limits. The file named by the AI_TOKEN_CHUNKER_LIMITS environment variable is
+ * loaded into the default registry when this module is first imported.
+ */
+
+const { readFileSync } = require('node:fs');
+const { resolve } = require('node:path');
+const { InvalidInputError } = require('./errors.cjs');
+const { PROVIDER_LIMITS, matchModel } = require('./providers.cjs');
+
+const LIMITS_ENV = 'AI_TOKEN_CHUNKER_LIMITS';
+
+const SOURCES = new WeakMap();
+
+const REQUIRED_LIMITS = {
+  maxTokens: false,
+  maxChars: false,
+  maxBytes: false,
+  maxImages: true,
+  imageByteLimit: true,
+};
+
+const OPTIONAL_LIMITS = [
+  'contextWindow',
+  'maxOutputTokens',
+  'maxRequestBytes',
+  'maxImageWidth',
+  'maxImageHeight',
+  'maxImageMegapixels',
+  'totalImageBytes',
+];
+
+const IMAGE_TOKEN_FIELDS = {
+  tiles: ['tileSize', 'baseTokens', 'tileTokens', 'maxSize', 'shortSide'],
+  area: ['pixelsPerToken', 'maxSize'],
+  fixed: ['tokens'],
+};
+
+const PATTERN_KINDS = ['prefix', 'glob', 'regex'];
+
+function isLimit(value, allowZero = false) {
+  return Number.isFinite(value) && (value > 0 || (allowZero && value === 0));
+}
+
+function checkPattern(pattern) {
+  const kinds = isObject(pattern) ? PATTERN_KINDS.filter((kind) => pattern[kind] !== undefined) : [];
+  if (kinds.length !== 1) {
+    return `must have one of ${PATTERN_KINDS.join(', ')}`;
+  }
+  const value = pattern[kinds[0]];
+  if (kinds[0] === 'regex' && value instanceof RegExp) {
+    return null;
+  }
+  if (typeof value !== 'string' || !value) {
+    return `${kinds[0]} must be a non-empty string`;
+  }
+  if (kinds[0] === 'regex') {
+    try {
+      new RegExp(value);
+    } catch (error) {
+      return `regex is invalid: ${error.message}`;
+    }
+  }
+  return null;
+}
+
+function checkModelLimits(limits) {
+  if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+    return [{ field: '', message: 'must be an object' }];
+  }
+
+  const problems = [];
+  const problem = (field, message) => problems.push({ field, message });
+
+  for (const [field, allowZero] of Object.entries(REQUIRED_LIMITS)) {
+    if (limits[field] === undefined) {
+      problem(field, 'is required');
+    } else if (!isLimit(limits[field], allowZero)) {
+      problem(field, `must be a ${allowZero ? 'non-negative' : 'positive'} finite number`);
+    }
+  }
+  for (const field of OPTIONAL_LIMITS) {
+    if (limits[field] !== undefined && !isLimit(limits[field])) {
+      problem(field, 'must be a positive finite number');
+    }
+  }
+
+  if (isLimit(limits.maxChars) && isLimit(limits.maxBytes) && limits.maxChars > limits.maxBytes) {
+    problem('maxChars', `must not exceed maxBytes (${limits.maxBytes})`);
+  }
+  if (
+    isLimit(limits.contextWindow) &&
+    isLimit(limits.maxTokens) &&
+    limits.maxTokens > limits.contextWindow
+  ) {
+    problem('maxTokens', `must not exceed contextWindow (${limits.contextWindow})`);
+  }
+  if (
+    isLimit(limits.contextWindow) &&
+    isLimit(limits.maxOutputTokens) &&
+    limits.maxOutputTokens > limits.contextWindow
+  ) {
+    problem('maxOutputTokens', `must not exceed contextWindow (${limits.contextWindow})`);
+  }
+
+  if (limits.tokenizer !== undefined && (typeof limits.tokenizer !== 'string' || !limits.tokenizer)) {
+    problem('tokenizer', 'must be a tokenizer name');
+  }
+  const calibration = limits.tokenCalibration;
+  if (
+    calibration !== undefined &&
+    !isLimit(calibration) &&
+    !(
+      calibration &&
+      typeof calibration === 'object' &&
+      Object.values(calibration).every((factor) => isLimit(factor))
+    )
+  ) {
+    problem('tokenCalibration', 'must be a positive number or an object of positive numbers');
+  }
+  if (
+    limits.allowedImageTypes !== undefined &&
+    !(
+      Array.isArray(limits.allowedImageTypes) &&
+      limits.allowedImageTypes.every((type) => typeof type === 'string')
+    )
+  ) {
+    problem('allowedImageTypes', 'must be an array of MIME types');
+  }
+  if (
+    limits.aliases !== undefined &&
+    !(Array.isArray(limits.aliases) && limits.aliases.every((alias) => typeof alias === 'string' && alias))
+  ) {
+    problem('aliases', 'must be an array of model names');
+  }
+  if (limits.patterns !== undefined) {
+    if (!Array.isArray(limits.patterns)) {
+      problem('patterns', 'must be an array of {prefix}, {glob} or {regex}');
+    } else {
+      limits.patterns.forEach((pattern, index) => {
+        const message = checkPattern(pattern);
+        if (message) {
+          problem(`patterns[${index}]`, message);
+        }
+      });
+    }
+  }
+
+  const formula = limits.imageTokens;
+  if (formula !== undefined) {
+    const fields = formula && IMAGE_TOKEN_FIELDS[formula.method];
+    if (!fields) {
+      problem('imageTokens.method', `must be one of ${Object.keys(IMAGE_TOKEN_FIELDS).join(', ')}`);
+    } else {
+      for (const field of fields) {
+        if (!isLimit(formula[field], formula.method === 'fixed')) {
+          problem(`imageTokens.${field}`, 'must be a positive finite number');
+        }
+      }
+    }
+  }
+
+  return problems;
+}
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function assertProviders(providers) {
+  const details = [];
+  for (const [provider, models] of Object.entries(providers)) {
+    if (!isObject(models)) {
+      details.push({ provider, model: '', field: '', message: 'must be an object of limits by model name' });
+      continue;
+    }
+    for (const [model, limits] of Object.entries(models)) {
+      for (const { field, message } of checkModelLimits(limits)) {
+        details.push({ provider, model, field, message });
+      }
+    }
+  }
+
+  if (details.length > 0) {
+    const list = details
+      .map(({ provider, model, field, message }) =>
+        `${[provider, model].filter(Boolean).join('/')}${field ? `.${field}` : ''} ${message}`
+      )
+      .join('; ');
+    throw new InvalidInputError(`Invalid limits: ${list}`, {
+      provider: details[0].provider,
+      model: details[0].model || undefined,
+      details,
+    });
+  }
+}
+
+function mergeLimits(base, override) {
+  if (!isObject(base) || !isObject(override)) {
+    return structuredClone(override);
+  }
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = own(base, key) ? mergeLimits(base[key], value) : structuredClone(value);
+  }
+  return merged;
+}
+
+function readConfig(pathOrObject) {
+  if (isObject(pathOrObject)) {
+    return { config: pathOrObject, source: 'config' };
+  }
+  if (!pathOrObject || typeof pathOrObject !== 'string') {
+    throw new InvalidInputError('Limits must be a path to a JSON file or an object');
+  }
+
+  const path = resolve(pathOrObject);
+  let config;
+  try {
+    config = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new InvalidInputError(`Cannot load limits from ${path}: ${error.message}`);
+  }
+  if (!isObject(config)) {
+    throw new InvalidInputError(`Cannot load limits from ${path}: expected an object of providers`);
+  }
+  return { config, source: `file:${path}` };
+}
+
+function mergeConfig(table, config, source) {
+  const merged = {};
+  for (const [provider, models] of Object.entries(config)) {
+    if (!isObject(models)) {
+      merged[provider] = models;
+      continue;
+    }
+    merged[provider] = {};
+    for (const [model, limits] of Object.entries(models)) {
+      const base = own(table, provider) && own(table[provider], model) ? table[provider][model] : {};
+      merged[provider][model] = mergeLimits(base, limits);
+    }
+  }
+  assertProviders(merged);
+
+  for (const [provider, models] of Object.entries(merged)) {
+    if (!own(table, provider)) {
+      table[provider] = {};
+    }
+    for (const [model, limits] of Object.entries(models)) {
+      table[provider][model] = limits;
+      SOURCES.set(limits, source);
+    }
+  }
+  return merged;
+}
+
+function getLimitsSource(limits) {
+  return SOURCES.get(limits) || 'built-in';
+}
+
+function own(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function assertName(name, what) {
+  if (!name || typeof name !== 'string') {
+    throw new InvalidInputError(`${what} name is required and must be a string`);
+  }
+}
+
+function describeMatch({ key, match, pattern }, model) {
+  switch (match) {
+    case 'exact':
+      return `"${model}" is a model name`;
+    case 'alias':
+      return `"${model}" is an alias of ${key}`;
+    case 'default':
+      return `no model matched "${model}", so the provider default applies`;
+    default:
+      return `"${model}" matches ${match} ${match === 'regex' ? pattern : `"${pattern}"`} of ${key}`;
+  }
+}
+
+function registryOver(table) {
+  const registry = {
+    getProviderLimits(provider, model) {
+      const explained = registry.explainModel(provider, model);
+      return explained ? explained.limits : null;
+    },
+
+    explainModel(provider, model) {
+      const models = own(table, provider) ? table[provider] : null;
+      if (!models) {
+        return null;
+      }
+
+      const matches = typeof model === 'string' ? matchModel(models, model) : [];
+      const best = matches[0];
+      return {
+        provider,
+        model,
+        key: best ? best.key : null,
+        match: best ? best.match : null,
+        pattern: best ? best.pattern : null,
+        reason: best ? describeMatch(best, model) : `no model matched "${model}" and the provider has no default`,
+        limits: best ? best.limits : null,
+        limitsSource: best ? getLimitsSource(best.limits) : null,
+        candidates: matches.map(({ key, match, pattern }) => ({ key, match, pattern })),
+      };
+    },
+
+    registerProvider(name, models) {
+      assertName(name, 'Provider');
+      if (!isObject(models)) {
+        throw new InvalidInputError('Models must be an object of limits by model name', {
+          provider: name,
+        });
+      }
+      assertProviders({ [name]: models });
+
+      table[name] = {};
+      for (const [model, limits] of Object.entries(models)) {
+        table[name][model] = structuredClone(limits);
+        SOURCES.set(table[name][model], 'registered');
+      }
+      return table[name];
+    },
+
+    registerModel(provider, model, limits) {
+      assertName(provider, 'Provider');
+      assertName(model, 'Model');
+      assertProviders({ [provider]: { [model]: limits } });
+
+      if (!own(table, provider)) {
+        table[provider] = {};
+      }
+      table[provider][model] = structuredClone(limits);
+      SOURCES.set(table[provider][model], 'registered');
+      return table[provider][model];
+    },
+
+    loadLimits(pathOrObject) {
+      const { config, source } = readConfig(pathOrObject);
+      return mergeConfig(table, config, source);
+    },
+
+    unregisterProvider(name) {
+      if (!own(table, name)) {
+        return false;
+      }
+      delete table[name];
+      return true;
+    },
+
+    unregisterModel(provider, model) {
+      if (!own(table, provider) || !own(table[provider], model)) {
+        return false;
+      }
+      delete table[provider][model];
+      return true;
+    },
+
+    providers() {
+      return Object.fromEntries(Object.entries(table).map(([name, models]) => [name, Object.keys(models)]));
+    },
+  };
+  return registry;
+}
+
+const defaultRegistry = registryOver(PROVIDER_LIMITS);
+
+if (process.env[LIMITS_ENV]) {
+  const { config } = readConfig(process.env[LIMITS_ENV]);
+  mergeConfig(PROVIDER_LIMITS, config, `env:${resolve(process.env[LIMITS_ENV])}`);
+}
+
+function createRegistry() {
+  const table = {};
+  for (const [provider, models] of Object.entries(PROVIDER_LIMITS)) {
+    table[provider] = {};
+    for (const [model, limits] of Object.entries(models)) {
+      table[provider][model] = structuredClone(limits);
+      SOURCES.set(table[provider][model], getLimitsSource(limits));
+    }
+  }
+  return registryOver(table);
+}
+
+function resolveRegistry(registry) {
+  if (registry === undefined || registry === null) {
+    return defaultRegistry;
+  }
+  if (typeof registry.explainModel !== 'function') {
+    throw new InvalidInputError('Registry must be created with createRegistry');
+  }
+  return registry;
+}
+
+function explainModel(provider, model) {
+  return defaultRegistry.explainModel(provider, model);
+}
+
+function registerProvider(name, models) {
+  return defaultRegistry.registerProvider(name, models);
+}
+
+function registerModel(provider, model, limits) {
+  return defaultRegistry.registerModel(provider, model, limits);
+}
+
+function loadLimits(pathOrObject) {
+  return defaultRegistry.loadLimits(pathOrObject);
+}
+
+function unregisterProvider(name) {
+  return defaultRegistry.unregisterProvider(name);
+}
+
+function unregisterModel(provider, model) {
+  return defaultRegistry.unregisterModel(provider, model);
+}
+
+module.exports = {
+  checkModelLimits,
+  getLimitsSource,
+  createRegistry,
+  resolveRegistry,
+  explainModel,
+  registerProvider,
+  registerModel,
+  loadLimits,
+  unregisterProvider,
+  unregisterModel,
+};
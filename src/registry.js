@@ -0,0 +1,623 @@
+/**
+ * Provider and model registries
+ *
+ * A registry maps provider names to their models' limits. The default registry
+ * is PROVIDER_LIMITS itself, so registering a model makes it available to every
+ * caller. Scoped registries start from a copy of PROVIDER_LIMITS and keep their
+ * registrations to themselves; pass one to createChunker, or as `options.registry`,
+ * to keep tenants apart.
+ *
+ * Limits can also be loaded from JSON config, deep-merged over the registered
+ * limits. The file named by the AI_TOKEN_CHUNKER_LIMITS environment variable is
+ * loaded into the default registry when this module is first imported.
+ */
+
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { InvalidInputError } from './errors.js';
+import { PROVIDER_LIMITS, matchModel } from './providers.js';
+
+// Environment variable naming a limits file for the default registry
+const LIMITS_ENV = 'AI_TOKEN_CHUNKER_LIMITS';
+
+// Where each model's limits came from; models missing here are built in
+const SOURCES = new WeakMap();
+
+// Limits every model must set, and whether 0 is allowed (models without image input)
+const REQUIRED_LIMITS = {
+  maxTokens: false,
+  maxChars: false,
+  maxBytes: false,
+  maxImages: true,
+  imageByteLimit: true,
+};
+
+// Optional numeric limits
+const OPTIONAL_LIMITS = [
+  'contextWindow',
+  'maxOutputTokens',
+  'maxRequestBytes',
+  'maxImageWidth',
+  'maxImageHeight',
+  'maxImageMegapixels',
+  'totalImageBytes',
+];
+
+// Fields of each image token formula
+const IMAGE_TOKEN_FIELDS = {
+  tiles: ['tileSize', 'baseTokens', 'tileTokens', 'maxSize', 'shortSide'],
+  area: ['pixelsPerToken', 'maxSize'],
+  fixed: ['tokens'],
+};
+
+// Kinds of model name pattern
+const PATTERN_KINDS = ['prefix', 'glob', 'regex'];
+
+/**
+ * Check that a value is a finite number, positive or (when allowed) zero
+ * @param {*} value - Value to check
+ * @param {boolean} [allowZero] - Whether 0 is valid
+ * @returns {boolean} Whether the value is valid
+ */
+function isLimit(value, allowZero = false) {
+  return Number.isFinite(value) && (value > 0 || (allowZero && value === 0));
+}
+
+/**
+ * Find the problem with a model name pattern
+ * @param {*} pattern - Pattern to check
+ * @returns {string|null} Problem, or null if the pattern is valid
+ */
+function checkPattern(pattern) {
+  const kinds = isObject(pattern) ? PATTERN_KINDS.filter((kind) => pattern[kind] !== undefined) : [];
+  if (kinds.length !== 1) {
+    return `must have one of ${PATTERN_KINDS.join(', ')}`;
+  }
+  const value = pattern[kinds[0]];
+  if (kinds[0] === 'regex' && value instanceof RegExp) {
+    return null;
+  }
+  if (typeof value !== 'string' || !value) {
+    return `${kinds[0]} must be a non-empty string`;
+  }
+  if (kinds[0] === 'regex') {
+    try {
+      new RegExp(value);
+    } catch (error) {
+      return `regex is invalid: ${error.message}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find problems with a model's limits
+ * @param {Object} limits - Model limits
+ * @returns {Array<Object>} Problems [{field, message}], empty if the limits are valid
+ */
+export function checkModelLimits(limits) {
+  if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+    return [{ field: '', message: 'must be an object' }];
+  }
+
+  const problems = [];
+  const problem = (field, message) => problems.push({ field, message });
+
+  for (const [field, allowZero] of Object.entries(REQUIRED_LIMITS)) {
+    if (limits[field] === undefined) {
+      problem(field, 'is required');
+    } else if (!isLimit(limits[field], allowZero)) {
+      problem(field, `must be a ${allowZero ? 'non-negative' : 'positive'} finite number`);
+    }
+  }
+  for (const field of OPTIONAL_LIMITS) {
+    if (limits[field] !== undefined && !isLimit(limits[field])) {
+      problem(field, 'must be a positive finite number');
+    }
+  }
+
+  // Every character takes at least one byte, so more characters than bytes can never be reached
+  if (isLimit(limits.maxChars) && isLimit(limits.maxBytes) && limits.maxChars > limits.maxBytes) {
+    problem('maxChars', `must not exceed maxBytes (${limits.maxBytes})`);
+  }
+  if (
+    isLimit(limits.contextWindow) &&
+    isLimit(limits.maxTokens) &&
+    limits.maxTokens > limits.contextWindow
+  ) {
+    problem('maxTokens', `must not exceed contextWindow (${limits.contextWindow})`);
+  }
+  if (
+    isLimit(limits.contextWindow) &&
+    isLimit(limits.maxOutputTokens) &&
+    limits.maxOutputTokens > limits.contextWindow
+  ) {
+    problem('maxOutputTokens', `must not exceed contextWindow (${limits.contextWindow})`);
+  }
+
+  if (limits.tokenizer !== undefined && (typeof limits.tokenizer !== 'string' || !limits.tokenizer)) {
+    problem('tokenizer', 'must be a tokenizer name');
+  }
+  const calibration = limits.tokenCalibration;
+  if (
+    calibration !== undefined &&
+    !isLimit(calibration) &&
+    !(
+      calibration &&
+      typeof calibration === 'object' &&
+      Object.values(calibration).every((factor) => isLimit(factor))
+    )
+  ) {
+    problem('tokenCalibration', 'must be a positive number or an object of positive numbers');
+  }
+  if (
+    limits.allowedImageTypes !== undefined &&
+    !(
+      Array.isArray(limits.allowedImageTypes) &&
+      limits.allowedImageTypes.every((type) => typeof type === 'string')
+    )
+  ) {
+    problem('allowedImageTypes', 'must be an array of MIME types');
+  }
+  if (
+    limits.aliases !== undefined &&
+    !(Array.isArray(limits.aliases) && limits.aliases.every((alias) => typeof alias === 'string' && alias))
+  ) {
+    problem('aliases', 'must be an array of model names');
+  }
+  if (limits.patterns !== undefined) {
+    if (!Array.isArray(limits.patterns)) {
+      problem('patterns', 'must be an array of {prefix}, {glob} or {regex}');
+    } else {
+      limits.patterns.forEach((pattern, index) => {
+        const message = checkPattern(pattern);
+        if (message) {
+          problem(`patterns[${index}]`, message);
+        }
+      });
+    }
+  }
+
+  const formula = limits.imageTokens;
+  if (formula !== undefined) {
+    const fields = formula && IMAGE_TOKEN_FIELDS[formula.method];
+    if (!fields) {
+      problem('imageTokens.method', `must be one of ${Object.keys(IMAGE_TOKEN_FIELDS).join(', ')}`);
+    } else {
+      for (const field of fields) {
+        if (!isLimit(formula[field], formula.method === 'fixed')) {
+          problem(`imageTokens.${field}`, 'must be a positive finite number');
+        }
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Check whether a value is a plain object (not null or an array)
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a plain object
+ */
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Throw if any model's limits are invalid
+ * @param {Object} providers - Limits by provider, then model name
+ * @throws {InvalidInputError} With `details` [{provider, model, field, message}] for every problem
+ */
+function assertProviders(providers) {
+  const details = [];
+  for (const [provider, models] of Object.entries(providers)) {
+    if (!isObject(models)) {
+      details.push({ provider, model: '', field: '', message: 'must be an object of limits by model name' });
+      continue;
+    }
+    for (const [model, limits] of Object.entries(models)) {
+      for (const { field, message } of checkModelLimits(limits)) {
+        details.push({ provider, model, field, message });
+      }
+    }
+  }
+
+  if (details.length > 0) {
+    const list = details
+      .map(({ provider, model, field, message }) =>
+        `${[provider, model].filter(Boolean).join('/')}${field ? `.${field}` : ''} ${message}`
+      )
+      .join('; ');
+    throw new InvalidInputError(`Invalid limits: ${list}`, {
+      provider: details[0].provider,
+      model: details[0].model || undefined,
+      details,
+    });
+  }
+}
+
+/**
+ * Deep-merge limits; objects are merged, anything else (including arrays) replaces
+ * @param {*} base - Limits merged into
+ * @param {*} override - Limits taking precedence
+ * @returns {*} Merged limits
+ */
+function mergeLimits(base, override) {
+  if (!isObject(base) || !isObject(override)) {
+    return structuredClone(override);
+  }
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = own(base, key) ? mergeLimits(base[key], value) : structuredClone(value);
+  }
+  return merged;
+}
+
+/**
+ * Read limits config
+ * @param {string|Object} pathOrObject - Path to a JSON file, or the parsed config
+ * @returns {Object} {config, source}: limits by provider then model, and where they came from
+ * @throws {InvalidInputError} If the file cannot be read or parsed
+ */
+function readConfig(pathOrObject) {
+  if (isObject(pathOrObject)) {
+    return { config: pathOrObject, source: 'config' };
+  }
+  if (!pathOrObject || typeof pathOrObject !== 'string') {
+    throw new InvalidInputError('Limits must be a path to a JSON file or an object');
+  }
+
+  const path = resolve(pathOrObject);
+  let config;
+  try {
+    config = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new InvalidInputError(`Cannot load limits from ${path}: ${error.message}`);
+  }
+  if (!isObject(config)) {
+    throw new InvalidInputError(`Cannot load limits from ${path}: expected an object of providers`);
+  }
+  return { config, source: `file:${path}` };
+}
+
+/**
+ * Deep-merge config over a table of providers
+ * Nothing is changed unless every merged model is valid.
+ * @param {Object} table - Model limits by provider, then model name
+ * @param {Object} config - Limits by provider, then model name
+ * @param {string} source - Where the config came from
+ * @returns {Object} The merged models, by provider then model name
+ * @throws {InvalidInputError} If any merged model's limits are invalid
+ */
+function mergeConfig(table, config, source) {
+  const merged = {};
+  for (const [provider, models] of Object.entries(config)) {
+    if (!isObject(models)) {
+      merged[provider] = models;
+      continue;
+    }
+    merged[provider] = {};
+    for (const [model, limits] of Object.entries(models)) {
+      const base = own(table, provider) && own(table[provider], model) ? table[provider][model] : {};
+      merged[provider][model] = mergeLimits(base, limits);
+    }
+  }
+  assertProviders(merged);
+
+  for (const [provider, models] of Object.entries(merged)) {
+    if (!own(table, provider)) {
+      table[provider] = {};
+    }
+    for (const [model, limits] of Object.entries(models)) {
+      table[provider][model] = limits;
+      SOURCES.set(limits, source);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Get where a model's limits came from
+ * @param {Object} limits - Limits from a registry
+ * @returns {string} 'built-in', 'registered', 'config' (an object passed to loadLimits),
+ *   'file:<path>' (a file passed to loadLimits) or 'env:<path>' (the AI_TOKEN_CHUNKER_LIMITS file)
+ */
+export function getLimitsSource(limits) {
+  return SOURCES.get(limits) || 'built-in';
+}
+
+/**
+ * Check whether an object has its own property (names like 'constructor' are not models)
+ * @param {Object} object - Object to check
+ * @param {string} key - Property name
+ * @returns {boolean} Whether the property is set on the object itself
+ */
+function own(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Check a provider or model name
+ * @param {string} name - Name to check
+ * @param {string} what - 'Provider' or 'Model', for the error message
+ * @throws {InvalidInputError} If the name is not a non-empty string
+ */
+function assertName(name, what) {
+  if (!name || typeof name !== 'string') {
+    throw new InvalidInputError(`${what} name is required and must be a string`);
+  }
+}
+
+/**
+ * Describe why a model name resolved to an entry
+ * @param {Object} match - Best match from matchModel
+ * @param {string} model - Model name
+ * @returns {string} Reason
+ */
+function describeMatch({ key, match, pattern }, model) {
+  switch (match) {
+    case 'exact':
+      return `"${model}" is a model name`;
+    case 'alias':
+      return `"${model}" is an alias of ${key}`;
+    case 'default':
+      return `no model matched "${model}", so the provider default applies`;
+    default:
+      return `"${model}" matches ${match} ${match === 'regex' ? pattern : `"${pattern}"`} of ${key}`;
+  }
+}
+
+/**
+ * Create a registry over a table of providers
+ * @param {Object} table - Model limits by provider, then model name ('default' for unknown models)
+ * @returns {Object} Registry {getProviderLimits, explainModel, registerProvider, registerModel,
+ *   unregisterProvider, unregisterModel, loadLimits, providers}
+ */
+function registryOver(table) {
+  const registry = {
+    /**
+     * Get limits for a provider and model
+     * @param {string} provider - Provider name
+     * @param {string} model - Model name, alias or a name matching a model's patterns
+     * @returns {Object|null} Model limits, the provider's default limits, or null
+     */
+    getProviderLimits(provider, model) {
+      const explained = registry.explainModel(provider, model);
+      return explained ? explained.limits : null;
+    },
+
+    /**
+     * Show which entry a model name resolves to, and why
+     * @param {string} provider - Provider name
+     * @param {string} model - Model name
+     * @returns {Object|null} {provider, model, key, match, pattern, reason, limits, limitsSource,
+     *   candidates: [{key, match, pattern}]}, or null if the provider is not registered. `key` is
+     *   the resolved entry (null if nothing matched and there is no default), `match` how it matched
+     *   ('exact', 'alias', 'prefix', 'glob', 'regex' or 'default') and `candidates` every entry
+     *   that matched, in precedence order
+     */
+    explainModel(provider, model) {
+      const models = own(table, provider) ? table[provider] : null;
+      if (!models) {
+        return null;
+      }
+
+      const matches = typeof model === 'string' ? matchModel(models, model) : [];
+      const best = matches[0];
+      return {
+        provider,
+        model,
+        key: best ? best.key : null,
+        match: best ? best.match : null,
+        pattern: best ? best.pattern : null,
+        reason: best ? describeMatch(best, model) : `no model matched "${model}" and the provider has no default`,
+        limits: best ? best.limits : null,
+        limitsSource: best ? getLimitsSource(best.limits) : null,
+        candidates: matches.map(({ key, match, pattern }) => ({ key, match, pattern })),
+      };
+    },
+
+    /**
+     * Register a provider, replacing any provider of the same name
+     * @param {string} name - Provider name
+     * @param {Object} models - Limits by model name; 'default' applies to unlisted models
+     * @returns {Object} The registered models
+     * @throws {InvalidInputError} If the name or any model's limits are invalid
+     */
+    registerProvider(name, models) {
+      assertName(name, 'Provider');
+      if (!isObject(models)) {
+        throw new InvalidInputError('Models must be an object of limits by model name', {
+          provider: name,
+        });
+      }
+      assertProviders({ [name]: models });
+
+      table[name] = {};
+      for (const [model, limits] of Object.entries(models)) {
+        table[name][model] = structuredClone(limits);
+        SOURCES.set(table[name][model], 'registered');
+      }
+      return table[name];
+    },
+
+    /**
+     * Register a model, adding its provider if needed
+     * @param {string} provider - Provider name
+     * @param {string} model - Model name ('default' for the provider's unlisted models)
+     * @param {Object} limits - Model limits
+     * @returns {Object} The registered limits
+     * @throws {InvalidInputError} If a name or the limits are invalid
+     */
+    registerModel(provider, model, limits) {
+      assertName(provider, 'Provider');
+      assertName(model, 'Model');
+      assertProviders({ [provider]: { [model]: limits } });
+
+      if (!own(table, provider)) {
+        table[provider] = {};
+      }
+      table[provider][model] = structuredClone(limits);
+      SOURCES.set(table[provider][model], 'registered');
+      return table[provider][model];
+    },
+
+    /**
+     * Deep-merge limits config over the registered limits
+     * Models in the config are merged over the registered model of the same name
+     * (new models must be complete); the result is validated like registerModel.
+     * @param {string|Object} pathOrObject - Path to a JSON file, or the parsed config:
+     *   limits by provider, then model name
+     * @returns {Object} The merged models, by provider then model name
+     * @throws {InvalidInputError} If the file cannot be read or the merged limits are invalid
+     */
+    loadLimits(pathOrObject) {
+      const { config, source } = readConfig(pathOrObject);
+      return mergeConfig(table, config, source);
+    },
+
+    /**
+     * Remove a provider and all its models
+     * @param {string} name - Provider name
+     * @returns {boolean} Whether the provider was registered
+     */
+    unregisterProvider(name) {
+      if (!own(table, name)) {
+        return false;
+      }
+      delete table[name];
+      return true;
+    },
+
+    /**
+     * Remove a model from a provider
+     * @param {string} provider - Provider name
+     * @param {string} model - Model name
+     * @returns {boolean} Whether the model was registered
+     */
+    unregisterModel(provider, model) {
+      if (!own(table, provider) || !own(table[provider], model)) {
+        return false;
+      }
+      delete table[provider][model];
+      return true;
+    },
+
+    /**
+     * List registered providers and their models
+     * @returns {Object} Model names by provider name
+     */
+    providers() {
+      return Object.fromEntries(Object.entries(table).map(([name, models]) => [name, Object.keys(models)]));
+    },
+  };
+  return registry;
+}
+
+// Registry shared by every caller that does not pass its own
+const defaultRegistry = registryOver(PROVIDER_LIMITS);
+
+if (process.env[LIMITS_ENV]) {
+  const { config } = readConfig(process.env[LIMITS_ENV]);
+  mergeConfig(PROVIDER_LIMITS, config, `env:${resolve(process.env[LIMITS_ENV])}`);
+}
+
+/**
+ * Create a scoped registry
+ * It starts from a copy of PROVIDER_LIMITS (including models registered or loaded
+ * so far); later changes to either do not affect the other.
+ * @returns {Object} Registry {getProviderLimits, explainModel, registerProvider, registerModel,
+ *   unregisterProvider, unregisterModel, loadLimits, providers}
+ */
+export function createRegistry() {
+  const table = {};
+  for (const [provider, models] of Object.entries(PROVIDER_LIMITS)) {
+    table[provider] = {};
+    for (const [model, limits] of Object.entries(models)) {
+      table[provider][model] = structuredClone(limits);
+      SOURCES.set(table[provider][model], getLimitsSource(limits));
+    }
+  }
+  return registryOver(table);
+}
+
+/**
+ * Check a registry option
+ * @param {Object} [registry] - Registry from createRegistry
+ * @returns {Object} The registry, or the default registry
+ * @throws {InvalidInputError} If the option is not a registry
+ */
+export function resolveRegistry(registry) {
+  if (registry === undefined || registry === null) {
+    return defaultRegistry;
+  }
+  if (typeof registry.explainModel !== 'function') {
+    throw new InvalidInputError('Registry must be created with createRegistry');
+  }
+  return registry;
+}
+
+/**
+ * Show which entry of the default registry a model name resolves to, and why
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @returns {Object|null} {provider, model, key, match, pattern, reason, limits, limitsSource,
+ *   candidates}, or null if the provider is not registered
+ */
+export function explainModel(provider, model) {
+  return defaultRegistry.explainModel(provider, model);
+}
+
+/**
+ * Register a provider in the default registry
+ * @param {string} name - Provider name
+ * @param {Object} models - Limits by model name; 'default' applies to unlisted models
+ * @returns {Object} The registered models
+ * @throws {InvalidInputError} If the name or any model's limits are invalid
+ */
+export function registerProvider(name, models) {
+  return defaultRegistry.registerProvider(name, models);
+}
+
+/**
+ * Register a model in the default registry
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @param {Object} limits - Model limits
+ * @returns {Object} The registered limits
+ * @throws {InvalidInputError} If a name or the limits are invalid
+ */
+export function registerModel(provider, model, limits) {
+  return defaultRegistry.registerModel(provider, model, limits);
+}
+
+/**
+ * Deep-merge limits config over the default registry
+ * @param {string|Object} pathOrObject - Path to a JSON file, or the parsed config:
+ *   limits by provider, then model name
+ * @returns {Object} The merged models, by provider then model name
+ * @throws {InvalidInputError} If the file cannot be read or the merged limits are invalid
+ */
+export function loadLimits(pathOrObject) {
+  return defaultRegistry.loadLimits(pathOrObject);
+}
+
+/**
+ * Remove a provider from the default registry
+ * @param {string} name - Provider name
+ * @returns {boolean} Whether the provider was registered
+ */
+export function unregisterProvider(name) {
+  return defaultRegistry.unregisterProvider(name);
+}
+
+/**
+ * Remove a model from the default registry
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @returns {boolean} Whether the model was registered
+ */
+export function unregisterModel(provider, model) {
+  return defaultRegistry.unregisterModel(provider, model);
+}
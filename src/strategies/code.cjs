@@ -0,0 +1,272 @@
+/**
+ * Syntax-aware source code split strategy (CommonJS)
+ *
+ * A lightweight scanner tracks brackets (or indentation for Python), strings
+ * and comments line by line. Chunks end at top-level declaration boundaries,
+ * with leading comments, annotations and decorators kept with the declaration
+ * they describe. A single declaration larger than a chunk is split between its
+ * shallowest statements, and only then at arbitrary line boundaries.
+ *
+ * NOTE: This is not a parser. JavaScript regular expression literals are not
+ * recognized, so a bracket or quote inside one can make boundaries less precise.
+ */
+
+const { InvalidInputError } = require('../errors.cjs');
+
+const CODE = 'code';
+const LINE_COMMENT = 'lineComment';
+const BLOCK_COMMENT = 'blockComment';
+const STRING = 'string';
+
+const LANGUAGES = {
+  javascript: {
+    lineComment: '//',
+    blockComment: ['/*', '*/'],
+    quotes: ['"', "'"],
+    multiline: [['`', true]],
+    templates: true,
+  },
+  go: {
+    lineComment: '//',
+    blockComment: ['/*', '*/'],
+    quotes: ['"', "'"],
+    multiline: [['`', false]],
+  },
+  java: {
+    lineComment: '//',
+    blockComment: ['/*', '*/'],
+    quotes: ['"', "'"],
+    multiline: [['"""', true]],
+  },
+  python: {
+    indent: true,
+    lineComment: '#',
+    quotes: ['"', "'"],
+    multiline: [['"""', true], ["'''", true]],
+  },
+};
+LANGUAGES.typescript = LANGUAGES.javascript;
+
+const ALIASES = {
+  js: 'javascript',
+  jsx: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  golang: 'go',
+  py: 'python',
+};
+
+const BRACE_CONTINUATION_RE = /^[)\]}.,;?:+\-*/%&|^=<>!]/;
+const PYTHON_CONTINUATION_RE = /^(?:else|elif|except|finally)\b|^[)\]}]/;
+const PYTHON_DECLARATION_RE = /^(?:async\s+def|def|class)\b/;
+
+function scan(text, end, state, syntax) {
+  let mode = state ? state.mode : CODE;
+  let close = state ? state.close : '';
+  let escapes = state ? state.escapes : true;
+  let depth = state ? state.depth : 0;
+  let lastCode = state ? state.lastCode : '';
+  const templates = state ? [...state.templates] : [];
+
+  const boundaries = [];
+  let leadStart = -1;
+  let afterBlank = true;
+  let continued = false;
+
+  let lineStart = 0;
+  while (lineStart < text.length && lineStart <= end) {
+    let lineEnd = text.indexOf('\n', lineStart);
+    if (lineEnd === -1) {
+      lineEnd = text.length;
+    }
+    const line = text.slice(lineStart, lineEnd);
+    const trimmed = line.trim();
+
+    if (mode === CODE && templates.length === 0 && !continued && (!syntax.indent || depth === 0)) {
+      const level = syntax.indent ? line.length - line.trimStart().length : depth;
+
+      if (trimmed === '') {
+        leadStart = -1;
+        afterBlank = true;
+        pushBoundary(boundaries, lineStart, level, false);
+      } else if (
+        trimmed.startsWith(syntax.lineComment) ||
+        (syntax.blockComment && trimmed.startsWith(syntax.blockComment[0])) ||
+        trimmed[0] === '@'
+      ) {
+        if (leadStart === -1) {
+          leadStart = lineStart;
+        }
+        pushBoundary(boundaries, lineStart, level, false);
+      } else {
+        const declaration = syntax.indent
+          ? !PYTHON_CONTINUATION_RE.test(trimmed) &&
+            (level === 0 || PYTHON_DECLARATION_RE.test(trimmed))
+          : !BRACE_CONTINUATION_RE.test(trimmed) &&
+            (afterBlank || lastCode === '' || '};{'.includes(lastCode));
+
+        pushBoundary(boundaries, lineStart, level, false);
+        if (declaration) {
+          pushBoundary(boundaries, leadStart === -1 ? lineStart : leadStart, level, true);
+        }
+        leadStart = -1;
+        afterBlank = false;
+      }
+    }
+
+    if (lineStart >= end) {
+      break;
+    }
+
+    const scanEnd = Math.min(lineEnd, end);
+    for (let i = lineStart; i < scanEnd; i++) {
+      const char = text[i];
+
+      if (mode === LINE_COMMENT) {
+        break;
+      }
+
+      if (mode === BLOCK_COMMENT) {
+        if (text.startsWith(close, i)) {
+          mode = CODE;
+          i += close.length - 1;
+        }
+        continue;
+      }
+
+      if (mode === STRING) {
+        if (escapes && char === '\\') {
+          i++;
+        } else if (text.startsWith(close, i)) {
+          mode = CODE;
+          i += close.length - 1;
+        } else if (syntax.templates && close === '`' && text.startsWith('${', i)) {
+          templates.push(depth);
+          depth++;
+          mode = CODE;
+          i++;
+        }
+        continue;
+      }
+
+      if (text.startsWith(syntax.lineComment, i)) {
+        mode = LINE_COMMENT;
+        break;
+      }
+      if (syntax.blockComment && text.startsWith(syntax.blockComment[0], i)) {
+        mode = BLOCK_COMMENT;
+        close = syntax.blockComment[1];
+        i += syntax.blockComment[0].length - 1;
+        continue;
+      }
+
+      const multiline = syntax.multiline.find(([delimiter]) => text.startsWith(delimiter, i));
+      if (multiline) {
+        mode = STRING;
+        [close, escapes] = multiline;
+        i += close.length - 1;
+        lastCode = close[0];
+        continue;
+      }
+      if (syntax.quotes.includes(char)) {
+        mode = STRING;
+        close = char;
+        escapes = true;
+        lastCode = char;
+        continue;
+      }
+
+      if (char === '{' || char === '(' || char === '[') {
+        depth++;
+      } else if (char === '}' || char === ')' || char === ']') {
+        depth = Math.max(0, depth - 1);
+        if (char === '}' && templates.length > 0 && depth === templates[templates.length - 1]) {
+          templates.pop();
+          mode = STRING;
+          close = '`';
+          escapes = true;
+        }
+      }
+
+      if (char !== ' ' && char !== '\t' && char !== '\r') {
+        lastCode = char;
+      }
+    }
+
+    if (scanEnd < lineEnd) {
+      break;
+    }
+
+    if (mode === LINE_COMMENT || (mode === STRING && syntax.quotes.includes(close))) {
+      mode = CODE;
+    }
+    continued = Boolean(syntax.indent) && mode === CODE && line.trimEnd().endsWith('\\');
+
+    lineStart = lineEnd + 1;
+  }
+
+  return {
+    boundaries,
+    state: { mode, close, escapes, depth, lastCode, templates },
+  };
+}
+
+function pushBoundary(boundaries, pos, level, declaration) {
+  if (pos > 0) {
+    boundaries.push({ pos, level, declaration });
+  }
+}
+
+function createCodeStrategy({ language = 'javascript' } = {}) {
+  const key = typeof language === 'string' ? language.toLowerCase() : language;
+  const syntax = LANGUAGES[ALIASES[key] || key];
+  if (!syntax) {
+    throw new InvalidInputError(
+      `Unsupported language "${language}". Supported languages: ${Object.keys(LANGUAGES).join(', ')}`
+    );
+  }
+
+  return {
+    name: 'code',
+
+    findSplitPoint(text, maxLength, state, minLength = 0) {
+      if (maxLength >= text.length) {
+        return text.length;
+      }
+
+      const candidates = scan(text, maxLength, state, syntax).boundaries.filter(
+        (boundary) => boundary.pos > minLength && boundary.pos <= maxLength
+      );
+
+      for (let i = candidates.length - 1; i >= 0; i--) {
+        if (candidates[i].declaration && candidates[i].level === 0) {
+          return candidates[i].pos;
+        }
+      }
+
+      const late = candidates.filter((boundary) => boundary.pos >= maxLength / 2);
+      for (const pool of [late.filter((boundary) => boundary.declaration), late]) {
+        if (pool.length > 0) {
+          const level = Math.min(...pool.map((boundary) => boundary.level));
+          return pool.filter((boundary) => boundary.level === level).pop().pos;
+        }
+      }
+
+      return candidates.length > 0 ? candidates[candidates.length - 1].pos : -1;
+    },
+
+    settled(text, end) {
+      return text.indexOf('\n', end) !== -1;
+    },
+
+    carry(text, end, state, start = end) {
+      return { suffix: '', prefix: '', state: scan(text, start, state, syntax).state };
+    },
+  };
+}
+
+module.exports = {
+  createCodeStrategy,
+};
@@ -0,0 +1,332 @@
+/**
+ * Syntax-aware source code split strategy
+ *
+ * A lightweight scanner tracks brackets (or indentation for Python), strings
+ * and comments line by line. Chunks end at top-level declaration boundaries,
+ * with leading comments, annotations and decorators kept with the declaration
+ * they describe. A single declaration larger than a chunk is split between its
+ * shallowest statements, and only then at arbitrary line boundaries.
+ *
+ * NOTE: This is not a parser. JavaScript regular expression literals are not
+ * recognized, so a bracket or quote inside one can make boundaries less precise.
+ */
+
+import { InvalidInputError } from '../errors.js';
+
+// Scanner modes
+const CODE = 'code';
+const LINE_COMMENT = 'lineComment';
+const BLOCK_COMMENT = 'blockComment';
+const STRING = 'string';
+
+/**
+ * Supported languages
+ * - indent: indentation-based blocks (Python)
+ * - lineComment / blockComment: comment delimiters
+ * - quotes: single-line string delimiters (backslash escapes)
+ * - multiline: multi-line string delimiters [open/close, escapes?]
+ * - templates: `${...}` interpolation inside backtick strings
+ */
+const LANGUAGES = {
+  javascript: {
+    lineComment: '//',
+    blockComment: ['/*', '*/'],
+    quotes: ['"', "'"],
+    multiline: [['`', true]],
+    templates: true,
+  },
+  go: {
+    lineComment: '//',
+    blockComment: ['/*', '*/'],
+    quotes: ['"', "'"],
+    multiline: [['`', false]], // Raw strings
+  },
+  java: {
+    lineComment: '//',
+    blockComment: ['/*', '*/'],
+    quotes: ['"', "'"],
+    multiline: [['"""', true]], // Text blocks
+  },
+  python: {
+    indent: true,
+    lineComment: '#',
+    quotes: ['"', "'"],
+    multiline: [['"""', true], ["'''", true]],
+  },
+};
+LANGUAGES.typescript = LANGUAGES.javascript;
+
+const ALIASES = {
+  js: 'javascript',
+  jsx: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  golang: 'go',
+  py: 'python',
+};
+
+// Lines that continue the previous statement rather than start a new one
+const BRACE_CONTINUATION_RE = /^[)\]}.,;?:+\-*/%&|^=<>!]/;
+const PYTHON_CONTINUATION_RE = /^(?:else|elif|except|finally)\b|^[)\]}]/;
+const PYTHON_DECLARATION_RE = /^(?:async\s+def|def|class)\b/;
+
+/**
+ * Scan lines of code up to a position
+ * @param {string} text - Code, starting at the current chunk
+ * @param {number} end - Last position of interest
+ * @param {Object|null} state - Scanner state carried over from the previous chunk
+ * @param {Object} syntax - Language definition
+ * @returns {Object} {boundaries: [{pos, level, declaration}], state} with the state at `end`
+ */
+function scan(text, end, state, syntax) {
+  let mode = state ? state.mode : CODE;
+  let close = state ? state.close : ''; // Delimiter ending the current string or comment
+  let escapes = state ? state.escapes : true;
+  let depth = state ? state.depth : 0;
+  let lastCode = state ? state.lastCode : ''; // Last non-space code character
+  const templates = state ? [...state.templates] : []; // Depths of open `${`
+
+  const boundaries = [];
+  let leadStart = -1; // First comment/annotation line before the next statement
+  let afterBlank = true;
+  let continued = false; // Python backslash continuation
+
+  let lineStart = 0;
+  while (lineStart < text.length && lineStart <= end) {
+    let lineEnd = text.indexOf('\n', lineStart);
+    if (lineEnd === -1) {
+      lineEnd = text.length;
+    }
+    const line = text.slice(lineStart, lineEnd);
+    const trimmed = line.trim();
+
+    if (mode === CODE && templates.length === 0 && !continued && (!syntax.indent || depth === 0)) {
+      const level = syntax.indent ? line.length - line.trimStart().length : depth;
+
+      if (trimmed === '') {
+        leadStart = -1;
+        afterBlank = true;
+        pushBoundary(boundaries, lineStart, level, false);
+      } else if (
+        trimmed.startsWith(syntax.lineComment) ||
+        (syntax.blockComment && trimmed.startsWith(syntax.blockComment[0])) ||
+        trimmed[0] === '@'
+      ) {
+        // Comments, annotations and decorators belong to the statement after them
+        if (leadStart === -1) {
+          leadStart = lineStart;
+        }
+        pushBoundary(boundaries, lineStart, level, false);
+      } else {
+        const declaration = syntax.indent
+          ? !PYTHON_CONTINUATION_RE.test(trimmed) &&
+            (level === 0 || PYTHON_DECLARATION_RE.test(trimmed))
+          : !BRACE_CONTINUATION_RE.test(trimmed) &&
+            (afterBlank || lastCode === '' || '};{'.includes(lastCode));
+
+        pushBoundary(boundaries, lineStart, level, false);
+        if (declaration) {
+          pushBoundary(boundaries, leadStart === -1 ? lineStart : leadStart, level, true);
+        }
+        leadStart = -1;
+        afterBlank = false;
+      }
+    }
+
+    if (lineStart >= end) {
+      break;
+    }
+
+    // Scan the characters of the line, stopping at `end`
+    const scanEnd = Math.min(lineEnd, end);
+    for (let i = lineStart; i < scanEnd; i++) {
+      const char = text[i];
+
+      if (mode === LINE_COMMENT) {
+        break;
+      }
+
+      if (mode === BLOCK_COMMENT) {
+        if (text.startsWith(close, i)) {
+          mode = CODE;
+          i += close.length - 1;
+        }
+        continue;
+      }
+
+      if (mode === STRING) {
+        if (escapes && char === '\\') {
+          i++;
+        } else if (text.startsWith(close, i)) {
+          mode = CODE;
+          i += close.length - 1;
+        } else if (syntax.templates && close === '`' && text.startsWith('${', i)) {
+          templates.push(depth);
+          depth++;
+          mode = CODE;
+          i++;
+        }
+        continue;
+      }
+
+      // Code
+      if (text.startsWith(syntax.lineComment, i)) {
+        mode = LINE_COMMENT;
+        break;
+      }
+      if (syntax.blockComment && text.startsWith(syntax.blockComment[0], i)) {
+        mode = BLOCK_COMMENT;
+        close = syntax.blockComment[1];
+        i += syntax.blockComment[0].length - 1;
+        continue;
+      }
+
+      const multiline = syntax.multiline.find(([delimiter]) => text.startsWith(delimiter, i));
+      if (multiline) {
+        mode = STRING;
+        [close, escapes] = multiline;
+        i += close.length - 1;
+        lastCode = close[0];
+        continue;
+      }
+      if (syntax.quotes.includes(char)) {
+        mode = STRING;
+        close = char;
+        escapes = true;
+        lastCode = char;
+        continue;
+      }
+
+      if (char === '{' || char === '(' || char === '[') {
+        depth++;
+      } else if (char === '}' || char === ')' || char === ']') {
+        depth = Math.max(0, depth - 1);
+        if (char === '}' && templates.length > 0 && depth === templates[templates.length - 1]) {
+          // End of a template interpolation
+          templates.pop();
+          mode = STRING;
+          close = '`';
+          escapes = true;
+        }
+      }
+
+      if (char !== ' ' && char !== '\t' && char !== '\r') {
+        lastCode = char;
+      }
+    }
+
+    if (scanEnd < lineEnd) {
+      // `end` falls inside the line: the next chunk scans the rest of it
+      break;
+    }
+
+    // Line comments and unterminated single-line strings end with the line
+    if (mode === LINE_COMMENT || (mode === STRING && syntax.quotes.includes(close))) {
+      mode = CODE;
+    }
+    continued = Boolean(syntax.indent) && mode === CODE && line.trimEnd().endsWith('\\');
+
+    lineStart = lineEnd + 1;
+  }
+
+  return {
+    boundaries,
+    state: { mode, close, escapes, depth, lastCode, templates },
+  };
+}
+
+/**
+ * Record a boundary, skipping the start of the text
+ * @param {Array} boundaries - Boundaries found so far
+ * @param {number} pos - Boundary position
+ * @param {number} level - Nesting depth or indentation
+ * @param {boolean} declaration - Whether a declaration starts here
+ */
+function pushBoundary(boundaries, pos, level, declaration) {
+  if (pos > 0) {
+    boundaries.push({ pos, level, declaration });
+  }
+}
+
+/**
+ * Create a source code split strategy
+ * @param {Object} [options] - Strategy options
+ * @param {string} [options.language] - Language hint: javascript, typescript, python, go or java (default: javascript)
+ * @returns {Object} Strategy {name, findSplitPoint, settled, carry}
+ * @throws {InvalidInputError} If the language is not supported
+ */
+export function createCodeStrategy({ language = 'javascript' } = {}) {
+  const key = typeof language === 'string' ? language.toLowerCase() : language;
+  const syntax = LANGUAGES[ALIASES[key] || key];
+  if (!syntax) {
+    throw new InvalidInputError(
+      `Unsupported language "${language}". Supported languages: ${Object.keys(LANGUAGES).join(', ')}`
+    );
+  }
+
+  return {
+    name: 'code',
+
+    /**
+     * Find the best declaration boundary
+     * @param {string} text - Remaining code
+     * @param {number} maxLength - Maximum length for the chunk
+     * @param {Object|null} state - Scanner state carried over from the previous chunk
+     * @param {number} [minLength] - Split only after this length (the overlap repeated from
+     *   the previous chunk)
+     * @returns {number} Index to split at, or -1 to use the default sentence/word split
+     */
+    findSplitPoint(text, maxLength, state, minLength = 0) {
+      if (maxLength >= text.length) {
+        return text.length;
+      }
+
+      const candidates = scan(text, maxLength, state, syntax).boundaries.filter(
+        (boundary) => boundary.pos > minLength && boundary.pos <= maxLength
+      );
+
+      // Last top-level declaration
+      for (let i = candidates.length - 1; i >= 0; i--) {
+        if (candidates[i].declaration && candidates[i].level === 0) {
+          return candidates[i].pos;
+        }
+      }
+
+      // A single oversized declaration: split at its shallowest boundary in the
+      // second half of the chunk, preferring nested declarations
+      const late = candidates.filter((boundary) => boundary.pos >= maxLength / 2);
+      for (const pool of [late.filter((boundary) => boundary.declaration), late]) {
+        if (pool.length > 0) {
+          const level = Math.min(...pool.map((boundary) => boundary.level));
+          return pool.filter((boundary) => boundary.level === level).pop().pos;
+        }
+      }
+
+      return candidates.length > 0 ? candidates[candidates.length - 1].pos : -1;
+    },
+
+    /**
+     * Check whether boundaries up to a position no longer depend on code still to come
+     * @param {string} text - Remaining code, buffered so far
+     * @param {number} end - Last position of interest
+     * @returns {boolean} Whether the line at `end` is complete
+     */
+    settled(text, end) {
+      return text.indexOf('\n', end) !== -1;
+    },
+
+    /**
+     * Pass the scanner state on to the next chunk
+     * @param {string} text - Remaining code
+     * @param {number} end - Split point
+     * @param {Object|null} state - Scanner state carried over from the previous chunk
+     * @param {number} [start] - Where the next chunk starts (before `end` when it overlaps)
+     * @returns {Object} {suffix, prefix, state} with the scanner state at `start`
+     */
+    carry(text, end, state, start = end) {
+      return { suffix: '', prefix: '', state: scan(text, start, state, syntax).state };
+    },
+  };
+}
@@ -0,0 +1,227 @@
+/**
+ * HTML-aware split strategy (CommonJS)
+ *
+ * The markup is tokenized into tags, comments and text. Chunks end at
+ * block-level element boundaries, preferring the shallowest ones, and never
+ * inside a tag. Elements still open at the end of a chunk are closed there and
+ * re-opened (with their attributes) at the start of the next chunk.
+ */
+
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'caption', 'dd', 'details', 'dialog',
+  'div', 'dl', 'dt', 'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3',
+  'h4', 'h5', 'h6', 'head', 'header', 'hgroup', 'hr', 'html', 'li', 'main', 'nav', 'ol', 'p',
+  'pre', 'section', 'summary', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul',
+]);
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source',
+  'track', 'wbr',
+]);
+
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+const SELF_NESTING_ELEMENTS = new Set(['dd', 'dt', 'li', 'option', 'p', 'td', 'th', 'tr']);
+
+const TAG_RE = /<(\/?)([A-Za-z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>/y;
+
+function readToken(text, pos, rawText) {
+  if (rawText) {
+    const closeRe = new RegExp(`</${rawText}`, 'ig');
+    closeRe.lastIndex = pos;
+    const close = closeRe.exec(text);
+    if (!close || close.index !== pos) {
+      return { type: 'text', end: close ? close.index : text.length };
+    }
+  }
+
+  if (text[pos] === '<') {
+    if (text.startsWith('<!--', pos)) {
+      const close = text.indexOf('-->', pos + 4);
+      return { type: 'comment', end: close === -1 ? text.length : close + 3 };
+    }
+    if (text[pos + 1] === '!' || text[pos + 1] === '?') {
+      const close = text.indexOf('>', pos);
+      return { type: 'comment', end: close === -1 ? text.length : close + 1 };
+    }
+
+    TAG_RE.lastIndex = pos;
+    const match = TAG_RE.exec(text);
+    if (match) {
+      return {
+        type: match[1] ? 'end' : 'start',
+        end: TAG_RE.lastIndex,
+        name: match[2].toLowerCase(),
+        selfClosing: Boolean(match[4]),
+      };
+    }
+  }
+
+  const next = text.indexOf('<', pos + 1);
+  return { type: 'text', end: next === -1 ? text.length : next };
+}
+
+function scan(text, end, state) {
+  const stack = state ? [...state.stack] : [];
+  const boundaries = [];
+  const words = [];
+  let rawText = state ? state.rawText : null;
+  let afterBlock = false;
+  let afterOpen = false;
+  let read = 0;
+
+  let pos = 0;
+  while (pos < text.length && pos <= end) {
+    const token = readToken(text, pos, rawText);
+    read = token.end;
+    const startsBlock = token.type === 'start' && BLOCK_ELEMENTS.has(token.name);
+
+    if (pos > 0) {
+      boundaries.push({ pos, depth: stack.length, block: (afterBlock || startsBlock) && !afterOpen });
+    }
+    if (pos === end) {
+      break;
+    }
+
+    if (token.type === 'text' && token.end > end) {
+      for (let i = pos + 1; i <= end; i++) {
+        if (/\s/.test(text[i - 1]) && !/\s/.test(text[i])) {
+          words.push(i);
+        }
+      }
+    }
+
+    afterBlock = false;
+    afterOpen = token.type === 'start' && !token.selfClosing && !VOID_ELEMENTS.has(token.name);
+    if (token.type === 'start') {
+      if (SELF_NESTING_ELEMENTS.has(token.name) && stack.length > 0 && stack[stack.length - 1].name === token.name) {
+        stack.pop();
+      }
+      if (!token.selfClosing && !VOID_ELEMENTS.has(token.name)) {
+        stack.push({ name: token.name, tag: text.slice(pos, token.end) });
+        if (RAW_TEXT_ELEMENTS.has(token.name)) {
+          rawText = token.name;
+        }
+      }
+      afterBlock = BLOCK_ELEMENTS.has(token.name) && VOID_ELEMENTS.has(token.name);
+    } else if (token.type === 'end') {
+      const index = stack.map((element) => element.name).lastIndexOf(token.name);
+      if (index !== -1) {
+        stack.length = index;
+      }
+      rawText = null;
+      afterBlock = BLOCK_ELEMENTS.has(token.name);
+    }
+
+    pos = token.end;
+  }
+
+  return { boundaries, words, stack, rawText, read };
+}
+
+function stripMarkup(text, strip) {
+  let result = '';
+  let skipping = null;
+  let rawText = null;
+
+  for (let pos = 0; pos < text.length; ) {
+    const token = readToken(text, pos, rawText);
+    const raw = text.slice(pos, token.end);
+
+    if (token.type === 'start' && !token.selfClosing && RAW_TEXT_ELEMENTS.has(token.name)) {
+      rawText = token.name;
+    } else if (token.type === 'end') {
+      rawText = null;
+    }
+
+    if (skipping) {
+      if (token.type === 'end' && token.name === skipping) {
+        skipping = null;
+      }
+    } else if (
+      token.type === 'start' &&
+      ((strip.scripts && token.name === 'script') || (strip.styles && token.name === 'style'))
+    ) {
+      if (!token.selfClosing) {
+        skipping = token.name;
+      }
+    } else if (strip.attributes && (token.type === 'start' || token.type === 'end')) {
+      result += `<${token.type === 'end' ? '/' : ''}${token.name}${token.selfClosing ? ' /' : ''}>`;
+    } else {
+      result += raw;
+    }
+
+    pos = token.end;
+  }
+
+  return result;
+}
+
+function createHtmlStrategy({ stripHtml } = {}) {
+  const strip =
+    stripHtml === true
+      ? { scripts: true, styles: true, attributes: true }
+      : stripHtml && typeof stripHtml === 'object'
+        ? stripHtml
+        : null;
+
+  return {
+    name: 'html',
+
+    prepare(text) {
+      return strip ? stripMarkup(text, strip) : text;
+    },
+
+    findSplitPoint(text, maxLength, state, minLength = 0) {
+      if (maxLength >= text.length) {
+        return text.length;
+      }
+
+      const { boundaries, words } = scan(text, maxLength, state);
+      const candidates = boundaries.filter(
+        (boundary) => boundary.pos > minLength && boundary.pos <= maxLength
+      );
+      const late = candidates.filter((boundary) => boundary.pos >= maxLength / 2);
+
+      const blocks = late.filter((boundary) => boundary.block);
+      if (blocks.length > 0) {
+        const depth = Math.min(...blocks.map((boundary) => boundary.depth));
+        return blocks.filter((boundary) => boundary.depth === depth).pop().pos;
+      }
+
+      const earlyBlock = candidates.filter((boundary) => boundary.block).pop();
+      if (earlyBlock) {
+        return earlyBlock.pos;
+      }
+      if (late.length > 0) {
+        return late[late.length - 1].pos;
+      }
+      if (words.length > 0 && words[words.length - 1] > minLength) {
+        return words[words.length - 1];
+      }
+      return candidates.length > 0 ? candidates[candidates.length - 1].pos : -1;
+    },
+
+    settled(text, end, state) {
+      return scan(text, end, state).read < text.length;
+    },
+
+    carry(text, end, state, start = end) {
+      if (end >= text.length) {
+        return { suffix: '', prefix: '', state: null };
+      }
+
+      const current = scan(text, end, state);
+      const next = start === end ? current : scan(text, start, state);
+      return {
+        suffix: current.stack.map((element) => `</${element.name}>`).reverse().join(''),
+        prefix: next.stack.map((element) => element.tag).join(''),
+        state: next.stack.length > 0 ? { stack: next.stack, rawText: next.rawText } : null,
+      };
+    },
+  };
+}
+
+module.exports = {
+  createHtmlStrategy,
+};
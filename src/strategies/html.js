@@ -0,0 +1,293 @@
+/**
+ * HTML-aware split strategy
+ *
+ * The markup is tokenized into tags, comments and text. Chunks end at
+ * block-level element boundaries, preferring the shallowest ones, and never
+ * inside a tag. Elements still open at the end of a chunk are closed there and
+ * re-opened (with their attributes) at the start of the next chunk.
+ */
+
+// Elements that start a new block
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'caption', 'dd', 'details', 'dialog',
+  'div', 'dl', 'dt', 'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3',
+  'h4', 'h5', 'h6', 'head', 'header', 'hgroup', 'hr', 'html', 'li', 'main', 'nav', 'ol', 'p',
+  'pre', 'section', 'summary', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul',
+]);
+
+// Elements without content or end tag
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source',
+  'track', 'wbr',
+]);
+
+// Elements whose content is not markup
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+// Elements closed by a following sibling of the same name
+const SELF_NESTING_ELEMENTS = new Set(['dd', 'dt', 'li', 'option', 'p', 'td', 'th', 'tr']);
+
+const TAG_RE = /<(\/?)([A-Za-z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>/y;
+
+/**
+ * Read the token starting at a position
+ * @param {string} text - Markup
+ * @param {number} pos - Token start
+ * @param {string|null} rawText - Name of the raw text element being read, if any
+ * @returns {Object} Token {type: 'text'|'start'|'end'|'comment', end, name?, selfClosing?}
+ */
+function readToken(text, pos, rawText) {
+  if (rawText) {
+    const closeRe = new RegExp(`</${rawText}`, 'ig');
+    closeRe.lastIndex = pos;
+    const close = closeRe.exec(text);
+    if (!close || close.index !== pos) {
+      return { type: 'text', end: close ? close.index : text.length };
+    }
+  }
+
+  if (text[pos] === '<') {
+    if (text.startsWith('<!--', pos)) {
+      const close = text.indexOf('-->', pos + 4);
+      return { type: 'comment', end: close === -1 ? text.length : close + 3 };
+    }
+    if (text[pos + 1] === '!' || text[pos + 1] === '?') {
+      // Doctype, CDATA or processing instruction
+      const close = text.indexOf('>', pos);
+      return { type: 'comment', end: close === -1 ? text.length : close + 1 };
+    }
+
+    TAG_RE.lastIndex = pos;
+    const match = TAG_RE.exec(text);
+    if (match) {
+      return {
+        type: match[1] ? 'end' : 'start',
+        end: TAG_RE.lastIndex,
+        name: match[2].toLowerCase(),
+        selfClosing: Boolean(match[4]),
+      };
+    }
+  }
+
+  // Text runs to the next possible tag
+  const next = text.indexOf('<', pos + 1);
+  return { type: 'text', end: next === -1 ? text.length : next };
+}
+
+/**
+ * Scan tokens up to a position
+ * @param {string} text - Markup, starting at the current chunk
+ * @param {number} end - Last position of interest
+ * @param {Object|null} state - Open elements (and raw text element) carried over from the
+ *   previous chunk
+ * @returns {Object} {boundaries: [{pos, depth, block}], words, stack, rawText, read} where
+ *   `words` are word boundaries in the text token containing `end`, `stack` the elements open
+ *   at `end`, `rawText` the raw text element being read there, and `read` the end of the last
+ *   token read
+ */
+function scan(text, end, state) {
+  const stack = state ? [...state.stack] : [];
+  const boundaries = [];
+  const words = [];
+  let rawText = state ? state.rawText : null;
+  let afterBlock = false;
+  let afterOpen = false; // Splitting right after a start tag would leave it empty
+  let read = 0;
+
+  let pos = 0;
+  while (pos < text.length && pos <= end) {
+    const token = readToken(text, pos, rawText);
+    read = token.end;
+    const startsBlock = token.type === 'start' && BLOCK_ELEMENTS.has(token.name);
+
+    if (pos > 0) {
+      boundaries.push({ pos, depth: stack.length, block: (afterBlock || startsBlock) && !afterOpen });
+    }
+    if (pos === end) {
+      break;
+    }
+
+    if (token.type === 'text' && token.end > end) {
+      // Word boundaries in the text the chunk would end in
+      for (let i = pos + 1; i <= end; i++) {
+        if (/\s/.test(text[i - 1]) && !/\s/.test(text[i])) {
+          words.push(i);
+        }
+      }
+    }
+
+    afterBlock = false;
+    afterOpen = token.type === 'start' && !token.selfClosing && !VOID_ELEMENTS.has(token.name);
+    if (token.type === 'start') {
+      if (SELF_NESTING_ELEMENTS.has(token.name) && stack.length > 0 && stack[stack.length - 1].name === token.name) {
+        stack.pop();
+      }
+      if (!token.selfClosing && !VOID_ELEMENTS.has(token.name)) {
+        stack.push({ name: token.name, tag: text.slice(pos, token.end) });
+        if (RAW_TEXT_ELEMENTS.has(token.name)) {
+          rawText = token.name;
+        }
+      }
+      afterBlock = BLOCK_ELEMENTS.has(token.name) && VOID_ELEMENTS.has(token.name);
+    } else if (token.type === 'end') {
+      const index = stack.map((element) => element.name).lastIndexOf(token.name);
+      if (index !== -1) {
+        stack.length = index;
+      }
+      rawText = null;
+      afterBlock = BLOCK_ELEMENTS.has(token.name);
+    }
+
+    pos = token.end;
+  }
+
+  return { boundaries, words, stack, rawText, read };
+}
+
+/**
+ * Remove scripts, styles and attributes from markup
+ * @param {string} text - Markup
+ * @param {Object} strip - {scripts, styles, attributes}
+ * @returns {string} Stripped markup
+ */
+function stripMarkup(text, strip) {
+  let result = '';
+  let skipping = null; // Name of the element being removed
+  let rawText = null;
+
+  for (let pos = 0; pos < text.length; ) {
+    const token = readToken(text, pos, rawText);
+    const raw = text.slice(pos, token.end);
+
+    if (token.type === 'start' && !token.selfClosing && RAW_TEXT_ELEMENTS.has(token.name)) {
+      rawText = token.name;
+    } else if (token.type === 'end') {
+      rawText = null;
+    }
+
+    if (skipping) {
+      if (token.type === 'end' && token.name === skipping) {
+        skipping = null;
+      }
+    } else if (
+      token.type === 'start' &&
+      ((strip.scripts && token.name === 'script') || (strip.styles && token.name === 'style'))
+    ) {
+      if (!token.selfClosing) {
+        skipping = token.name;
+      }
+    } else if (strip.attributes && (token.type === 'start' || token.type === 'end')) {
+      result += `<${token.type === 'end' ? '/' : ''}${token.name}${token.selfClosing ? ' /' : ''}>`;
+    } else {
+      result += raw;
+    }
+
+    pos = token.end;
+  }
+
+  return result;
+}
+
+/**
+ * Create an HTML split strategy
+ * @param {Object} [options] - Strategy options
+ * @param {boolean|Object} [options.stripHtml] - Remove scripts, styles and attributes before
+ *   chunking: true for all, or {scripts, styles, attributes}
+ * @returns {Object} Strategy {name, prepare, findSplitPoint, settled, carry}
+ */
+export function createHtmlStrategy({ stripHtml } = {}) {
+  const strip =
+    stripHtml === true
+      ? { scripts: true, styles: true, attributes: true }
+      : stripHtml && typeof stripHtml === 'object'
+        ? stripHtml
+        : null;
+
+  return {
+    name: 'html',
+
+    /**
+     * Transform the whole input before it is measured and chunked
+     * Chunk offsets then refer to the stripped markup, not to the input.
+     * @param {string} text - Input markup
+     * @returns {string} Markup to chunk
+     */
+    prepare(text) {
+      return strip ? stripMarkup(text, strip) : text;
+    },
+
+    /**
+     * Find the best element boundary
+     * @param {string} text - Remaining markup
+     * @param {number} maxLength - Maximum length for the chunk
+     * @param {Object|null} state - Open elements carried over from the previous chunk
+     * @param {number} [minLength] - Split only after this length (the overlap repeated from
+     *   the previous chunk)
+     * @returns {number} Index to split at, or -1 to use the default sentence/word split
+     */
+    findSplitPoint(text, maxLength, state, minLength = 0) {
+      if (maxLength >= text.length) {
+        return text.length;
+      }
+
+      const { boundaries, words } = scan(text, maxLength, state);
+      const candidates = boundaries.filter(
+        (boundary) => boundary.pos > minLength && boundary.pos <= maxLength
+      );
+      const late = candidates.filter((boundary) => boundary.pos >= maxLength / 2);
+
+      // Shallowest block boundary in the second half of the chunk
+      const blocks = late.filter((boundary) => boundary.block);
+      if (blocks.length > 0) {
+        const depth = Math.min(...blocks.map((boundary) => boundary.depth));
+        return blocks.filter((boundary) => boundary.depth === depth).pop().pos;
+      }
+
+      // Then any block boundary, any tag boundary late in the chunk, or a word boundary
+      const earlyBlock = candidates.filter((boundary) => boundary.block).pop();
+      if (earlyBlock) {
+        return earlyBlock.pos;
+      }
+      if (late.length > 0) {
+        return late[late.length - 1].pos;
+      }
+      if (words.length > 0 && words[words.length - 1] > minLength) {
+        return words[words.length - 1];
+      }
+      return candidates.length > 0 ? candidates[candidates.length - 1].pos : -1;
+    },
+
+    /**
+     * Check whether boundaries up to a position no longer depend on markup still to come
+     * @param {string} text - Remaining markup, buffered so far
+     * @param {number} end - Last position of interest
+     * @param {Object|null} state - Open elements carried over from the previous chunk
+     * @returns {boolean} Whether the tokens read up to `end` all end within the text
+     */
+    settled(text, end, state) {
+      return scan(text, end, state).read < text.length;
+    },
+
+    /**
+     * Close elements left open by a split and re-open them in the next chunk
+     * @param {string} text - Remaining markup
+     * @param {number} end - Split point
+     * @param {Object|null} state - Open elements carried over from the previous chunk
+     * @param {number} [start] - Where the next chunk starts (before `end` when it overlaps)
+     * @returns {Object} {suffix, prefix, state}
+     */
+    carry(text, end, state, start = end) {
+      if (end >= text.length) {
+        return { suffix: '', prefix: '', state: null };
+      }
+
+      const current = scan(text, end, state);
+      const next = start === end ? current : scan(text, start, state);
+      return {
+        suffix: current.stack.map((element) => `</${element.name}>`).reverse().join(''),
+        prefix: next.stack.map((element) => element.tag).join(''),
+        state: next.stack.length > 0 ? { stack: next.stack, rawText: next.rawText } : null,
+      };
+    },
+  };
+}
@@ -0,0 +1,52 @@
+/**
+ * Split strategies (CommonJS)
+ *
+ * A strategy chooses where chunks end for a kind of structured text. It has:
+ * - findSplitPoint(text, maxLength, state, minLength): index to split at, or -1
+ *   to fall back to the default sentence/word split. With an overlap, the text
+ *   starts with `minLength` characters repeated from the previous chunk, and
+ *   points at or before them are ignored.
+ * - carry(text, end, state, start) (optional): {suffix, prefix, state}; the
+ *   suffix is appended to the chunk ending at `end`, and the prefix and state
+ *   are for the next chunk, starting at `start` (before `end` when it
+ *   overlaps). Suffixes and prefixes count against the chunk's limits.
+ * - settled(text, end, state) (optional): whether the streamed text buffered
+ *   so far is long enough for the boundaries up to `end` not to change as more
+ *   arrives (a split point reads to the end of its line or tag)
+ * - prepare(text) (optional): transforms the whole input before it is measured
+ */
+
+const { InvalidInputError } = require('../errors.cjs');
+const { markdownStrategy } = require('./markdown.cjs');
+const { createCodeStrategy } = require('./code.cjs');
+const { createHtmlStrategy } = require('./html.cjs');
+
+const STRATEGIES = {
+  markdown: () => markdownStrategy,
+  code: (options) => createCodeStrategy({ language: options.language }),
+  html: (options) => createHtmlStrategy({ stripHtml: options.stripHtml }),
+};
+
+function resolveStrategy(name, options = {}) {
+  if (name === undefined || name === null || name === 'text') {
+    return null;
+  }
+
+  const factory = typeof name === 'string' ? STRATEGIES[name] : undefined;
+  if (!factory) {
+    throw new InvalidInputError(
+      `Unknown strategy "${name}". Supported strategies: text, ${Object.keys(STRATEGIES).join(', ')}`
+    );
+  }
+  return factory(options);
+}
+
+function prepareInput(text, options = {}) {
+  const strategy = resolveStrategy(options.strategy, options);
+  return strategy && strategy.prepare ? strategy.prepare(text) : text;
+}
+
+module.exports = {
+  resolveStrategy,
+  prepareInput,
+};
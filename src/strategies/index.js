@@ -0,0 +1,62 @@
+/**
+ * Split strategies
+ *
+ * A strategy chooses where chunks end for a kind of structured text. It has:
+ * - findSplitPoint(text, maxLength, state, minLength): index to split at, or -1
+ *   to fall back to the default sentence/word split. With an overlap, the text
+ *   starts with `minLength` characters repeated from the previous chunk, and
+ *   points at or before them are ignored.
+ * - carry(text, end, state, start) (optional): {suffix, prefix, state}; the
+ *   suffix is appended to the chunk ending at `end`, and the prefix and state
+ *   are for the next chunk, starting at `start` (before `end` when it
+ *   overlaps). Suffixes and prefixes count against the chunk's limits.
+ * - settled(text, end, state) (optional): whether the streamed text buffered
+ *   so far is long enough for the boundaries up to `end` not to change as more
+ *   arrives (a split point reads to the end of its line or tag)
+ * - prepare(text) (optional): transforms the whole input before it is measured
+ */
+
+import { InvalidInputError } from '../errors.js';
+import { markdownStrategy } from './markdown.js';
+import { createCodeStrategy } from './code.js';
+import { createHtmlStrategy } from './html.js';
+
+// Strategy factories, given the chunking options
+const STRATEGIES = {
+  markdown: () => markdownStrategy,
+  code: (options) => createCodeStrategy({ language: options.language }),
+  html: (options) => createHtmlStrategy({ stripHtml: options.stripHtml }),
+};
+
+/**
+ * Resolve a strategy option
+ * @param {string} [name] - Strategy name (e.g., 'markdown', 'code', 'html')
+ * @param {Object} [options] - Chunking options (e.g., `language` for 'code')
+ * @returns {Object|null} Strategy, or null for the default text splitting
+ * @throws {InvalidInputError} If the strategy or its options are invalid
+ */
+export function resolveStrategy(name, options = {}) {
+  if (name === undefined || name === null || name === 'text') {
+    return null;
+  }
+
+  const factory = typeof name === 'string' ? STRATEGIES[name] : undefined;
+  if (!factory) {
+    throw new InvalidInputError(
+      `Unknown strategy "${name}". Supported strategies: text, ${Object.keys(STRATEGIES).join(', ')}`
+    );
+  }
+  return factory(options);
+}
+
+/**
+ * Apply the strategy's input transform, if it has one
+ * @param {string} text - Input text
+ * @param {Object} [options] - Chunking options
+ * @returns {string} Text to measure and chunk
+ * @throws {InvalidInputError} If the strategy or its options are invalid
+ */
+export function prepareInput(text, options = {}) {
+  const strategy = resolveStrategy(options.strategy, options);
+  return strategy && strategy.prepare ? strategy.prepare(text) : text;
+}
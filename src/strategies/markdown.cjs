@@ -0,0 +1,162 @@
+/**
+ * Markdown-structure-aware split strategy (CommonJS)
+ *
+ * Splits at heading boundaries first, then paragraphs, then list items, and
+ * never inside a fenced code block or a table unless that block alone is
+ * larger than the chunk. A fence split across chunks is closed at the end of
+ * the chunk and re-opened at the start of the next one.
+ */
+
+const FENCE_RE = /^ {0,3}(`{3,}|~{3,})(.*)$/;
+const HEADING_RE = /^ {0,3}#{1,6}(\s|$)/;
+const LIST_ITEM_RE = /^\s*(?:[-*+]|\d{1,9}[.)])\s/;
+const TABLE_DELIMITER_RE = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const BLANK_RE = /^\s*$/;
+
+const RANK_HEADING = 3;
+const RANK_PARAGRAPH = 2;
+const RANK_LIST_ITEM = 1;
+const RANK_LINE = 0;
+const RANK_INSIDE_BLOCK = -1;
+
+function scan(text, end, state) {
+  const boundaries = [];
+  let fence = state ? state.fence : null;
+  let inTable = false;
+  let previousBlank = false;
+  let lineStart = 0;
+
+  while (lineStart <= end && lineStart < text.length) {
+    let lineEnd = text.indexOf('\n', lineStart);
+    if (lineEnd === -1) {
+      lineEnd = text.length;
+    }
+    const line = text.slice(lineStart, lineEnd);
+
+    if (fence) {
+      const match = FENCE_RE.exec(line);
+      const closes =
+        match &&
+        match[1][0] === fence.marker[0] &&
+        match[1].length >= fence.marker.length &&
+        BLANK_RE.test(match[2]);
+
+      if (lineStart > 0) {
+        boundaries.push({ pos: lineStart, rank: RANK_INSIDE_BLOCK });
+      }
+      if (closes) {
+        if (lineEnd >= end) {
+          break;
+        }
+        fence = null;
+        previousBlank = true;
+        lineStart = lineEnd + 1;
+        continue;
+      }
+    } else {
+      const fenceMatch = FENCE_RE.exec(line);
+      const isTableRow =
+        line.includes('|') &&
+        (inTable || TABLE_DELIMITER_RE.test(nextLine(text, lineEnd)));
+
+      let rank = RANK_LINE;
+      if (inTable && isTableRow) {
+        rank = RANK_INSIDE_BLOCK;
+      } else if (HEADING_RE.test(line)) {
+        rank = RANK_HEADING;
+      } else if (previousBlank || fenceMatch || (isTableRow && !inTable)) {
+        rank = RANK_PARAGRAPH;
+      } else if (LIST_ITEM_RE.test(line)) {
+        rank = RANK_LIST_ITEM;
+      }
+
+      if (lineStart > 0) {
+        boundaries.push({ pos: lineStart, rank });
+      }
+
+      inTable = isTableRow;
+      previousBlank = BLANK_RE.test(line);
+
+      if (fenceMatch) {
+        fence = {
+          marker: fenceMatch[1],
+          opening: line,
+          bodyStart: lineEnd + 1,
+        };
+      }
+    }
+
+    lineStart = lineEnd + 1;
+  }
+
+  const open = fence && (!fence.bodyStart || end >= fence.bodyStart) ? fence : null;
+
+  return { boundaries, fence: open };
+}
+
+function nextLine(text, lineEnd) {
+  if (lineEnd >= text.length) {
+    return '';
+  }
+  const end = text.indexOf('\n', lineEnd + 1);
+  return text.slice(lineEnd + 1, end === -1 ? text.length : end);
+}
+
+const markdownStrategy = {
+  name: 'markdown',
+
+  findSplitPoint(text, maxLength, state, minLength = 0) {
+    if (maxLength >= text.length) {
+      return text.length;
+    }
+
+    const { boundaries } = scan(text, maxLength, state);
+    const candidates = boundaries.filter(
+      (boundary) => boundary.pos > minLength && boundary.pos <= maxLength
+    );
+
+    const minPos = maxLength / 2;
+    for (const rank of [RANK_HEADING, RANK_PARAGRAPH, RANK_LIST_ITEM, RANK_LINE]) {
+      for (let i = candidates.length - 1; i >= 0 && candidates[i].pos >= minPos; i--) {
+        if (candidates[i].rank >= rank) {
+          return candidates[i].pos;
+        }
+      }
+    }
+
+    for (let i = candidates.length - 1; i >= 0; i--) {
+      if (candidates[i].rank >= RANK_LINE) {
+        return candidates[i].pos;
+      }
+    }
+
+    if (candidates.length > 0) {
+      return candidates[candidates.length - 1].pos;
+    }
+
+    return -1;
+  },
+
+  settled(text, end) {
+    const lineEnd = text.indexOf('\n', end);
+    return lineEnd !== -1 && text.indexOf('\n', lineEnd + 1) !== -1;
+  },
+
+  carry(text, end, state, start = end) {
+    if (end >= text.length) {
+      return { suffix: '', prefix: '', state: null };
+    }
+
+    const { fence } = scan(text, end, state);
+    const next = start === end ? fence : scan(text, start, state).fence;
+    return {
+      suffix: fence ? (text[end - 1] === '\n' ? '' : '\n') + fence.marker : '',
+      prefix: next ? `${next.opening}\n` : '',
+      state: next ? { fence: { marker: next.marker, opening: next.opening } } : null,
+    };
+  },
+};
+
+module.exports = {
+  markdownStrategy,
+};
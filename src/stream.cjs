@@ -0,0 +1,133 @@
+/**
+ * Streaming chunker for Readable streams and async iterables (CommonJS)
+ */
+
+const { InvalidInputError } = require('./errors.cjs');
+const { createSplitter, advancePosition, locateChunk, START_POSITION } = require('./chunker.cjs');
+const { resolveContext } = require('./context.cjs');
+
+async function* readText(source) {
+  const decoder = new TextDecoder('utf-8');
+
+  if (typeof source.getReader === 'function') {
+    const reader = source.getReader();
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) {
+          break;
+        }
+        yield decodePiece(value, decoder);
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  } else {
+    for await (const value of source) {
+      yield decodePiece(value, decoder);
+    }
+  }
+
+  yield decoder.decode();
+}
+
+function decodePiece(value, decoder) {
+  if (typeof value === 'string') {
+    return decoder.decode() + value;
+  }
+  if (value instanceof Uint8Array) {
+    return decoder.decode(value, { stream: true });
+  }
+  throw new InvalidInputError('Stream source must yield strings, Buffers or Uint8Arrays');
+}
+
+async function* chunkStream({ provider, model, source, images, options = {} }) {
+  if (
+    !source ||
+    typeof source === 'string' ||
+    (typeof source.getReader !== 'function' && typeof source[Symbol.asyncIterator] !== 'function')
+  ) {
+    throw new InvalidInputError(
+      'Source is required and must be a Readable, ReadableStream or async iterable'
+    );
+  }
+
+  if (options.stripHtml) {
+    throw new InvalidInputError('The stripHtml option is not supported by chunkStream');
+  }
+
+  const {
+    limits,
+    tokenizer,
+    images: normalizedImages,
+    byteSize,
+  } = resolveContext({ provider, model, images, options });
+
+  const splitter = createSplitter(normalizedImages, limits, {
+    ...options,
+    tokenizer,
+    byteSize,
+    provider,
+    model,
+  });
+
+  let pending = '';
+  let chunkIndex = 0;
+  let position = START_POSITION;
+  let overlap = 0;
+
+  function cut(complete) {
+    const {
+      end: splitPoint,
+      text,
+      carried,
+      images: chunkImages,
+      overlap: overlapEnd,
+    } = splitter.next(pending, chunkIndex, position.offset, complete);
+    const endPosition = advancePosition(position, pending.slice(0, splitPoint));
+    const chunk = locateChunk(
+      {
+        text,
+        images: chunkImages,
+        index: chunkIndex,
+      },
+      position,
+      endPosition,
+      overlap,
+      carried
+    );
+
+    overlap = overlapEnd;
+    chunk.overlapEnd = overlap;
+    position =
+      overlap > 0 ? advancePosition(position, pending.slice(0, splitPoint - overlap)) : endPosition;
+    pending = pending.slice(splitPoint - overlap);
+    chunkIndex++;
+
+    return chunk;
+  }
+
+  for await (const text of readText(source)) {
+    pending += text;
+
+    while (splitter.settled(pending)) {
+      yield cut(false);
+    }
+  }
+
+  while (pending.length > 0) {
+    yield cut(true);
+  }
+
+  if (chunkIndex === 0) {
+    throw new InvalidInputError('Input is required and must not be empty');
+  }
+
+  for (const chunkImages of splitter.leftoverImages()) {
+    yield locateChunk({ text: '', images: chunkImages, index: chunkIndex++ }, position, position);
+  }
+}
+
+module.exports = {
+  chunkStream,
+};
@@ -0,0 +1,171 @@
+/**
+ * Streaming chunker for Readable streams and async iterables
+ */
+
+import { InvalidInputError } from './errors.js';
+import { createSplitter, advancePosition, locateChunk, START_POSITION } from './chunker.js';
+import { resolveContext } from './context.js';
+
+/**
+ * Read a source as decoded text pieces
+ * Byte sources are decoded with a streaming UTF-8 decoder, so multi-byte
+ * characters split across buffer boundaries are kept whole.
+ * @param {ReadableStream|AsyncIterable<string|Buffer|Uint8Array>} source - Input source
+ * @returns {AsyncGenerator<string>} Text pieces
+ */
+async function* readText(source) {
+  const decoder = new TextDecoder('utf-8');
+
+  if (typeof source.getReader === 'function') {
+    // Web ReadableStream
+    const reader = source.getReader();
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) {
+          break;
+        }
+        yield decodePiece(value, decoder);
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  } else {
+    // Node Readable and other async iterables
+    for await (const value of source) {
+      yield decodePiece(value, decoder);
+    }
+  }
+
+  // Flush an incomplete trailing sequence (decoded as U+FFFD)
+  yield decoder.decode();
+}
+
+/**
+ * Decode one piece of a source
+ * @param {string|Buffer|Uint8Array} value - Source piece
+ * @param {TextDecoder} decoder - Streaming decoder
+ * @returns {string} Decoded text
+ */
+function decodePiece(value, decoder) {
+  if (typeof value === 'string') {
+    // Flush bytes left over from a previous binary piece first
+    return decoder.decode() + value;
+  }
+  if (value instanceof Uint8Array) {
+    return decoder.decode(value, { stream: true });
+  }
+  throw new InvalidInputError('Stream source must yield strings, Buffers or Uint8Arrays');
+}
+
+/**
+ * Chunk a streamed input for a specific AI provider
+ * Only about one chunk of text is buffered at a time (two at most, while a
+ * strategy waits for the end of a line or tag), so arbitrarily large inputs
+ * can be chunked with bounded memory.
+ * @param {Object} params - Chunking parameters
+ * @param {string} params.provider - Provider name (e.g., 'openai', 'anthropic')
+ * @param {string} params.model - Model name (e.g., 'gpt-4o', 'claude-3-5-sonnet-20241022')
+ * @param {Readable|ReadableStream|AsyncIterable<string|Buffer>} params.source - Input source
+ * @param {Array} [params.images] - Optional array of images, distributed by options.imageStrategy;
+ *   'spread' plans from the start of the source, as its length is not known in advance
+ * @param {Object} [params.options] - Chunking options (same as chunkPrompt)
+ * @returns {AsyncGenerator<Object>} Chunks {text, images, index, start, end, byteStart, byteEnd,
+ *   overlapStart, overlapEnd, loc, carried}, with the same source offsets as chunkPrompt
+ * @throws {ProviderNotSupportedError} If provider is not supported
+ * @throws {ModelNotSupportedError} If the model is not listed and `options.strict` is set
+ * @throws {InvalidInputError} If the source is invalid or empty
+ * @throws {LimitExceededError} If input cannot be split within limits
+ * @throws {ImageLimitError} If images exceed limits
+ */
+export async function* chunkStream({ provider, model, source, images, options = {} }) {
+  if (
+    !source ||
+    typeof source === 'string' ||
+    (typeof source.getReader !== 'function' && typeof source[Symbol.asyncIterator] !== 'function')
+  ) {
+    throw new InvalidInputError(
+      'Source is required and must be a Readable, ReadableStream or async iterable'
+    );
+  }
+
+  if (options.stripHtml) {
+    // Elements to strip may span several pieces of the source
+    throw new InvalidInputError('The stripHtml option is not supported by chunkStream');
+  }
+
+  const {
+    limits,
+    tokenizer,
+    images: normalizedImages,
+    byteSize,
+  } = resolveContext({ provider, model, images, options });
+
+  const splitter = createSplitter(normalizedImages, limits, {
+    ...options,
+    tokenizer,
+    byteSize,
+    provider,
+    model,
+  });
+
+  let pending = '';
+  let chunkIndex = 0;
+  let position = START_POSITION; // Source position of the pending text
+  let overlap = 0;
+
+  // Cut the next chunk from the front of the pending text
+  function cut(complete) {
+    const {
+      end: splitPoint,
+      text,
+      carried,
+      images: chunkImages,
+      overlap: overlapEnd,
+    } = splitter.next(pending, chunkIndex, position.offset, complete);
+    const endPosition = advancePosition(position, pending.slice(0, splitPoint));
+    const chunk = locateChunk(
+      {
+        text,
+        images: chunkImages,
+        index: chunkIndex,
+      },
+      position,
+      endPosition,
+      overlap,
+      carried
+    );
+
+    // Repeat the overlap at the start of the next chunk
+    overlap = overlapEnd;
+    chunk.overlapEnd = overlap;
+    position =
+      overlap > 0 ? advancePosition(position, pending.slice(0, splitPoint - overlap)) : endPosition;
+    pending = pending.slice(splitPoint - overlap);
+    chunkIndex++;
+
+    return chunk;
+  }
+
+  for await (const text of readText(source)) {
+    pending += text;
+
+    // Only split once the split point cannot depend on text still to come
+    while (splitter.settled(pending)) {
+      yield cut(false);
+    }
+  }
+
+  while (pending.length > 0) {
+    yield cut(true);
+  }
+
+  if (chunkIndex === 0) {
+    throw new InvalidInputError('Input is required and must not be empty');
+  }
+
+  // Images no chunk had room for go in image-only chunks at the end
+  for (const chunkImages of splitter.leftoverImages()) {
+    yield locateChunk({ text: '', images: chunkImages, index: chunkIndex++ }, position, position);
+  }
+}
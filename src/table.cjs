@@ -0,0 +1,193 @@
+/**
+ * Tabular (CSV/TSV) chunking (CommonJS)
+ *
+ * Input is split at record boundaries only, and the header record is put in
+ * front of every chunk. Quoted fields may contain delimiters, escaped quotes
+ * ("") and newlines.
+ */
+
+const { InvalidInputError, LimitExceededError } = require('./errors.cjs');
+const { estimateTokens } = require('./limits.cjs');
+const { calculateMetadata } = require('./chunker.cjs');
+const { resolveContext } = require('./context.cjs');
+
+function detectDelimiter(header) {
+  const tabs = header.split('\t').length;
+  const commas = header.split(',').length;
+  return tabs > commas ? '\t' : ',';
+}
+
+function parseRecords(text, delimiter) {
+  if (delimiter === undefined) {
+    const lineEnd = text.indexOf('\n');
+    delimiter = detectDelimiter(lineEnd === -1 ? text : text.slice(0, lineEnd));
+  }
+
+  const records = [];
+  let start = 0;
+  let inQuotes = false;
+  let fieldStart = true;
+  let quoteRecord = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      }
+      continue;
+    }
+
+    if (char === '"' && fieldStart) {
+      inQuotes = true;
+      quoteRecord = records.length;
+      fieldStart = false;
+    } else if (char === '\n') {
+      records.push(text.slice(start, i + 1));
+      start = i + 1;
+      fieldStart = true;
+    } else {
+      fieldStart = char === delimiter;
+    }
+  }
+
+  if (inQuotes) {
+    throw new InvalidInputError(`Unterminated quoted field in row ${quoteRecord + 1}`);
+  }
+  if (start < text.length) {
+    records.push(text.slice(start));
+  }
+
+  return records;
+}
+
+function chunkTable({ provider, model, input, options = {} }) {
+  if (!input || typeof input !== 'string') {
+    throw new InvalidInputError('Input is required and must be a string');
+  }
+
+  const {
+    limits,
+    tokenizer,
+    limitsSource,
+    resolvedModel,
+    warnings,
+    byteSize,
+  } = resolveContext({ provider, model, options });
+
+  const records = parseRecords(input, options.delimiter);
+  const header = records[0];
+
+  function measure(text) {
+    return {
+      bytes: byteSize.text(text),
+      chars: text.length,
+      tokens: estimateTokens(text, tokenizer),
+    };
+  }
+
+  function exceeded(size) {
+    if (size.bytes > limits.maxBytes) {
+      return { limit: byteSize.limit, actual: size.bytes, allowed: limits.maxBytes };
+    }
+    if (size.chars > limits.maxChars) {
+      return { limit: 'maxChars', actual: size.chars, allowed: limits.maxChars };
+    }
+    if (size.tokens > limits.maxTokens) {
+      return { limit: 'maxTokens', actual: size.tokens, allowed: limits.maxTokens };
+    }
+    return null;
+  }
+
+  const headerSize = measure(header);
+  const headerOverflow = exceeded(headerSize);
+  if (headerOverflow) {
+    throw new LimitExceededError({ provider, model, ...headerOverflow });
+  }
+
+  if (records.length === 1) {
+    const chunks = [{ text: header, rows: { start: 1, end: 1 }, index: 0 }];
+    return {
+      chunks,
+      metadata: calculateMetadata(chunks, provider, model, {
+        tokenizer,
+        limits,
+        byteSize,
+        limitsSource,
+        resolvedModel,
+        warnings,
+      }),
+    };
+  }
+
+  const chunks = [];
+  let first = 1;
+  let total = headerSize;
+
+  function flush(end) {
+    let text = header + records.slice(first, end).join('');
+    while (end - first > 1 && exceeded(measure(text))) {
+      end--;
+      text = header + records.slice(first, end).join('');
+    }
+
+    const overflow = exceeded(measure(text));
+    if (overflow) {
+      throw new LimitExceededError({ provider, model, ...overflow });
+    }
+
+    chunks.push({
+      text,
+      rows: { start: first + 1, end },
+      index: chunks.length,
+    });
+    first = end;
+    total = headerSize;
+    return end;
+  }
+
+  for (let i = 1; i < records.length; i++) {
+    const size = measure(records[i]);
+    const combined = {
+      bytes: total.bytes + size.bytes,
+      chars: total.chars + size.chars,
+      tokens: total.tokens + size.tokens,
+    };
+
+    if (!exceeded(combined)) {
+      total = combined;
+      continue;
+    }
+
+    if (i === first) {
+      throw new LimitExceededError({ provider, model, ...exceeded(combined) });
+    }
+
+    i = flush(i) - 1;
+  }
+
+  while (first < records.length) {
+    flush(records.length);
+  }
+
+  return {
+    chunks,
+    metadata: calculateMetadata(chunks, provider, model, {
+      tokenizer,
+      limits,
+      byteSize,
+      limitsSource,
+      resolvedModel,
+      warnings,
+    }),
+  };
+}
+
+module.exports = {
+  chunkTable,
+};
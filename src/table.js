@@ -0,0 +1,219 @@
+/**
+ * Tabular (CSV/TSV) chunking
+ *
+ * Input is split at record boundaries only, and the header record is put in
+ * front of every chunk. Quoted fields may contain delimiters, escaped quotes
+ * ("") and newlines.
+ */
+
+import { InvalidInputError, LimitExceededError } from './errors.js';
+import { estimateTokens } from './limits.js';
+import { calculateMetadata } from './chunker.js';
+import { resolveContext } from './context.js';
+
+/**
+ * Detect the delimiter from the header record
+ * @param {string} header - Header record
+ * @returns {string} Tab if the header has more tabs than commas, otherwise comma
+ */
+function detectDelimiter(header) {
+  const tabs = header.split('\t').length;
+  const commas = header.split(',').length;
+  return tabs > commas ? '\t' : ',';
+}
+
+/**
+ * Split tabular text into raw records
+ * Records keep their line terminators, so joining them gives back the input.
+ * @param {string} text - CSV or TSV text
+ * @param {string} [delimiter] - Field delimiter (default: detected)
+ * @returns {Array<string>} Records
+ * @throws {InvalidInputError} If a quoted field is not terminated
+ */
+function parseRecords(text, delimiter) {
+  if (delimiter === undefined) {
+    const lineEnd = text.indexOf('\n');
+    delimiter = detectDelimiter(lineEnd === -1 ? text : text.slice(0, lineEnd));
+  }
+
+  const records = [];
+  let start = 0;
+  let inQuotes = false;
+  let fieldStart = true;
+  let quoteRecord = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          i++; // Escaped quote
+        } else {
+          inQuotes = false;
+        }
+      }
+      continue;
+    }
+
+    if (char === '"' && fieldStart) {
+      inQuotes = true;
+      quoteRecord = records.length;
+      fieldStart = false;
+    } else if (char === '\n') {
+      records.push(text.slice(start, i + 1));
+      start = i + 1;
+      fieldStart = true;
+    } else {
+      fieldStart = char === delimiter;
+    }
+  }
+
+  if (inQuotes) {
+    throw new InvalidInputError(`Unterminated quoted field in row ${quoteRecord + 1}`);
+  }
+  if (start < text.length) {
+    records.push(text.slice(start));
+  }
+
+  return records;
+}
+
+/**
+ * Chunk CSV or TSV text for a specific AI provider
+ * @param {Object} params - Chunking parameters
+ * @param {string} params.provider - Provider name (e.g., 'openai', 'anthropic')
+ * @param {string} params.model - Model name (e.g., 'gpt-4o', 'claude-3-5-sonnet-20241022')
+ * @param {string} params.input - CSV or TSV text; the first record is the header
+ * @param {Object} [params.options] - Chunking options (customLimits, tokenizer, reservations)
+ * @param {string} [params.options.delimiter] - Field delimiter (default: tab or comma, detected from the header)
+ * @returns {Object} Chunking result {chunks: [{text, rows: {start, end}, index}], metadata}; rows are
+ *   1-based source record numbers, counting the header as row 1
+ * @throws {ProviderNotSupportedError} If provider is not supported
+ * @throws {ModelNotSupportedError} If the model is not listed and `options.strict` is set
+ * @throws {InvalidInputError} If input is invalid
+ * @throws {LimitExceededError} If the header and a single record exceed limits
+ */
+export function chunkTable({ provider, model, input, options = {} }) {
+  if (!input || typeof input !== 'string') {
+    throw new InvalidInputError('Input is required and must be a string');
+  }
+
+  const {
+    limits,
+    tokenizer,
+    limitsSource,
+    resolvedModel,
+    warnings,
+    byteSize,
+  } = resolveContext({ provider, model, options });
+
+  const records = parseRecords(input, options.delimiter);
+  const header = records[0];
+
+  function measure(text) {
+    return {
+      bytes: byteSize.text(text),
+      chars: text.length,
+      tokens: estimateTokens(text, tokenizer),
+    };
+  }
+
+  function exceeded(size) {
+    if (size.bytes > limits.maxBytes) {
+      return { limit: byteSize.limit, actual: size.bytes, allowed: limits.maxBytes };
+    }
+    if (size.chars > limits.maxChars) {
+      return { limit: 'maxChars', actual: size.chars, allowed: limits.maxChars };
+    }
+    if (size.tokens > limits.maxTokens) {
+      return { limit: 'maxTokens', actual: size.tokens, allowed: limits.maxTokens };
+    }
+    return null;
+  }
+
+  const headerSize = measure(header);
+  const headerOverflow = exceeded(headerSize);
+  if (headerOverflow) {
+    throw new LimitExceededError({ provider, model, ...headerOverflow });
+  }
+
+  if (records.length === 1) {
+    const chunks = [{ text: header, rows: { start: 1, end: 1 }, index: 0 }];
+    return {
+      chunks,
+      metadata: calculateMetadata(chunks, provider, model, {
+        tokenizer,
+        limits,
+        byteSize,
+        limitsSource,
+        resolvedModel,
+        warnings,
+      }),
+    };
+  }
+
+  const chunks = [];
+  let first = 1; // Index of the first record in the current chunk
+  let total = headerSize;
+
+  function flush(end) {
+    // Token counts are only close to additive, so check the joined text
+    let text = header + records.slice(first, end).join('');
+    while (end - first > 1 && exceeded(measure(text))) {
+      end--;
+      text = header + records.slice(first, end).join('');
+    }
+
+    const overflow = exceeded(measure(text));
+    if (overflow) {
+      throw new LimitExceededError({ provider, model, ...overflow });
+    }
+
+    chunks.push({
+      text,
+      rows: { start: first + 1, end },
+      index: chunks.length,
+    });
+    first = end;
+    total = headerSize;
+    return end;
+  }
+
+  for (let i = 1; i < records.length; i++) {
+    const size = measure(records[i]);
+    const combined = {
+      bytes: total.bytes + size.bytes,
+      chars: total.chars + size.chars,
+      tokens: total.tokens + size.tokens,
+    };
+
+    if (!exceeded(combined)) {
+      total = combined;
+      continue;
+    }
+
+    if (i === first) {
+      // A single record does not fit next to the header
+      throw new LimitExceededError({ provider, model, ...exceeded(combined) });
+    }
+
+    i = flush(i) - 1;
+  }
+
+  while (first < records.length) {
+    flush(records.length);
+  }
+
+  return {
+    chunks,
+    metadata: calculateMetadata(chunks, provider, model, {
+      tokenizer,
+      limits,
+      byteSize,
+      limitsSource,
+      resolvedModel,
+      warnings,
+    }),
+  };
+}
@@ -0,0 +1,125 @@
+/**
+ * Tokenizer interface and token fitting helpers (CommonJS)
+ *
+ * A tokenizer is any object with a `count(text)` function returning the number
+ * of tokens in `text`. It may optionally provide `encode(text)` (returning an
+ * array of token ids) and `decode(tokens)`, which are used to fit text to a
+ * token budget faster than repeated counting.
+ *
+ * Tokenizers can be registered by name (the optional `ai-token-chunker/tokenizers/*`
+ * entry points register themselves on import). A model entry in PROVIDER_LIMITS
+ * may name its default tokenizer, which is used when it has been registered.
+ */
+
+const { InvalidInputError } = require('./errors.cjs');
+const { createHeuristicTokenizer } = require('./heuristic.cjs');
+
+const defaultTokenizer = createHeuristicTokenizer();
+
+const TOKENIZERS = new Map();
+
+function registerTokenizer(name, tokenizer) {
+  if (!name || typeof name !== 'string') {
+    throw new InvalidInputError('Tokenizer name is required and must be a string');
+  }
+  TOKENIZERS.set(name, resolveTokenizer(tokenizer));
+  return tokenizer;
+}
+
+function getTokenizer(name) {
+  return TOKENIZERS.get(name) || null;
+}
+
+function resolveTokenizer(tokenizer, limits) {
+  if (tokenizer === undefined || tokenizer === null) {
+    const registered = limits && getTokenizer(limits.tokenizer);
+    if (registered) {
+      return registered;
+    }
+    if (limits && limits.tokenCalibration) {
+      return createHeuristicTokenizer({ calibration: limits.tokenCalibration });
+    }
+    return defaultTokenizer;
+  }
+
+  if (typeof tokenizer === 'string') {
+    const registered = getTokenizer(tokenizer);
+    if (!registered) {
+      throw new InvalidInputError(
+        `Tokenizer "${tokenizer}" is not registered. Import "ai-token-chunker/tokenizers/${tokenizer}" first`
+      );
+    }
+    return registered;
+  }
+
+  if (typeof tokenizer !== 'object' || typeof tokenizer.count !== 'function') {
+    throw new InvalidInputError('Tokenizer must be an object with a count(text) function');
+  }
+
+  if (
+    (tokenizer.encode !== undefined && typeof tokenizer.encode !== 'function') ||
+    (tokenizer.decode !== undefined && typeof tokenizer.decode !== 'function')
+  ) {
+    throw new InvalidInputError('Tokenizer encode and decode must be functions when provided');
+  }
+
+  return tokenizer;
+}
+
+function fitTokens(text, maxTokens, tokenizer) {
+  let window = Math.max(64, maxTokens * 8);
+  while (window < text.length && tokenizer.count(text.slice(0, window)) <= maxTokens) {
+    window *= 2;
+  }
+
+  if (window >= text.length) {
+    if (tokenizer.count(text) <= maxTokens) {
+      return text.length;
+    }
+  } else {
+    text = text.slice(0, window);
+  }
+
+  if (tokenizer.encode && tokenizer.decode) {
+    const tokens = tokenizer.encode(text);
+    const prefix = tokenizer.decode(tokens.slice(0, Math.max(0, maxTokens)));
+    if (
+      typeof prefix === 'string' &&
+      text.startsWith(prefix) &&
+      tokenizer.count(prefix) <= maxTokens
+    ) {
+      return keepSurrogatePair(text, prefix.length);
+    }
+  }
+
+  let low = 0;
+  let high = text.length;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (tokenizer.count(text.slice(0, mid)) <= maxTokens) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return keepSurrogatePair(text, low);
+}
+
+function keepSurrogatePair(text, index) {
+  if (index > 0 && index < text.length) {
+    const code = text.charCodeAt(index - 1);
+    if (code >= 0xd800 && code <= 0xdbff) {
+      return index - 1;
+    }
+  }
+  return index;
+}
+
+module.exports = {
+  defaultTokenizer,
+  registerTokenizer,
+  getTokenizer,
+  resolveTokenizer,
+  fitTokens,
+};
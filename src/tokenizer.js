@@ -0,0 +1,162 @@
+/**
+ * Tokenizer interface and token fitting helpers
+ *
+ * A tokenizer is any object with a `count(text)` function returning the number
+ * of tokens in `text`. It may optionally provide `encode(text)` (returning an
+ * array of token ids) and `decode(tokens)`, which are used to fit text to a
+ * token budget faster than repeated counting.
+ *
+ * Tokenizers can be registered by name (the optional `ai-token-chunker/tokenizers/*`
+ * entry points register themselves on import). A model entry in PROVIDER_LIMITS
+ * may name its default tokenizer, which is used when it has been registered.
+ */
+
+import { InvalidInputError } from './errors.js';
+import { createHeuristicTokenizer } from './heuristic.js';
+
+/**
+ * Default tokenizer
+ * Uses script-aware heuristics (see heuristic.js)
+ */
+export const defaultTokenizer = createHeuristicTokenizer();
+
+// Registered tokenizers by name
+const TOKENIZERS = new Map();
+
+/**
+ * Register a named tokenizer so it can be selected by name
+ * @param {string} name - Tokenizer name (e.g., 'cl100k')
+ * @param {Object} tokenizer - Tokenizer {count, encode?, decode?}
+ * @returns {Object} The registered tokenizer
+ * @throws {InvalidInputError} If the name or tokenizer is invalid
+ */
+export function registerTokenizer(name, tokenizer) {
+  if (!name || typeof name !== 'string') {
+    throw new InvalidInputError('Tokenizer name is required and must be a string');
+  }
+  TOKENIZERS.set(name, resolveTokenizer(tokenizer));
+  return tokenizer;
+}
+
+/**
+ * Get a registered tokenizer by name
+ * @param {string} name - Tokenizer name
+ * @returns {Object|null} Tokenizer, or null if none is registered under that name
+ */
+export function getTokenizer(name) {
+  return TOKENIZERS.get(name) || null;
+}
+
+/**
+ * Validate a tokenizer option and fall back to the model's default tokenizer
+ * @param {Object|string} [tokenizer] - Tokenizer {count, encode?, decode?} or registered name
+ * @param {Object} [limits] - Provider limits; `limits.tokenizer` names the model's default,
+ *   `limits.tokenCalibration` calibrates the heuristic estimate
+ * @returns {Object} Tokenizer
+ * @throws {InvalidInputError} If the tokenizer does not implement count(text) or is not registered
+ */
+export function resolveTokenizer(tokenizer, limits) {
+  if (tokenizer === undefined || tokenizer === null) {
+    // Use the model's default tokenizer only when it has been registered
+    const registered = limits && getTokenizer(limits.tokenizer);
+    if (registered) {
+      return registered;
+    }
+    if (limits && limits.tokenCalibration) {
+      return createHeuristicTokenizer({ calibration: limits.tokenCalibration });
+    }
+    return defaultTokenizer;
+  }
+
+  if (typeof tokenizer === 'string') {
+    const registered = getTokenizer(tokenizer);
+    if (!registered) {
+      throw new InvalidInputError(
+        `Tokenizer "${tokenizer}" is not registered. Import "ai-token-chunker/tokenizers/${tokenizer}" first`
+      );
+    }
+    return registered;
+  }
+
+  if (typeof tokenizer !== 'object' || typeof tokenizer.count !== 'function') {
+    throw new InvalidInputError('Tokenizer must be an object with a count(text) function');
+  }
+
+  if (
+    (tokenizer.encode !== undefined && typeof tokenizer.encode !== 'function') ||
+    (tokenizer.decode !== undefined && typeof tokenizer.decode !== 'function')
+  ) {
+    throw new InvalidInputError('Tokenizer encode and decode must be functions when provided');
+  }
+
+  return tokenizer;
+}
+
+/**
+ * Find the longest prefix of text that fits within a token budget
+ * @param {string} text - Input text
+ * @param {number} maxTokens - Token budget
+ * @param {Object} tokenizer - Resolved tokenizer
+ * @returns {number} Length of the longest fitting prefix (UTF-16 code units)
+ */
+export function fitTokens(text, maxTokens, tokenizer) {
+  // Probe growing prefixes so the work stays proportional to the budget
+  // rather than to the length of the input
+  let window = Math.max(64, maxTokens * 8);
+  while (window < text.length && tokenizer.count(text.slice(0, window)) <= maxTokens) {
+    window *= 2;
+  }
+
+  if (window >= text.length) {
+    if (tokenizer.count(text) <= maxTokens) {
+      return text.length;
+    }
+  } else {
+    text = text.slice(0, window);
+  }
+
+  // Fast path: decode the first maxTokens tokens and use them if they are a
+  // clean prefix of the input (decoders may emit replacement characters when
+  // a token ends inside a multi-byte character)
+  if (tokenizer.encode && tokenizer.decode) {
+    const tokens = tokenizer.encode(text);
+    const prefix = tokenizer.decode(tokens.slice(0, Math.max(0, maxTokens)));
+    if (
+      typeof prefix === 'string' &&
+      text.startsWith(prefix) &&
+      tokenizer.count(prefix) <= maxTokens
+    ) {
+      return keepSurrogatePair(text, prefix.length);
+    }
+  }
+
+  // Binary search for the longest prefix within budget
+  let low = 0;
+  let high = text.length;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (tokenizer.count(text.slice(0, mid)) <= maxTokens) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return keepSurrogatePair(text, low);
+}
+
+/**
+ * Move a split index back so it does not fall between a surrogate pair
+ * @param {string} text - Input text
+ * @param {number} index - Split index
+ * @returns {number} Safe split index
+ */
+function keepSurrogatePair(text, index) {
+  if (index > 0 && index < text.length) {
+    const code = text.charCodeAt(index - 1);
+    if (code >= 0xd800 && code <= 0xdbff) {
+      return index - 1;
+    }
+  }
+  return index;
+}
@@ -0,0 +1,220 @@
+/**
+ * Byte-pair encoding tokenizer (pure JavaScript)
+ *
+ * Implements the tiktoken encoding scheme: text is split into pieces with the
+ * encoding's regular expression, each piece is UTF-8 encoded and then merged
+ * pair by pair following the vocabulary ranks. Special tokens are not
+ * recognized; all input is encoded as ordinary text.
+ */
+
+// Pieces seen recently, so repeated words are not merged again
+const PIECE_CACHE_SIZE = 10000;
+
+/**
+ * Order merge candidates: lowest rank first, then leftmost, as in the reference implementation
+ * @param {Array<number>} a - Candidate [rank, start, version]
+ * @param {Array<number>} b - Candidate [rank, start, version]
+ * @returns {boolean} Whether `a` is merged before `b`
+ */
+function before(a, b) {
+  return a[0] < b[0] || (a[0] === b[0] && a[1] < b[1]);
+}
+
+/**
+ * Add a merge candidate to a binary min-heap
+ * @param {Array<Array<number>>} heap - Heap of candidates
+ * @param {Array<number>} item - Candidate [rank, start, version]
+ */
+function heapPush(heap, item) {
+  let i = heap.length;
+  heap.push(item);
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (!before(heap[i], heap[parent])) {
+      break;
+    }
+    [heap[i], heap[parent]] = [heap[parent], heap[i]];
+    i = parent;
+  }
+}
+
+/**
+ * Remove the first merge candidate from a binary min-heap
+ * @param {Array<Array<number>>} heap - Heap of candidates
+ * @returns {Array<number>} Candidate [rank, start, version]
+ */
+function heapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length > 0) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let first = i;
+      if (left < heap.length && before(heap[left], heap[first])) {
+        first = left;
+      }
+      if (right < heap.length && before(heap[right], heap[first])) {
+        first = right;
+      }
+      if (first === i) {
+        break;
+      }
+      [heap[i], heap[first]] = [heap[first], heap[i]];
+      i = first;
+    }
+  }
+  return top;
+}
+
+/**
+ * Create a lazily loaded BPE tokenizer
+ * @param {Object} params - Encoding definition
+ * @param {string} params.name - Tokenizer name (e.g., 'cl100k')
+ * @param {RegExp} params.pattern - Pre-tokenization regular expression
+ * @param {Function} params.loadRanks - Returns the vocabulary: one base64 token per line, in rank order
+ * @returns {Object} Tokenizer {name, count, encode, decode}
+ */
+export function createBpeTokenizer({ name, pattern, loadRanks }) {
+  let encoder = null; // Map of byte string (latin1) -> rank
+  let decoder = null; // Array of rank -> Buffer
+  const cache = new Map();
+  const splitter = new RegExp(pattern.source, 'gu');
+
+  function load() {
+    if (encoder) {
+      return;
+    }
+
+    const lines = loadRanks().split('\n');
+    encoder = new Map();
+    decoder = [];
+    for (let rank = 0; rank < lines.length; rank++) {
+      if (!lines[rank]) {
+        continue;
+      }
+      const bytes = Buffer.from(lines[rank], 'base64');
+      encoder.set(bytes.toString('latin1'), rank);
+      decoder[rank] = bytes;
+    }
+  }
+
+  function bytePairMerge(key) {
+    // Parts of the piece as a linked list of start offsets; a part ends where the next starts
+    const length = key.length;
+    const next = [];
+    const previous = [];
+    for (let i = 0; i < length; i++) {
+      next[i] = i + 1;
+      previous[i] = i - 1;
+    }
+    // Bumped when a part changes, so stale candidates are skipped
+    const versions = new Array(length).fill(0);
+    const heap = [];
+
+    // Queue merging the part at `start` with the part after it, if the pair is a token
+    function queue(start) {
+      const after = next[start];
+      if (after < length) {
+        const rank = encoder.get(key.slice(start, next[after]));
+        if (rank !== undefined) {
+          heapPush(heap, [rank, start, versions[start]]);
+        }
+      }
+    }
+
+    for (let i = 0; i < length - 1; i++) {
+      queue(i);
+    }
+
+    // Repeatedly merge the adjacent pair with the lowest rank
+    while (heap.length > 0) {
+      const [, start, version] = heapPop(heap);
+      if (version !== versions[start]) {
+        continue;
+      }
+
+      const merged = next[start];
+      next[start] = next[merged];
+      if (next[merged] < length) {
+        previous[next[merged]] = start;
+      }
+      versions[merged] = -1;
+      versions[start]++;
+      queue(start);
+      if (previous[start] >= 0) {
+        versions[previous[start]]++;
+        queue(previous[start]);
+      }
+    }
+
+    const tokens = [];
+    for (let start = 0; start < length; start = next[start]) {
+      tokens.push(encoder.get(key.slice(start, next[start])));
+    }
+    return tokens;
+  }
+
+  function encodePiece(piece) {
+    const cached = cache.get(piece);
+    if (cached) {
+      return cached;
+    }
+
+    const key = Buffer.from(piece, 'utf8').toString('latin1');
+    const direct = encoder.get(key);
+    const tokens = direct !== undefined ? [direct] : bytePairMerge(key);
+
+    if (cache.size >= PIECE_CACHE_SIZE) {
+      cache.clear();
+    }
+    cache.set(piece, tokens);
+    return tokens;
+  }
+
+  return {
+    name,
+
+    /**
+     * Encode text to token ids
+     * @param {string} text - Input text
+     * @returns {Array<number>} Token ids
+     */
+    encode(text) {
+      load();
+      const tokens = [];
+      for (const match of text.matchAll(splitter)) {
+        for (const token of encodePiece(match[0])) {
+          tokens.push(token);
+        }
+      }
+      return tokens;
+    },
+
+    /**
+     * Decode token ids to text
+     * @param {Array<number>} tokens - Token ids
+     * @returns {string} Decoded text
+     */
+    decode(tokens) {
+      load();
+      return Buffer.concat(tokens.map((token) => decoder[token] || Buffer.alloc(0))).toString('utf8');
+    },
+
+    /**
+     * Count tokens in text
+     * @param {string} text - Input text
+     * @returns {number} Token count
+     */
+    count(text) {
+      load();
+      let total = 0;
+      for (const match of text.matchAll(splitter)) {
+        total += encodePiece(match[0]).length;
+      }
+      return total;
+    },
+  };
+}
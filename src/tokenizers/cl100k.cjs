@@ -0,0 +1,21 @@
+/**
+ * cl100k_base byte-pair encoding (gpt-4, gpt-4-turbo, gpt-3.5-turbo) (CommonJS)
+ */
+
+const { readFileSync } = require('node:fs');
+const path = require('node:path');
+const { createBpeTokenizer } = require('./bpe.cjs');
+const { registerTokenizer } = require('../tokenizer.cjs');
+
+const cl100k = createBpeTokenizer({
+  name: 'cl100k',
+  pattern:
+    /('s|'S|'t|'T|'re|'rE|'Re|'RE|'ve|'vE|'Ve|'VE|'m|'M|'ll|'lL|'Ll|'LL|'d|'D)|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/u,
+  loadRanks: () => readFileSync(path.join(__dirname, 'data', 'cl100k_base.ranks'), 'utf8'),
+});
+
+registerTokenizer('cl100k', cl100k);
+
+module.exports = {
+  cl100k,
+};
@@ -0,0 +1,19 @@
+/**
+ * cl100k_base byte-pair encoding (gpt-4, gpt-4-turbo, gpt-3.5-turbo)
+ *
+ * Importing this module registers the "cl100k" tokenizer, so models that name it
+ * in PROVIDER_LIMITS use it automatically. The vocabulary is loaded on first use.
+ */
+
+import { readFileSync } from 'node:fs';
+import { createBpeTokenizer } from './bpe.js';
+import { registerTokenizer } from '../tokenizer.js';
+
+export const cl100k = createBpeTokenizer({
+  name: 'cl100k',
+  pattern:
+    /('s|'S|'t|'T|'re|'rE|'Re|'RE|'ve|'vE|'Ve|'VE|'m|'M|'ll|'lL|'Ll|'LL|'d|'D)|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/u,
+  loadRanks: () => readFileSync(new URL('./data/cl100k_base.ranks', import.meta.url), 'utf8'),
+});
+
+registerTokenizer('cl100k', cl100k);
@@ -0,0 +1,21 @@
+/**
+ * o200k_base byte-pair encoding (gpt-4o) (CommonJS)
+ */
+
+const { readFileSync } = require('node:fs');
+const path = require('node:path');
+const { createBpeTokenizer } = require('./bpe.cjs');
+const { registerTokenizer } = require('../tokenizer.cjs');
+
+const o200k = createBpeTokenizer({
+  name: 'o200k',
+  pattern:
+    /[^\r\n\p{L}\p{N}]?[\p{Lu}\p{Lt}\p{Lm}\p{Lo}\p{M}]*[\p{Ll}\p{Lm}\p{Lo}\p{M}]+('s|'S|'t|'T|'re|'rE|'Re|'RE|'ve|'vE|'Ve|'VE|'m|'M|'ll|'lL|'Ll|'LL|'d|'D)?|[^\r\n\p{L}\p{N}]?[\p{Lu}\p{Lt}\p{Lm}\p{Lo}\p{M}]+[\p{Ll}\p{Lm}\p{Lo}\p{M}]*('s|'S|'t|'T|'re|'rE|'Re|'RE|'ve|'vE|'Ve|'VE|'m|'M|'ll|'lL|'Ll|'LL|'d|'D)?|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n\/]*|\s*[\r\n]+|\s+(?!\S)|\s+/u,
+  loadRanks: () => readFileSync(path.join(__dirname, 'data', 'o200k_base.ranks'), 'utf8'),
+});
+
+registerTokenizer('o200k', o200k);
+
+module.exports = {
+  o200k,
+};
@@ -0,0 +1,19 @@
+/**
+ * o200k_base byte-pair encoding (gpt-4o)
+ *
+ * Importing this module registers the "o200k" tokenizer, so models that name it
+ * in PROVIDER_LIMITS use it automatically. The vocabulary is loaded on first use.
+ */
+
+import { readFileSync } from 'node:fs';
+import { createBpeTokenizer } from './bpe.js';
+import { registerTokenizer } from '../tokenizer.js';
+
+export const o200k = createBpeTokenizer({
+  name: 'o200k',
+  pattern:
+    /[^\r\n\p{L}\p{N}]?[\p{Lu}\p{Lt}\p{Lm}\p{Lo}\p{M}]*[\p{Ll}\p{Lm}\p{Lo}\p{M}]+('s|'S|'t|'T|'re|'rE|'Re|'RE|'ve|'vE|'Ve|'VE|'m|'M|'ll|'lL|'Ll|'LL|'d|'D)?|[^\r\n\p{L}\p{N}]?[\p{Lu}\p{Lt}\p{Lm}\p{Lo}\p{M}]+[\p{Ll}\p{Lm}\p{Lo}\p{M}]*('s|'S|'t|'T|'re|'rE|'Re|'RE|'ve|'vE|'Ve|'VE|'m|'M|'ll|'lL|'Ll|'LL|'d|'D)?|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n\/]*|\s*[\r\n]+|\s+(?!\S)|\s+/u,
+  loadRanks: () => readFileSync(new URL('./data/o200k_base.ranks', import.meta.url), 'utf8'),
+});
+
+registerTokenizer('o200k', o200k);
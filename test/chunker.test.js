@@ -4,14 +4,52 @@
 
 import { test } from 'node:test';
 import assert from 'node:assert';
+import { Readable } from 'node:stream';
+import { execFileSync } from 'node:child_process';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
 import {
   chunkPrompt,
+  chunkStream,
+  chunkMessages,
+  chunkJSON,
+  chunkTable,
+  reassemble,
   ProviderNotSupportedError,
+  ModelNotSupportedError,
   LimitExceededError,
   ImageLimitError,
   InvalidInputError,
+  estimateTokens,
+  createHeuristicTokenizer,
+  estimateImageTokens,
+  getProviderLimits,
+  checkFits,
+  PROVIDER_LIMITS,
+  registerProvider,
+  registerModel,
+  unregisterProvider,
+  unregisterModel,
+  createRegistry,
+  createChunker,
+  loadLimits,
+  explainModel,
+  toProviderPayload,
 } from '../src/index.js';
 
+// A PNG of the given byte size (header only); tests tell images apart by width
+function png(size, width = 1, height = 1) {
+  const buffer = Buffer.alloc(size);
+  buffer.writeUInt32BE(0x89504e47, 0);
+  buffer.writeUInt32BE(0x0d0a1a0a, 4);
+  buffer.writeUInt32BE(13, 8);
+  buffer.write('IHDR', 12, 'latin1');
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+}
+
 test('chunkPrompt - simple text that fits in one chunk', () => {
   const result = chunkPrompt({
     provider: 'openai',
@@ -148,7 +186,7 @@ test('chunkPrompt - image rejection (too many images)', () => {
 
 test('chunkPrompt - image rejection (image too large)', () => {
   // Create a buffer larger than the limit (20MB)
-  const largeImage = Buffer.alloc(21000000); // 21MB
+  const largeImage = png(21000000); // 21MB
 
   assert.throws(
     () => {
@@ -191,6 +229,32 @@ test('chunkPrompt - byte overflow edge case', () => {
   }
 });
 
+test('chunkPrompt - splits never cut surrogate pairs', () => {
+  // Astral-plane characters take two UTF-16 code units and four UTF-8 bytes
+  const input = '😀😀 𝔘漢😀a. word😀😀😀\n\n'.repeat(40);
+  const isHigh = (code) => code >= 0xd800 && code <= 0xdbff;
+  const isLow = (code) => code >= 0xdc00 && code <= 0xdfff;
+  const limits = [{ maxChars: 37 }, { maxBytes: 61 }, { maxTokens: 9 }];
+
+  for (const strategy of ['text', 'markdown', 'code', 'html']) {
+    for (const customLimits of limits) {
+      for (const respectWordBoundaries of [true, false]) {
+        const { chunks } = chunkPrompt({
+          provider: 'openai',
+          model: 'gpt-4o',
+          input,
+          options: { strategy, customLimits, respectWordBoundaries, chunkOverlap: 5 },
+        });
+        for (const { text } of chunks) {
+          const label = `${strategy} ${JSON.stringify(customLimits)}: ${JSON.stringify(text)}`;
+          assert.ok(!isLow(text.charCodeAt(0)) && !isHigh(text.charCodeAt(text.length - 1)), label);
+          assert.ok(!text.includes('\ufffd'), label);
+        }
+      }
+    }
+  }
+});
+
 test('chunkPrompt - chunk overlap option', () => {
   const text = 'Sentence one. Sentence two. Sentence three. '.repeat(100);
   const result = chunkPrompt({
@@ -253,7 +317,7 @@ test('chunkPrompt - metadata accuracy', () => {
 
 test('chunkPrompt - single text chunk exceeding limits throws LimitExceededError', () => {
   // Test unsplittable scenario: single character with images that exceed limits
-  const largeImage = Buffer.alloc(1000000); // 1MB image
+  const largeImage = png(1000000); // 1MB image
   const singleChar = 'A';
   
   assert.throws(
@@ -332,3 +396,1962 @@ test('chunkPrompt - image count exceeding provider limit throws ImageLimitError'
   }
 });
 
+
+test('chunkPrompt - custom tokenizer drives token limits', () => {
+  // One token per character: far stricter than the 4-chars-per-token default
+  const charTokenizer = { count: (text) => text.length };
+  const result = chunkPrompt({
+    provider: 'openai',
+    model: 'gpt-4o',
+    input: 'Some words here. '.repeat(200),
+    options: {
+      tokenizer: charTokenizer,
+      customLimits: {
+        maxTokens: 100,
+      },
+    },
+  });
+
+  assert(result.chunks.length > 1);
+  for (const chunk of result.chunks) {
+    assert(charTokenizer.count(chunk.text) <= 100);
+  }
+  assert.strictEqual(
+    result.metadata.estimatedTokens,
+    result.chunks.reduce((sum, chunk) => sum + chunk.text.length, 0)
+  );
+});
+
+test('chunkPrompt - tokenizer with encode/decode', () => {
+  // Word-level tokenizer: each token is a word plus its trailing whitespace
+  const wordTokenizer = {
+    encode: (text) => text.match(/\S+\s*|\s+/g) || [],
+    decode: (tokens) => tokens.join(''),
+    count: (text) => (text.match(/\S+\s*|\s+/g) || []).length,
+  };
+  const input = 'alpha beta gamma delta '.repeat(50);
+  const result = chunkPrompt({
+    provider: 'openai',
+    model: 'gpt-4o',
+    input,
+    options: {
+      tokenizer: wordTokenizer,
+      customLimits: {
+        maxTokens: 30,
+      },
+    },
+  });
+
+  assert(result.chunks.length > 1);
+  for (const chunk of result.chunks) {
+    assert(wordTokenizer.count(chunk.text) <= 30);
+  }
+  assert.strictEqual(result.chunks.map((chunk) => chunk.text).join(''), input);
+});
+
+test('chunkPrompt - invalid tokenizer throws InvalidInputError', () => {
+  assert.throws(
+    () => {
+      chunkPrompt({
+        provider: 'openai',
+        model: 'gpt-4o',
+        input: 'test',
+        options: {
+          tokenizer: { encode: () => [] },
+        },
+      });
+    },
+    InvalidInputError
+  );
+});
+
+test('estimateTokens - uses the given tokenizer', () => {
+  assert.strictEqual(estimateTokens('Hello, world!'), 5);
+  assert.strictEqual(estimateTokens('Hello, world!', { count: () => 7 }), 7);
+  assert.strictEqual(estimateTokens(''), 0);
+});
+
+test('estimateTokens - heuristic accounts for scripts and character classes', () => {
+  const english = 'The quick brown fox jumps over the lazy dog.';
+  const chinese = '这是一个用于测试的中文句子，包含标点符号。';
+  const emoji = '🎉🎉🎉🎉🎉';
+
+  // English prose stays close to 4 characters per token
+  assert(Math.abs(estimateTokens(english) - english.length / 4) <= 2);
+  // CJK and emoji cost far more than characters / 4
+  assert(estimateTokens(chinese) >= chinese.length);
+  assert(estimateTokens(emoji) >= 10);
+  // Digits are grouped in threes
+  assert.strictEqual(estimateTokens('123456789'), 3);
+});
+
+test('createHeuristicTokenizer - calibration factors', () => {
+  const text = '这是一个用于测试的中文句子 with some English words';
+  const base = createHeuristicTokenizer().count(text);
+
+  const doubled = createHeuristicTokenizer({ calibration: 2 }).count(text);
+  assert(doubled >= base * 2 - 1 && doubled <= base * 2);
+  assert(createHeuristicTokenizer({ calibration: { cjk: 0.5 } }).count(text) < base);
+  assert.strictEqual(createHeuristicTokenizer({ calibration: { emoji: 0.5 } }).count(text), base);
+});
+
+test('chunkPrompt - CJK text chunks respect maxTokens by heuristic', () => {
+  const input = '这是一个用于测试的中文句子，包含标点符号。'.repeat(200);
+  const result = chunkPrompt({
+    provider: 'anthropic',
+    model: 'claude-3-5-sonnet-20241022',
+    input,
+    options: {
+      customLimits: {
+        maxTokens: 500,
+      },
+    },
+  });
+
+  // A flat characters / 4 estimate would fit this in 9 chunks
+  assert(result.chunks.length > Math.ceil(input.length / 4 / 500));
+  for (const chunk of result.chunks) {
+    assert(estimateTokens(chunk.text) <= 500);
+  }
+});
+
+test('chunkPrompt - per-model tokenCalibration from limits', () => {
+  const input = '这是一个用于测试的中文句子。'.repeat(10);
+  const plain = chunkPrompt({ provider: 'anthropic', model: 'claude-3-5-sonnet-20241022', input });
+  const calibrated = chunkPrompt({
+    provider: 'anthropic',
+    model: 'claude-3-5-sonnet-20241022',
+    input,
+    options: {
+      customLimits: {
+        tokenCalibration: { cjk: 0.5 },
+      },
+    },
+  });
+
+  assert(calibrated.metadata.estimatedTokens < plain.metadata.estimatedTokens);
+});
+
+async function collect(iterator) {
+  const chunks = [];
+  for await (const chunk of iterator) {
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+test('chunkStream - matches chunkPrompt for async iterables of strings', async () => {
+  const input = 'Sentence one. Sentence two is a bit longer. Three! '.repeat(200);
+  const options = {
+    customLimits: {
+      maxBytes: 1000,
+      maxChars: 600,
+      maxTokens: 120,
+    },
+  };
+
+  async function* pieces() {
+    for (let i = 0; i < input.length; i += 37) {
+      yield input.slice(i, i + 37);
+    }
+  }
+
+  const expected = chunkPrompt({ provider: 'openai', model: 'gpt-4o', input, options }).chunks;
+  const streamed = await collect(
+    chunkStream({ provider: 'openai', model: 'gpt-4o', source: pieces(), options })
+  );
+
+  assert.deepStrictEqual(
+    streamed.map((chunk) => [chunk.index, chunk.text]),
+    expected.map((chunk) => [chunk.index, chunk.text])
+  );
+});
+
+test('chunkStream - split strategies choose the same boundaries as chunkPrompt', async () => {
+  const section = (title) =>
+    `## ${title}\n\n${'Some words in a paragraph. '.repeat(5)}\n\n| a | b |\n|---|---|\n| 1 | 2 |\n\n\`\`\`js\nconst y = "${'long string '.repeat(6)}";\n\`\`\`\n\n`;
+  const fn = (i) =>
+    `/**\n * Docs ${i}\n */\nexport function f${i}(items) {\n  const s = "} not a brace ${'pad '.repeat(i % 5)}";\n  return items.map((item) => \`\${item} }\`).join(s);\n}\n\n`;
+  const element = (i) =>
+    `<section class="s${i}" data-long="${'x'.repeat(i * 7)}"><h2>Title ${i}</h2><p>Some <b>bold</b> words</p></section>\n`;
+  const inputs = {
+    markdown: ['One', 'Two', 'Three', 'Four', 'Five', 'Six'].map(section).join(''),
+    code: Array.from({ length: 12 }, (_, i) => fn(i)).join(''),
+    html: Array.from({ length: 12 }, (_, i) => element(i)).join(''),
+  };
+
+  for (const [strategy, input] of Object.entries(inputs)) {
+    for (const options of [
+      { strategy, customLimits: { maxChars: 233 } },
+      { strategy, chunkOverlap: 25, customLimits: { maxBytes: 301 } },
+    ]) {
+      const expected = chunkPrompt({ provider: 'openai', model: 'gpt-4o', input, options }).chunks;
+      const pieces = input.match(/[^]{1,7}/g);
+      const streamed = await collect(
+        chunkStream({ provider: 'openai', model: 'gpt-4o', source: Readable.from(pieces), options })
+      );
+      assert.deepStrictEqual(streamed, expected, strategy);
+    }
+  }
+});
+
+test('chunkStream - keeps multi-byte characters split across buffers', async () => {
+  const input = '🚀 héllo 世界 '.repeat(300);
+  const bytes = Buffer.from(input, 'utf8');
+  const buffers = [];
+  for (let i = 0; i < bytes.length; i += 7) {
+    buffers.push(bytes.subarray(i, i + 7));
+  }
+
+  const chunks = await collect(
+    chunkStream({
+      provider: 'openai',
+      model: 'gpt-4o',
+      source: Readable.from(buffers),
+      options: {
+        customLimits: {
+          maxBytes: 500,
+          maxChars: 400,
+          maxTokens: 1000,
+        },
+      },
+    })
+  );
+
+  assert(chunks.length > 1);
+  assert.strictEqual(chunks.map((chunk) => chunk.text).join(''), input);
+  for (const chunk of chunks) {
+    assert(!chunk.text.includes('\uFFFD'));
+    assert(Buffer.byteLength(chunk.text, 'utf8') <= 500);
+    assert.deepStrictEqual(chunk.images, []);
+  }
+});
+
+test('chunkStream - reads web ReadableStreams', async () => {
+  const input = 'word '.repeat(2000);
+  const encoder = new TextEncoder();
+  const source = new ReadableStream({
+    start(controller) {
+      for (let i = 0; i < input.length; i += 100) {
+        controller.enqueue(encoder.encode(input.slice(i, i + 100)));
+      }
+      controller.close();
+    },
+  });
+
+  const chunks = await collect(
+    chunkStream({
+      provider: 'anthropic',
+      model: 'claude-3-5-sonnet-20241022',
+      source,
+      options: {
+        customLimits: {
+          maxTokens: 100,
+        },
+      },
+    })
+  );
+
+  assert(chunks.length > 1);
+  assert.strictEqual(chunks.map((chunk) => chunk.text).join(''), input);
+  chunks.forEach((chunk, i) => assert.strictEqual(chunk.index, i));
+});
+
+test('chunkStream - invalid source throws InvalidInputError', async () => {
+  await assert.rejects(
+    collect(chunkStream({ provider: 'openai', model: 'gpt-4o', source: 'not a stream' })),
+    InvalidInputError
+  );
+  await assert.rejects(
+    collect(chunkStream({ provider: 'openai', model: 'gpt-4o', source: Readable.from([]) })),
+    InvalidInputError
+  );
+});
+
+test('chunkMessages - pins system messages and keeps tool calls with results', () => {
+  const messages = [
+    { role: 'system', content: 'You are a helpful assistant.' },
+    { role: 'user', content: 'word '.repeat(60) },
+    {
+      role: 'assistant',
+      content: null,
+      tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'lookup', arguments: '{}' } }],
+    },
+    { role: 'tool', tool_call_id: 'call_1', content: 'result '.repeat(20) },
+    { role: 'assistant', content: 'word '.repeat(60) },
+  ];
+
+  const result = chunkMessages({
+    provider: 'openai',
+    model: 'gpt-4o',
+    messages,
+    options: { customLimits: { maxTokens: 100 } },
+  });
+
+  assert(result.chunks.length > 1);
+  assert.strictEqual(result.metadata.totalChunks, result.chunks.length);
+  for (const chunk of result.chunks) {
+    assert.deepStrictEqual(chunk.messages[0], messages[0]);
+    const callIndex = chunk.messages.indexOf(messages[2]);
+    if (callIndex !== -1) {
+      assert.strictEqual(chunk.messages[callIndex + 1], messages[3]);
+    }
+  }
+  assert(result.chunks.some((chunk) => chunk.messages.includes(messages[2])));
+});
+
+test('chunkMessages - splits oversized user content within limits', () => {
+  const content = 'This is a sentence. '.repeat(100);
+  const result = chunkMessages({
+    provider: 'openai',
+    model: 'gpt-4o',
+    messages: [
+      { role: 'system', content: 'Summarize.' },
+      { role: 'user', content },
+    ],
+    options: { customLimits: { maxTokens: 120 }, messageOverheadTokens: 4 },
+  });
+
+  assert(result.chunks.length > 1);
+  const pieces = result.chunks.map((chunk) => {
+    assert.strictEqual(chunk.messages.length, 2);
+    assert.strictEqual(chunk.messages[1].role, 'user');
+    const tokens = chunk.messages.reduce((sum, message) => sum + estimateTokens(message.content) + 4, 0);
+    assert(tokens <= 120);
+    return chunk.messages[1].content;
+  });
+  assert.strictEqual(pieces.join(''), content);
+});
+
+test('chunkMessages - keeps pinned messages in place and splits content part by part', () => {
+  const image = (width) => ({
+    type: 'image_url',
+    image_url: { url: `data:image/png;base64,${png(1000, width, 512).toString('base64')}` },
+  });
+  const images = [image(1), image(2), image(3)];
+  const text = 'First part. '.repeat(300);
+  const messages = [
+    { role: 'system', content: 'You are a helpful assistant.' },
+    { role: 'user', content: 'word '.repeat(40) },
+    { role: 'system', content: 'Answer in French from now on.' },
+    { role: 'user', content: [{ type: 'text', text }, ...images, { type: 'text', text: 'Second part.' }] },
+  ];
+
+  const result = chunkMessages({
+    provider: 'openai',
+    model: 'gpt-4o',
+    messages,
+    options: { customLimits: { maxTokens: 700, maxImages: 2 } },
+  });
+
+  assert(result.chunks.length > 2);
+  const parts = [];
+  for (const chunk of result.chunks) {
+    // The mid-conversation system message stays after the messages before it
+    assert.strictEqual(chunk.messages[0], messages[0]);
+    const pinned = chunk.messages.indexOf(messages[2]);
+    assert(pinned > chunk.messages.indexOf(messages[1]));
+    assert(chunk.messages.slice(pinned + 1).every((message) => Array.isArray(message.content)));
+
+    const pieces = chunk.messages.filter((message) => Array.isArray(message.content));
+    const chunkParts = pieces.flatMap((message) => message.content);
+    assert(chunkParts.filter((part) => part.type === 'image_url').length <= 2);
+    parts.push(...chunkParts);
+  }
+
+  // Parts stay in order, images whole, and text parts are split without being joined
+  assert.deepStrictEqual(
+    parts.filter((part) => part.type === 'image_url'),
+    images
+  );
+  const texts = parts.filter((part) => part.type === 'text').map((part) => part.text);
+  assert.strictEqual(texts.pop(), 'Second part.');
+  assert.strictEqual(texts.join(''), text);
+  assert.strictEqual(result.metadata.estimatedImageTokens, 3 * 255);
+  assert.strictEqual(
+    result.metadata.estimatedTokens,
+    result.metadata.estimatedTextTokens + result.metadata.estimatedImageTokens
+  );
+
+  // Images are validated like chunkPrompt images
+  assert.throws(
+    () =>
+      chunkMessages({
+        provider: 'openai',
+        model: 'gpt-4o',
+        messages,
+        options: { customLimits: { imageByteLimit: 500 } },
+      }),
+    ImageLimitError
+  );
+  assert.throws(
+    () =>
+      chunkMessages({
+        provider: 'openai',
+        model: 'gpt-4o',
+        messages: [{ role: 'user', content: [image(1), image(2)] }],
+        options: { customLimits: { maxTokens: 200 } },
+      }),
+    LimitExceededError
+  );
+});
+
+test('chunkMessages - Anthropic tool_use blocks stay with tool_result', () => {
+  const messages = [
+    { role: 'user', content: 'word '.repeat(60) },
+    {
+      role: 'assistant',
+      content: [
+        { type: 'text', text: 'Looking it up.' },
+        { type: 'tool_use', id: 'toolu_1', name: 'lookup', input: { q: 'x' } },
+      ],
+    },
+    { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: 'found' }] },
+  ];
+
+  const result = chunkMessages({
+    provider: 'anthropic',
+    model: 'claude-3-5-sonnet-20241022',
+    messages,
+    options: { customLimits: { maxTokens: 80 } },
+  });
+
+  assert.strictEqual(result.chunks.length, 2);
+  assert.deepStrictEqual(result.chunks[1].messages, [messages[1], messages[2]]);
+});
+
+test('chunkMessages - oversized tool call group throws LimitExceededError', () => {
+  assert.throws(
+    () =>
+      chunkMessages({
+        provider: 'openai',
+        model: 'gpt-4o',
+        messages: [
+          { role: 'assistant', content: null, tool_calls: [{ id: 'a', type: 'function', function: { name: 'f', arguments: '{}' } }] },
+          { role: 'tool', tool_call_id: 'a', content: 'data '.repeat(200) },
+        ],
+        options: { customLimits: { maxTokens: 50 } },
+      }),
+    LimitExceededError
+  );
+  assert.throws(() => chunkMessages({ provider: 'openai', model: 'gpt-4o', messages: [] }), InvalidInputError);
+});
+
+test('chunkPrompt - maxOutputTokens and reservedPrompt reduce the chunk budget', () => {
+  const input = 'word '.repeat(2000);
+  const reservedPrompt = 'Translate the following text to French. '.repeat(5);
+  const result = chunkPrompt({
+    provider: 'openai',
+    model: 'gpt-4o',
+    input,
+    options: {
+      customLimits: { contextWindow: 1000, maxTokens: 1000 },
+      maxOutputTokens: 400,
+      reservedPrompt,
+    },
+  });
+
+  const budget = 1000 - 400 - estimateTokens(reservedPrompt);
+  assert(result.chunks.length > 1);
+  for (const chunk of result.chunks) {
+    assert(estimateTokens(chunk.text) <= budget);
+  }
+
+  const numeric = chunkPrompt({
+    provider: 'openai',
+    model: 'gpt-4o',
+    input,
+    options: { customLimits: { contextWindow: 1000, maxTokens: 1000 }, reservedPrompt: 500 },
+  });
+  for (const chunk of numeric.chunks) {
+    assert(estimateTokens(chunk.text) <= 500);
+  }
+});
+
+test('chunkPrompt - output reservation that cannot fit throws LimitExceededError', () => {
+  assert.throws(
+    () => chunkPrompt({ provider: 'openai', model: 'gpt-4', input: 'hello', options: { maxOutputTokens: 10000 } }),
+    (error) => error instanceof LimitExceededError && error.limit === 'maxOutputTokens'
+  );
+  assert.throws(
+    () => chunkPrompt({ provider: 'openai', model: 'gpt-4', input: 'hello', options: { maxOutputTokens: 8192 } }),
+    (error) => error instanceof LimitExceededError && error.limit === 'contextWindow'
+  );
+  assert.throws(
+    () => chunkPrompt({ provider: 'openai', model: 'gpt-4', input: 'hello', options: { reservedPrompt: -1 } }),
+    InvalidInputError
+  );
+});
+
+test('chunkPrompt - markdown strategy splits at headings and keeps tables whole', () => {
+  const section = (title) =>
+    `## ${title}\n\n${'Some words in a paragraph. '.repeat(8)}\n\n| a | b |\n|---|---|\n| 1 | 2 |\n| 3 | 4 |\n\n`;
+  const input = ['One', 'Two', 'Three', 'Four'].map(section).join('');
+
+  const result = chunkPrompt({
+    provider: 'openai',
+    model: 'gpt-4o',
+    input,
+    options: { strategy: 'markdown', customLimits: { maxTokens: 150 } },
+  });
+
+  assert(result.chunks.length > 1);
+  assert.strictEqual(result.chunks.map((chunk) => chunk.text).join(''), input);
+  for (const chunk of result.chunks) {
+    assert(chunk.text.startsWith('## '));
+    assert.strictEqual(chunk.text.split('| 1 | 2 |').length, chunk.text.split('| a | b |').length);
+  }
+});
+
+test('chunkPrompt - markdown strategy re-opens oversized code fences', () => {
+  const code = Array.from({ length: 60 }, (_, i) => `const value${i} = compute(${i});`).join('\n');
+  const input = `Intro.\n\n\`\`\`js\n${code}\n\`\`\`\n\nAfter the code.\n`;
+
+  const result = chunkPrompt({
+    provider: 'openai',
+    model: 'gpt-4o',
+    input,
+    options: { strategy: 'markdown', customLimits: { maxTokens: 120 } },
+  });
+
+  assert(result.chunks.length > 2);
+  for (const chunk of result.chunks) {
+    assert(estimateTokens(chunk.text) <= 120);
+    // Every chunk has balanced fences
+    assert.strictEqual((chunk.text.match(/^```/gm) || []).length % 2, 0);
+  }
+  assert.strictEqual(result.chunks[0].text, 'Intro.\n\n');
+  assert(result.chunks[1].text.startsWith('```js\nconst value0'));
+  assert(result.chunks[2].text.startsWith('```js\n'));
+});
+
+test('chunkPrompt - markdown strategy splits between lines past the overlap', () => {
+  const code = Array.from({ length: 30 }, (_, i) => `const value${i} = compute(${i}, "x");`).join('\n');
+  const input = `# Heading\n\nA paragraph that explains things. It has sentences. And more.\n\n\`\`\`js\n${code}\n\`\`\`\n\nTail text follows here with more words. The end.\n`;
+
+  for (const options of [
+    { chunkOverlap: 100, customLimits: { maxChars: 300 } },
+    { chunkOverlap: 20, overlapUnit: 'tokens', customLimits: { maxTokens: 60 } },
+  ]) {
+    const { chunks } = chunkPrompt({
+      provider: 'openai',
+      model: 'gpt-4o',
+      input,
+      options: { strategy: 'markdown', ...options },
+    });
+
+    assert(chunks.length > 2);
+    for (const chunk of chunks.slice(0, -1)) {
+      // A block boundary inside the overlap is no reason to fall back to a mid-line split
+      assert.strictEqual(input[chunk.end - 1], '\n');
+      assert.strictEqual((chunk.text.match(/^```/gm) || []).length % 2, 0);
+    }
+  }
+});
+
+test('chunkPrompt - unknown strategy throws InvalidInputError', () => {
+  assert.throws(
+    () =>
+      chunkPrompt({
+        provider: 'openai',
+        model: 'gpt-4o',
+        input: 'word '.repeat(100),
+        options: { strategy: 'latex', customLimits: { maxTokens: 20 } },
+      }),
+    InvalidInputError
+  );
+});
+
+test('chunkPrompt - code strategy splits at top-level declarations', () => {
+  const fn = (name) =>
+    `/**\n * ${name} docs\n */\nexport function ${name}(items) {\n  const s = "} not a brace";\n  // {\n  return items.map((item) => \`\${item} }\`).join(s);\n}\n\n`;
+  const input = ['alpha', 'beta', 'gamma', 'delta'].map(fn).join('');
+
+  const result = chunkPrompt({
+    provider: 'openai',
+    model: 'gpt-4o',
+    input,
+    options: { strategy: 'code', language: 'typescript', customLimits: { maxTokens: 120 } },
+  });
+
+  assert(result.chunks.length > 1);
+  assert.strictEqual(result.chunks.map((chunk) => chunk.text).join(''), input);
+  for (const chunk of result.chunks) {
+    assert(chunk.text.startsWith('/**\n'));
+    assert(chunk.text.trimEnd().endsWith('}'));
+  }
+});
+
+test('chunkPrompt - code strategy handles Python indentation and falls back inside large declarations', () => {
+  const method = (name) => `    def ${name}(self):\n        return """${name}\ndef fake():\n"""\n\n`;
+  const input =
+    'import os\n\n' +
+    `@dataclass\nclass Big:\n${['one', 'two', 'three', 'four', 'five', 'six'].map(method).join('')}` +
+    'def main():\n    pass\n';
+
+  const result = chunkPrompt({
+    provider: 'openai',
+    model: 'gpt-4o',
+    input,
+    options: { strategy: 'code', language: 'python', customLimits: { maxTokens: 60 } },
+  });
+
+  assert(result.chunks.length > 2);
+  assert.strictEqual(result.chunks.map((chunk) => chunk.text).join(''), input);
+  for (const chunk of result.chunks) {
+    assert(estimateTokens(chunk.text) <= 60);
+    // Never split inside a string or between a decorator and its class
+    assert(!chunk.text.startsWith('def fake'));
+    assert(!chunk.text.startsWith('class Big'));
+  }
+  assert(result.chunks.some((chunk) => chunk.text.startsWith('    def ')));
+  assert(result.chunks.some((chunk) => chunk.text.startsWith('@dataclass\nclass Big:')));
+});
+
+test('chunkPrompt - code strategy scans overlapping chunks from where they start', () => {
+  // The overlap starts inside a template literal full of brackets
+  const fn = (i) =>
+    `function render${i}(item) {\n  const html = \`\n    <li class="\${item.kind}">\n      }} not code { (\n    </li>\n  \`;\n  return html;\n}\n\n`;
+  const input = Array.from({ length: 12 }, (_, i) => fn(i)).join('');
+
+  for (const options of [
+    { chunkOverlap: 60, customLimits: { maxChars: 300 } },
+    { chunkOverlap: 20, overlapUnit: 'tokens', customLimits: { maxTokens: 90 } },
+  ]) {
+    const { chunks } = chunkPrompt({
+      provider: 'openai',
+      model: 'gpt-4o',
+      input,
+      options: { strategy: 'code', ...options },
+    });
+
+    assert(chunks.length > 2);
+    for (const chunk of chunks.slice(0, -1)) {
+      assert(input.startsWith('function ', chunk.end));
+      assert(chunk.end - chunk.start > chunk.overlapStart);
+    }
+  }
+});
+
+test('chunkPrompt - code strategy rejects unsupported languages', () => {
+  assert.throws(
+    () =>
+      chunkPrompt({
+        provider: 'openai',
+        model: 'gpt-4o',
+        input: 'x = 1\n'.repeat(100),
+        options: { strategy: 'code', language: 'cobol', customLimits: { maxTokens: 20 } },
+      }),
+    InvalidInputError
+  );
+});
+
+test('chunkJSON - splits arrays by element into valid JSON chunks', () => {
+  const records = Array.from({ length: 50 }, (_, i) => ({ id: i, name: `record ${i}`, tags: ['a', 'b'] }));
+  const result = chunkJSON({
+    provider: 'openai',
+    model: 'gpt-4o',
+    value: JSON.stringify(records),
+    options: { customLimits: { maxTokens: 100 } },
+  });
+
+  assert(result.chunks.length > 1);
+  assert.strictEqual(result.metadata.totalChunks, result.chunks.length);
+  const merged = [];
+  for (const chunk of result.chunks) {
+    assert(estimateTokens(chunk.text) <= 100);
+    assert.deepStrictEqual(JSON.parse(chunk.text), chunk.value);
+    assert.strictEqual(chunk.path, '');
+    assert.deepStrictEqual(chunk.paths, chunk.value.map((record) => `/${record.id}`));
+    merged.push(...chunk.value);
+  }
+  assert.deepStrictEqual(merged, records);
+});
+
+test('chunkJSON - recurses into oversized members with JSON Pointer paths', () => {
+  const value = {
+    meta: { version: 1 },
+    'items/all': Array.from({ length: 40 }, (_, i) => ({ id: i })),
+    notes: 'A very long note. '.repeat(40),
+  };
+  const result = chunkJSON({
+    provider: 'openai',
+    model: 'gpt-4o',
+    value,
+    options: { customLimits: { maxTokens: 60 }, indent: 2 },
+  });
+
+  for (const chunk of result.chunks) {
+    assert(estimateTokens(chunk.text) <= 60);
+    assert.deepStrictEqual(JSON.parse(chunk.text), chunk.value);
+  }
+  assert.deepStrictEqual(result.chunks[0].value, { meta: { version: 1 } });
+  const items = result.chunks.filter((chunk) => chunk.path === '/items~1all');
+  assert(items.length > 1);
+  assert.deepStrictEqual(items.flatMap((chunk) => chunk.value), value['items/all']);
+  const notes = result.chunks.filter((chunk) => chunk.path === '/notes');
+  assert(notes.length > 1);
+  assert.strictEqual(notes.map((chunk) => chunk.value).join(''), value.notes);
+});
+
+test('chunkJSON - invalid JSON throws InvalidInputError', () => {
+  assert.throws(
+    () => chunkJSON({ provider: 'openai', model: 'gpt-4o', value: '{"a": ' }),
+    InvalidInputError
+  );
+  assert.throws(() => chunkJSON({ provider: 'openai', model: 'gpt-4o' }), InvalidInputError);
+});
+
+test('chunkTable - repeats the header and splits at record boundaries', () => {
+  const header = 'id,name,notes\n';
+  const rows = Array.from(
+    { length: 40 },
+    (_, i) => `${i},"Name, ${i}","line one\nline ""two"" of ${i}"\n`
+  );
+  const input = header + rows.join('');
+
+  const result = chunkTable({
+    provider: 'openai',
+    model: 'gpt-4o',
+    input,
+    options: { customLimits: { maxTokens: 120 } },
+  });
+
+  assert(result.chunks.length > 1);
+  let expectedStart = 2;
+  for (const chunk of result.chunks) {
+    assert(chunk.text.startsWith(header));
+    assert(estimateTokens(chunk.text) <= 120);
+    assert.strictEqual(chunk.rows.start, expectedStart);
+    assert.strictEqual(chunk.text, header + rows.slice(chunk.rows.start - 2, chunk.rows.end - 1).join(''));
+    expectedStart = chunk.rows.end + 1;
+  }
+  assert.strictEqual(expectedStart, rows.length + 2);
+});
+
+test('chunkTable - TSV input and oversized records', () => {
+  const input = 'a\tb\n' + '1\t2\n'.repeat(30);
+  const result = chunkTable({
+    provider: 'openai',
+    model: 'gpt-4o',
+    input,
+    options: { customLimits: { maxChars: 40 } },
+  });
+  for (const chunk of result.chunks) {
+    assert(chunk.text.length <= 40);
+    assert(chunk.text.startsWith('a\tb\n'));
+  }
+
+  assert.throws(
+    () =>
+      chunkTable({
+        provider: 'openai',
+        model: 'gpt-4o',
+        input: `h\n"${'x'.repeat(100)}"\n`,
+        options: { customLimits: { maxChars: 50 } },
+      }),
+    LimitExceededError
+  );
+  assert.throws(
+    () => chunkTable({ provider: 'openai', model: 'gpt-4o', input: 'h\n"unterminated\n' }),
+    InvalidInputError
+  );
+});
+
+test('chunkPrompt - html strategy keeps tags balanced within limits', () => {
+  const rows = Array.from({ length: 30 }, (_, i) => `<tr><td class="n">${i}</td><td>Value ${i}</td></tr>\n`).join('');
+  const input =
+    `<html><body class="page">\n<h1>Report</h1>\n<table class="data">\n${rows}</table>\n` +
+    `<p>${'A long paragraph with <b>bold</b> words. '.repeat(20)}</p>\n</body></html>`;
+
+  const result = chunkPrompt({
+    provider: 'openai',
+    model: 'gpt-4o',
+    input,
+    options: { strategy: 'html', customLimits: { maxTokens: 150, maxBytes: 600 } },
+  });
+
+  assert(result.chunks.length > 2);
+  for (const chunk of result.chunks) {
+    assert(estimateTokens(chunk.text) <= 150);
+    assert(Buffer.byteLength(chunk.text) <= 600);
+
+    // Every tag opened in a chunk is closed in the same chunk
+    const stack = [];
+    for (const [, close, name] of chunk.text.matchAll(/<(\/?)([a-z0-9]+)[^>]*>/g)) {
+      if (close) {
+        assert.strictEqual(stack.pop(), name);
+      } else {
+        stack.push(name);
+      }
+    }
+    assert.deepStrictEqual(stack, []);
+  }
+  assert(result.chunks[1].text.startsWith('<html><body class="page">'));
+  assert(result.chunks.some((chunk) => chunk.text.includes('<table class="data"><tr>')));
+});
+
+test('chunkPrompt - html strategy carries raw text elements split across chunks', async () => {
+  const input =
+    '<div><script>\n' + 'var s = "<p><b>"; if (a < b) { x(); }\n'.repeat(100) + '</script><p>after</p></div>';
+  const options = { strategy: 'html', customLimits: { maxChars: 1000, maxBytes: 1000 } };
+
+  const { chunks } = chunkPrompt({ provider: 'openai', model: 'gpt-4o', input, options });
+  assert(chunks.length > 2);
+  chunks.forEach((chunk, i) => {
+    // Tags inside the script are not re-opened or closed
+    assert(i === 0 || (chunk.text.startsWith('<div><script>') && !chunk.text.startsWith('<div><script><p>')));
+    assert(i === chunks.length - 1 || chunk.text.endsWith('</script></div>'));
+    assert(!chunk.text.endsWith('</b></p></script></div>'));
+  });
+  assert(chunks[chunks.length - 1].text.endsWith('</script><p>after</p></div>'));
+
+  const pieces = input.match(/[^]{1,7}/g);
+  const streamed = await collect(
+    chunkStream({ provider: 'openai', model: 'gpt-4o', source: Readable.from(pieces), options })
+  );
+  assert.deepStrictEqual(streamed, chunks);
+});
+
+test('chunkPrompt - html strategy strips scripts, styles and attributes', async () => {
+  const input =
+    '<div class="x" data-id="1"><style>p { color: red }</style><p>Hello</p>' +
+    '<script>if (a < b) { document.write("</p>"); }</script><img src="a.png" /></div>';
+
+  const result = chunkPrompt({
+    provider: 'openai',
+    model: 'gpt-4o',
+    input,
+    options: { strategy: 'html', stripHtml: true },
+  });
+
+  assert.strictEqual(result.chunks.length, 1);
+  assert.strictEqual(result.chunks[0].text, '<div><p>Hello</p><img /></div>');
+  // Offsets refer to the stripped markup
+  assert.strictEqual(result.chunks[0].end, result.chunks[0].text.length);
+
+  const partial = chunkPrompt({
+    provider: 'openai',
+    model: 'gpt-4o',
+    input,
+    options: { strategy: 'html', stripHtml: { scripts: true } },
+  });
+  assert(partial.chunks[0].text.startsWith('<div class="x" data-id="1"><style>'));
+  assert(!partial.chunks[0].text.includes('<script>'));
+  await assert.rejects(
+    collect(
+      chunkStream({
+        provider: 'openai',
+        model: 'gpt-4o',
+        source: Readable.from([input]),
+        options: { strategy: 'html', stripHtml: true },
+      })
+    ),
+    InvalidInputError
+  );
+});
+
+test('chunkPrompt - chunks carry source offsets in UTF-16, UTF-8 and lines', async () => {
+  const input = 'Ünïcödé line one. Emoji 🎉 here.\nSecond line, a bit longer!\n'.repeat(40);
+  const options = {
+    chunkOverlap: 20,
+    customLimits: {
+      maxBytes: 800,
+      maxChars: 500,
+      maxTokens: 150,
+    },
+  };
+
+  const { chunks } = chunkPrompt({ provider: 'openai', model: 'gpt-4o', input, options });
+  assert(chunks.length > 2);
+  assert.strictEqual(chunks[0].start, 0);
+  assert.strictEqual(chunks[chunks.length - 1].end, input.length);
+
+  for (const [i, chunk] of chunks.entries()) {
+    const source = input.slice(chunk.start, chunk.end);
+    const before = input.slice(0, chunk.start).split('\n');
+    const through = input.slice(0, chunk.end).split('\n');
+
+    assert.strictEqual(chunk.text, source);
+    assert.strictEqual(chunk.byteStart, Buffer.byteLength(input.slice(0, chunk.start)));
+    assert.strictEqual(chunk.byteEnd - chunk.byteStart, Buffer.byteLength(source));
+    assert.deepStrictEqual(chunk.loc, {
+      start: { line: before.length, column: before[before.length - 1].length },
+      end: { line: through.length, column: through[through.length - 1].length },
+    });
+
+    if (i > 0) {
+      const previous = chunks[i - 1];
+      assert.strictEqual(chunk.overlapStart, previous.end - chunk.start);
+      assert.strictEqual(previous.overlapEnd, chunk.overlapStart);
+      assert(chunk.overlapStart > 0 && chunk.overlapStart <= 20);
+    }
+  }
+  assert.strictEqual(chunks[0].overlapStart, 0);
+  assert.strictEqual(chunks[chunks.length - 1].overlapEnd, 0);
+
+  const streamed = await collect(
+    chunkStream({ provider: 'openai', model: 'gpt-4o', source: Readable.from([input]), options })
+  );
+  assert.deepStrictEqual(streamed, chunks);
+
+  const single = chunkPrompt({ provider: 'openai', model: 'gpt-4o', input: 'Hi\nthere' }).chunks[0];
+  assert.deepStrictEqual(
+    [single.start, single.end, single.byteStart, single.byteEnd, single.overlapStart, single.overlapEnd],
+    [0, 8, 0, 8, 0, 0]
+  );
+  assert.deepStrictEqual(single.loc, { start: { line: 1, column: 0 }, end: { line: 2, column: 5 } });
+});
+
+test('reassemble - rebuilds the input from overlapping and decorated chunks', () => {
+  const code = Array.from({ length: 60 }, (_, i) => `const value${i} = compute(${i});`).join('\n');
+  const input = `Intro.\n\n\`\`\`js\n${code}\n\`\`\`\n\nAfter the code. ${'More words here. '.repeat(40)}`;
+
+  for (const options of [
+    { chunkOverlap: 30, customLimits: { maxTokens: 120 } },
+    { strategy: 'markdown', customLimits: { maxTokens: 120 } },
+  ]) {
+    const { chunks } = chunkPrompt({ provider: 'openai', model: 'gpt-4o', input, options });
+    assert(chunks.length > 2);
+
+    const result = reassemble([...chunks].reverse());
+    assert.strictEqual(result.text, input);
+    assert.deepStrictEqual(result.unreconciled, []);
+  }
+
+  const { chunks } = chunkPrompt({
+    provider: 'openai',
+    model: 'gpt-4o',
+    input,
+    options: { chunkOverlap: 30, customLimits: { maxTokens: 120 } },
+  });
+  const partial = reassemble([chunks[0], chunks[2]]);
+  assert.deepStrictEqual(partial.unreconciled, [{ index: 2, overlap: chunks[2].overlapStart }]);
+
+  assert.throws(() => reassemble([]), InvalidInputError);
+  assert.throws(
+    () => reassemble(chunkJSON({ provider: 'openai', model: 'gpt-4o', value: [1, 2] }).chunks),
+    InvalidInputError
+  );
+  assert.throws(() => reassemble(chunks, ['too few']), InvalidInputError);
+});
+
+test('reassemble - merges per-chunk outputs and reports unreconciled overlaps', () => {
+  const input = 'The quick brown fox jumps over the lazy dog. '.repeat(60);
+  const { chunks } = chunkPrompt({
+    provider: 'openai',
+    model: 'gpt-4o',
+    input,
+    options: { chunkOverlap: 40, customLimits: { maxTokens: 100 } },
+  });
+  assert(chunks.length > 2);
+
+  // Outputs transform the text, and are trimmed like model answers often are
+  const outputs = chunks.map((chunk) => chunk.text.toUpperCase().trim());
+  const merged = reassemble(chunks, outputs);
+  assert.strictEqual(merged.text, input.toUpperCase().trim());
+  assert.deepStrictEqual(merged.unreconciled, []);
+
+  // An output that rewrote its overlap cannot be lined up, so it is kept whole
+  outputs[1] = `[rewritten] ${outputs[1]}`;
+  const rewritten = reassemble(chunks, outputs);
+  assert.deepStrictEqual(rewritten.unreconciled, [{ index: 1, overlap: chunks[1].overlapStart }]);
+  assert(rewritten.text.includes('[rewritten]'));
+});
+
+test('reassemble - merges outputs of chunks a strategy re-opened fences or tags in', () => {
+  const code = Array.from({ length: 200 }, (_, i) => `const value${i} = compute(${i});`).join('\n');
+  const sentences = Array.from({ length: 150 }, (_, i) => `Sentence ${i} says something.`).join(' ');
+  const inputs = {
+    markdown: `Intro.\n\n\`\`\`js\n${code}\n\`\`\`\n\nAfter the code.`,
+    html: `<div class="doc"><p>${sentences}</p></div>`,
+  };
+
+  for (const [strategy, input] of Object.entries(inputs)) {
+    for (const chunkOverlap of [0, 50]) {
+      const { chunks } = chunkPrompt({
+        provider: 'openai',
+        model: 'gpt-4o',
+        input,
+        options: { strategy, chunkOverlap, customLimits: { maxChars: 800 } },
+      });
+      assert(chunks.length > 2);
+      assert(chunks.filter((chunk) => chunk.carried.prefix > 0).length > 1);
+
+      const merged = reassemble(chunks, chunks.map((chunk) => chunk.text.toUpperCase()));
+      assert.strictEqual(merged.text, input.toUpperCase(), `${strategy} ${chunkOverlap}`);
+      assert.deepStrictEqual(merged.unreconciled, []);
+    }
+  }
+});
+
+test('chunkPrompt - sentence and token overlaps start at boundaries within limits', async () => {
+  const input = Array.from({ length: 120 }, (_, i) => `Sentence number ${i} says something.`).join(' ');
+  const customLimits = { maxTokens: 150 };
+
+  const sentences = chunkPrompt({
+    provider: 'openai',
+    model: 'gpt-4o',
+    input,
+    options: { chunkOverlap: 2, overlapUnit: 'sentences', customLimits },
+  }).chunks;
+  assert(sentences.length > 2);
+  for (const chunk of sentences.slice(1)) {
+    const repeated = input.slice(chunk.start, chunk.start + chunk.overlapStart);
+    assert.match(repeated, /^Sentence number \d+ says something\. Sentence number \d+ says something\. $/);
+    assert(estimateTokens(chunk.text) <= 150);
+  }
+
+  const options = { chunkOverlap: 20, overlapUnit: 'tokens', customLimits };
+  const tokens = chunkPrompt({ provider: 'openai', model: 'gpt-4o', input, options }).chunks;
+  assert(tokens.length > 2);
+  for (const chunk of tokens.slice(1)) {
+    const repeated = input.slice(chunk.start, chunk.start + chunk.overlapStart);
+    assert(chunk.overlapStart > 0);
+    assert(estimateTokens(repeated) <= 20);
+    assert.strictEqual(input[chunk.start - 1], ' ');
+    assert(estimateTokens(chunk.text) <= 150);
+  }
+
+  const streamed = await collect(
+    chunkStream({ provider: 'openai', model: 'gpt-4o', source: Readable.from([input]), options })
+  );
+  assert.deepStrictEqual(streamed, tokens);
+
+  // The overlap leaves room for new text in every chunk
+  const capped = chunkPrompt({
+    provider: 'openai',
+    model: 'gpt-4o',
+    input,
+    options: { chunkOverlap: 1000, overlapUnit: 'tokens', customLimits },
+  }).chunks;
+  for (const chunk of capped.slice(1)) {
+    assert(estimateTokens(input.slice(chunk.start, chunk.start + chunk.overlapStart)) <= 75);
+  }
+
+  assert.throws(
+    () =>
+      chunkPrompt({
+        provider: 'openai',
+        model: 'gpt-4o',
+        input,
+        options: { chunkOverlap: 5, overlapUnit: 'words', customLimits },
+      }),
+    InvalidInputError
+  );
+});
+
+test('chunkPrompt - overlapping chunks always move forward', async () => {
+  const code = Array.from({ length: 30 }, (_, i) => `const value${i} = compute(${i}, "x");`).join('\n');
+  const input = `# Heading\n\nA paragraph that explains things. It has sentences. And more.\n\n\`\`\`js\n${code}\n\`\`\`\n\nTail text follows here with more words. The end.\n`;
+
+  for (const strategy of ['text', 'markdown', 'code', 'html']) {
+    for (const options of [
+      { strategy, chunkOverlap: 60, customLimits: { maxChars: 200 } },
+      { strategy, chunkOverlap: 20, overlapUnit: 'tokens', customLimits: { maxBytes: 160 } },
+    ]) {
+      const { chunks } = chunkPrompt({ provider: 'openai', model: 'gpt-4o', input, options });
+      assert(chunks.length > 2);
+      for (let i = 1; i < chunks.length; i++) {
+        assert(chunks[i].end > chunks[i - 1].end, `${strategy}: chunk ${i} ends after chunk ${i - 1}`);
+        assert(chunks[i].overlapStart > 0);
+      }
+
+      const result = reassemble(chunks);
+      assert.strictEqual(result.text, input);
+      assert.deepStrictEqual(result.unreconciled, []);
+
+      const streamed = await collect(
+        chunkStream({ provider: 'openai', model: 'gpt-4o', source: Readable.from([input]), options })
+      );
+      assert.deepStrictEqual(streamed, chunks);
+    }
+  }
+
+  // Elements re-opened before the overlap leave room for new text too
+  const html = Array.from(
+    { length: 14 },
+    (_, i) => `<section class="s${i}" data-long="${'x'.repeat(i * 7)}"><h2>Title ${i}</h2><p>Some words.</p></section>\n`
+  ).join('');
+  const { chunks } = chunkPrompt({
+    provider: 'openai',
+    model: 'gpt-4o',
+    input: html,
+    options: { strategy: 'html', chunkOverlap: 25, customLimits: { maxChars: 150 } },
+  });
+  for (let i = 1; i < chunks.length; i++) {
+    assert(chunks[i].end > chunks[i - 1].end);
+    assert(chunks[i].text.length <= 150);
+  }
+  assert.strictEqual(reassemble(chunks).text, html);
+});
+
+test('chunkPrompt - spread image strategy balances images across chunks', () => {
+  const input = 'A sentence of text. '.repeat(500);
+  const images = Array.from({ length: 7 }, (_, i) => png(1000, i));
+  const customLimits = { maxBytes: 5000, maxImages: 2, imageByteLimit: 2000 };
+
+  assert.throws(
+    () => chunkPrompt({ provider: 'openai', model: 'gpt-4o', input, images, options: { customLimits } }),
+    ImageLimitError
+  );
+
+  const { chunks } = chunkPrompt({
+    provider: 'openai',
+    model: 'gpt-4o',
+    input,
+    images,
+    options: { imageStrategy: 'spread', customLimits },
+  });
+
+  assert.deepStrictEqual(
+    chunks.flatMap((chunk) => chunk.images.map((image) => image.width)),
+    [0, 1, 2, 3, 4, 5, 6]
+  );
+  for (const chunk of chunks) {
+    const imageBytes = chunk.images.reduce((sum, image) => sum + image.size, 0);
+    assert(chunk.images.length <= 2);
+    assert(Buffer.byteLength(chunk.text) + imageBytes <= 5000);
+  }
+  assert(chunks[0].images.length < 2 || chunks[1].images.length > 0);
+
+  // Images that do not fit next to the text go in image-only chunks
+  const short = chunkPrompt({
+    provider: 'openai',
+    model: 'gpt-4o',
+    input: 'Describe these screenshots.',
+    images,
+    options: { imageStrategy: 'spread', customLimits },
+  }).chunks;
+  assert.strictEqual(short[0].text, 'Describe these screenshots.');
+  assert(short.length >= 4);
+  assert(short.slice(1).every((chunk) => chunk.text === '' && chunk.images.length > 0));
+  assert(short.every((chunk) => chunk.images.length <= 2));
+});
+
+test('chunkPrompt - anchored image strategy keeps images with their text', async () => {
+  const input = 'A sentence of text. '.repeat(500);
+  const anchors = [0, 2500, 2510, 2520, 6000, input.length];
+  const images = anchors.map((anchor, i) => ({ buffer: png(800, i), mime: 'image/png', anchor }));
+  const options = { imageStrategy: 'anchored', customLimits: { maxBytes: 4000, maxImages: 2 } };
+
+  const { chunks } = chunkPrompt({ provider: 'openai', model: 'gpt-4o', input, images, options });
+
+  const placed = chunks.flatMap((chunk) => chunk.images.map((image) => [image.width, chunk]));
+  assert.deepStrictEqual(placed.map(([i]) => i), [0, 1, 2, 3, 4, 5]);
+  for (const [i, chunk] of placed) {
+    const anchor = anchors[i];
+    assert(chunk.start <= anchor && (anchor < chunk.end || chunk.end === input.length));
+  }
+  for (const chunk of chunks) {
+    const imageBytes = chunk.images.reduce((sum, image) => sum + image.size, 0);
+    assert(chunk.images.length <= 2);
+    assert(Buffer.byteLength(chunk.text) + imageBytes <= 4000);
+  }
+
+  const streamed = await collect(
+    chunkStream({ provider: 'openai', model: 'gpt-4o', source: Readable.from([input]), images, options })
+  );
+  assert.deepStrictEqual(streamed, chunks);
+
+  assert.throws(
+    () =>
+      chunkPrompt({ provider: 'openai', model: 'gpt-4o', input, images, options: { imageStrategy: 'last' } }),
+    InvalidInputError
+  );
+});
+
+test('chunkPrompt - parts input keeps images in order with their text', () => {
+  const figure = (n) => ({ type: 'image', image: { buffer: png(600, n), mime: 'image/png' } });
+  const parts = [
+    { type: 'text', text: 'Intro paragraph with some words. '.repeat(60) },
+    figure(1),
+    { type: 'text', text: 'See figure 1 above. '.repeat(80) },
+    figure(2),
+    figure(3),
+    { type: 'text', text: 'Closing notes. '.repeat(40) },
+  ];
+
+  const { chunks } = chunkPrompt({
+    provider: 'openai',
+    model: 'gpt-4o',
+    parts,
+    options: { customLimits: { maxBytes: 3000, maxImages: 1 } },
+  });
+  assert(chunks.length > 3);
+
+  for (const chunk of chunks) {
+    const texts = chunk.parts.filter((part) => part.type === 'text').map((part) => part.text);
+    assert.strictEqual(texts.join(''), chunk.text);
+    assert.deepStrictEqual(
+      chunk.parts.filter((part) => part.type === 'image').map((part) => part.image),
+      chunk.images
+    );
+    assert(chunk.images.length <= 1);
+  }
+
+  // Flattened, the chunk parts give back the input parts
+  const flattened = [];
+  for (const part of chunks.flatMap((chunk) => chunk.parts)) {
+    const last = flattened[flattened.length - 1];
+    if (part.type === 'text' && last && last.type === 'text') {
+      last.text += part.text;
+    } else {
+      flattened.push(part.type === 'text' ? { ...part } : { type: 'image', image: part.image.width });
+    }
+  }
+  assert.deepStrictEqual(
+    flattened,
+    parts.map((part) =>
+      part.type === 'text' ? part : { type: 'image', image: part.image.buffer.readUInt32BE(16) }
+    )
+  );
+
+  const single = chunkPrompt({
+    provider: 'openai',
+    model: 'gpt-4o',
+    parts: [{ type: 'text', text: 'First. ' }, { type: 'text', text: 'Second.' }, figure(4)],
+  }).chunks;
+  assert.deepStrictEqual(
+    single[0].parts.map((part) => (part.type === 'text' ? part.text : part.image.size)),
+    ['First. ', 'Second.', 600]
+  );
+
+  assert.throws(
+    () => chunkPrompt({ provider: 'openai', model: 'gpt-4o', input: 'Hi', parts }),
+    InvalidInputError
+  );
+  assert.throws(
+    () => chunkPrompt({ provider: 'openai', model: 'gpt-4o', parts: [{ type: 'audio' }] }),
+    InvalidInputError
+  );
+});
+
+test('chunkPrompt - image format and dimensions come from the image bytes', () => {
+  const jpeg = Buffer.from([
+    0xff, 0xd8, 0xff, 0xe0, 0x00, 0x04, 0x00, 0x00, // SOI, APP0
+    0xff, 0xc0, 0x00, 0x11, 0x08, 0x01, 0xe0, 0x02, 0x80, 0x03, // SOF0: 480 x 640
+  ]);
+  const gif = Buffer.from('GIF89a\x20\x03\x58\x02\x00\x00', 'latin1');
+  const webp = (chunk, header) => {
+    const buffer = Buffer.alloc(30);
+    buffer.write(`RIFF\0\0\0\0WEBP${chunk}`, 0, 'latin1');
+    header.copy(buffer, 20);
+    return buffer;
+  };
+  const lossy = webp('VP8 ', Buffer.from([0, 0, 0, 0, 0, 0, 0x64, 0, 0x32, 0])); // 100 x 50
+  const lossless = webp('VP8L', Buffer.from([0x2f, 0x2f, 0x40, 0x06, 0])); // 48 x 26
+  const extended = webp('VP8X', Buffer.from([0, 0, 0, 0, 0xff, 0x03, 0, 0xff, 0x02, 0])); // 1024 x 768
+
+  const { chunks } = chunkPrompt({
+    provider: 'openai',
+    model: 'gpt-4o',
+    input: 'Describe these images.',
+    images: [
+      { buffer: png(100, 300, 200), mime: 'image/gif' }, // the declared mime is not trusted
+      `data:image/png;base64,${jpeg.toString('base64')}`,
+      gif,
+      lossy,
+      lossless,
+      extended,
+    ],
+  });
+  assert.deepStrictEqual(
+    chunks[0].images.map(({ mime, width, height }) => [mime, width, height]),
+    [
+      ['image/png', 300, 200],
+      ['image/jpeg', 640, 480],
+      ['image/gif', 800, 600],
+      ['image/webp', 100, 50],
+      ['image/webp', 48, 26],
+      ['image/webp', 1024, 768],
+    ]
+  );
+
+  assert.throws(
+    () =>
+      chunkPrompt({
+        provider: 'openai',
+        model: 'gpt-4o',
+        input: 'Test',
+        images: [png(100), Buffer.from('%PDF-1.7 not an image')],
+      }),
+    (error) =>
+      error instanceof ImageLimitError &&
+      error.reason === 'unsupported image format' &&
+      error.imageIndex === 1
+  );
+});
+
+test('chunkPrompt - image tokens count against maxTokens by provider formula', () => {
+  const limits = (provider, model) => getProviderLimits(provider, model);
+  const tokens = (provider, model, width, height) =>
+    estimateImageTokens({ width, height }, limits(provider, model));
+
+  // OpenAI: 512px tiles after scaling; Anthropic: area / 750; Gemini: flat
+  assert.strictEqual(tokens('openai', 'gpt-4o', 1024, 1024), 765);
+  assert.strictEqual(tokens('openai', 'gpt-4o', 2048, 4096), 1105);
+  assert.strictEqual(tokens('openai', 'gpt-4o', 100, 100), 255);
+  assert.strictEqual(tokens('anthropic', 'claude-3-5-sonnet-20241022', 1000, 1000), 1334);
+  assert.strictEqual(tokens('anthropic', 'claude-3-5-sonnet-20241022', 3136, 3136), 3279);
+  assert.strictEqual(tokens('gemini', 'gemini-1.5-pro', 4000, 3000), 258);
+  assert.strictEqual(tokens('mistral', 'mistral-large-latest', 1000, 1000), 0);
+
+  // The text alone fits, but not next to two 765-token images
+  const input = 'Some words for the model to read. '.repeat(100);
+  const images = [png(500, 1024, 1024), png(500, 1024, 1024)];
+  const customLimits = { maxTokens: 2000 };
+  const gpt4o = { ...limits('openai', 'gpt-4o'), ...customLimits };
+  const normalized = [{ size: 500, width: 1024, height: 1024 }, { size: 500, width: 1024, height: 1024 }];
+  assert.deepStrictEqual(checkFits(input, [], gpt4o), { fits: true });
+  assert.strictEqual(checkFits(input, normalized, gpt4o).reason, 'maxTokens');
+
+  const { chunks, metadata } = chunkPrompt({
+    provider: 'openai',
+    model: 'gpt-4o',
+    input,
+    images,
+    options: { customLimits },
+  });
+  assert(chunks.length > 1);
+  assert(estimateTokens(chunks[0].text) + 1530 <= 2000);
+  assert.strictEqual(chunks.map((chunk) => chunk.text).join(''), input);
+  assert.strictEqual(metadata.estimatedImageTokens, 1530);
+  assert.strictEqual(
+    metadata.estimatedTextTokens,
+    chunks.reduce((sum, chunk) => sum + estimateTokens(chunk.text), 0)
+  );
+  assert.strictEqual(metadata.estimatedTokens, metadata.estimatedTextTokens + 1530);
+
+  assert.throws(
+    () =>
+      chunkPrompt({
+        provider: 'openai',
+        model: 'gpt-4o',
+        input,
+        images,
+        options: { customLimits: { maxTokens: 1500 } },
+      }),
+    (error) => error instanceof LimitExceededError && error.limit === 'maxTokens'
+  );
+});
+
+test('chunkPrompt - images are checked against provider type, dimension and request limits', () => {
+  const gif = Buffer.from('GIF89a\x01\x00\x01\x00\x00\x00', 'latin1');
+  const rejects = (provider, model, images, options, reason, imageIndex) =>
+    assert.throws(
+      () => chunkPrompt({ provider, model, input: 'Describe these images.', images, options }),
+      (error) =>
+        error instanceof ImageLimitError && error.reason === reason && error.imageIndex === imageIndex
+    );
+
+  rejects('gemini', 'gemini-1.5-pro', [png(100), gif], {}, 'image type not allowed', 1);
+  rejects('anthropic', 'claude-3-5-sonnet-20241022', [png(100, 9000, 100)], {}, 'maxImageWidth exceeded', 0);
+  rejects('anthropic', 'claude-3-5-sonnet-20241022', [png(100, 100, 9000)], {}, 'maxImageHeight exceeded', 0);
+  rejects(
+    'openai',
+    'gpt-4o',
+    [png(100, 1000, 1000), png(100, 2000, 1000)],
+    { customLimits: { maxImageMegapixels: 1.5 } },
+    'maxImageMegapixels exceeded',
+    1
+  );
+  rejects(
+    'openai',
+    'gpt-4o',
+    [png(1000), png(1000)],
+    { customLimits: { totalImageBytes: 1500 } },
+    'totalImageBytes exceeded',
+    undefined
+  );
+
+  // The same images pass when each chunk is its own request
+  const { chunks } = chunkPrompt({
+    provider: 'openai',
+    model: 'gpt-4o',
+    input: 'Describe these images.',
+    images: [png(1000), png(1000)],
+    options: { imageStrategy: 'spread', customLimits: { totalImageBytes: 1500 } },
+  });
+  assert.deepStrictEqual(chunks.map((chunk) => chunk.images.length), [1, 1]);
+  assert.strictEqual(
+    chunkPrompt({ provider: 'anthropic', model: 'claude-3-5-sonnet-20241022', input: 'Hi', images: [gif] })
+      .chunks[0].images[0].mime,
+    'image/gif'
+  );
+});
+
+test('registerModel - validates limits and makes models available', () => {
+  const limits = { maxTokens: 1000, maxChars: 4000, maxBytes: 4000, maxImages: 0, imageByteLimit: 0 };
+  registerModel('acme', 'acme-small', limits);
+  try {
+    const { chunks } = chunkPrompt({ provider: 'acme', model: 'acme-small', input: 'word '.repeat(2000) });
+    assert(chunks.length > 1);
+    assert(chunks.every((chunk) => chunk.text.length <= 4000));
+
+    // Unlisted models fall back to the provider's default
+    registerModel('acme', 'default', { ...limits, maxTokens: 2000 });
+    assert.strictEqual(getProviderLimits('acme', 'acme-large').maxTokens, 2000);
+  } finally {
+    assert.strictEqual(unregisterProvider('acme'), true);
+  }
+  assert.strictEqual(unregisterProvider('acme'), false);
+  assert.throws(
+    () => chunkPrompt({ provider: 'acme', model: 'acme-small', input: 'Hi' }),
+    ProviderNotSupportedError
+  );
+
+  // Built-in limits are valid registrations
+  const registry = createRegistry();
+  registry.registerProvider('openai', PROVIDER_LIMITS.openai);
+  assert.strictEqual(registry.unregisterModel('openai', 'gpt-4'), true);
+  assert.strictEqual(registry.getProviderLimits('openai', 'gpt-4').maxTokens, 128000);
+
+  // Registered limits are copies; later changes to the caller's object do not leak in
+  const vision = {
+    ...limits,
+    maxImages: 1,
+    imageByteLimit: 1000,
+    allowedImageTypes: ['image/png'],
+    imageTokens: { method: 'fixed', tokens: 85 },
+  };
+  registry.registerModel('acme', 'acme-vision', vision);
+  registry.registerProvider('acme-labs', { default: vision });
+  vision.allowedImageTypes.push('image/gif');
+  vision.imageTokens.tokens = 1;
+  for (const provider of ['acme', 'acme-labs']) {
+    const registered = registry.getProviderLimits(provider, 'acme-vision');
+    assert.deepStrictEqual(registered.allowedImageTypes, ['image/png']);
+    assert.strictEqual(registered.imageTokens.tokens, 85);
+  }
+
+  assert.throws(
+    () =>
+      registerModel('acme', 'broken', {
+        maxTokens: -1,
+        maxChars: 8000,
+        maxBytes: 4000,
+        maxImages: 0,
+        imageTokens: { method: 'pixels' },
+      }),
+    (error) => {
+      assert(error instanceof InvalidInputError);
+      assert.deepStrictEqual(
+        error.details.map(({ field }) => field),
+        ['maxTokens', 'imageByteLimit', 'maxChars', 'imageTokens.method']
+      );
+      assert.match(error.message, /broken\.maxTokens must be a positive finite number/);
+      return true;
+    }
+  );
+  assert.throws(() => registerProvider('acme', { small: { ...limits, maxBytes: Infinity } }), InvalidInputError);
+  assert.throws(() => registerModel('', 'm', limits), InvalidInputError);
+  assert.strictEqual(getProviderLimits('acme', 'broken'), null);
+});
+
+test('createChunker - scoped registries do not leak between tenants', async () => {
+  const limits = { maxTokens: 50, maxChars: 200, maxBytes: 200, maxImages: 0, imageByteLimit: 0 };
+  const tenantA = createChunker();
+  const tenantB = createChunker({ registry: createRegistry() });
+  tenantA.registry.registerModel('openai', 'ft:gpt-4o:acme', limits);
+  tenantB.registry.unregisterProvider('anthropic');
+
+  const input = 'A sentence for the fine-tuned model. '.repeat(20);
+  const { chunks } = tenantA.chunkPrompt({ provider: 'openai', model: 'ft:gpt-4o:acme', input });
+  assert(chunks.length > 1);
+  assert(chunks.every((chunk) => chunk.text.length <= 200));
+  assert.strictEqual(tenantA.getProviderLimits('openai', 'ft:gpt-4o:acme').maxTokens, 50);
+
+  // Other tenants and the top-level functions use their own limits
+  for (const chunkWith of [tenantB.chunkPrompt, chunkPrompt]) {
+    assert.strictEqual(chunkWith({ provider: 'openai', model: 'ft:gpt-4o:acme', input }).chunks.length, 1);
+  }
+  assert.strictEqual(getProviderLimits('openai', 'ft:gpt-4o:acme').maxTokens, 128000);
+  assert.throws(
+    () => tenantB.chunkPrompt({ provider: 'anthropic', model: 'claude-3-opus-20240229', input }),
+    ProviderNotSupportedError
+  );
+  assert.strictEqual(
+    tenantA.chunkPrompt({ provider: 'anthropic', model: 'claude-3-opus-20240229', input }).chunks.length,
+    1
+  );
+
+  const streamed = [];
+  const source = Readable.from([input]);
+  for await (const chunk of tenantA.chunkStream({ provider: 'openai', model: 'ft:gpt-4o:acme', source })) {
+    streamed.push(chunk.text);
+  }
+  assert.deepStrictEqual(streamed, chunks.map((chunk) => chunk.text));
+});
+
+test('loadLimits - deep-merges config files and objects and records the source', () => {
+  const acme = { maxTokens: 500, maxChars: 2000, maxBytes: 2000, maxImages: 0, imageByteLimit: 0 };
+  const dir = mkdtempSync(join(tmpdir(), 'ai-token-chunker-'));
+  try {
+    const file = join(dir, 'limits.json');
+    writeFileSync(
+      file,
+      JSON.stringify({
+        openai: { 'gpt-4o': { maxTokens: 1000, imageTokens: { baseTokens: 65 } } },
+        acme: { default: acme },
+      })
+    );
+
+    const tenant = createChunker();
+    tenant.registry.loadLimits(file);
+    const limits = tenant.getProviderLimits('openai', 'gpt-4o');
+    assert.strictEqual(limits.maxTokens, 1000);
+    assert.strictEqual(limits.maxBytes, 512000); // Kept from the built-in limits
+    assert.deepStrictEqual(limits.imageTokens, {
+      ...PROVIDER_LIMITS.openai['gpt-4o'].imageTokens,
+      baseTokens: 65,
+    });
+    assert.strictEqual(getProviderLimits('openai', 'gpt-4o').maxTokens, 128000);
+
+    const metadata = (provider, model, options) =>
+      tenant.chunkPrompt({ provider, model, input: 'Hello', options }).metadata;
+    assert.strictEqual(metadata('openai', 'gpt-4o').limitsSource, `file:${file}`);
+    assert.strictEqual(metadata('acme', 'anything').limitsSource, `file:${file}`);
+    assert.strictEqual(metadata('anthropic', 'claude-3-opus-20240229').limitsSource, 'built-in');
+    assert.strictEqual(
+      metadata('openai', 'gpt-4', { customLimits: { maxTokens: 100 } }).limitsSource,
+      'built-in+customLimits'
+    );
+    tenant.registry.registerModel('acme', 'small', acme);
+    assert.strictEqual(metadata('acme', 'small').limitsSource, 'registered');
+
+    // Config is validated after merging, and nothing is applied if any model is invalid
+    assert.throws(
+      () =>
+        tenant.registry.loadLimits({
+          openai: { 'gpt-4o': { maxChars: 600000 } },
+          acme: { tiny: { maxTokens: 10 } },
+        }),
+      (error) => {
+        assert(error instanceof InvalidInputError);
+        assert.deepStrictEqual(
+          error.details.map(({ provider, model, field }) => `${provider}/${model}.${field}`),
+          [
+            'openai/gpt-4o.maxChars',
+            'acme/tiny.maxChars',
+            'acme/tiny.maxBytes',
+            'acme/tiny.maxImages',
+            'acme/tiny.imageByteLimit',
+          ]
+        );
+        return true;
+      }
+    );
+    assert.strictEqual(tenant.getProviderLimits('openai', 'gpt-4o').maxChars, 512000);
+
+    writeFileSync(file, '{ not json');
+    assert.throws(() => tenant.registry.loadLimits(file), InvalidInputError);
+    assert.throws(() => loadLimits(join(dir, 'missing.json')), InvalidInputError);
+
+    // Objects go into the shared registry
+    loadLimits({ acme: { default: acme } });
+    try {
+      const { metadata: shared } = chunkPrompt({ provider: 'acme', model: 'm', input: 'Hi' });
+      assert.strictEqual(shared.limitsSource, 'config');
+    } finally {
+      unregisterProvider('acme');
+    }
+
+    // AI_TOKEN_CHUNKER_LIMITS is loaded into the shared registry on import
+    writeFileSync(file, JSON.stringify({ openai: { 'gpt-4o': { maxTokens: 2000 } } }));
+    const entry = new URL('../src/index.js', import.meta.url).href;
+    const script = `
+      import { chunkPrompt, getProviderLimits } from ${JSON.stringify(entry)};
+      const { metadata } = chunkPrompt({ provider: 'openai', model: 'gpt-4o', input: 'Hi' });
+      console.log(JSON.stringify([metadata.limitsSource, getProviderLimits('openai', 'gpt-4o').maxTokens]));
+    `;
+    const output = execFileSync(process.execPath, ['--input-type=module', '-e', script], {
+      env: { ...process.env, AI_TOKEN_CHUNKER_LIMITS: file },
+      encoding: 'utf8',
+    });
+    assert.deepStrictEqual(JSON.parse(output), [`env:${file}`, 2000]);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('explainModel - aliases and patterns resolve with explicit precedence', () => {
+  const resolved = (provider, model) => explainModel(provider, model).key;
+  assert.strictEqual(resolved('openai', 'gpt-4o-2024-08-06'), 'gpt-4o');
+  assert.strictEqual(resolved('openai', 'gpt-4o-mini'), 'gpt-4o-mini');
+  assert.strictEqual(resolved('openai', 'gpt-4o-mini-2024-07-18'), 'gpt-4o-mini'); // Longest prefix
+  assert.strictEqual(resolved('openai', 'gpt-4-0613'), 'gpt-4');
+  assert.strictEqual(resolved('anthropic', 'claude-3-5-sonnet-latest'), 'claude-3-5-sonnet-20241022');
+  assert.strictEqual(
+    getProviderLimits('openai', 'gpt-4o-mini-2024-07-18'),
+    PROVIDER_LIMITS.openai['gpt-4o-mini']
+  );
+
+  const explained = explainModel('anthropic', 'claude-3-5-sonnet-latest');
+  assert.strictEqual(explained.match, 'alias');
+  assert.strictEqual(explained.reason, '"claude-3-5-sonnet-latest" is an alias of claude-3-5-sonnet-20241022');
+  assert.deepStrictEqual(
+    explained.candidates.map(({ key, match }) => `${key}:${match}`),
+    ['claude-3-5-sonnet-20241022:alias', 'claude-3-5-sonnet-20241022:glob', 'default:default']
+  );
+  assert.strictEqual(explainModel('openai', 'o1').match, 'default');
+  assert.strictEqual(explainModel('unknown', 'o1'), null);
+
+  // exact > alias > prefix > glob > regex, whatever order entries are listed in
+  const base = { maxTokens: 1000, maxChars: 4000, maxBytes: 4000, maxImages: 0, imageByteLimit: 0 };
+  const tenant = createChunker();
+  tenant.registry.registerProvider('acme', {
+    regex: { ...base, patterns: [{ regex: /^acme-\d+$/i }] },
+    glob: { ...base, patterns: [{ glob: 'acme-?' }, { glob: 'acme-1*' }] },
+    short: { ...base, patterns: [{ prefix: 'acme-' }] },
+    long: { ...base, patterns: [{ prefix: 'acme-12' }] },
+    alias: { ...base, aliases: ['acme-123'] },
+    'acme-1234': base,
+  });
+  const match = (model) => {
+    const { key, match: how } = tenant.explainModel('acme', model);
+    return `${key}:${how}`;
+  };
+  assert.strictEqual(match('acme-1234'), 'acme-1234:exact');
+  assert.strictEqual(match('acme-123'), 'alias:alias');
+  assert.strictEqual(match('acme-125'), 'long:prefix');
+  assert.strictEqual(match('acme-1'), 'short:prefix');
+  tenant.registry.unregisterModel('acme', 'short');
+  assert.strictEqual(match('acme-1'), 'glob:glob');
+  assert.strictEqual(match('acme-19'), 'glob:glob');
+  assert.strictEqual(match('ACME-9'), 'regex:regex');
+  assert.strictEqual(match('other'), 'null:null');
+  assert.strictEqual(
+    tenant.chunkPrompt({ provider: 'acme', model: 'acme-125', input: 'Hi' }).metadata.resolvedModel,
+    'long'
+  );
+  assert.strictEqual(
+    chunkMessages({
+      provider: 'anthropic',
+      model: 'claude-3-5-sonnet-latest',
+      messages: [{ role: 'user', content: 'Hi' }],
+    }).metadata.resolvedModel,
+    'claude-3-5-sonnet-20241022'
+  );
+  assert.throws(
+    () => tenant.chunkPrompt({ provider: 'acme', model: 'other', input: 'Hi' }),
+    ModelNotSupportedError
+  );
+
+  assert.throws(
+    () =>
+      tenant.registry.registerModel('acme', 'bad', {
+        ...base,
+        aliases: 'acme',
+        patterns: [{ prefix: 'a', glob: 'b' }, { regex: '(' }, { glob: '' }],
+      }),
+    (error) => {
+      assert.deepStrictEqual(
+        error.details.map(({ field }) => field),
+        ['aliases', 'patterns[0]', 'patterns[1]', 'patterns[2]']
+      );
+      return true;
+    }
+  );
+});
+
+test('chunkPrompt - strict mode rejects unlisted models and warnings record assumptions', () => {
+  // together/default is 8k; a 128k model must not silently get it
+  assert.throws(
+    () =>
+      chunkPrompt({
+        provider: 'together',
+        model: 'meta-llama/Llama-3.1-70B-Instruct-Turbo',
+        input: 'Hi',
+        options: { strict: true },
+      }),
+    (error) => {
+      assert(error instanceof ModelNotSupportedError);
+      assert.strictEqual(error.code, 'MODEL_NOT_SUPPORTED');
+      assert.strictEqual(error.provider, 'together');
+      assert.strictEqual(error.model, 'meta-llama/Llama-3.1-70B-Instruct-Turbo');
+      return true;
+    }
+  );
+  assert.throws(
+    () =>
+      chunkMessages({
+        provider: 'openai',
+        model: 'o1',
+        messages: [{ role: 'user', content: 'Hi' }],
+        options: { strict: true },
+      }),
+    ModelNotSupportedError
+  );
+  assert.throws(
+    () => chunkPrompt({ provider: 'nope', model: 'o1', input: 'Hi', options: { strict: true } }),
+    ProviderNotSupportedError
+  );
+
+  // Listed models, aliases and patterns are allowed
+  const strict = (model) =>
+    chunkPrompt({ provider: 'anthropic', model, input: 'Hi', options: { strict: true } }).metadata;
+  assert.deepStrictEqual(strict('claude-3-opus-20240229').warnings, []);
+  assert.deepStrictEqual(strict('claude-3-5-sonnet-latest').warnings, []);
+  assert.deepStrictEqual(
+    strict('claude-3-haiku-20250101').warnings.map(({ code }) => code),
+    ['MODEL_PATTERN_MATCH']
+  );
+
+  const codes = (provider, model, params = {}) =>
+    chunkPrompt({ provider, model, input: 'Hi', ...params }).metadata.warnings.map(({ code }) => code);
+  assert.deepStrictEqual(codes('together', 'meta-llama/Llama-3.1-70B-Instruct-Turbo'), [
+    'DEFAULT_MODEL_LIMITS',
+  ]);
+  // o200k is only used once its module is imported
+  assert.deepStrictEqual(codes('openai', 'gpt-4o'), ['TOKENIZER_NOT_LOADED']);
+  assert.deepStrictEqual(codes('openai', 'gpt-4o', { options: { tokenizer: createHeuristicTokenizer() } }), []);
+
+  registerModel('acme', 'vision', {
+    maxTokens: 1000,
+    maxChars: 4000,
+    maxBytes: 4000,
+    maxImages: 1,
+    imageByteLimit: 1000,
+  });
+  try {
+    assert.deepStrictEqual(codes('acme', 'vision', { images: [png(100)] }), ['IMAGE_TOKENS_UNKNOWN']);
+  } finally {
+    unregisterProvider('acme');
+  }
+
+  const { metadata } = chunkMessages({
+    provider: 'mistral',
+    model: 'mistral-large-2411',
+    messages: [{ role: 'user', content: 'Hi' }],
+  });
+  assert.strictEqual(metadata.resolvedModel, 'mistral-large-latest');
+  assert.deepStrictEqual(metadata.warnings, [
+    {
+      code: 'MODEL_PATTERN_MATCH',
+      message:
+        '"mistral-large-2411" matches prefix "mistral-large-" of mistral-large-latest; ' +
+        'assuming the mistral/mistral-large-latest limits',
+    },
+  ]);
+});
+
+test('toProviderPayload - builds request bodies for every provider', () => {
+  const image = png(100, 2, 3);
+  const data = image.toString('base64');
+  const [chunk] = chunkPrompt({
+    provider: 'openai',
+    model: 'gpt-4o',
+    input: 'Describe',
+    images: [image],
+  }).chunks;
+  const payload = (provider, model, params) => toProviderPayload(chunk, { provider, model, ...params });
+
+  assert.deepStrictEqual(payload('openai', 'gpt-4o', { system: 'Be brief' }), {
+    model: 'gpt-4o',
+    messages: [
+      { role: 'system', content: 'Be brief' },
+      {
+        role: 'user',
+        content: [
+          { type: 'image_url', image_url: { url: `data:image/png;base64,${data}` } },
+          { type: 'text', text: 'Describe' },
+        ],
+      },
+    ],
+  });
+  assert.deepStrictEqual(payload('anthropic', 'claude-3-opus-20240229', { system: 'Be brief' }), {
+    model: 'claude-3-opus-20240229',
+    max_tokens: 4096, // Required, so the model's maxOutputTokens
+    system: 'Be brief',
+    messages: [
+      {
+        role: 'user',
+        content: [
+          { type: 'image', source: { type: 'base64', media_type: 'image/png', data } },
+          { type: 'text', text: 'Describe' },
+        ],
+      },
+    ],
+  });
+  assert.deepStrictEqual(payload('gemini', 'gemini-1.5-pro', { system: 'Be brief', maxOutputTokens: 100 }), {
+    contents: [
+      { role: 'user', parts: [{ inlineData: { mimeType: 'image/png', data } }, { text: 'Describe' }] },
+    ],
+    systemInstruction: { parts: [{ text: 'Be brief' }] },
+    generationConfig: { maxOutputTokens: 100 },
+  });
+  assert.deepStrictEqual(payload('bedrock', 'anthropic.claude-3-opus-20240229-v1:0', { system: 'Be brief' }), {
+    messages: [
+      {
+        role: 'user',
+        content: [{ image: { format: 'png', source: { bytes: data } } }, { text: 'Describe' }],
+      },
+    ],
+    system: [{ text: 'Be brief' }],
+  });
+  assert.deepStrictEqual(payload('ollama', 'llava', { maxOutputTokens: 50 }), {
+    model: 'llava',
+    messages: [{ role: 'user', content: 'Describe', images: [data] }],
+    stream: false,
+    options: { num_predict: 50 },
+  });
+
+  // Every built-in provider has a format, and text-only bodies survive a JSON round trip
+  for (const provider of Object.keys(PROVIDER_LIMITS)) {
+    const body = toProviderPayload({ text: 'Hi "there"' }, { provider, model: 'm' });
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(body)), body);
+  }
+  assert.deepStrictEqual(
+    toProviderPayload({ text: 'Hi' }, { provider: 'groq', model: 'm', maxOutputTokens: 10 }),
+    { model: 'm', messages: [{ role: 'user', content: 'Hi' }], max_tokens: 10 }
+  );
+
+  // Parts keep their order; declared mime types are replaced by the sniffed ones
+  const [ordered] = chunkPrompt({
+    provider: 'anthropic',
+    model: 'claude-3-opus-20240229',
+    parts: [
+      { type: 'text', text: 'Before ' },
+      { type: 'image', image: { buffer: image, mime: 'image/jpeg' } },
+      { type: 'text', text: 'after' },
+    ],
+  }).chunks;
+  const [message] = toProviderPayload(ordered, {
+    provider: 'anthropic',
+    model: 'claude-3-opus-20240229',
+  }).messages;
+  assert.deepStrictEqual(
+    message.content.map((block) => (block.type === 'text' ? block.text : block.source.media_type)),
+    ['Before ', 'image/png', 'after']
+  );
+
+  // Registered providers pick a format
+  const tenant = createChunker();
+  tenant.registry.registerModel('vllm', 'default', {
+    maxTokens: 1000,
+    maxChars: 4000,
+    maxBytes: 4000,
+    maxImages: 0,
+    imageByteLimit: 0,
+    maxOutputTokens: 256,
+  });
+  const text = { text: 'Hi' };
+  assert.throws(
+    () => tenant.toProviderPayload(text, { provider: 'vllm', model: 'm' }),
+    ProviderNotSupportedError
+  );
+  assert.strictEqual(
+    tenant.toProviderPayload(text, { provider: 'vllm', model: 'm', format: 'anthropic' }).max_tokens,
+    256
+  );
+  assert.throws(
+    () => toProviderPayload(text, { provider: 'vllm', model: 'm', format: 'soap' }),
+    InvalidInputError
+  );
+  assert.throws(
+    () => toProviderPayload({ messages: [] }, { provider: 'openai', model: 'gpt-4o' }),
+    InvalidInputError
+  );
+  assert.throws(
+    () => toProviderPayload({ text: 'Hi', images: [Buffer.alloc(8)] }, { provider: 'openai', model: 'gpt-4o' }),
+    ImageLimitError
+  );
+});
+
+test('chunkPrompt - byteMode request fits serialized request bodies', () => {
+  // Quotes, backslashes, newlines and control characters grow when JSON-escaped
+  const input = 'She said "hi"\n\tC:\\temp\\file \u0001\u0002 漢字 😀. '.repeat(60);
+  const parts = [
+    { type: 'text', text: input.slice(0, 1000) },
+    { type: 'image', image: png(600, 1) },
+    { type: 'text', text: input.slice(1000) },
+    { type: 'image', image: png(600, 2) },
+  ];
+  const system = 'Answer "briefly".';
+  const maxRequestBytes = 3000;
+  const models = {
+    openai: 'gpt-4o',
+    anthropic: 'claude-3-5-sonnet-20241022',
+    gemini: 'gemini-1.5-pro',
+    bedrock: 'anthropic.claude-3-5-sonnet-20241022-v2:0',
+  };
+  const requestSize = (chunk, provider) =>
+    Buffer.byteLength(JSON.stringify(toProviderPayload(chunk, { provider, model: models[provider], system })));
+
+  for (const provider of Object.keys(models)) {
+    const options = { byteMode: 'request', reservedPrompt: system, customLimits: { maxRequestBytes } };
+    const { chunks } = chunkPrompt({ provider, model: models[provider], parts, options });
+
+    assert.ok(chunks.length > 1, provider);
+    assert.strictEqual(chunks.map((chunk) => chunk.text).join(''), input, provider);
+    assert.strictEqual(chunks.flatMap((chunk) => chunk.images).length, 2, provider);
+    for (const chunk of chunks) {
+      assert.ok(requestSize(chunk, provider) <= maxRequestBytes, `${provider} chunk ${chunk.index}`);
+    }
+  }
+
+  // JSON is fitted the same way
+  const json = chunkJSON({
+    provider: 'anthropic',
+    model: 'claude-3-5-sonnet-20241022',
+    value: input.split('. '),
+    options: { byteMode: 'request', customLimits: { maxRequestBytes: 1000 } },
+  });
+  assert.ok(json.chunks.length > 1);
+  for (const chunk of json.chunks) {
+    assert.ok(requestSize(chunk, 'anthropic') <= 1000);
+  }
+
+  // An image that fits raw byte limits is a larger request body once base64-encoded
+  const photo = { provider: 'openai', model: 'gpt-4o', input: 'Describe', images: [png(2400)] };
+  const [raw] = chunkPrompt({ ...photo, options: { customLimits: { maxBytes: 3000 } } }).chunks;
+  assert.ok(requestSize(raw, 'openai') > 3000);
+  assert.throws(
+    () => chunkPrompt({ ...photo, options: { byteMode: 'request', customLimits: { maxRequestBytes: 3000 } } }),
+    (error) => error instanceof LimitExceededError && error.limit === 'maxRequestBytes'
+  );
+  assert.throws(
+    () =>
+      chunkPrompt({
+        provider: 'openai',
+        model: 'gpt-4o',
+        input: 'Hi',
+        options: { byteMode: 'serialized' },
+      }),
+    InvalidInputError
+  );
+  assert.throws(
+    () =>
+      chunkMessages({
+        provider: 'openai',
+        model: 'gpt-4o',
+        messages: [{ role: 'user', content: 'Hi' }],
+        options: { byteMode: 'request' },
+      }),
+    InvalidInputError
+  );
+  assert.throws(
+    () =>
+      createRegistry().registerModel('vllm', 'default', {
+        ...PROVIDER_LIMITS.openai.default,
+        maxRequestBytes: -1,
+      }),
+    InvalidInputError
+  );
+});
+
+test('chunkPrompt - text over 2 bytes per character is split to fit maxBytes', () => {
+  const input = '漢字かな交じり文。'.repeat(50);
+  const { chunks } = chunkPrompt({
+    provider: 'openai',
+    model: 'gpt-4o',
+    input,
+    options: { customLimits: { maxBytes: 100 } },
+  });
+
+  assert.strictEqual(chunks.map((chunk) => chunk.text).join(''), input);
+  for (const chunk of chunks) {
+    assert.ok(Buffer.byteLength(chunk.text) <= 100);
+  }
+});
@@ -6,7 +6,14 @@ const { test } = require('node:test');
 const assert = require('node:assert');
 const {
   chunkPrompt,
+  chunkStream,
+  chunkMessages,
+  chunkJSON,
+  reassemble,
+  toProviderPayload,
+  createChunker,
   ProviderNotSupportedError,
+  ModelNotSupportedError,
   LimitExceededError,
   ImageLimitError,
   InvalidInputError,
@@ -35,6 +42,17 @@ test('CJS - error classes work', () => {
     },
     ProviderNotSupportedError
   );
+  assert.throws(
+    () => {
+      chunkPrompt({
+        provider: 'together',
+        model: 'some-model',
+        input: 'test',
+        options: { strict: true },
+      });
+    },
+    ModelNotSupportedError
+  );
 });
 
 test('CJS - long text chunking', () => {
@@ -48,3 +66,149 @@ test('CJS - long text chunking', () => {
   assert(result.chunks.length > 1);
 });
 
+
+test('CJS - custom tokenizer', () => {
+  const result = chunkPrompt({
+    provider: 'openai',
+    model: 'gpt-4o',
+    input: 'word '.repeat(100),
+    options: {
+      tokenizer: { count: (text) => text.length },
+      customLimits: { maxTokens: 50 },
+    },
+  });
+
+  assert(result.chunks.length > 1);
+  for (const chunk of result.chunks) {
+    assert(chunk.text.length <= 50);
+  }
+});
+
+test('CJS - chunkStream works', async () => {
+  const input = 'word '.repeat(200);
+  const chunks = [];
+  for await (const chunk of chunkStream({
+    provider: 'openai',
+    model: 'gpt-4o',
+    source: (async function* () {
+      yield Buffer.from(input);
+    })(),
+    options: { customLimits: { maxTokens: 50 } },
+  })) {
+    chunks.push(chunk);
+  }
+
+  assert(chunks.length > 1);
+  assert.strictEqual(chunks.map((chunk) => chunk.text).join(''), input);
+});
+
+test('CJS - chunkMessages works', () => {
+  const result = chunkMessages({
+    provider: 'openai',
+    model: 'gpt-4o',
+    messages: [
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'word '.repeat(200) },
+    ],
+    options: { customLimits: { maxTokens: 50 } },
+  });
+
+  assert(result.chunks.length > 1);
+  for (const chunk of result.chunks) {
+    assert.strictEqual(chunk.messages[0].role, 'system');
+  }
+});
+
+test('CJS - chunkJSON works', () => {
+  const value = Array.from({ length: 40 }, (_, i) => ({ id: i }));
+  const result = chunkJSON({
+    provider: 'openai',
+    model: 'gpt-4o',
+    value,
+    options: { customLimits: { maxTokens: 50 } },
+  });
+
+  assert(result.chunks.length > 1);
+  assert.deepStrictEqual(result.chunks.flatMap((chunk) => JSON.parse(chunk.text)), value);
+});
+
+test('CJS - reassemble works', () => {
+  const input = 'Sentence one. Sentence two. '.repeat(100);
+  const result = chunkPrompt({
+    provider: 'openai',
+    model: 'gpt-4o',
+    input,
+    options: { chunkOverlap: 20, customLimits: { maxTokens: 80 } },
+  });
+
+  assert(result.chunks.length > 1);
+  assert.deepStrictEqual(reassemble(result.chunks), { text: input, unreconciled: [] });
+});
+
+test('CJS - parts input works', () => {
+  const result = chunkPrompt({
+    provider: 'openai',
+    model: 'gpt-4o',
+    parts: [
+      { type: 'text', text: 'Before the figure. ' },
+      { type: 'image', image: Buffer.from('R0lGODlhAQABAAAAACw=', 'base64') },
+      { type: 'text', text: 'After the figure.' },
+    ],
+  });
+
+  assert.deepStrictEqual(
+    result.chunks[0].parts.map((part) => part.type),
+    ['text', 'image', 'text']
+  );
+});
+
+test('CJS - scoped registries work', () => {
+  const tenant = createChunker();
+  tenant.registry.registerModel('acme', 'acme-small', {
+    maxTokens: 50,
+    maxChars: 200,
+    maxBytes: 200,
+    maxImages: 0,
+    imageByteLimit: 0,
+  });
+
+  const result = tenant.chunkPrompt({
+    provider: 'acme',
+    model: 'acme-small',
+    input: 'A sentence for the small model. '.repeat(20),
+  });
+  assert(result.chunks.length > 1);
+  assert.throws(() => tenant.registry.registerModel('acme', 'broken', { maxTokens: 0 }), InvalidInputError);
+  assert.strictEqual(tenant.explainModel('openai', 'gpt-4o-2024-08-06').key, 'gpt-4o');
+});
+
+test('CJS - toProviderPayload works', () => {
+  const { chunks } = chunkPrompt({ provider: 'anthropic', model: 'claude-3-opus-20240229', input: 'Hi' });
+  const payload = toProviderPayload(chunks[0], { provider: 'anthropic', model: 'claude-3-opus-20240229' });
+  assert.deepStrictEqual(payload.messages, [{ role: 'user', content: [{ type: 'text', text: 'Hi' }] }]);
+});
+
+test('CJS - byteMode request fits serialized request bodies', () => {
+  const input = 'Say "hi"\n'.repeat(100);
+  const options = { byteMode: 'request', customLimits: { maxRequestBytes: 400 } };
+  const { chunks } = chunkPrompt({ provider: 'openai', model: 'gpt-4o', input, options });
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    const payload = toProviderPayload(chunk, { provider: 'openai', model: 'gpt-4o' });
+    assert.ok(Buffer.byteLength(JSON.stringify(payload)) <= 400);
+  }
+});
+
+test('CJS - BPE tokenizer entry point', () => {
+  // Registers "cl100k" for the rest of this process, so keep this test last
+  const { cl100k } = require('../src/tokenizers/cl100k.cjs');
+
+  assert.deepStrictEqual(cl100k.encode('hello world'), [15339, 1917]);
+
+  const result = chunkPrompt({
+    provider: 'openai',
+    model: 'gpt-4',
+    input: 'hello world',
+  });
+  assert.strictEqual(result.metadata.estimatedTokens, 2);
+});
@@ -0,0 +1,122 @@
+/**
+ * Tests for the optional BPE tokenizers
+ *
+ * Kept in a separate file: importing a tokenizer entry point registers it for
+ * the whole process, which changes the default token counting for OpenAI models.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { chunkPrompt, estimateTokens, getTokenizer, InvalidInputError } from '../src/index.js';
+import { cl100k } from '../src/tokenizers/cl100k.js';
+import { o200k } from '../src/tokenizers/o200k.js';
+
+const SAMPLES = [
+  'hello world',
+  'Hello, world! 你好，世界 🚀',
+  'function add(a, b) {\n  return a + b;\n}\n',
+  "I'll be there at 12345678.",
+];
+
+test('cl100k - encodes like the reference implementation', () => {
+  const expected = [
+    [15339, 1917],
+    [9906, 11, 1917, 0, 220, 57668, 53901, 3922, 3574, 244, 98220, 11410, 248, 222],
+    [1723, 923, 2948, 11, 293, 8, 341, 220, 471, 264, 489, 293, 280, 534],
+    [40, 3358, 387, 1070, 520, 220, 4513, 10961, 2495, 13],
+  ];
+
+  SAMPLES.forEach((sample, i) => {
+    assert.deepStrictEqual(cl100k.encode(sample), expected[i]);
+    assert.strictEqual(cl100k.count(sample), expected[i].length);
+    assert.strictEqual(cl100k.decode(expected[i]), sample);
+  });
+});
+
+test('o200k - encodes like the reference implementation', () => {
+  const expected = [
+    [24912, 2375],
+    [13225, 11, 2375, 0, 220, 177519, 979, 28428, 169883, 222],
+    [2706, 1147, 6271, 11, 287, 8, 405, 220, 622, 261, 659, 287, 307, 739],
+    [67504, 413, 1354, 540, 220, 7633, 19354, 4388, 13],
+  ];
+
+  SAMPLES.forEach((sample, i) => {
+    assert.deepStrictEqual(o200k.encode(sample), expected[i]);
+    assert.strictEqual(o200k.count(sample), expected[i].length);
+    assert.strictEqual(o200k.decode(expected[i]), sample);
+  });
+});
+
+test('tokenizers - count long runs of unbroken text in near-linear time', () => {
+  // Pseudo-random letters without spaces reach the byte-pair merge as one piece
+  let seed = 12345;
+  let run = '';
+  for (let i = 0; i < 16000; i++) {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    run += String.fromCharCode(97 + ((seed >> 16) % 26));
+  }
+
+  const started = Date.now();
+  for (const tokenizer of [cl100k, o200k]) {
+    assert.strictEqual(tokenizer.count('a'.repeat(16000)), 2000);
+    assert.strictEqual(tokenizer.decode(tokenizer.encode(run)), run);
+  }
+  // A quadratic merge takes several seconds per run
+  assert(Date.now() - started < 3000);
+});
+
+test('tokenizers - register themselves on import', () => {
+  assert.strictEqual(getTokenizer('cl100k'), cl100k);
+  assert.strictEqual(getTokenizer('o200k'), o200k);
+  assert.strictEqual(estimateTokens('hello world', 'cl100k'), 2);
+});
+
+test('chunkPrompt - models use their default tokenizer', () => {
+  const input = 'Hello, world! 你好，世界 🚀';
+
+  const gpt4o = chunkPrompt({ provider: 'openai', model: 'gpt-4o', input });
+  assert.strictEqual(gpt4o.metadata.estimatedTokens, o200k.count(input));
+
+  const gpt4 = chunkPrompt({ provider: 'openai', model: 'gpt-4', input });
+  assert.strictEqual(gpt4.metadata.estimatedTokens, cl100k.count(input));
+
+  // Models without a named tokenizer keep the heuristic
+  const claude = chunkPrompt({ provider: 'anthropic', model: 'claude-3-5-sonnet-20241022', input });
+  assert.strictEqual(claude.metadata.estimatedTokens, estimateTokens(input));
+});
+
+test('chunkPrompt - chunks fit maxTokens by exact BPE count', () => {
+  const input = 'The quick brown fox jumps over the lazy dog. 敏捷的棕色狐狸跳过了懒狗。 '.repeat(100);
+  const result = chunkPrompt({
+    provider: 'openai',
+    model: 'gpt-4',
+    input,
+    options: {
+      tokenizer: 'cl100k',
+      customLimits: {
+        maxTokens: 200,
+      },
+    },
+  });
+
+  assert(result.chunks.length > 1);
+  for (const chunk of result.chunks) {
+    assert(cl100k.count(chunk.text) <= 200);
+  }
+  assert.strictEqual(result.chunks.map((chunk) => chunk.text).join(''), input);
+});
+
+test('chunkPrompt - unknown tokenizer name throws InvalidInputError', () => {
+  assert.throws(
+    () => {
+      chunkPrompt({
+        provider: 'openai',
+        model: 'gpt-4o',
+        input: 'test',
+        options: { tokenizer: 'p50k' },
+      });
+    },
+    InvalidInputError
+  );
+});